@@ -16,6 +16,11 @@ USE iot_middleware;
 -- CLEANUP: Drop existing tables
 -- ============================================
 
+DROP TABLE IF EXISTS iot_command_audit;
+DROP TABLE IF EXISTS iot_asset;
+DROP TABLE IF EXISTS iot_alarm_event;
+DROP TABLE IF EXISTS iot_state_cache;
+DROP TABLE IF EXISTS iot_status_event;
 DROP TABLE IF EXISTS iot_topchange_event;
 DROP TABLE IF EXISTS iot_cmd_result;
 DROP TABLE IF EXISTS iot_heartbeat;
@@ -178,20 +183,25 @@ CREATE TABLE IF NOT EXISTS iot_rfid_snapshot (
 -- ============================================
 -- TABLE: Door Events (Append-only)
 -- ============================================
--- Source: DOOR_STATE SUO
+-- Source: DOOR_STATE, DOOR_OPEN_TIMEOUT, DOOR_UNAUTHORIZED_OPEN SUO
 -- Strategy: Append-only
 -- Notes: message_id for traceability - links to original message
+--        Supervision rows (DoorSupervisor) have an empty message_id
 
 CREATE TABLE IF NOT EXISTS iot_door_event (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
     device_id     VARCHAR(32) NOT NULL,
     module_index  INT NOT NULL,              -- SUO.moduleIndex
     message_id    VARCHAR(32) NOT NULL,      -- SUO.messageId (for event traceability)
+    event_type    VARCHAR(24) NOT NULL
+                  DEFAULT 'DOOR_STATE',      -- DOOR_STATE, DOOR_OPEN_TIMEOUT, DOOR_UNAUTHORIZED_OPEN
     
     -- From SUO.payload[] (expanded to columns)
     doorState     INT,                       -- payload.doorState (single door)
     door1State    INT,                       -- payload.door1State (dual door A)
     door2State    INT,                       -- payload.door2State (dual door B)
+    opened_at     DATETIME(3),               -- payload.openedAt (supervision rows only)
+    open_duration INT,                       -- payload.openDuration in ms (supervision rows only)
     
     -- Timestamps
     parse_at      DATETIME(3) NOT NULL,      -- SUO creation time
@@ -199,6 +209,7 @@ CREATE TABLE IF NOT EXISTS iot_door_event (
                   DEFAULT CURRENT_TIMESTAMP(3),  -- DB operation time
     
     INDEX idx_door (device_id, module_index, parse_at DESC),
+    INDEX idx_door_type (event_type, device_id, module_index),
     INDEX idx_message_id (message_id),
     INDEX idx_update_at (update_at DESC)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -286,3 +297,158 @@ CREATE TABLE IF NOT EXISTS iot_topchange_event (
     INDEX idx_device_type (device_type, parse_at DESC),
     INDEX idx_update_at (update_at DESC)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABLE: Device/Module Status Events (Append-only)
+-- ============================================
+-- Source: DEVICE_OFFLINE, DEVICE_ONLINE, MODULE_OFFLINE, MODULE_ONLINE SUO
+-- Strategy: Append-only
+-- Notes: Generated by CacheWatchdog on heartbeat expiry/recovery (no device message_id)
+
+CREATE TABLE IF NOT EXISTS iot_status_event (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    device_id     VARCHAR(32) NOT NULL,
+    device_type   CHAR(5) DEFAULT NULL,      -- SUO.deviceType
+    module_index  INT DEFAULT NULL,          -- SUO.moduleIndex (NULL for device events)
+    module_id     VARCHAR(32) DEFAULT NULL,  -- SUO.moduleId (NULL for device events)
+    message_id    VARCHAR(32) DEFAULT NULL,  -- Always NULL (middleware generated)
+    
+    -- From SUO.messageType / SUO.payload[0]
+    event_type    VARCHAR(16) NOT NULL,      -- DEVICE_OFFLINE, DEVICE_ONLINE, MODULE_OFFLINE, MODULE_ONLINE
+    last_seen_hb  DATETIME(3) DEFAULT NULL,  -- payload.lastSeenHb
+    
+    -- Timestamps
+    parse_at      DATETIME(3) NOT NULL,      -- SUO creation time
+    update_at     DATETIME(3) NOT NULL 
+                  DEFAULT CURRENT_TIMESTAMP(3),  -- DB operation time
+    
+    INDEX idx_status (device_id, module_index, parse_at DESC),
+    INDEX idx_event_type (event_type, parse_at DESC),
+    INDEX idx_update_at (update_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABLE: Threshold Alarm Events (Append-only)
+-- ============================================
+-- Source: ALARM_RAISED, ALARM_CLEARED SUO
+-- Strategy: Append-only (one row per transition; RAISED and CLEARED share alarm_id)
+-- Notes: Generated by AlarmEngine (no device message_id); active = RAISED without CLEARED
+
+CREATE TABLE IF NOT EXISTS iot_alarm_event (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    device_id     VARCHAR(32) NOT NULL,
+    device_type   CHAR(5) DEFAULT NULL,      -- SUO.deviceType
+    module_index  INT NOT NULL,              -- SUO.moduleIndex
+    module_id     VARCHAR(32) DEFAULT NULL,  -- SUO.moduleId
+    message_id    VARCHAR(32) DEFAULT NULL,  -- Always NULL (middleware generated)
+    
+    -- From SUO.messageType / SUO.payload[0]
+    event_type    VARCHAR(16) NOT NULL,      -- ALARM_RAISED, ALARM_CLEARED
+    alarm_id      VARCHAR(32) NOT NULL,      -- payload.alarmId
+    rule_name     VARCHAR(64) NOT NULL,      -- payload.rule
+    severity      VARCHAR(16) NOT NULL,      -- payload.severity
+    sensor_index  INT NOT NULL,              -- payload.sensorIndex
+    metric        VARCHAR(16) NOT NULL,      -- payload.metric (temp, hum, noise)
+    alarm_condition VARCHAR(8) NOT NULL,     -- payload.condition (above, below)
+    threshold     DECIMAL(6,2) NOT NULL,     -- payload.threshold
+    alarm_value   DECIMAL(6,2) DEFAULT NULL, -- payload.value (reading at transition)
+    peak_value    DECIMAL(6,2) DEFAULT NULL, -- payload.peakValue
+    raised_at     DATETIME(3) NOT NULL,      -- payload.raisedAt
+    cleared_at    DATETIME(3) DEFAULT NULL,  -- payload.clearedAt (ALARM_CLEARED only)
+    
+    -- Timestamps
+    parse_at      DATETIME(3) NOT NULL,      -- SUO creation time
+    update_at     DATETIME(3) NOT NULL 
+                  DEFAULT CURRENT_TIMESTAMP(3),  -- DB operation time
+    
+    INDEX idx_alarm (device_id, module_index, parse_at DESC),
+    INDEX idx_alarm_id (alarm_id, event_type),
+    INDEX idx_update_at (update_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABLE: Command Audit Log (Append-only)
+-- ============================================
+-- Source: command.status events (CommandService)
+-- Strategy: Append-only (one row per status transition; rows share command_id)
+-- Notes: origin = operator (api, websocket) or automatic (smartHeartbeat, selfHealing, internal)
+
+CREATE TABLE IF NOT EXISTS iot_command_audit (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    command_id    VARCHAR(64) NOT NULL,      -- commandId
+    source        VARCHAR(16) NOT NULL,      -- api, websocket, smartHeartbeat, selfHealing, internal
+    origin        VARCHAR(16) NOT NULL,      -- operator, automatic
+    user_name     VARCHAR(64) DEFAULT NULL,  -- API key name / JWT sub (operator commands)
+    auth_type     VARCHAR(8) DEFAULT NULL,   -- apiKey, jwt, none
+    client_ip     VARCHAR(64) DEFAULT NULL,
+    
+    -- Command request
+    device_id     VARCHAR(32) DEFAULT NULL,
+    device_type   CHAR(5) DEFAULT NULL,
+    message_type  VARCHAR(32) DEFAULT NULL,
+    payload       JSON DEFAULT NULL,
+    
+    -- Resulting status
+    status        VARCHAR(16) NOT NULL,      -- PENDING, SENT, ACKED, FAILED, TIMED_OUT
+    error         VARCHAR(255) DEFAULT NULL,
+    created_at    DATETIME(3) NOT NULL,      -- Command request time
+    
+    -- Timestamps
+    parse_at      DATETIME(3) NOT NULL,      -- Status transition time
+    update_at     DATETIME(3) NOT NULL 
+                  DEFAULT CURRENT_TIMESTAMP(3),  -- DB operation time
+    
+    INDEX idx_cmd_audit_id (command_id),
+    INDEX idx_cmd_audit_device (device_id, created_at DESC),
+    INDEX idx_cmd_audit_user (user_name, created_at DESC),
+    INDEX idx_update_at (update_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABLE: Asset Registry (UPSERT)
+-- ============================================
+-- Source: /api/assets (AssetRegistry)
+-- Strategy: UPSERT on tag_id, DELETE via API
+-- Notes: Registered position is optional; u_index matches RFID SUO.payload.sensorIndex
+
+CREATE TABLE IF NOT EXISTS iot_asset (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    tag_id        VARCHAR(32) NOT NULL,      -- RFID tagId (upper case)
+    asset_name    VARCHAR(128) NOT NULL,
+    owner         VARCHAR(64) DEFAULT NULL,
+    model         VARCHAR(64) DEFAULT NULL,
+    
+    -- Registered position (NULL = not checked)
+    device_id     VARCHAR(32) DEFAULT NULL,
+    module_index  INT DEFAULT NULL,
+    u_index       INT DEFAULT NULL,
+    
+    -- Timestamps
+    parse_at      DATETIME(3) NOT NULL,      -- API request time
+    update_at     DATETIME(3) NOT NULL 
+                  DEFAULT CURRENT_TIMESTAMP(3) 
+                  ON UPDATE CURRENT_TIMESTAMP(3),  -- DB operation time
+    
+    UNIQUE KEY uk_tag_id (tag_id),
+    INDEX idx_asset_position (device_id, module_index, u_index)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABLE: StateCache Snapshot (Upsert on save)
+-- ============================================
+-- Source: StateCache (normalizer.cacheType = "database")
+-- Strategy: Changed entries upserted, removed entries deleted, in one transaction
+--           every snapshotInterval and on shutdown
+-- Notes: One row per UOS cache entry, restored on startup
+
+CREATE TABLE IF NOT EXISTS iot_state_cache (
+    cache_type    VARCHAR(16) NOT NULL,      -- metadata, telemetry, heartbeat
+    cache_key     VARCHAR(128) NOT NULL,     -- device:{id}:info | device:{id}:module:{index}
+    cache_value   JSON NOT NULL,             -- UOS entry (heartbeat: ISO timestamp)
+    
+    -- Timestamps
+    update_at     DATETIME(3) NOT NULL 
+                  DEFAULT CURRENT_TIMESTAMP(3),  -- DB operation time
+    
+    PRIMARY KEY (cache_type, cache_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,79 @@
+/**
+ * Raw Archive Replay - Offline pipeline run for bug reports and regression fixtures
+ *
+ * Feeds a raw archive file (written by MqttSubscriber with
+ * modules.mqttSubscriber.archive.enabled) through ParserManager and
+ * UnifyNormalizer in this process only. No broker, database or outputs are
+ * used; normalized SUOs are written as NDJSON.
+ *
+ * Usage: node scripts/replay_archive.js <archive.ndjson> [--speed N] [--out suos.ndjson]
+ *
+ * Options:
+ *   --speed N   Pacing divisor: 1 = original timing, 10 = 10x faster, 0 = no delay (default: 0)
+ *   --out FILE  Write SUOs to FILE instead of stdout
+ *
+ * To replay into a running middleware (optionally with outputs), use
+ * POST /api/archive/replay instead.
+ */
+
+const fs = require('fs');
+const config = require('config');
+const parserManager = require('../src/modules/parsers/ParserManager');
+const normalizer = require('../src/modules/normalizer/UnifyNormalizer');
+const archiveReplay = require('../src/modules/ingress/ArchiveReplay');
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = { file: null, speed: 0, out: null };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--speed') {
+            options.speed = Number(args[++i]);
+        } else if (args[i] === '--out') {
+            options.out = args[++i];
+        } else if (!options.file) {
+            options.file = args[i];
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs();
+
+    if (!options.file || !fs.existsSync(options.file)) {
+        console.error('Usage: node scripts/replay_archive.js <archive.ndjson> [--speed N] [--out suos.ndjson]');
+        process.exit(1);
+    }
+
+    await parserManager.initialize(config.get('modules.parserManager'));
+    await normalizer.initialize(config.get('modules.normalizer'));
+    await normalizer.start();
+
+    const out = options.out ? fs.createWriteStream(options.out) : process.stdout;
+
+    const status = await archiveReplay.replay(options.file, {
+        speed: options.speed,
+        outputs: false,
+        maxCaptured: 0,
+        onSuo: (suo) => out.write(JSON.stringify(suo) + '\n'),
+    });
+
+    if (options.out) {
+        await new Promise((resolve) => out.end(resolve));
+    }
+
+    console.error(
+        `Replayed ${status.messages} messages (${status.invalid} invalid) -> ${status.suos} SUOs, ` +
+        `${status.commands} command requests suppressed`
+    );
+
+    // SmartHeartbeat may have scheduled staggered queries; nothing to send them to
+    process.exit(status.state === 'completed' ? 0 : 1);
+}
+
+main().catch((error) => {
+    console.error('Replay failed:', error.message);
+    process.exit(1);
+});
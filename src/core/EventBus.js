@@ -5,6 +5,7 @@
  * - mqtt.message: Emitted when a new MQTT message is received
  * - data.normalized: Emitted when data has been normalized to SUO format
  * - command.request: Emitted when a command needs to be sent to a device
+ * - command.status: Emitted when a tracked command changes lifecycle status
  * - error: Emitted when an error occurs in any module
  */
 
@@ -16,6 +17,19 @@ class EventBus extends EventEmitter {
   constructor() {
     super();
     this.setMaxListeners(50); // Increase default limit for multiple subscribers
+
+    // Diverts data.normalized / command.request away from subscribers (see setCapture)
+    this.capture = null;
+  }
+
+  /**
+   * Divert normalized data and command requests to a handler instead of subscribers
+   * Used by ArchiveReplay to run parser + normalizer with outputs disabled.
+   * The pipeline is synchronous, so only emits made while the capture is set are diverted.
+   * @param {Function|null} handler - (event, payload) => void, or null to restore delivery
+   */
+  setCapture(handler) {
+    this.capture = handler;
   }
 
   /**
@@ -40,6 +54,10 @@ class EventBus extends EventEmitter {
     } catch (e) {
       // Debug config not available, skip
     }
+    if (this.capture) {
+      this.capture("data.normalized", suo);
+      return;
+    }
     this.emit("data.normalized", suo);
   }
 
@@ -48,9 +66,21 @@ class EventBus extends EventEmitter {
    * @param {Object} command - The command payload
    */
   emitCommandRequest(command) {
+    if (this.capture) {
+      this.capture("command.request", command);
+      return;
+    }
     this.emit("command.request", command);
   }
 
+  /**
+   * Emit a command status event
+   * @param {Object} record - The command record (commandId, status, ...)
+   */
+  emitCommandStatus(record) {
+    this.emit("command.status", record);
+  }
+
   /**
    * Emit an error event
    * @param {Error} error - The error object
@@ -84,6 +114,14 @@ class EventBus extends EventEmitter {
     this.on("command.request", handler);
   }
 
+  /**
+   * Subscribe to command status changes
+   * @param {Function} handler - The event handler
+   */
+  onCommandStatus(handler) {
+    this.on("command.status", handler);
+  }
+
   /**
    * Subscribe to errors
    * @param {Function} handler - The event handler
@@ -0,0 +1,219 @@
+/**
+ * Metrics - In-process counters and histograms for the pipeline
+ *
+ * Modules define their metrics once (usually in their constructor) and
+ * update them on the hot path; ApiServer renders everything at /metrics in
+ * the Prometheus text exposition format (version 0.0.4).
+ *
+ * Label sets are bounded per metric (maxSeries): once a metric has that many
+ * series, updates for new label sets are dropped and counted in
+ * iot_metrics_series_dropped_total instead of growing without limit (e.g.
+ * a misbehaving gateway sending random device ids).
+ */
+
+// Default histogram buckets (seconds)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Metrics {
+  constructor() {
+    this.maxSeries = 10000;
+    this.metrics = new Map(); // name -> { name, type, help, labelNames, buckets, series }
+    this.droppedSeries = 0;
+  }
+
+  /**
+   * Apply configuration
+   * @param {Object} config - { maxSeries } (metrics)
+   */
+  configure(config = {}) {
+    this.maxSeries = config.maxSeries || 10000;
+  }
+
+  /**
+   * Define a counter (idempotent for identical definitions)
+   * @param {string} name - Metric name (e.g. iot_mqtt_messages_received_total)
+   * @param {string} help - HELP text
+   * @param {Array<string>} labelNames - Label names
+   */
+  counter(name, help, labelNames = []) {
+    this.define({ name, type: "counter", help, labelNames });
+  }
+
+  /**
+   * Define a histogram (idempotent for identical definitions)
+   * @param {string} name - Metric name (e.g. iot_db_flush_duration_seconds)
+   * @param {string} help - HELP text
+   * @param {Array<string>} labelNames - Label names
+   * @param {Array<number>} buckets - Upper bounds, ascending (+Inf is implicit)
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    this.define({ name, type: "histogram", help, labelNames, buckets });
+  }
+
+  /**
+   * Register a metric definition
+   * @param {Object} definition - { name, type, help, labelNames, buckets }
+   * @throws {Error} If the name is already defined with a different type or labels
+   */
+  define(definition) {
+    const existing = this.metrics.get(definition.name);
+    if (existing) {
+      if (existing.type !== definition.type || existing.labelNames.join() !== definition.labelNames.join()) {
+        throw new Error(`Metric ${definition.name} already defined as ${existing.type} (${existing.labelNames.join(", ")})`);
+      }
+      return;
+    }
+
+    this.metrics.set(definition.name, { ...definition, series: new Map() });
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} name - Counter name
+   * @param {Object} labels - Label values
+   * @param {number} value - Increment (default 1)
+   */
+  inc(name, labels = {}, value = 1) {
+    const series = this.getSeries(name, "counter", labels);
+    if (series) {
+      series.value += value;
+    }
+  }
+
+  /**
+   * Record a histogram observation
+   * @param {string} name - Histogram name
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(name, labels = {}, value) {
+    const series = this.getSeries(name, "histogram", labels);
+    if (!series) {
+      return;
+    }
+
+    const { buckets } = this.metrics.get(name);
+    for (let i = 0; i < buckets.length; i++) {
+      if (value <= buckets[i]) {
+        series.counts[i]++;
+      }
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Find or create the series for a label set
+   * @param {string} name - Metric name
+   * @param {string} type - Expected metric type
+   * @param {Object} labels - Label values
+   * @returns {Object|null} Series, or null when dropped (maxSeries reached)
+   * @throws {Error} If the metric is not defined with that type
+   */
+  getSeries(name, type, labels) {
+    const metric = this.metrics.get(name);
+    if (!metric || metric.type !== type) {
+      throw new Error(`Unknown ${type}: ${name}`);
+    }
+
+    const values = metric.labelNames.map((label) =>
+      labels[label] === undefined || labels[label] === null ? "" : String(labels[label]),
+    );
+    const key = values.join("\u0000");
+
+    let series = metric.series.get(key);
+    if (!series) {
+      if (metric.series.size >= this.maxSeries) {
+        this.droppedSeries++;
+        return null;
+      }
+      series =
+        metric.type === "histogram"
+          ? { values, counts: new Array(metric.buckets.length).fill(0), sum: 0, count: 0 }
+          : { values, value: 0 };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    const lines = [];
+
+    this.metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      metric.series.forEach((series) => {
+        const labels = metric.labelNames.map((label, i) => [label, series.values[i]]);
+
+        if (metric.type === "counter") {
+          lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(series.value)}`);
+          return;
+        }
+
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels(labels.concat([["le", formatValue(bound)]]))} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(labels.concat([["le", "+Inf"]]))} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}`);
+        lines.push(`${metric.name}_count${formatLabels(labels)} ${series.count}`);
+      });
+    });
+
+    lines.push("# HELP iot_metrics_series_dropped_total Metric updates dropped because the metric reached maxSeries label sets");
+    lines.push("# TYPE iot_metrics_series_dropped_total counter");
+    lines.push(`iot_metrics_series_dropped_total ${this.droppedSeries}`);
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Drop all recorded values (definitions are kept)
+   */
+  reset() {
+    this.metrics.forEach((metric) => metric.series.clear());
+    this.droppedSeries = 0;
+  }
+}
+
+/**
+ * Format a label set ({a="1",b="2"}, empty string when there are no labels)
+ * @param {Array<Array>} labels - [name, value] pairs
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  if (labels.length === 0) {
+    return "";
+  }
+  const pairs = labels.map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return `{${pairs.join(",")}}`;
+}
+
+/**
+ * Format a sample value (+Inf/-Inf/NaN spelled the Prometheus way)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function escapeHelp(value) {
+  return value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+// Singleton instance
+const metrics = new Metrics();
+
+module.exports = metrics;
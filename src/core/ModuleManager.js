@@ -51,6 +51,7 @@ class ModuleManager {
       "database",
       "eventBus",
       "stateCache",
+      "assets",
       "mqttSubscriber",
       "parserManager",
       "normalizer",
@@ -61,6 +62,8 @@ class ModuleManager {
       "apiServer",
       "webSocketServer",
       "cacheWatchdog",
+      "alarms",
+      "doorSupervisor",
     ];
 
     for (const moduleName of initOrder) {
@@ -16,6 +16,9 @@ const parserManager = require("./modules/parsers/ParserManager");
 const normalizer = require("./modules/normalizer/UnifyNormalizer");
 const stateCache = require("./modules/normalizer/StateCache");
 const cacheWatchdog = require("./modules/normalizer/CacheWatchdog");
+const alarmEngine = require("./modules/rules/AlarmEngine");
+const doorSupervisor = require("./modules/rules/DoorSupervisor");
+const assetRegistry = require("./modules/rules/AssetRegistry");
 const storageService = require("./modules/storage/StorageService");
 const commandService = require("./modules/command/CommandService");
 const mqttRelay = require("./modules/output/MqttRelay");
@@ -26,11 +29,15 @@ const webSocketServer = require("./modules/output/WebSocketServer");
 // Register modules with ModuleManager
 moduleManager.register("database", database);
 moduleManager.register("eventBus", eventBus);
+// Assets load before MQTT so the first RFID messages are already enriched
+moduleManager.register("assets", assetRegistry);
 moduleManager.register("mqttSubscriber", mqttSubscriber);
 moduleManager.register("parserManager", parserManager);
 moduleManager.register("normalizer", normalizer);
 moduleManager.register("stateCache", stateCache);
 moduleManager.register("cacheWatchdog", cacheWatchdog);
+moduleManager.register("alarms", alarmEngine);
+moduleManager.register("doorSupervisor", doorSupervisor);
 moduleManager.register("storage", storageService);
 moduleManager.register("command", commandService);
 moduleManager.register("mqttRelay", mqttRelay);
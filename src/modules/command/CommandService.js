@@ -4,10 +4,43 @@
  * Handles outbound commands to devices via MQTT.
  * Listens for command.request events and publishes to appropriate topics.
  * Translates internal system intents into device-specific raw protocols.
+ *
+ * Command Lifecycle:
+ * - Every command gets a commandId and is tracked PENDING → SENT → ACKED/FAILED/TIMED_OUT
+ * - Device responses (QRY_CLR_RESP, SET_CLR_RESP, CLN_ALM_RESP) are correlated back
+ *   to the request by originalReq (V5008) or messageType + moduleIndex (V6800)
+ * - Status changes are emitted as command.status events
+ * - Requests carry source (api, websocket, smartHeartbeat, selfHealing) and,
+ *   for operator commands, user / authType / clientIp for the audit log
+ *
+ * Device types are resolved through the ParserManager protocol registry;
+ * parser plugins supply their own buildCommand.
  */
 
 const mqtt = require("mqtt");
 const eventBus = require("../../core/EventBus");
+const parserManager = require("../parsers/ParserManager");
+const frameCodec = require("../parsers/FrameCodec");
+const V5008Frames = require("../parsers/V5008Frames");
+
+// Command lifecycle states
+const COMMAND_STATUS = {
+  PENDING: "PENDING",
+  SENT: "SENT",
+  ACKED: "ACKED",
+  FAILED: "FAILED",
+  TIMED_OUT: "TIMED_OUT",
+};
+
+// Command sources issued by a person (REST / WebSocket); everything else is automatic
+const OPERATOR_SOURCES = ["api", "websocket"];
+
+// Commands that receive an explicit device response, keyed by response SUO type
+const RESPONSE_COMMAND_MAP = {
+  QRY_CLR_RESP: "QRY_COLOR",
+  SET_CLR_RESP: "SET_COLOR",
+  CLN_ALM_RESP: "CLN_ALARM",
+};
 
 class CommandService {
   constructor() {
@@ -15,6 +48,16 @@ class CommandService {
     this.client = null;
     this.isConnected = false;
     this.mqttConfig = null;
+
+    // Tracked commands: { commandId: record }
+    this.commands = new Map();
+
+    // Response timeout timers: { commandId: Timeout }
+    this.timers = new Map();
+
+    // EventBus listeners (kept so stop() removes only ours)
+    this.requestListener = null;
+    this.responseListener = null;
   }
 
   /**
@@ -91,9 +134,16 @@ class CommandService {
     });
 
     // Subscribe to command requests
-    eventBus.onCommandRequest((command) => {
+    this.requestListener = (command) => {
       this.handleCommandRequest(command);
-    });
+    };
+    eventBus.onCommandRequest(this.requestListener);
+
+    // Subscribe to normalized data for command response correlation
+    this.responseListener = (suo) => {
+      this.handleCommandResponse(suo);
+    };
+    eventBus.onDataNormalized(this.responseListener);
 
     console.log("  CommandService started");
   }
@@ -101,8 +151,11 @@ class CommandService {
   /**
    * Handle command request event
    * @param {Object} command - Command request payload
+   * @returns {string} Command ID used for tracking
    */
   handleCommandRequest(command) {
+    const record = this.trackCommand(command);
+
     try {
       // Validate required fields
       if (!command.deviceId) {
@@ -131,6 +184,19 @@ class CommandService {
       let mqttPayload;
       let topic;
 
+      const protocol = parserManager.getProtocol(deviceType);
+      if (!protocol) {
+        console.error(`Unknown device type: ${deviceType}`);
+        eventBus.emitError(
+          new Error(`Unknown device type: ${deviceType}`),
+          "CommandService",
+        );
+        this.updateStatus(record, COMMAND_STATUS.FAILED, {
+          error: `Unknown device type: ${deviceType}`,
+        });
+        return record.commandId;
+      }
+
       // Route based on device type
       if (deviceType === "V5008") {
         // Special handling for QRY_DEV_MOD_INFO - trigger QRY_DEVICE_INFO and QRY_MODULE_INFO sequentially
@@ -139,6 +205,9 @@ class CommandService {
             `QRY_DEV_MOD_INFO for V5008 - triggering QRY_DEVICE_INFO and QRY_MODULE_INFO sequentially`,
           );
           
+          // Both publishes must succeed before the command counts as SENT
+          let remainingPublishes = 2;
+
           // Send QRY_DEVICE_INFO first
           const deviceInfoPayload = this.buildV5008Command("QRY_DEVICE_INFO", payload);
           const deviceInfoTopic = `V5008Download/${deviceId}`;
@@ -154,8 +223,10 @@ class CommandService {
                   err.message,
                 );
                 eventBus.emitError(err, "CommandService");
+                this.updateStatus(record, COMMAND_STATUS.FAILED, { error: err.message });
               } else {
                 console.log(`QRY_DEVICE_INFO published to ${deviceInfoTopic}`);
+                if (--remainingPublishes === 0) this.markSent(record);
               }
             },
           );
@@ -175,33 +246,38 @@ class CommandService {
                   err.message,
                 );
                 eventBus.emitError(err, "CommandService");
+                this.updateStatus(record, COMMAND_STATUS.FAILED, { error: err.message });
               } else {
                 console.log(`QRY_MODULE_INFO published to ${moduleInfoTopic}`);
+                if (--remainingPublishes === 0) this.markSent(record);
               }
             },
           );
 
-          return; // Exit early as both commands have been sent
+          return record.commandId; // Exit early as both commands have been sent
         }
 
         mqttPayload = this.buildV5008Command(messageType, payload);
         topic = `V5008Download/${deviceId}`;
+
+        // V5008 echoes the raw command as originalReq in its response
+        record.originalReq = mqttPayload.toString("hex").toUpperCase();
       } else if (deviceType === "V6800") {
         mqttPayload = this.buildV6800Command(messageType, payload, deviceId);
         topic = `V6800Download/${deviceId}`;
+      } else if (protocol.buildCommand) {
+        // Parser plugin: { topic, payload }
+        ({ topic, payload: mqttPayload } = protocol.buildCommand(messageType, payload, deviceId));
       } else {
-        console.error(`Unknown device type: ${deviceType}`);
-        eventBus.emitError(
-          new Error(`Unknown device type: ${deviceType}`),
-          "CommandService",
-        );
-        return;
+        throw new Error(`Device type ${deviceType} does not support commands`);
       }
 
-      // Publish to appropriate topic
+      // Publish to appropriate topic (binary and string payloads as-is)
       this.client.publish(
         topic,
-        deviceType === "V5008" ? mqttPayload : JSON.stringify(mqttPayload),
+        Buffer.isBuffer(mqttPayload) || typeof mqttPayload === "string"
+          ? mqttPayload
+          : JSON.stringify(mqttPayload),
         { qos: 1 },
         (err) => {
           if (err) {
@@ -210,13 +286,336 @@ class CommandService {
               err.message,
             );
             eventBus.emitError(err, "CommandService");
+            this.updateStatus(record, COMMAND_STATUS.FAILED, { error: err.message });
+          } else {
+            this.markSent(record);
           }
         },
       );
     } catch (error) {
       console.error("CommandService error:", error.message);
       eventBus.emitError(error, "CommandService");
+      this.updateStatus(record, COMMAND_STATUS.FAILED, { error: error.message });
     }
+
+    return record.commandId;
+  }
+
+  /**
+   * Create a tracking record for a command request
+   * @param {Object} command - Command request payload
+   * @returns {Object} Command record (status PENDING)
+   */
+  trackCommand(command) {
+    this.pruneCommands();
+
+    const now = new Date().toISOString();
+    const source = command.source || "internal";
+    const record = {
+      commandId: command.commandId || this.generateCommandId(),
+      // Audit: who asked (see OPERATOR_SOURCES)
+      source,
+      origin: OPERATOR_SOURCES.includes(source) ? "operator" : "automatic",
+      user: command.user || null,
+      authType: command.authType || null,
+      clientIp: command.clientIp || null,
+      deviceId: command.deviceId || null,
+      deviceType: command.deviceType || null,
+      messageType: command.messageType || null,
+      payload: command.payload || {},
+      status: COMMAND_STATUS.PENDING,
+      expectsResponse: Object.values(RESPONSE_COMMAND_MAP).includes(
+        command.messageType,
+      ),
+      originalReq: null,
+      response: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      completedAt: null,
+    };
+
+    this.commands.set(record.commandId, record);
+    eventBus.emitCommandStatus(this.snapshot(record));
+
+    return record;
+  }
+
+  /**
+   * Generate a unique command ID
+   * @returns {string} Command ID
+   */
+  generateCommandId() {
+    return `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Mark a command as published to the broker
+   * Commands without a device response are complete once SENT,
+   * others wait for the response until the configured timeout.
+   * @param {Object} record - Command record
+   */
+  markSent(record) {
+    if (record.status !== COMMAND_STATUS.PENDING) {
+      return;
+    }
+
+    const sentAt = new Date().toISOString();
+    this.updateStatus(record, COMMAND_STATUS.SENT, {
+      sentAt,
+      completedAt: record.expectsResponse ? null : sentAt,
+    });
+
+    if (record.expectsResponse) {
+      const responseTimeout = (this.config && this.config.responseTimeout) || 30000;
+      const timer = setTimeout(() => {
+        this.timers.delete(record.commandId);
+        this.updateStatus(record, COMMAND_STATUS.TIMED_OUT, {
+          error: `No response within ${responseTimeout}ms`,
+        });
+      }, responseTimeout);
+      this.timers.set(record.commandId, timer);
+    }
+  }
+
+  /**
+   * Update command status and notify listeners
+   * Terminal states (ACKED, FAILED, TIMED_OUT) are never overwritten.
+   * @param {Object} record - Command record
+   * @param {string} status - New status
+   * @param {Object} fields - Additional fields to merge into the record
+   */
+  updateStatus(record, status, fields = {}) {
+    if (this.isTerminal(record)) {
+      return;
+    }
+
+    Object.assign(record, fields, {
+      status,
+      updatedAt: new Date().toISOString(),
+    });
+
+    if (this.isTerminal(record)) {
+      record.completedAt = record.completedAt || record.updatedAt;
+
+      const timer = this.timers.get(record.commandId);
+      if (timer) {
+        clearTimeout(timer);
+        this.timers.delete(record.commandId);
+      }
+    }
+
+    eventBus.emitCommandStatus(this.snapshot(record));
+  }
+
+  /**
+   * Check whether a command has reached a terminal state
+   * @param {Object} record - Command record
+   * @returns {boolean} True if ACKED, FAILED or TIMED_OUT
+   */
+  isTerminal(record) {
+    return (
+      record.status === COMMAND_STATUS.ACKED ||
+      record.status === COMMAND_STATUS.FAILED ||
+      record.status === COMMAND_STATUS.TIMED_OUT
+    );
+  }
+
+  /**
+   * Check whether a command is finished (terminal, or SENT without expected response)
+   * @param {Object} record - Command record
+   * @returns {boolean} True if no further status change is expected
+   */
+  isComplete(record) {
+    return (
+      this.isTerminal(record) ||
+      (record.status === COMMAND_STATUS.SENT && !record.expectsResponse)
+    );
+  }
+
+  /**
+   * Correlate a command response SUO with a tracked command
+   * @param {Object} suo - Standard Unified Object
+   */
+  handleCommandResponse(suo) {
+    try {
+      const commandType = RESPONSE_COMMAND_MAP[suo.messageType];
+      if (!commandType) {
+        return;
+      }
+
+      const items = Array.isArray(suo.payload) ? suo.payload : [];
+      const record = this.findPendingCommand(suo.deviceId, commandType, items);
+
+      if (!record) {
+        return;
+      }
+
+      const success = items.length > 0 && items.every((item) => item.result === "Success");
+
+      this.updateStatus(
+        record,
+        success ? COMMAND_STATUS.ACKED : COMMAND_STATUS.FAILED,
+        {
+          response: {
+            messageType: suo.messageType,
+            messageId: suo.messageId || null,
+            payload: items,
+          },
+          error: success ? null : "Device reported failure",
+        },
+      );
+    } catch (error) {
+      console.error("CommandService response error:", error.message);
+      eventBus.emitError(error, "CommandService");
+    }
+  }
+
+  /**
+   * Find the oldest in-flight command matching a device response
+   * V5008: exact match on originalReq, falling back to moduleIndex
+   * V6800: match on moduleIndex (responses carry no request echo)
+   * Responses without either match the oldest command of that type; a warning
+   * is logged when several are in flight, since the match may be wrong.
+   * @param {string} deviceId - Device ID
+   * @param {string} commandType - Command messageType (QRY_COLOR, SET_COLOR, CLN_ALARM)
+   * @param {Array} items - Response payload items
+   * @returns {Object|null} Matching command record or null
+   */
+  findPendingCommand(deviceId, commandType, items) {
+    const candidates = Array.from(this.commands.values()).filter(
+      (record) =>
+        record.deviceId === deviceId &&
+        record.messageType === commandType &&
+        record.status === COMMAND_STATUS.SENT,
+    );
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const originalReqs = items.map((item) => item.originalReq).filter(Boolean);
+    if (originalReqs.length > 0) {
+      const exact = candidates.find((record) =>
+        originalReqs.includes(record.originalReq),
+      );
+      if (exact) {
+        return exact;
+      }
+    }
+
+    const moduleIndices = items
+      .map((item) => item.moduleIndex)
+      .filter((index) => index !== undefined && index !== null && index !== 0);
+    if (moduleIndices.length > 0) {
+      const byModule = candidates.find((record) =>
+        moduleIndices.includes(record.payload.moduleIndex),
+      );
+      if (byModule) {
+        return byModule;
+      }
+    }
+
+    if (moduleIndices.length > 0) {
+      return null;
+    }
+
+    // Map preserves insertion order, so candidates[0] is the oldest
+    if (candidates.length > 1) {
+      console.warn(
+        `[CommandService] Ambiguous ${commandType} response from ${deviceId}: ${candidates.length} commands in flight, matching the oldest (${candidates[0].commandId})`,
+      );
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Get a tracked command by ID
+   * @param {string} commandId - Command ID
+   * @returns {Object|null} Command record or null
+   */
+  getCommand(commandId) {
+    const record = this.commands.get(commandId);
+    return record ? this.snapshot(record) : null;
+  }
+
+  /**
+   * Wait until a command is complete or the wait time elapses
+   * @param {string} commandId - Command ID
+   * @param {number} waitMs - Maximum wait in milliseconds
+   * @returns {Promise<Object|null>} Latest command record or null if unknown
+   */
+  waitForCommand(commandId, waitMs) {
+    const record = this.commands.get(commandId);
+    if (!record) {
+      return Promise.resolve(null);
+    }
+    if (this.isComplete(record)) {
+      return Promise.resolve(this.snapshot(record));
+    }
+
+    return new Promise((resolve) => {
+      const finish = () => {
+        clearTimeout(timer);
+        eventBus.removeListener("command.status", onStatus);
+        resolve(this.getCommand(commandId));
+      };
+
+      const onStatus = (update) => {
+        if (update.commandId === commandId && this.isComplete(record)) {
+          finish();
+        }
+      };
+
+      const timer = setTimeout(finish, waitMs);
+      eventBus.onCommandStatus(onStatus);
+    });
+  }
+
+  /**
+   * Drop completed commands beyond the retention window or size limit
+   * If in-flight commands alone exceed maxTracked, the oldest are failed and dropped.
+   */
+  pruneCommands() {
+    const retention = (this.config && this.config.retention) || 3600000;
+    const maxTracked = (this.config && this.config.maxTracked) || 1000;
+    const cutoff = Date.now() - retention;
+
+    for (const [commandId, record] of this.commands.entries()) {
+      if (this.isComplete(record) && new Date(record.updatedAt).getTime() < cutoff) {
+        this.commands.delete(commandId);
+      }
+    }
+
+    // Map preserves insertion order, so the oldest completed commands go first
+    for (const [commandId, record] of this.commands.entries()) {
+      if (this.commands.size < maxTracked) {
+        break;
+      }
+      if (this.isComplete(record)) {
+        this.commands.delete(commandId);
+      }
+    }
+
+    for (const [commandId, record] of this.commands.entries()) {
+      if (this.commands.size < maxTracked) {
+        break;
+      }
+      this.updateStatus(record, COMMAND_STATUS.FAILED, {
+        error: `Dropped from tracking (more than ${maxTracked} commands in flight)`,
+      });
+      this.commands.delete(commandId);
+    }
+  }
+
+  /**
+   * Copy a command record for API/WebSocket output
+   * @param {Object} record - Command record
+   * @returns {Object} Shallow copy of the record
+   */
+  snapshot(record) {
+    return { ...record };
   }
 
   /**
@@ -266,47 +665,27 @@ class CommandService {
   }
 
   /**
-   * Build V5008 binary command
+   * Build V5008 binary command from its V5008Frames definition
    * @param {string} messageType - Message type
    * @param {Object} payload - Command payload
    * @returns {Buffer} Binary payload
    */
   buildV5008Command(messageType, payload) {
-    const { moduleIndex, sensorIndex, colorCode } = payload;
+    const definition = V5008Frames.commands[messageType];
+    if (!definition) {
+      throw new Error(`Unsupported message type for V5008: ${messageType}`);
+    }
 
-    switch (messageType) {
-      case "QRY_RFID_SNAPSHOT":
-        return Buffer.from([0xe9, 0x01, moduleIndex]);
-      case "QRY_TEMP_HUM":
-        return Buffer.from([0xe9, 0x02, moduleIndex]);
-      case "QRY_DOOR_STATE":
-        return Buffer.from([0xe9, 0x03, moduleIndex]);
-      case "QRY_NOISE_LEVEL":
-        return Buffer.from([0xe9, 0x04, moduleIndex]);
-      case "QRY_DEVICE_INFO":
-        return Buffer.from([0xef, 0x01, 0x00]);
-      case "QRY_MODULE_INFO":
-        return Buffer.from([0xef, 0x02, 0x00]);
-      case "QRY_COLOR":
-        return Buffer.from([0xe4, moduleIndex]);
-      case "CLN_ALARM":
-        return Buffer.from([0xe2, moduleIndex, sensorIndex]);
-      case "SET_COLOR":
-        // Handle single LED
-        if (Array.isArray(payload.leds)) {
-          // Multiple LEDs case
-          const bufferArray = [0xe1];
-          payload.leds.forEach((led) => {
-            bufferArray.push(moduleIndex, led.sensorIndex, led.colorCode);
-          });
-          return Buffer.from(bufferArray);
-        } else {
-          // Single LED case
-          return Buffer.from([0xe1, moduleIndex, sensorIndex, colorCode]);
-        }
-      default:
-        throw new Error(`Unsupported message type for V5008: ${messageType}`);
+    // SET_COLOR: multiple LEDs (leds) or a single sensorIndex/colorCode
+    if (messageType === "SET_COLOR") {
+      const { moduleIndex, sensorIndex, colorCode } = payload;
+      const leds = Array.isArray(payload.leds) ? payload.leds : [{ sensorIndex, colorCode }];
+      return frameCodec.encode(definition, {
+        leds: leds.map((led) => ({ moduleIndex, sensorIndex: led.sensorIndex, colorCode: led.colorCode })),
+      });
     }
+
+    return frameCodec.encode(definition, payload);
   }
 
   /**
@@ -416,7 +795,7 @@ class CommandService {
    * @param {string} deviceType - Device type ("V5008" or "V6800")
    * @param {string} messageType - Message type
    * @param {Object} payload - Command payload
-   * @returns {Promise<void>}
+   * @returns {Promise<string>} Command ID
    */
   async sendCommand(deviceId, deviceType, messageType, payload = {}) {
     const command = {
@@ -448,8 +827,19 @@ class CommandService {
       this.isConnected = false;
     }
 
-    // Unsubscribe from events
-    eventBus.removeAllListeners("command.request");
+    // Cancel pending response timeouts
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+
+    // Unsubscribe from events (other modules keep their data.normalized listeners)
+    if (this.requestListener) {
+      eventBus.removeListener("command.request", this.requestListener);
+      this.requestListener = null;
+    }
+    if (this.responseListener) {
+      eventBus.removeListener("data.normalized", this.responseListener);
+      this.responseListener = null;
+    }
 
     console.log("  CommandService stopped");
   }
@@ -0,0 +1,268 @@
+/**
+ * ArchiveReplay - Feed a RawArchive file back through the pipeline
+ *
+ * Each archived message is rebuilt exactly like a live one
+ * (MqttSubscriber.buildMessage) and handed to ParserManager, which emits
+ * data.parsed for UnifyNormalizer (MessageDedup is skipped, replayed
+ * messages were usually seen live). Messages are replayed at their original
+ * pacing divided by `speed` (speed 0 = as fast as possible).
+ *
+ * With `outputs: false`, normalized SUOs and command requests produced by a
+ * replayed message are captured instead of reaching storage, relays, webhooks,
+ * WebSocket clients or devices, and UnifyNormalizer runs isolated: against a
+ * scratch StateCache (empty per replay) with SmartHeartbeat and self-healing
+ * queries suspended, so live devices and the live cache are not touched.
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const eventBus = require("../../core/EventBus");
+const mqttSubscriber = require("./MqttSubscriber");
+const parserManager = require("../parsers/ParserManager");
+const unifyNormalizer = require("../normalizer/UnifyNormalizer");
+const StateCache = require("../normalizer/StateCache");
+const RawArchive = require("./RawArchive");
+
+class ArchiveReplay {
+  constructor() {
+    this.current = null;
+    this.sleepTimer = null;
+    this.wake = null;
+    this.nextId = 1;
+  }
+
+  /**
+   * Get the archive used for recording, or one for the configured directory
+   * @returns {RawArchive} Archive
+   */
+  getArchive() {
+    if (mqttSubscriber.archive) {
+      return mqttSubscriber.archive;
+    }
+
+    let archiveConfig = {};
+    try {
+      archiveConfig = require("config").get("modules.mqttSubscriber").archive || {};
+    } catch (e) {
+      // Config not available, use defaults
+    }
+    return new RawArchive(archiveConfig);
+  }
+
+  /**
+   * Read an archive file line by line
+   * @param {string} filePath - Archive file
+   * @returns {AsyncGenerator<Object>} { ts: Date, topic, payload: Buffer }
+   */
+  async *readArchive(filePath) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, "utf8"),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A partially written last line (crash during append) is skipped
+        continue;
+      }
+
+      yield {
+        ts: new Date(entry.ts),
+        topic: entry.topic,
+        payload: Buffer.from(entry.payload, "base64"),
+      };
+    }
+  }
+
+  /**
+   * Replay an archive file
+   * @param {string} filePath - Archive file
+   * @param {Object} options - Replay options
+   * @param {number} options.speed - Pacing divisor (1 = original, 10 = 10x, 0 = no delay)
+   * @param {boolean} options.outputs - False to capture SUOs instead of delivering them
+   * @param {number} options.maxCaptured - SUOs kept in the status when outputs are disabled
+   * @param {Function} options.onSuo - Called with each captured SUO (outputs disabled)
+   * @returns {Promise<Object>} Final replay status
+   */
+  async replay(filePath, options = {}) {
+    if (this.isRunning()) {
+      throw new Error(`Replay ${this.current.id} is already running`);
+    }
+
+    const speed = options.speed === undefined ? 1 : Number(options.speed);
+    if (!Number.isFinite(speed) || speed < 0) {
+      throw new Error(`Invalid replay speed: ${options.speed}`);
+    }
+
+    const outputs = options.outputs !== false;
+    const scratchCache = outputs ? null : StateCache.createScratch();
+    const maxCaptured = options.maxCaptured === undefined ? 1000 : options.maxCaptured;
+
+    const status = {
+      id: this.nextId++,
+      file: filePath,
+      speed,
+      outputs,
+      state: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      messages: 0,
+      invalid: 0,
+      suos: 0,
+      commands: 0,
+      captured: [],
+      error: null,
+    };
+    this.current = status;
+
+    const capture = (event, payload) => {
+      if (event === "command.request") {
+        status.commands++;
+        return;
+      }
+      status.suos++;
+      if (status.captured.length < maxCaptured) {
+        status.captured.push(payload);
+      }
+      if (options.onSuo) {
+        options.onSuo(payload);
+      }
+    };
+
+    try {
+      let previousTs = null;
+
+      for await (const entry of this.readArchive(filePath)) {
+        if (status.state !== "running") {
+          break;
+        }
+
+        if (previousTs && speed > 0) {
+          await this.sleep((entry.ts - previousTs) / speed);
+        } else if (status.messages % 100 === 99) {
+          // Yield to I/O when replaying without delay
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+        previousTs = entry.ts;
+
+        if (status.state !== "running") {
+          break;
+        }
+
+        this.feed(entry, outputs ? null : capture, status, scratchCache);
+      }
+
+      if (status.state === "running") {
+        status.state = "completed";
+      }
+    } catch (error) {
+      status.state = "failed";
+      status.error = error.message;
+      console.error("[ArchiveReplay] Replay failed:", error.message);
+    } finally {
+      status.finishedAt = new Date().toISOString();
+    }
+
+    console.log(
+      `[ArchiveReplay] Replay ${status.id} ${status.state}: ${status.messages} messages, ${status.invalid} invalid`,
+    );
+    return status;
+  }
+
+  /**
+   * Run one archived message through ParserManager and UnifyNormalizer
+   * @param {Object} entry - Archive entry
+   * @param {Function|null} capture - EventBus capture handler (outputs disabled)
+   * @param {Object} status - Replay status
+   * @param {Object|null} scratchCache - StateCache for an isolated normalizer run (outputs disabled)
+   */
+  feed(entry, capture, status, scratchCache = null) {
+    const mqttMessage = mqttSubscriber.buildMessage(entry.topic, entry.payload, entry.ts);
+    if (!mqttMessage) {
+      status.invalid++;
+      return;
+    }
+
+    status.messages++;
+
+    const handle = () => parserManager.handleMessage(mqttMessage, { dedup: false });
+
+    if (capture) {
+      eventBus.setCapture(capture);
+    }
+    try {
+      if (scratchCache) {
+        unifyNormalizer.runIsolated(scratchCache, handle);
+      } else {
+        handle();
+      }
+    } finally {
+      if (capture) {
+        eventBus.setCapture(null);
+      }
+    }
+  }
+
+  /**
+   * Wait between messages (interrupted by cancel)
+   * @param {number} ms - Delay in ms
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    if (ms <= 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.wake = resolve;
+      this.sleepTimer = setTimeout(() => {
+        this.sleepTimer = null;
+        this.wake = null;
+        resolve();
+      }, ms);
+    });
+  }
+
+  /**
+   * Cancel the running replay
+   * @returns {boolean} True if a replay was cancelled
+   */
+  cancel() {
+    if (!this.isRunning()) {
+      return false;
+    }
+
+    this.current.state = "cancelled";
+    if (this.sleepTimer) {
+      clearTimeout(this.sleepTimer);
+      this.sleepTimer = null;
+      this.wake();
+      this.wake = null;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a replay is running
+   * @returns {boolean} True if running
+   */
+  isRunning() {
+    return this.current !== null && this.current.state === "running";
+  }
+
+  /**
+   * Get the status of the current or last replay
+   * @returns {Object|null} Replay status
+   */
+  getStatus() {
+    return this.current;
+  }
+}
+
+module.exports = new ArchiveReplay();
@@ -0,0 +1,269 @@
+/**
+ * IngestQueue - Bounded buffer between MqttSubscriber and ParserManager
+ *
+ * Decouples MQTT receive from the parse/normalize/store pipeline so bursts
+ * cannot grow memory without bound.
+ *
+ * - maxSize: hard limit on queued messages
+ * - highWaterMark / lowWaterMark: flow-control thresholds ("block" policy
+ *   pauses the MQTT socket at the high mark and resumes at the low mark)
+ * - policy: what to do when the queue is full
+ *   - "drop-oldest": evict the oldest queued message
+ *   - "drop-newest": reject the incoming message
+ *   - "block": pause ingress at highWaterMark, drop newest if still full
+ * - Pressure sources (e.g. StorageService buffer) pause draining while they
+ *   report back-pressure, so the queue absorbs the burst instead of them.
+ */
+
+const POLICIES = ["drop-oldest", "drop-newest", "block"];
+
+class IngestQueue {
+  constructor() {
+    this.items = [];
+    this.handler = null;
+    this.flowControl = null;
+    this.pressureSources = new Map();
+
+    this.maxSize = 10000;
+    this.highWaterMark = 8000;
+    this.lowWaterMark = 5000;
+    this.policy = "drop-oldest";
+    this.batchSize = 100;
+    this.pressureRetryDelay = 100;
+
+    this.drainImmediate = null;
+    this.retryTimer = null;
+    this.aboveHighWater = false; // Set at highWaterMark, cleared at lowWaterMark
+    this.blocked = false;
+
+    this.resetStats();
+  }
+
+  /**
+   * Apply configuration
+   * @param {Object} config - Queue configuration (modules.mqttSubscriber.queue)
+   */
+  configure(config = {}) {
+    this.maxSize = config.maxSize || 10000;
+    this.highWaterMark = Math.min(config.highWaterMark || Math.floor(this.maxSize * 0.8), this.maxSize);
+    this.lowWaterMark = Math.min(config.lowWaterMark || Math.floor(this.maxSize * 0.5), this.highWaterMark);
+    this.batchSize = config.batchSize || 100;
+    this.pressureRetryDelay = config.pressureRetryDelay || 100;
+
+    const policy = config.policy || "drop-oldest";
+    if (!POLICIES.includes(policy)) {
+      throw new Error(`Unknown ingest queue policy: ${policy} (expected ${POLICIES.join(", ")})`);
+    }
+    this.policy = policy;
+  }
+
+  /**
+   * Set the consumer called for each dequeued message
+   * @param {Function} handler - (item) => void
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Set flow-control callbacks used by the "block" policy
+   * @param {Object} flowControl - { pause: Function, resume: Function }
+   */
+  setFlowControl(flowControl) {
+    this.flowControl = flowControl;
+  }
+
+  /**
+   * Register a downstream back-pressure source
+   * Draining pauses while any source returns true.
+   * @param {string} name - Source name (reported in stats)
+   * @param {Function} isBackpressured - () => boolean
+   */
+  registerPressureSource(name, isBackpressured) {
+    this.pressureSources.set(name, isBackpressured);
+  }
+
+  /**
+   * Add a message to the queue
+   * @param {Object} item - MQTT message
+   * @returns {boolean} True if accepted, false if dropped
+   */
+  push(item) {
+    if (this.items.length >= this.maxSize) {
+      if (this.policy === "drop-oldest") {
+        this.items.shift();
+        this.stats.droppedOldest++;
+      } else {
+        this.stats.droppedNewest++;
+        return false;
+      }
+    }
+
+    this.items.push(item);
+    this.stats.enqueued++;
+
+    if (this.items.length > this.stats.peakSize) {
+      this.stats.peakSize = this.items.length;
+    }
+
+    if (!this.aboveHighWater && this.items.length >= this.highWaterMark) {
+      this.aboveHighWater = true;
+      this.stats.highWaterHits++;
+      if (this.policy === "block") {
+        this.setBlocked(true);
+      }
+    }
+
+    this.scheduleDrain();
+    return true;
+  }
+
+  /**
+   * Schedule a drain pass on the next event loop turn
+   */
+  scheduleDrain() {
+    if (this.drainImmediate || this.retryTimer) {
+      return;
+    }
+    this.drainImmediate = setImmediate(() => {
+      this.drainImmediate = null;
+      this.drain();
+    });
+  }
+
+  /**
+   * Process up to batchSize messages, then yield to I/O
+   */
+  drain() {
+    const pressured = this.getPressuredSources();
+    if (pressured.length > 0) {
+      this.stats.pressurePauses++;
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.drain();
+      }, this.pressureRetryDelay);
+      return;
+    }
+
+    const batch = this.items.splice(0, this.batchSize);
+    for (const item of batch) {
+      try {
+        this.handler(item);
+        this.stats.processed++;
+      } catch (error) {
+        // Handlers report their own errors; never let one message stop the queue
+        this.stats.failed++;
+        console.error("[IngestQueue] Handler error:", error.message);
+      }
+    }
+
+    if (this.aboveHighWater && this.items.length <= this.lowWaterMark) {
+      this.aboveHighWater = false;
+      if (this.blocked) {
+        this.setBlocked(false);
+      }
+    }
+
+    if (this.items.length > 0) {
+      this.scheduleDrain();
+    }
+  }
+
+  /**
+   * Toggle ingress flow control
+   * @param {boolean} blocked - True to pause ingress
+   */
+  setBlocked(blocked) {
+    this.blocked = blocked;
+    if (blocked) {
+      this.stats.blockedCount++;
+    }
+
+    if (this.flowControl) {
+      try {
+        blocked ? this.flowControl.pause() : this.flowControl.resume();
+      } catch (error) {
+        console.error("[IngestQueue] Flow control error:", error.message);
+      }
+    }
+
+    console.warn(
+      `[IngestQueue] Ingress ${blocked ? "paused" : "resumed"} (queue size: ${this.items.length})`,
+    );
+  }
+
+  /**
+   * Names of pressure sources currently reporting back-pressure
+   * @returns {Array<string>} Source names
+   */
+  getPressuredSources() {
+    const pressured = [];
+    this.pressureSources.forEach((isBackpressured, name) => {
+      try {
+        if (isBackpressured()) {
+          pressured.push(name);
+        }
+      } catch (error) {
+        // A broken source must not stall ingest
+      }
+    });
+    return pressured;
+  }
+
+  /**
+   * Get queue metrics (for /api/health)
+   * @returns {Object} Queue metrics
+   */
+  getStats() {
+    return {
+      size: this.items.length,
+      maxSize: this.maxSize,
+      highWaterMark: this.highWaterMark,
+      lowWaterMark: this.lowWaterMark,
+      policy: this.policy,
+      blocked: this.blocked,
+      backpressure: this.getPressuredSources(),
+      ...this.stats,
+      dropped: this.stats.droppedOldest + this.stats.droppedNewest,
+    };
+  }
+
+  /**
+   * Reset counters
+   */
+  resetStats() {
+    this.stats = {
+      enqueued: 0,
+      processed: 0,
+      failed: 0,
+      droppedOldest: 0,
+      droppedNewest: 0,
+      peakSize: 0,
+      highWaterHits: 0,
+      blockedCount: 0,
+      pressurePauses: 0,
+    };
+  }
+
+  /**
+   * Stop draining and discard queued messages
+   * @returns {number} Number of discarded messages
+   */
+  clear() {
+    if (this.drainImmediate) {
+      clearImmediate(this.drainImmediate);
+      this.drainImmediate = null;
+    }
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    const discarded = this.items.length;
+    this.items = [];
+    this.aboveHighWater = false;
+    this.blocked = false;
+    return discarded;
+  }
+}
+
+module.exports = new IngestQueue();
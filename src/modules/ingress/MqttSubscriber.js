@@ -1,20 +1,40 @@
 /**
  * MqttSubscriber - Ingress module for MQTT message subscription
  *
- * Subscribes to MQTT topics for V5008 and V6800 device data.
- * Emits 'mqtt.message' events for each received message.
+ * Subscribes to the topic patterns of every protocol registered with
+ * ParserManager (V5008, V6800 and parser plugins).
+ * Received messages go through the bounded IngestQueue, which emits
+ * 'mqtt.message' events as the pipeline keeps up.
+ * Optionally records raw messages to a rolling RawArchive for replay.
  */
 
 const mqtt = require("mqtt");
 const eventBus = require("../../core/EventBus");
+const metrics = require("../../core/Metrics");
 const config = require("config");
 const logger = require("../../core/Logger");
+const ingestQueue = require("./IngestQueue");
+const parserManager = require("../parsers/ParserManager");
+const RawArchive = require("./RawArchive");
 
 class MqttSubscriber {
   constructor() {
     this.client = null;
     this.config = null;
     this.isConnected = false;
+
+    // Raw message archive (null when disabled)
+    this.archive = null;
+
+    // Flow control ("block" policy): deferred MQTT packet callbacks
+    this.ingressPaused = false;
+    this.pausedCallbacks = [];
+
+    metrics.counter(
+      "iot_mqtt_messages_received_total",
+      "MQTT messages received and decoded, per device and topic message type",
+      ["deviceType", "deviceId", "messageType"],
+    );
   }
 
   /**
@@ -24,7 +44,25 @@ class MqttSubscriber {
    */
   async initialize(config) {
     this.config = config;
-    console.log("  MqttSubscriber initialized");
+
+    ingestQueue.configure(config.queue);
+    ingestQueue.setHandler((mqttMessage) => {
+      eventBus.emitMqttMessage(mqttMessage);
+    });
+    ingestQueue.setFlowControl({
+      pause: () => this.pauseIngress(),
+      resume: () => this.resumeIngress(),
+    });
+
+    if (config.archive && config.archive.enabled) {
+      this.archive = new RawArchive(config.archive);
+      this.archive.open();
+      console.log(`  Raw message archive enabled (${this.archive.dir})`);
+    }
+
+    console.log(
+      `  MqttSubscriber initialized (queue: ${ingestQueue.maxSize}, policy: ${ingestQueue.policy})`,
+    );
   }
 
   /**
@@ -49,12 +87,22 @@ class MqttSubscriber {
 
     this.client = mqtt.connect(mqttConfig.brokerUrl, options);
 
+    // mqtt.js reads the next packet only after this callback runs,
+    // so holding it applies TCP back-pressure to the broker
+    this.client.handleMessage = (packet, callback) => {
+      if (this.ingressPaused) {
+        this.pausedCallbacks.push(callback);
+      } else {
+        callback();
+      }
+    };
+
     this.client.on("connect", () => {
       this.isConnected = true;
       console.log("  MQTT connected");
 
       // Subscribe to topics
-      const topics = Object.values(mqttConfig.topics);
+      const topics = parserManager.getTopics();
       topics.forEach((topic) => {
         this.client.subscribe(topic, (err) => {
           if (err) {
@@ -111,78 +159,23 @@ class MqttSubscriber {
    */
   handleMessage(topic, message) {
     try {
-      // Extract device information from topic
-      // Expected format: V5008Upload/{deviceId}/{messageType}
-      //                   V6800Upload/{deviceId}/{messageType}
-      const topicParts = topic.split("/");
-      const protocol = topicParts[0]; // V5008Upload or V6800Upload
-      const deviceId = topicParts[1];
-      const messageType = topicParts[2];
-
-      // Determine device type from protocol
-      const deviceType = protocol === "V5008Upload" ? "V5008" : "V6800";
-
-      // Debug: Log raw message
-      try {
-        const debugConfig = config.get("debug");
-        if (debugConfig && debugConfig.logRawMessage) {
-          if (deviceType === "V5008") {
-            logger.debug(
-              "------------RAW message received(V5008)---------------",
-              {
-                deviceType,
-                topic,
-                hex: message.toString("hex").toUpperCase(),
-              },
-            );
-          } else {
-            // V6800
-            logger.debug("------------RAW message received(V6800)---------------",JSON.parse(message.toString()) );
-            //console.log(JSON.parse(message.toString()));
-            //   {
-            //     deviceType,
-            //     topic,
-            //     json: message.toString(),
-            //   },
-            // );
-          }
-        }
-      } catch (e) {
-        // Debug config not available, skip
+      // Archive the bytes as received, before anything can fail on them
+      if (this.archive) {
+        this.archive.record(topic, message);
       }
 
-      // Parse message based on device type
-      let payload;
-      if (deviceType === "V5008") {
-        // V5008 sends binary data
-        payload = message;
-      } else {
-        // V6800 sends JSON data
-        const messageString = message.toString();
-
-        try {
-          payload = JSON.parse(messageString);
-        } catch (parseError) {
-          console.error(
-            `[MqttSubscriber] Failed to parse JSON from ${topic}:`,
-            parseError.message,
-          );
-          eventBus.emitError(parseError, "MqttSubscriber");
-          return;
-        }
+      const mqttMessage = this.buildMessage(topic, message);
+      if (!mqttMessage) {
+        return;
       }
+      metrics.inc("iot_mqtt_messages_received_total", {
+        deviceType: mqttMessage.deviceType,
+        deviceId: mqttMessage.deviceId,
+        messageType: mqttMessage.messageType,
+      });
 
-      // Emit mqtt.message event
-      const mqttMessage = {
-        topic,
-        deviceId,
-        deviceType,
-        messageType,
-        payload,
-        timestamp: new Date(),
-      };
-
-      eventBus.emitMqttMessage(mqttMessage);
+      // Queue for the parser (mqtt.message is emitted on drain)
+      ingestQueue.push(mqttMessage);
     } catch (error) {
       console.error(
         `[MqttSubscriber] Error handling message from ${topic}:`,
@@ -192,11 +185,102 @@ class MqttSubscriber {
     }
   }
 
+  /**
+   * Build the mqtt.message payload from a raw MQTT message
+   * Shared with ArchiveReplay so replayed messages take the same path.
+   * @param {string} topic - The topic the message was received on
+   * @param {Buffer} message - The message payload
+   * @param {Date} timestamp - Receive time
+   * @returns {Object|null} MQTT message for ParserManager, or null if the payload is invalid
+   */
+  buildMessage(topic, message, timestamp = new Date()) {
+    // Resolve the protocol from the topic patterns registered with ParserManager
+    const protocol = parserManager.findProtocol(topic);
+    if (!protocol) {
+      console.warn(`[MqttSubscriber] No protocol registered for topic ${topic}`);
+      return null;
+    }
+
+    const { deviceType } = protocol;
+    const { deviceId, messageType } = protocol.parseTopic(topic);
+
+    // Decode the payload (binary for V5008, JSON for V6800 and by default)
+    let payload;
+    try {
+      payload = protocol.decode(message, topic);
+    } catch (decodeError) {
+      console.error(
+        `[MqttSubscriber] Failed to decode ${deviceType} payload from ${topic}:`,
+        decodeError.message,
+      );
+      eventBus.emitError(decodeError, "MqttSubscriber");
+      parserManager.reject(
+        { topic, deviceId, deviceType, messageType, payload: message, timestamp },
+        decodeError,
+        { stage: "decode" },
+      );
+      return null;
+    }
+
+    // Debug: Log raw message (hex for binary protocols, decoded JSON otherwise)
+    try {
+      const debugConfig = config.get("debug");
+      if (debugConfig && debugConfig.logRawMessage) {
+        logger.debug(
+          `------------RAW message received(${deviceType})---------------`,
+          Buffer.isBuffer(payload)
+            ? { deviceType, topic, hex: payload.toString("hex").toUpperCase() }
+            : payload,
+        );
+      }
+    } catch (e) {
+      // Debug config not available, skip
+    }
+
+    return {
+      topic,
+      deviceId,
+      deviceType,
+      messageType,
+      payload,
+      timestamp,
+    };
+  }
+
+  /**
+   * Pause reading from the broker (IngestQueue "block" policy)
+   */
+  pauseIngress() {
+    this.ingressPaused = true;
+  }
+
+  /**
+   * Resume reading from the broker and release deferred packets
+   */
+  resumeIngress() {
+    this.ingressPaused = false;
+    const callbacks = this.pausedCallbacks;
+    this.pausedCallbacks = [];
+    callbacks.forEach((callback) => callback());
+  }
+
   /**
    * Stop the MQTT subscriber and disconnect from broker
    * @returns {Promise<void>}
    */
   async stop() {
+    // Release deferred packets so the client can close cleanly
+    this.resumeIngress();
+
+    const discarded = ingestQueue.clear();
+    if (discarded > 0) {
+      console.warn(`[MqttSubscriber] Discarded ${discarded} queued messages on shutdown`);
+    }
+
+    if (this.archive) {
+      await this.archive.close();
+    }
+
     if (this.client) {
       console.log("  Stopping MqttSubscriber...");
 
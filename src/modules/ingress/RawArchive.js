@@ -0,0 +1,209 @@
+/**
+ * RawArchive - Rolling archive of raw MQTT messages
+ *
+ * Records every message received by MqttSubscriber exactly as it arrived
+ * (topic, receive time, payload bytes) so parser issues can be reproduced
+ * and replayed through the pipeline (see ArchiveReplay).
+ *
+ * Layout:
+ * - {dir}/raw-{timestamp}.ndjson - one JSON line per message:
+ *   { "ts": "2026-01-05T10:00:00.000Z", "topic": "V5008Upload/...", "payload": "<base64>" }
+ *
+ * A new file is started when the current one reaches maxFileSize; the oldest
+ * files beyond maxFiles are deleted.
+ *
+ * Recording never blocks the MQTT handler: when more than maxBufferedBytes
+ * are waiting for the disk, messages are dropped (counted in stats.dropped)
+ * until the stream drains.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ARCHIVE_FILE = /^raw-\d+\.ndjson$/;
+
+class RawArchive {
+  /**
+   * @param {Object} config - Archive configuration (modules.mqttSubscriber.archive)
+   */
+  constructor(config = {}) {
+    this.dir = path.resolve(config.dir || "data/archive");
+    this.maxFileSize = config.maxFileSize || 50 * 1024 * 1024; // Default: 50 MB
+    this.maxFiles = config.maxFiles || 20;
+    this.maxBufferedBytes = config.maxBufferedBytes || 1024 * 1024; // Default: 1 MB
+
+    this.stream = null;
+    this.currentFile = null;
+    this.currentSize = 0;
+    this.lastStamp = 0;
+    this.blocked = false; // Stream over maxBufferedBytes, waiting for drain
+    this.pruning = Promise.resolve();
+
+    this.stats = {
+      recorded: 0,
+      dropped: 0,
+      rotations: 0,
+    };
+  }
+
+  /**
+   * Create the archive directory
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Append a raw message (dropped while the stream is over maxBufferedBytes)
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Raw payload bytes
+   * @param {Date} receivedAt - Receive time
+   */
+  record(topic, message, receivedAt = new Date()) {
+    if (this.blocked) {
+      this.stats.dropped++;
+      return;
+    }
+
+    const line =
+      JSON.stringify({
+        ts: receivedAt.toISOString(),
+        topic,
+        payload: Buffer.from(message).toString("base64"),
+      }) + "\n";
+
+    if (!this.stream || this.currentSize >= this.maxFileSize) {
+      this.rotate();
+    }
+
+    const stream = this.stream;
+    this.currentSize += Buffer.byteLength(line);
+    this.stats.recorded++;
+
+    if (!stream.write(line)) {
+      this.blocked = true;
+      console.warn(`[RawArchive] Disk is behind (${stream.writableLength} bytes buffered), dropping messages until it drains`);
+      stream.once("drain", () => {
+        if (this.stream === stream) {
+          this.blocked = false;
+        }
+      });
+    }
+  }
+
+  /**
+   * Start a new archive file and prune old ones in the background
+   * The stream opens the file asynchronously and buffers writes until then.
+   */
+  rotate() {
+    if (this.stream) {
+      this.stream.end();
+      this.stats.rotations++;
+    }
+
+    // Never reuse a name within the same millisecond
+    const stamp = Math.max(Date.now(), this.lastStamp + 1);
+    this.lastStamp = stamp;
+
+    this.currentFile = `raw-${stamp}.ndjson`;
+    this.currentSize = 0;
+    this.blocked = false;
+    this.stream = fs.createWriteStream(path.join(this.dir, this.currentFile), {
+      flags: "a",
+      highWaterMark: this.maxBufferedBytes,
+    });
+    this.stream.on("error", (error) => {
+      console.error("[RawArchive] Write error:", error.message);
+    });
+
+    // Chained so concurrent rotations never delete the same files twice
+    const currentFile = this.currentFile;
+    this.pruning = this.pruning.then(() => this.prune(currentFile));
+  }
+
+  /**
+   * Delete the oldest files beyond maxFiles
+   * @param {string} currentFile - File being written (counted even if not created yet)
+   * @returns {Promise<void>}
+   */
+  async prune(currentFile) {
+    let files;
+    try {
+      files = (await fs.promises.readdir(this.dir)).filter((file) => ARCHIVE_FILE.test(file));
+    } catch (error) {
+      console.error("[RawArchive] Failed to list archive files:", error.message);
+      return;
+    }
+    if (currentFile && !files.includes(currentFile)) {
+      files.push(currentFile);
+    }
+    files.sort();
+
+    for (const file of files.slice(0, Math.max(files.length - this.maxFiles, 0))) {
+      try {
+        await fs.promises.unlink(path.join(this.dir, file));
+      } catch (error) {
+        console.error(`[RawArchive] Failed to delete ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * List archive files, oldest first
+   * @returns {Array<string>} File names
+   */
+  listFiles() {
+    try {
+      return fs
+        .readdirSync(this.dir)
+        .filter((file) => ARCHIVE_FILE.test(file))
+        .sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Resolve an archive file name to a path (guards against path traversal via API input)
+   * @param {string} file - Archive file name
+   * @returns {string|null} Absolute path or null if invalid
+   */
+  resolveFile(file) {
+    if (typeof file !== "string" || !ARCHIVE_FILE.test(file)) {
+      return null;
+    }
+    return path.join(this.dir, file);
+  }
+
+  /**
+   * Get archive statistics
+   * @returns {Object} Archive stats
+   */
+  getStats() {
+    return {
+      dir: this.dir,
+      currentFile: this.currentFile,
+      files: this.listFiles().length,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Flush and close the current file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const stream = this.stream;
+    this.stream = null;
+    this.blocked = false;
+
+    if (stream) {
+      await new Promise((resolve) => {
+        stream.end(resolve);
+      });
+    }
+    await this.pruning;
+  }
+}
+
+module.exports = RawArchive;
@@ -3,6 +3,10 @@
  *
  * Detects silent failures (power loss, network disconnect) where devices stop sending data.
  * Runs periodically to check heartbeat timestamps and marks modules as offline.
+ *
+ * Emits status SUOs on transitions:
+ * - MODULE_OFFLINE / MODULE_ONLINE: per module heartbeat expiry/recovery
+ * - DEVICE_OFFLINE / DEVICE_ONLINE: all modules offline / first module back online
  */
 
 const StateCache = require("./StateCache");
@@ -13,6 +17,12 @@ class CacheWatchdog {
     this.config = null;
     this.timer = null;
     this.isRunning = false;
+
+    // Modules marked offline by the watchdog: "{deviceId}:{moduleIndex}"
+    this.offlineModules = new Set();
+
+    // Devices marked offline by the watchdog: deviceId
+    this.offlineDevices = new Set();
   }
 
   /**
@@ -40,6 +50,8 @@ class CacheWatchdog {
 
     console.log(`  Starting CacheWatchdog (interval: ${checkInterval}ms)`);
 
+    this.seedFromCache();
+
     // Start periodic check
     this.timer = setInterval(() => {
       this.check();
@@ -49,6 +61,30 @@ class CacheWatchdog {
     console.log("  CacheWatchdog started");
   }
 
+  /**
+   * Seed the offline sets from the StateCache
+   * A snapshot restored on startup keeps isOnline=false for modules/devices
+   * that were offline at shutdown; without seeding, their next heartbeat
+   * would never produce MODULE_ONLINE/DEVICE_ONLINE.
+   */
+  seedFromCache() {
+    this.offlineModules.clear();
+    this.offlineDevices.clear();
+
+    for (const { deviceId, moduleIndex } of StateCache.getAllHeartbeats()) {
+      const telemetry = StateCache.getTelemetry(deviceId, moduleIndex);
+      if (telemetry && telemetry.isOnline === false) {
+        this.offlineModules.add(`${deviceId}:${moduleIndex}`);
+      }
+    }
+
+    for (const metadata of StateCache.getAllMetadata()) {
+      if (metadata.deviceId && metadata.isOnline === false) {
+        this.offlineDevices.add(metadata.deviceId);
+      }
+    }
+  }
+
   /**
    * Stop the watchdog timer
    * @returns {Promise<void>}
@@ -65,36 +101,115 @@ class CacheWatchdog {
 
   /**
    * Perform a check of all module heartbeats
+   * Flips isOnline in StateCache and emits status SUOs on transitions
    */
   check() {
     try {
       const normalizerConfig = require("config").get("modules.normalizer");
       const heartbeatTimeout = normalizerConfig.heartbeatTimeout || 120000; // Default: 2 minutes
 
-      const now = new Date();
-      const stats = StateCache.getStats();
-
-      console.log(
-        `CacheWatchdog check: ${stats.telemetryCount} modules in cache`,
-      );
-
-      // Iterate through all modules in the cache
-      // We need to access the internal state of StateCache
-      // For now, we'll use the public API to get module states
-      // Note: This is a simplified approach - in production, we might need
-      // to add a method to StateCache to iterate all device-module pairs
-
-      // For now, we'll skip the check since we don't have a direct way
-      // to iterate all device-module pairs without modifying StateCache
-      // This would be implemented by adding a getAllDeviceModulePairs() method
-
-
+      // Device-level aggregation: { deviceId: { deviceType, hasOnlineModule, lastSeen } }
+      const devices = new Map();
+
+      for (const { deviceId, moduleIndex, lastSeen } of StateCache.getAllHeartbeats()) {
+        const moduleKey = `${deviceId}:${moduleIndex}`;
+        const cached = StateCache.getTelemetry(deviceId, moduleIndex) || {};
+        const telemetry = { ...cached, deviceType: this.resolveDeviceType(deviceId, cached) };
+        const expired = this.shouldExpire(lastSeen, heartbeatTimeout);
+
+        if (expired && !this.offlineModules.has(moduleKey)) {
+          this.offlineModules.add(moduleKey);
+          StateCache.setModuleOnline(deviceId, moduleIndex, false);
+          console.log(
+            `[CacheWatchdog] Module ${moduleIndex} of device ${deviceId} offline (last heartbeat: ${lastSeen.toISOString()})`,
+          );
+          this.emitStatusEvent("MODULE_OFFLINE", telemetry, deviceId, moduleIndex, lastSeen);
+        } else if (!expired && this.offlineModules.has(moduleKey)) {
+          this.offlineModules.delete(moduleKey);
+          StateCache.setModuleOnline(deviceId, moduleIndex, true);
+          console.log(`[CacheWatchdog] Module ${moduleIndex} of device ${deviceId} back online`);
+          this.emitStatusEvent("MODULE_ONLINE", telemetry, deviceId, moduleIndex, lastSeen);
+        }
+
+        const device = devices.get(deviceId) || {
+          deviceType: null,
+          hasOnlineModule: false,
+          lastSeen: null,
+        };
+        device.deviceType = device.deviceType || telemetry.deviceType;
+        device.hasOnlineModule = device.hasOnlineModule || !expired;
+        if (!device.lastSeen || lastSeen > device.lastSeen) {
+          device.lastSeen = lastSeen;
+        }
+        devices.set(deviceId, device);
+      }
+
+      for (const [deviceId, device] of devices.entries()) {
+        if (!device.hasOnlineModule && !this.offlineDevices.has(deviceId)) {
+          this.offlineDevices.add(deviceId);
+          StateCache.setDeviceOnline(deviceId, false);
+          console.log(`[CacheWatchdog] Device ${deviceId} offline`);
+          this.emitStatusEvent("DEVICE_OFFLINE", device, deviceId, null, device.lastSeen);
+        } else if (device.hasOnlineModule && this.offlineDevices.has(deviceId)) {
+          this.offlineDevices.delete(deviceId);
+          StateCache.setDeviceOnline(deviceId, true);
+          console.log(`[CacheWatchdog] Device ${deviceId} back online`);
+          this.emitStatusEvent("DEVICE_ONLINE", device, deviceId, null, device.lastSeen);
+        }
+      }
     } catch (error) {
       console.error("CacheWatchdog error:", error.message);
       eventBus.emitError(error, "CacheWatchdog");
     }
   }
 
+  /**
+   * Device type for status events
+   * Telemetry created by a heartbeat before the device type was known has none;
+   * the device metadata is the authoritative source.
+   * @param {string} deviceId - Device ID
+   * @param {Object} telemetry - Cached module telemetry
+   * @returns {string|null} Device type
+   */
+  resolveDeviceType(deviceId, telemetry) {
+    const metadata = StateCache.getMetadata(deviceId);
+    return (metadata && metadata.deviceType) || telemetry.deviceType || null;
+  }
+
+  /**
+   * Emit a device/module status SUO
+   * Module events carry moduleIndex/moduleId at top level, device events do not
+   * (same convention as HEARTBEAT/DEVICE_METADATA).
+   * @param {string} messageType - MODULE_OFFLINE, MODULE_ONLINE, DEVICE_OFFLINE, DEVICE_ONLINE
+   * @param {Object} source - Cached telemetry (module) or aggregated device info
+   * @param {string} deviceId - Device ID
+   * @param {number|null} moduleIndex - Module index (null for device events)
+   * @param {Date} lastSeen - Last heartbeat timestamp
+   */
+  emitStatusEvent(messageType, source, deviceId, moduleIndex, lastSeen) {
+    const isOnline = messageType.endsWith("_ONLINE");
+    const suo = {
+      deviceId,
+      deviceType: source.deviceType || null,
+      messageType,
+      messageId: null, // Generated by the middleware, no device message
+    };
+
+    if (moduleIndex !== null) {
+      suo.moduleIndex = moduleIndex;
+      suo.moduleId = source.moduleId || "0";
+    }
+
+    suo.payload = [
+      {
+        isOnline,
+        lastSeenHb: lastSeen ? lastSeen.toISOString() : null,
+      },
+    ];
+
+    eventBus.emitDataNormalized(suo);
+  }
+
   /**
    * Check if a module should be marked as offline
    * @param {Date} lastSeen - Last heartbeat timestamp
@@ -207,6 +207,7 @@ class SmartHeartbeat {
           deviceId,
           deviceType,
           messageType,
+          source: "smartHeartbeat",
         };
 
         // Add moduleIndex to payload for module-level queries
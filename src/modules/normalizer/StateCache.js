@@ -9,10 +9,19 @@
  * - Online/offline status
  *
  * Used by UnifyNormalizer for state management and by ApiServer for read-only access.
+ *
+ * Persistence is selected via modules.normalizer.cacheType:
+ * - memory: no persistence (default)
+ * - file: JSON snapshot file (modules.normalizer.cacheFile)
+ * - database: iot_state_cache table
+ * Snapshots are loaded on initialize and saved every snapshotInterval and on stop.
  */
 
 const config = require("config");
 const logger = require("../../core/Logger");
+const MemoryCacheBackend = require("./cache/MemoryCacheBackend");
+const FileCacheBackend = require("./cache/FileCacheBackend");
+const DatabaseCacheBackend = require("./cache/DatabaseCacheBackend");
 
 class StateCache {
   constructor() {
@@ -24,26 +33,148 @@ class StateCache {
 
     // Heartbeat timestamps: { "device:{id}:module:{index}": timestamp }
     this.heartbeatCache = new Map();
+
+    // Persistence backend (selected by normalizer.cacheType)
+    this.backend = new MemoryCacheBackend();
+    this.snapshotTimer = null;
+    this.pendingSave = null;
   }
 
   /**
    * Initialize state cache
+   * Creates the persistence backend and restores the last snapshot
    * @param {Object} config - Module configuration
    * @returns {Promise<void>}
    */
   async initialize(config) {
     this.config = config;
-    console.log("  StateCache initialized");
+
+    const normalizerConfig = require("config").get("modules.normalizer");
+    this.normalizerConfig = normalizerConfig;
+    this.backend = this.createBackend(normalizerConfig.cacheType, normalizerConfig);
+
+    try {
+      const snapshot = await this.backend.load();
+      if (snapshot) {
+        this.restoreSnapshot(snapshot);
+        console.log(
+          `  StateCache restored from ${this.backend.name} backend (${this.metadataCache.size} devices, ${this.telemetryCache.size} modules)`,
+        );
+      }
+    } catch (error) {
+      // A corrupt or unreachable snapshot must not block startup
+      console.error(`[StateCache] Failed to load snapshot from ${this.backend.name} backend:`, error.message);
+    }
+
+    console.log(`  StateCache initialized (cacheType: ${this.backend.name})`);
   }
 
   /**
    * Start state cache
+   * Starts the periodic snapshot timer for persistent backends
    * @returns {Promise<void>}
    */
   async start() {
+    if (this.backend.persistent && !this.snapshotTimer) {
+      const snapshotInterval = this.normalizerConfig.snapshotInterval || 30000; // Default: 30s
+      this.snapshotTimer = setInterval(() => {
+        this.saveSnapshot();
+      }, snapshotInterval);
+    }
     console.log("  StateCache started");
   }
 
+  /**
+   * Create a separate, empty in-memory cache with the same API (never persisted)
+   * Used by ArchiveReplay so replays with outputs disabled leave this cache untouched.
+   * @returns {StateCache} New cache instance
+   */
+  createScratch() {
+    return new StateCache();
+  }
+
+  /**
+   * Create persistence backend for the configured cache type
+   * @param {string} cacheType - memory, file or database
+   * @param {Object} options - Backend options (modules.normalizer)
+   * @returns {CacheBackend} Backend instance
+   */
+  createBackend(cacheType, options = {}) {
+    switch (cacheType || "memory") {
+      case "memory":
+        return new MemoryCacheBackend(options);
+      case "file":
+        return new FileCacheBackend(options);
+      case "database":
+        return new DatabaseCacheBackend(options);
+      default:
+        throw new Error(`Unknown cacheType: ${cacheType}`);
+    }
+  }
+
+  /**
+   * Build a serializable snapshot of the UOS
+   * @returns {Object} Snapshot (see CacheBackend)
+   */
+  createSnapshot() {
+    return {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      metadata: Array.from(this.metadataCache.entries()),
+      telemetry: Array.from(this.telemetryCache.entries()),
+      heartbeat: Array.from(this.heartbeatCache.entries()).map(([key, lastSeen]) => [
+        key,
+        lastSeen.toISOString(),
+      ]),
+    };
+  }
+
+  /**
+   * Restore the UOS from a snapshot (replaces current cache content)
+   * @param {Object} snapshot - Snapshot (see CacheBackend)
+   */
+  restoreSnapshot(snapshot) {
+    this.metadataCache.clear();
+    this.telemetryCache.clear();
+    this.heartbeatCache.clear();
+
+    (snapshot.metadata || []).forEach(([key, metadata]) => {
+      this.metadataCache.set(key, metadata);
+    });
+    (snapshot.telemetry || []).forEach(([key, telemetry]) => {
+      this.telemetryCache.set(key, telemetry);
+    });
+    (snapshot.heartbeat || []).forEach(([key, lastSeen]) => {
+      this.heartbeatCache.set(key, new Date(lastSeen));
+    });
+  }
+
+  /**
+   * Save a snapshot to the persistence backend
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot() {
+    if (!this.backend.persistent) {
+      return;
+    }
+
+    // Never run two saves against the same backend concurrently
+    while (this.pendingSave) {
+      await this.pendingSave;
+    }
+
+    this.pendingSave = this.backend
+      .save(this.createSnapshot())
+      .catch((error) => {
+        console.error(`[StateCache] Failed to save snapshot to ${this.backend.name} backend:`, error.message);
+      })
+      .finally(() => {
+        this.pendingSave = null;
+      });
+
+    await this.pendingSave;
+  }
+
   /**
    * Merge partial metadata into cache with change detection
    * Used for DEVICE_INFO, MODULE_INFO, DEV_MOD_INFO, UTOTAL_CHANGED
@@ -478,6 +609,39 @@ class StateCache {
     return doorState;
   }
 
+  /**
+   * Find a tag in the cached RFID snapshots of all modules
+   * A tag normally appears once; more than one location means stale snapshots
+   * (e.g. an offline module) or a duplicated tag.
+   * @param {string} tagId - RFID tag ID (case-insensitive)
+   * @returns {Array} Locations { deviceId, deviceType, moduleIndex, moduleId, sensorIndex, isAlarm, isOnline, lastSeenRfid }
+   */
+  findTag(tagId) {
+    const wanted = String(tagId).toUpperCase();
+    const locations = [];
+
+    for (const telemetry of this.telemetryCache.values()) {
+      (telemetry.rfidSnapshot || []).forEach((item) => {
+        if (item.tagId && String(item.tagId).toUpperCase() === wanted) {
+          locations.push({
+            deviceId: telemetry.deviceId,
+            deviceType: telemetry.deviceType,
+            moduleIndex: telemetry.moduleIndex,
+            moduleId: telemetry.moduleId,
+            sensorIndex: item.sensorIndex,
+            tagId: item.tagId,
+            isAlarm: item.isAlarm || false,
+            isOnline: telemetry.isOnline,
+            lastSeenRfid: telemetry.lastSeenRfid,
+          });
+        }
+      });
+    }
+
+    // Most recently reported first
+    return locations.sort((a, b) => String(b.lastSeenRfid).localeCompare(String(a.lastSeenRfid)));
+  }
+
   /**
    * Update heartbeat timestamp and online status
    * @param {string} deviceId - Device ID
@@ -496,6 +660,7 @@ class StateCache {
         deviceType: deviceType || null,
         moduleIndex,
         moduleId,
+        uTotal,
         isOnline: true,
         lastSeenHb: new Date().toISOString(),
         tempHum: [],
@@ -577,6 +742,7 @@ class StateCache {
       metadataCount: this.metadataCache.size,
       telemetryCount: this.telemetryCache.size,
       heartbeatCount: this.heartbeatCache.size,
+      cacheType: this.backend.name,
     };
   }
 
@@ -608,6 +774,50 @@ class StateCache {
     return telemetry;
   }
 
+  /**
+   * Get all module heartbeats (for CacheWatchdog)
+   * @returns {Array} Array of { deviceId, moduleIndex, lastSeen }
+   */
+  getAllHeartbeats() {
+    const heartbeats = [];
+    for (const [key, lastSeen] of this.heartbeatCache.entries()) {
+      const match = key.match(/^device:(.+):module:(\d+)$/);
+      if (match) {
+        heartbeats.push({
+          deviceId: match[1],
+          moduleIndex: parseInt(match[2]),
+          lastSeen,
+        });
+      }
+    }
+    return heartbeats;
+  }
+
+  /**
+   * Set module online status (for CacheWatchdog)
+   * @param {string} deviceId - Device ID
+   * @param {number} moduleIndex - Module index
+   * @param {boolean} isOnline - Online status
+   */
+  setModuleOnline(deviceId, moduleIndex, isOnline) {
+    const telemetry = this.getTelemetry(deviceId, moduleIndex);
+    if (telemetry) {
+      telemetry.isOnline = isOnline;
+    }
+  }
+
+  /**
+   * Set device online status (for CacheWatchdog)
+   * @param {string} deviceId - Device ID
+   * @param {boolean} isOnline - Online status
+   */
+  setDeviceOnline(deviceId, isOnline) {
+    const cached = this.metadataCache.get(`device:${deviceId}:info`);
+    if (cached) {
+      cached.isOnline = isOnline;
+    }
+  }
+
   /**
    * Get heartbeat cache (for CacheWatchdog)
    * @returns {Map} Heartbeat cache
@@ -623,6 +833,15 @@ class StateCache {
   async stop() {
     console.log("  Stopping StateCache...");
 
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+
+    // Persist final state before clearing
+    await this.saveSnapshot();
+    await this.backend.close();
+
     // Clear all caches
     this.metadataCache.clear();
     this.telemetryCache.clear();
@@ -7,14 +7,26 @@
 
 const c = require("config");
 const eventBus = require("../../core/EventBus");
+const metrics = require("../../core/Metrics");
 const StateCache = require("./StateCache");
 const SmartHeartbeat = require("./SmartHeartbeat");
+const AssetRegistry = require("../rules/AssetRegistry");
 
 class UnifyNormalizer {
   constructor() {
     this.config = null;
     this.stateCache = StateCache;
+    this.assetRegistry = AssetRegistry;
     this.smartHeartbeat = null; // Initialized in initialize()
+
+    // True while runIsolated() runs (archive replay with outputs disabled)
+    this.isolated = false;
+
+    metrics.counter(
+      "iot_suo_emitted_total",
+      "SUOs emitted by the normalizer, per device type and message type",
+      ["deviceType", "messageType"],
+    );
   }
 
   /**
@@ -99,6 +111,38 @@ class UnifyNormalizer {
     return modules;
   }
 
+  /**
+   * Run fn against a separate StateCache with device queries suspended
+   * Used by ArchiveReplay with outputs disabled: replayed messages must not
+   * change the live cache or query live devices (SmartHeartbeat emits its
+   * queries from timers, after the replay's EventBus capture has ended).
+   * The pipeline is synchronous, so only messages normalized inside fn are
+   * affected.
+   * @param {Object} stateCache - StateCache instance for the isolated run
+   * @param {Function} fn - Work to run (e.g. ParserManager.handleMessage)
+   * @returns {*} Result of fn
+   */
+  runIsolated(stateCache, fn) {
+    const liveCache = this.stateCache;
+    this.stateCache = stateCache;
+    this.isolated = true;
+    try {
+      return fn();
+    } finally {
+      this.stateCache = liveCache;
+      this.isolated = false;
+    }
+  }
+
+  /**
+   * Emit a SUO (data.normalized) and count it
+   * @param {Object} suo - Standard Unified Object
+   */
+  emitSuo(suo) {
+    metrics.inc("iot_suo_emitted_total", { deviceType: suo.deviceType, messageType: suo.messageType });
+    eventBus.emitDataNormalized(suo);
+  }
+
   /**
    * Normalize SIF to SUO
    * @param {Object} sif - Standard Intermediate Format
@@ -189,7 +233,7 @@ class UnifyNormalizer {
       // They are included in the payload for each module
       payload: validModules,
     };
-    eventBus.emitDataNormalized(heartbeatSuo);
+    this.emitSuo(heartbeatSuo);
 
     // Update cache for each module (telemetry cache)
     validModules.forEach((module) => {
@@ -215,12 +259,12 @@ class UnifyNormalizer {
         messageId: metaChangedMessageId,
         payload: changes.map((desc) => ({ description: desc })),
       };
-      eventBus.emitDataNormalized(changeEventSuo);
+      this.emitSuo(changeEventSuo);
     }
 
-    // Step 2: Self-Healing Check
+    // Step 2: Self-Healing Check (skipped in isolated runs, see runIsolated)
     // Device Level: If cache ip OR mac is missing → Emit command.request
-    if (this.stateCache.isDeviceInfoMissing(deviceId)) {
+    if (!this.isolated && this.stateCache.isDeviceInfoMissing(deviceId)) {
       console.log(
         `[UnifyNormalizer] Self-healing: Device ${deviceId} missing ip/mac, requesting device info`,
       );
@@ -229,11 +273,12 @@ class UnifyNormalizer {
         deviceId,
         deviceType,
         messageType: cmdMessageType,
+        source: "selfHealing",
       });
     }
 
     // Module Level (V5008 Only): If any active module is missing fwVer → Emit command.request
-    if (deviceType === "V5008") {
+    if (!this.isolated && deviceType === "V5008") {
       const modulesMissingFwVer = this.stateCache.getModulesMissingFwVer(deviceId);
       if (modulesMissingFwVer.length > 0) {
         const moduleIndices = modulesMissingFwVer.map(m => m.moduleIndex).join(',');
@@ -244,6 +289,7 @@ class UnifyNormalizer {
           deviceId,
           deviceType,
           messageType: "QRY_MODULE_INFO",
+          source: "selfHealing",
         });
       }
     }
@@ -252,7 +298,7 @@ class UnifyNormalizer {
     // Comprehensive cache check and repair for all modules
     // Note: This only runs if SmartHeartbeat is enabled in config
     // Basic self-healing (ip/mac/fwVer) still happens in Step 2 above
-    if (this.smartHeartbeat) {
+    if (this.smartHeartbeat && !this.isolated) {
       this.smartHeartbeat.checkAndRepair(
         deviceId,
         deviceType,
@@ -301,14 +347,14 @@ class UnifyNormalizer {
             messageId: rfidEventMessageId,
             moduleIndex: event.moduleIndex,
             moduleId: event.moduleId,
-            payload: [{
+            payload: this.assetRegistry.enrich([{
               sensorIndex: event.sensorIndex,
               tagId: event.tagId,
               action: event.action,
               isAlarm: event.isAlarm || false,
-            }],
+            }]),
           });
-          eventBus.emitDataNormalized(eventSuo);
+          this.emitSuo(eventSuo);
         });
       }
 
@@ -320,9 +366,9 @@ class UnifyNormalizer {
         messageId,
         moduleIndex,
         moduleId,
-        payload: currentSnapshot,
+        payload: this.assetRegistry.enrich(currentSnapshot),
       });
-      eventBus.emitDataNormalized(snapshotSuo);
+      this.emitSuo(snapshotSuo);
 
       // Update cache with new snapshot
       this.stateCache.updateTelemetryField(
@@ -343,8 +389,12 @@ class UnifyNormalizer {
   handleRfidEvent(sif) {
     const { deviceId, deviceType, data, moduleIndex, moduleId } = sif;
 
-    // V6800 RFID_EVENT: Trigger sync only
+    // V6800 RFID_EVENT: Trigger sync only (no device query in isolated runs)
     if (deviceType === "V6800") {
+      if (this.isolated) {
+        return;
+      }
+
       // Use moduleIndex and moduleId from SIF top-level fields (set by V6800Parser)
       // V6800Parser extracts host_gateway_port_index -> moduleIndex
       // and extend_module_sn -> moduleId
@@ -360,6 +410,7 @@ class UnifyNormalizer {
           moduleIndex: effectiveModuleIndex,
           moduleId: effectiveModuleId,
         },
+        source: "selfHealing",
       });
       // Do NOT update cache
       // Do NOT emit SUO
@@ -398,9 +449,9 @@ class UnifyNormalizer {
             messageId,
             moduleIndex,
             moduleId,
-            payload: normalizedEvents,
+            payload: this.assetRegistry.enrich(normalizedEvents),
           });
-          eventBus.emitDataNormalized(eventSuo);
+          this.emitSuo(eventSuo);
         });
       } else {
         // V5008 style: flat structure where each item is a single event
@@ -431,9 +482,9 @@ class UnifyNormalizer {
             messageId,
             moduleIndex,
             moduleId,
-            payload: normalizedEvents,
+            payload: this.assetRegistry.enrich(normalizedEvents),
           });
-          eventBus.emitDataNormalized(eventSuo);
+          this.emitSuo(eventSuo);
         });
       }
     }
@@ -477,7 +528,7 @@ class UnifyNormalizer {
         moduleId,
         payload: normalizedData,
       });
-      eventBus.emitDataNormalized(suo);
+      this.emitSuo(suo);
 
       this.stateCache.updateTelemetryField(
         deviceId,
@@ -522,7 +573,7 @@ class UnifyNormalizer {
         moduleId,
         payload: normalizedData,
       });
-      eventBus.emitDataNormalized(suo);
+      this.emitSuo(suo);
 
       this.stateCache.updateTelemetryField(
         deviceId,
@@ -572,7 +623,7 @@ class UnifyNormalizer {
         moduleId,
         payload: [doorStatePayload],
       });
-      eventBus.emitDataNormalized(suo);
+      this.emitSuo(suo);
 
       // Update cache
       const telemetry =
@@ -701,7 +752,7 @@ class UnifyNormalizer {
         messageId: metaChangedMessageId,
         payload: changes.map((desc) => ({ description: desc })),
       };
-      eventBus.emitDataNormalized(changeEventSuo);
+      this.emitSuo(changeEventSuo);
     }
 
     // Step 3: Emit DEVICE_METADATA SUO from cache
@@ -746,7 +797,7 @@ class UnifyNormalizer {
         messageId: metaChangedMessageId,
         payload: changes.map((desc) => ({ description: desc })),
       };
-      eventBus.emitDataNormalized(changeEventSuo);
+      this.emitSuo(changeEventSuo);
     }
 
     // Step 3: Emit DEVICE_METADATA SUO from cache
@@ -846,18 +897,31 @@ class UnifyNormalizer {
   handleCommandResponses(sif) {
     const { deviceId, deviceType, messageType, messageId, data } = sif;
 
-    // Handle V6800 style (data array) and V5008 style (object with top-level fields)
-    if (data && Array.isArray(data)) {
-      // V6800 style: array of command response data
-      // Wrap result in payload array
-      const normalizedPayload = data.map((item) => ({
+    let normalizedPayload;
+    if (sif.result !== undefined) {
+      // V5008 style: one response with top-level result, originalReq and moduleIndex
+      // (QRY_CLR_RESP carries the color codes as data; SET_CLR_RESP/CLN_ALM_RESP have none)
+      normalizedPayload = [
+        {
+          moduleIndex: sif.moduleIndex,
+          moduleId: null,
+          result: sif.result || null,
+          originalReq: sif.originalReq || null,
+          colorMap: messageType === "QRY_CLR_RESP" && Array.isArray(data) ? data : null,
+        },
+      ];
+    } else if (data && Array.isArray(data)) {
+      // V6800 style: array of command response data, one item per module
+      normalizedPayload = data.map((item) => ({
         moduleIndex: item.moduleIndex,
         moduleId: item.moduleId || null,
         result: item.result || null,
         originalReq: item.originalReq || null,
         colorMap: item.data || item.colorMap || null, // Check for both possible field names
       }));
+    }
 
+    if (normalizedPayload) {
       const suo = this.createSuo({
         deviceId,
         deviceType,
@@ -868,47 +932,7 @@ class UnifyNormalizer {
         payload: normalizedPayload,
       });
 
-      eventBus.emitDataNormalized(suo);
-    } else if (data && typeof data === "object" && !Array.isArray(data)) {
-      // V5008 style: object with top-level fields (result, originalReq, moduleIndex, data for QRY_CLR_RESP)
-      const { result, originalReq, moduleIndex, data: colorData } = data;
-
-      let normalizedPayload;
-      if (messageType === "QRY_CLR_RESP" && colorData) {
-        // QRY_CLR_RESP has color data array
-        normalizedPayload = [
-          {
-            moduleIndex: moduleIndex,
-            moduleId: null,
-            result: result || null,
-            originalReq: originalReq || null,
-            colorMap: colorData,
-          },
-        ];
-      } else {
-        // SET_CLR_RESP and CLN_ALM_RESP have no data array
-        normalizedPayload = [
-          {
-            moduleIndex: moduleIndex,
-            moduleId: null,
-            result: result || null,
-            originalReq: originalReq || null,
-            colorMap: null,
-          },
-        ];
-      }
-
-      const suo = this.createSuo({
-        deviceId,
-        deviceType,
-        messageType,
-        messageId,
-        moduleIndex: 0, // Device-level
-        moduleId: "0",
-        payload: normalizedPayload,
-      });
-
-      eventBus.emitDataNormalized(suo);
+      this.emitSuo(suo);
     } else {
       console.warn(
         `[UnifyNormalizer] Invalid or missing command response data for device ${deviceId}`,
@@ -962,7 +986,7 @@ class UnifyNormalizer {
         payload: activeModules,
       };
 
-      eventBus.emitDataNormalized(metadataSuo);
+      this.emitSuo(metadataSuo);
     }
   }
 
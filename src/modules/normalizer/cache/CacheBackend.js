@@ -0,0 +1,64 @@
+/**
+ * CacheBackend - Base class for StateCache persistence backends
+ *
+ * A backend stores and restores a UOS snapshot so the StateCache survives restarts.
+ *
+ * Snapshot format:
+ * {
+ *   version: 1,
+ *   savedAt: ISO string,
+ *   metadata: [[key, metadata], ...],    // device:{id}:info
+ *   telemetry: [[key, telemetry], ...],  // device:{id}:module:{index}
+ *   heartbeat: [[key, ISO string], ...]  // device:{id}:module:{index}
+ * }
+ */
+
+class CacheBackend {
+  /**
+   * @param {Object} options - Backend options (from modules.normalizer)
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Backend name (for logging)
+   * @returns {string} Backend name
+   */
+  get name() {
+    return "base";
+  }
+
+  /**
+   * Whether the backend persists data (memory backend does not)
+   * @returns {boolean} True if snapshots are persisted
+   */
+  get persistent() {
+    return true;
+  }
+
+  /**
+   * Load the last saved snapshot
+   * @returns {Promise<Object|null>} Snapshot or null if none exists
+   */
+  async load() {
+    throw new Error(`${this.name} backend does not implement load()`);
+  }
+
+  /**
+   * Save a snapshot
+   * @param {Object} snapshot - UOS snapshot
+   * @returns {Promise<void>}
+   */
+  async save(snapshot) {
+    throw new Error(`${this.name} backend does not implement save()`);
+  }
+
+  /**
+   * Release backend resources
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = CacheBackend;
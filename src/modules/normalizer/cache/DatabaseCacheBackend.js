@@ -0,0 +1,118 @@
+/**
+ * DatabaseCacheBackend - MySQL table persistence
+ *
+ * Stores one row per cache entry in iot_state_cache.
+ * Each save writes only the entries that changed since the last load/save
+ * (upsert) and deletes the ones that are gone, in a single transaction.
+ */
+
+const database = require("../../../core/Database");
+const CacheBackend = require("./CacheBackend");
+
+const TABLE = "iot_state_cache";
+
+// Snapshot section -> cache_type column value
+const SECTIONS = ["metadata", "telemetry", "heartbeat"];
+
+class DatabaseCacheBackend extends CacheBackend {
+  /**
+   * @param {Object} options - Backend options (from modules.normalizer)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    // Serialized value per "{cache_type}|{cache_key}" as last written to the table
+    this.saved = new Map();
+  }
+
+  get name() {
+    return "database";
+  }
+
+  /**
+   * Load snapshot from database
+   * @returns {Promise<Object|null>} Snapshot or null if table is empty
+   */
+  async load() {
+    const rows = await database.getConnection()(TABLE).select(
+      "cache_key",
+      "cache_type",
+      "cache_value",
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const snapshot = { version: 1, metadata: [], telemetry: [], heartbeat: [] };
+    this.saved.clear();
+    rows.forEach((row) => {
+      if (SECTIONS.includes(row.cache_type)) {
+        // mysql2 returns JSON columns parsed, TEXT columns as string
+        const value =
+          typeof row.cache_value === "string"
+            ? JSON.parse(row.cache_value)
+            : row.cache_value;
+        snapshot[row.cache_type].push([row.cache_key, value]);
+        this.saved.set(`${row.cache_type}|${row.cache_key}`, JSON.stringify(value));
+      }
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Save snapshot to database (upsert changed entries, delete removed ones)
+   * @param {Object} snapshot - UOS snapshot
+   * @returns {Promise<void>}
+   */
+  async save(snapshot) {
+    const now = new Date();
+    const current = new Map();
+    const changed = [];
+    SECTIONS.forEach((section) => {
+      (snapshot[section] || []).forEach(([key, value]) => {
+        const serialized = JSON.stringify(value);
+        const id = `${section}|${key}`;
+        current.set(id, serialized);
+        if (this.saved.get(id) !== serialized) {
+          changed.push({ cache_key: key, cache_type: section, cache_value: serialized, update_at: now });
+        }
+      });
+    });
+
+    const removed = new Map(); // cache_type -> [cache_key]
+    this.saved.forEach((serialized, id) => {
+      if (!current.has(id)) {
+        const [section, ...key] = id.split("|");
+        removed.set(section, [...(removed.get(section) || []), key.join("|")]);
+      }
+    });
+
+    if (changed.length === 0 && removed.size === 0) {
+      return;
+    }
+
+    await database.getConnection().transaction(async (trx) => {
+      for (const [section, keys] of removed.entries()) {
+        for (let i = 0; i < keys.length; i += 500) {
+          await trx(TABLE)
+            .where("cache_type", section)
+            .whereIn("cache_key", keys.slice(i, i + 500))
+            .del();
+        }
+      }
+      for (let i = 0; i < changed.length; i += 500) {
+        await trx(TABLE)
+          .insert(changed.slice(i, i + 500))
+          .onConflict(["cache_type", "cache_key"])
+          .merge(["cache_value", "update_at"]);
+      }
+    });
+
+    // Only after commit: a failed save is retried in full next time
+    this.saved = current;
+  }
+}
+
+module.exports = DatabaseCacheBackend;
@@ -0,0 +1,51 @@
+/**
+ * FileCacheBackend - JSON file persistence
+ *
+ * Writes the snapshot to a temp file and renames it over the target,
+ * so a crash during save never leaves a truncated snapshot behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const CacheBackend = require("./CacheBackend");
+
+class FileCacheBackend extends CacheBackend {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = path.resolve(options.cacheFile || "data/state_cache.json");
+  }
+
+  get name() {
+    return "file";
+  }
+
+  /**
+   * Load snapshot from file
+   * @returns {Promise<Object|null>} Snapshot or null if file does not exist
+   */
+  async load() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, "utf8");
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save snapshot to file (atomic write)
+   * @param {Object} snapshot - UOS snapshot
+   * @returns {Promise<void>}
+   */
+  async save(snapshot) {
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileCacheBackend;
@@ -0,0 +1,33 @@
+/**
+ * MemoryCacheBackend - No persistence (default)
+ *
+ * The StateCache starts empty on every restart.
+ */
+
+const CacheBackend = require("./CacheBackend");
+
+class MemoryCacheBackend extends CacheBackend {
+  get name() {
+    return "memory";
+  }
+
+  get persistent() {
+    return false;
+  }
+
+  /**
+   * Nothing to load
+   * @returns {Promise<null>}
+   */
+  async load() {
+    return null;
+  }
+
+  /**
+   * Nothing to save
+   * @returns {Promise<void>}
+   */
+  async save() {}
+}
+
+module.exports = MemoryCacheBackend;
@@ -10,16 +10,42 @@
  * - Group E: History API (cold path from DB, conditional)
  */
 
+const fs = require("fs");
 const express = require("express");
 const eventBus = require("../../core/EventBus");
 const StateCache = require("../normalizer/StateCache");
+const commandService = require("../command/CommandService");
+const webhookService = require("./WebhookService");
+const webSocketServer = require("./WebSocketServer");
+const liveStream = require("./LiveStream");
+const suoFilter = require("./SuoFilter");
+const ingestQueue = require("../ingress/IngestQueue");
+const mqttSubscriber = require("../ingress/MqttSubscriber");
+const archiveReplay = require("../ingress/ArchiveReplay");
+const parseQuarantine = require("../parsers/ParseQuarantine");
+const messageDedup = require("../parsers/MessageDedup");
+const storageService = require("../storage/StorageService");
+const telemetryAggregator = require("../storage/TelemetryAggregator");
+const tagHistory = require("../storage/TagHistory");
+const occupancyReport = require("../storage/OccupancyReport");
+const commandAudit = require("../storage/CommandAudit");
+const alarmEngine = require("../rules/AlarmEngine");
+const doorSupervisor = require("../rules/DoorSupervisor");
+const assetRegistry = require("../rules/AssetRegistry");
 const database = require("../../core/Database");
+const metrics = require("../../core/Metrics");
+const auth = require("./Auth");
 
 class ApiServer {
   constructor() {
     this.config = null;
+    this.metricsConfig = null;
     this.app = express();
     this.server = null;
+
+    // Exact paths only: getRequiredRole must see the path the route matched
+    this.app.set("case sensitive routing", true);
+    this.app.set("strict routing", true);
   }
 
   /**
@@ -29,6 +55,13 @@ class ApiServer {
    */
   async initialize(config) {
     this.config = config;
+    const globalConfig = require("config");
+    auth.configure(globalConfig.has("auth") ? globalConfig.get("auth") : {});
+    if (!auth.isEnabled()) {
+      console.warn("  ApiServer authentication disabled (auth.enabled=false)");
+    }
+    this.metricsConfig = globalConfig.has("metrics") ? globalConfig.get("metrics") : {};
+    metrics.configure(this.metricsConfig);
     this.setupMiddleware();
     this.setupRoutes();
     console.log("  ApiServer initialized");
@@ -41,28 +74,82 @@ class ApiServer {
     this.app.use(express.json());
     this.app.use(express.urlencoded({ extended: true }));
 
-    // CORS middleware (adjust as needed for your frontend)
+    // CORS middleware (cors.origins: ["*"] or an allow-list)
+    const origins = this.config.cors?.origins || ["*"];
     this.app.use((req, res, next) => {
       const origin = req.headers.origin;
 
-
-      res.header("Access-Control-Allow-Origin", "*");
+      if (origins.includes("*")) {
+        res.header("Access-Control-Allow-Origin", "*");
+      } else if (origin && origins.includes(origin)) {
+        res.header("Access-Control-Allow-Origin", origin);
+        res.header("Access-Control-Allow-Credentials", "true");
+      }
+      res.header("Vary", "Origin");
       res.header(
         "Access-Control-Allow-Methods",
         "GET, POST, PUT, DELETE, OPTIONS",
       );
       res.header(
         "Access-Control-Allow-Headers",
-        "Origin, X-Requested-With, Content-Type, Accept, Authorization",
+        "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key",
       );
-      res.header("Access-Control-Allow-Credentials", "true");
 
       if (req.method === "OPTIONS") {
-
         return res.status(200).send();
       }
       next();
     });
+
+    // Authentication / role check (sets req.principal)
+    this.app.use(
+      auth.middleware(
+        (req) => this.getRequiredRole(req),
+        (req) => this.allowsQueryToken(req),
+      ),
+    );
+  }
+
+  /**
+   * Role required for a request (null = public)
+   * - /api/health: public (load balancer probes; details need viewer)
+   * - /metrics: viewer (Prometheus scrape, e.g. ?apiKey= or a Bearer token)
+   * - /api/config: admin
+   * - POST /api/commands: operator
+   * - other writes (assets, webhook dead letters, archive replay): admin
+   * - other reads: viewer
+   * The path is lower-cased and trailing slashes trimmed, so no spelling of
+   * a route gets a weaker role than the route itself.
+   * @param {Object} req - Express request
+   * @returns {string|null} Required role
+   */
+  getRequiredRole(req) {
+    const path = req.path.toLowerCase().replace(/\/+$/, "");
+
+    if (path === "/metrics") {
+      return "viewer";
+    }
+    if (!path.startsWith("/api/") || path === "/api/health") {
+      return null;
+    }
+    if (path === "/api/config") {
+      return "admin";
+    }
+    if (req.method === "GET" || req.method === "HEAD") {
+      return "viewer";
+    }
+    return path === "/api/commands" ? "operator" : "admin";
+  }
+
+  /**
+   * Whether ?token= / ?apiKey= are accepted for a request
+   * Only clients that cannot send headers: Prometheus scrapes and EventSource.
+   * @param {Object} req - Express request
+   * @returns {boolean} True for /metrics and /api/live/stream
+   */
+  allowsQueryToken(req) {
+    const path = req.path.toLowerCase().replace(/\/+$/, "");
+    return path === "/metrics" || path === "/api/live/stream";
   }
 
   /**
@@ -108,14 +195,22 @@ class ApiServer {
    * Group S: System Routes
    */
   setupSystemRoutes() {
-    // Health check endpoint
+    // Health check endpoint: status/uptime for probes, details for viewers
     this.app.get("/api/health", (req, res) => {
-      const db = database.getConnection();
-      const dbStatus = db ? "connected" : "disconnected";
+      const health = { status: "ok", uptime: process.uptime() };
+      if (!auth.hasRole(req.principal, "viewer")) {
+        return res.json(health);
+      }
+
+      let dbStatus;
+      try {
+        dbStatus = database.getConnection() ? "connected" : "disconnected";
+      } catch (error) {
+        dbStatus = "disconnected";
+      }
 
       res.json({
-        status: "ok",
-        uptime: process.uptime(),
+        ...health,
         memory: {
           rss: `${Math.round(process.memoryUsage().rss / 1024 / 1024)} MB`,
           heapUsed: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)} MB`,
@@ -123,26 +218,96 @@ class ApiServer {
         },
         db: dbStatus,
         mqtt: "connected", // TODO: Get actual MQTT status
+        ingest: ingestQueue.getStats(),
+        storage: storageService.config
+          ? {
+              buffered: storageService.getBufferedCount(),
+              maxBufferedRows: storageService.config.maxBufferedRows || 10000,
+              backpressured: storageService.isBackpressured(),
+              spool: storageService.getSpoolStats(),
+            }
+          : null,
+        webSocket: webSocketServer.config ? webSocketServer.getStats() : null,
+        stream: liveStream.listener ? liveStream.getStats() : null,
+        quarantine: parseQuarantine.getStats(),
+        dedup: messageDedup.getStats(),
       });
     });
 
+    // Prometheus exporter (text exposition format)
+    if (this.metricsConfig?.enabled !== false) {
+      this.app.get("/metrics", (req, res) => {
+        res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+        res.send(metrics.render());
+      });
+    }
+
     // System configuration endpoint
     this.app.get("/api/config", (req, res) => {
       const config = require("config");
-      const appConfig = config.util.toObject();
+      res.json(this.redactConfig(config.util.toObject()));
+    });
 
-      // Redact passwords/secrets
-      if (appConfig.database && appConfig.database.connection) {
-        appConfig.database.connection.password = "***REDACTED***";
-      }
-      if (appConfig.mqtt && appConfig.mqtt.options) {
-        appConfig.mqtt.options.password = "***REDACTED***";
+    // GET /api/diagnostics/quarantine - Messages that failed to decode/parse or parsed as UNKNOWN
+    // Filters: deviceId, messageType (topic message type); limit (newest first)
+    this.app.get("/api/diagnostics/quarantine", (req, res) => {
+      let options;
+      try {
+        options = parseQuarantine.parseOptions(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
       }
 
-      res.json(appConfig);
+      res.json(parseQuarantine.list(options));
+    });
+
+    // DELETE /api/diagnostics/quarantine - Clear entries and counters
+    this.app.delete("/api/diagnostics/quarantine", (req, res) => {
+      res.json({ cleared: parseQuarantine.clear() });
     });
   }
 
+  /**
+   * Replace passwords and secrets in a config copy (GET /api/config)
+   * @param {Object} appConfig - Mutable copy of the configuration
+   * @returns {Object} The same object, redacted
+   */
+  redactConfig(appConfig) {
+    const REDACTED = "***REDACTED***";
+    const modules = appConfig.modules || {};
+
+    const dbConnection = modules.database && modules.database.connection;
+    if (dbConnection && dbConnection.password) {
+      dbConnection.password = REDACTED;
+    }
+    if (appConfig.mqtt && appConfig.mqtt.options) {
+      appConfig.mqtt.options.password = REDACTED;
+    }
+
+    // Webhook auth tokens, HMAC secrets and custom header values (often credentials)
+    const webhookConfig = modules.webhook;
+    if (webhookConfig && Array.isArray(webhookConfig.targets)) {
+      webhookConfig.targets.forEach((target) => {
+        if (target.authToken) target.authToken = REDACTED;
+        if (target.secret) target.secret = REDACTED;
+        Object.keys(target.headers || {}).forEach((name) => {
+          target.headers[name] = REDACTED;
+        });
+      });
+    }
+
+    if (appConfig.auth) {
+      (appConfig.auth.apiKeys || []).forEach((entry) => {
+        if (entry.key) entry.key = REDACTED;
+      });
+      if (appConfig.auth.jwt && appConfig.auth.jwt.secret) {
+        appConfig.auth.jwt.secret = REDACTED;
+      }
+    }
+
+    return appConfig;
+  }
+
   /**
    * Group A: Management Routes (Hot Path from Cache)
    */
@@ -217,7 +382,7 @@ class ApiServer {
             fwVer: metadata.fwVer,
             mask: metadata.mask,
             gwIp: metadata.gwIp,
-            isOnline: true,
+            isOnline: metadata.isOnline !== false, // Set false by CacheWatchdog
             lastSeenInfo: metadata.lastSeenInfo,
             activeModules: modules.sort((a, b) => a.moduleIndex - b.moduleIndex),
           });
@@ -298,6 +463,61 @@ class ApiServer {
       }
     });
 
+    // GET /api/live/tags/:tagId - Where a tag is now (searches cached RFID snapshots)
+    this.app.get("/api/live/tags/:tagId", (req, res) => {
+      try {
+        const { tagId } = req.params;
+        const locations = StateCache.findTag(tagId);
+
+        if (locations.length === 0) {
+          return res.status(404).json({ error: "Tag not found in current RFID snapshots" });
+        }
+
+        res.json({
+          tagId,
+          asset: assetRegistry.getAsset(tagId),
+          locations,
+        });
+      } catch (error) {
+        console.error("[ApiServer] Error locating tag:", error.message);
+        res.status(500).json({ error: "Failed to locate tag" });
+      }
+    });
+
+    // GET /api/live/stream - Server-Sent Events feed of SUOs
+    // Filters: deviceId, moduleIndex, messageType (comma-separated); resume via Last-Event-ID
+    this.app.get("/api/live/stream", (req, res) => {
+      let filter;
+      let lastEventId = null;
+      try {
+        filter = suoFilter.fromQuery(req.query);
+
+        const resumeFrom = req.headers["last-event-id"] || req.query.lastEventId;
+        if (resumeFrom !== undefined) {
+          if (!/^[\w-]{1,64}$/.test(resumeFrom)) {
+            throw new Error("Last-Event-ID must be an event id from this stream");
+          }
+          lastEventId = resumeFrom;
+        }
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      liveStream.addClient(req, res, filter, lastEventId);
+    });
+
+    // GET /api/reports/occupancy - Live U-slot occupancy from StateCache
+    // Query: deviceId, format (json|csv)
+    this.app.get("/api/reports/occupancy", (req, res) => {
+      try {
+        const report = occupancyReport.fromCache(StateCache, { deviceId: req.query.deviceId });
+        this.sendReport(res, report, req.query.format, "occupancy-live.csv");
+      } catch (error) {
+        console.error("[ApiServer] Error building occupancy report:", error.message);
+        res.status(500).json({ error: "Failed to build occupancy report" });
+      }
+    });
+
     // GET /api/meta/:deviceId - Get device metadata (UOS metadata cache)
     this.app.get("/api/meta/:deviceId", (req, res) => {
       try {
@@ -318,10 +538,129 @@ class ApiServer {
       }
     });
 
+    // GET /api/alarms - Active threshold alarms (AlarmEngine memory)
+    // Query: deviceId, moduleIndex, severity
+    this.app.get("/api/alarms", (req, res) => {
+      if (!alarmEngine.config) {
+        return res.status(501).json({ error: "Alarm module disabled" });
+      }
+
+      const { deviceId, moduleIndex, severity } = req.query;
+      res.json(
+        alarmEngine.getActiveAlarms({
+          deviceId,
+          moduleIndex: moduleIndex !== undefined ? parseInt(moduleIndex) : undefined,
+          severity,
+        }),
+      );
+    });
+
+    // GET /api/doors/open - Currently open doors with open duration (DoorSupervisor memory)
+    // Query: deviceId
+    this.app.get("/api/doors/open", (req, res) => {
+      if (!doorSupervisor.config) {
+        return res.status(501).json({ error: "Door supervision module disabled" });
+      }
+
+      const { deviceId } = req.query;
+      res.json(
+        doorSupervisor.getOpenDoors().filter((door) => !deviceId || door.deviceId === deviceId),
+      );
+    });
+
+    // Asset registry (501 when the assets module is disabled)
+    this.app.use("/api/assets", (req, res, next) => {
+      if (!assetRegistry.config) {
+        return res.status(501).json({ error: "Assets module disabled" });
+      }
+      next();
+    });
+
+    // GET /api/assets - List registered assets
+    // Query: deviceId, owner
+    this.app.get("/api/assets", (req, res) => {
+      const { deviceId, owner } = req.query;
+      res.json(assetRegistry.listAssets({ deviceId, owner }));
+    });
+
+    // GET /api/assets/:tagId - Get a registered asset
+    this.app.get("/api/assets/:tagId", (req, res) => {
+      const asset = assetRegistry.getAsset(req.params.tagId);
+
+      if (!asset) {
+        return res.status(404).json({ error: "Asset not found" });
+      }
+
+      res.json(asset);
+    });
+
+    // POST /api/assets - Register an asset (409 if the tagId is already registered)
+    this.app.post("/api/assets", async (req, res) => {
+      try {
+        const { tagId, ...data } = req.body;
+
+        if (assetRegistry.getAsset(tagId)) {
+          return res.status(409).json({ error: "Asset already registered" });
+        }
+
+        let asset;
+        try {
+          asset = assetRegistry.validateAsset(tagId, data);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        const result = await assetRegistry.saveAsset(asset.tagId, data);
+        res.status(201).json(result.asset);
+      } catch (error) {
+        console.error("[ApiServer] Error saving asset:", error.message);
+        res.status(500).json({ error: "Failed to save asset" });
+      }
+    });
+
+    // PUT /api/assets/:tagId - Create or replace an asset
+    this.app.put("/api/assets/:tagId", async (req, res) => {
+      try {
+        try {
+          assetRegistry.validateAsset(req.params.tagId, req.body);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        const { asset, created } = await assetRegistry.saveAsset(req.params.tagId, req.body);
+        res.status(created ? 201 : 200).json(asset);
+      } catch (error) {
+        console.error("[ApiServer] Error saving asset:", error.message);
+        res.status(500).json({ error: "Failed to save asset" });
+      }
+    });
+
+    // DELETE /api/assets/:tagId - Remove an asset
+    this.app.delete("/api/assets/:tagId", async (req, res) => {
+      try {
+        const deleted = await assetRegistry.deleteAsset(req.params.tagId);
+
+        if (!deleted) {
+          return res.status(404).json({ error: "Asset not found" });
+        }
+
+        res.status(204).send();
+      } catch (error) {
+        console.error("[ApiServer] Error deleting asset:", error.message);
+        res.status(500).json({ error: "Failed to delete asset" });
+      }
+    });
+
     // POST /api/commands - Send Control Command
+    // Optional: wait=true (body or query) waits for the device result
     this.app.post("/api/commands", async (req, res) => {
       try {
         const { deviceId, deviceType, messageType, payload } = req.body;
+        const wait = req.body.wait === true || req.query.wait === "true";
+        const waitTimeout = Math.min(
+          parseInt(req.body.timeout || req.query.timeout) || 30000,
+          120000,
+        );
 
         // Validate required fields
         if (!deviceId || !deviceType || !messageType) {
@@ -331,7 +670,7 @@ class ApiServer {
         }
 
         // Generate a unique command ID for tracking
-        const commandId = `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const commandId = commandService.generateCommandId();
 
         // Construct the internal command event
         const commandEvent = {
@@ -341,11 +680,27 @@ class ApiServer {
           payload: payload || {},
           timestamp: new Date(),
           commandId,
+          source: "api",
+          user: req.principal ? req.principal.name : null,
+          authType: req.principal ? req.principal.type : null,
+          clientIp: req.ip,
         };
 
         // Emit to the internal nervous system
         eventBus.emit("command.request", commandEvent);
 
+        if (wait) {
+          const command = await commandService.waitForCommand(commandId, waitTimeout);
+          if (command) {
+            const done = commandService.isComplete(command);
+            return res.status(done ? 200 : 202).json({
+              status: command.status,
+              commandId,
+              command,
+            });
+          }
+        }
+
         // Return 202 Accepted with command ID as per specification
         res.status(202).json({
           status: "sent",
@@ -356,6 +711,166 @@ class ApiServer {
         res.status(500).json({ error: "Failed to send command" });
       }
     });
+
+    // GET /api/commands/:commandId - Get Command Status
+    this.app.get("/api/commands/:commandId", (req, res) => {
+      try {
+        const command = commandService.getCommand(req.params.commandId);
+
+        if (!command) {
+          return res.status(404).json({ error: "Command not found" });
+        }
+
+        res.json(command);
+      } catch (error) {
+        console.error("[ApiServer] Error fetching command:", error.message);
+        res.status(500).json({ error: "Failed to fetch command" });
+      }
+    });
+
+    // Webhook delivery queue (501 when the webhook module is disabled)
+    this.app.use("/api/webhook", (req, res, next) => {
+      if (!webhookService.queue) {
+        return res.status(501).json({ error: "Webhook module disabled" });
+      }
+      next();
+    });
+
+    // GET /api/webhook/stats - Delivery queue statistics
+    this.app.get("/api/webhook/stats", async (req, res) => {
+      try {
+        res.json(await webhookService.getStats());
+      } catch (error) {
+        console.error("[ApiServer] Error fetching webhook stats:", error.message);
+        res.status(500).json({ error: "Failed to fetch webhook stats" });
+      }
+    });
+
+    // GET /api/webhook/dead-letters - List failed deliveries, oldest first
+    this.app.get("/api/webhook/dead-letters", async (req, res) => {
+      try {
+        const { limit = 100, offset = 0 } = req.query;
+        res.json(
+          await webhookService.listDeadLetters({
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+          }),
+        );
+      } catch (error) {
+        console.error("[ApiServer] Error fetching dead letters:", error.message);
+        res.status(500).json({ error: "Failed to fetch dead letters" });
+      }
+    });
+
+    // POST /api/webhook/dead-letters/replay - Replay all (or body.ids) dead letters
+    this.app.post("/api/webhook/dead-letters/replay", async (req, res) => {
+      try {
+        const ids = Array.isArray(req.body.ids) ? req.body.ids : undefined;
+        const replayed = await webhookService.replayDeadLetters(ids);
+        res.status(202).json({ replayed });
+      } catch (error) {
+        console.error("[ApiServer] Error replaying dead letters:", error.message);
+        res.status(500).json({ error: "Failed to replay dead letters" });
+      }
+    });
+
+    // POST /api/webhook/dead-letters/:id/replay - Replay a single dead letter
+    this.app.post("/api/webhook/dead-letters/:id/replay", async (req, res) => {
+      try {
+        const replayed = await webhookService.replayDeadLetters([req.params.id]);
+
+        if (replayed.length === 0) {
+          return res.status(404).json({ error: "Dead letter not found" });
+        }
+
+        res.status(202).json({ replayed });
+      } catch (error) {
+        console.error("[ApiServer] Error replaying dead letter:", error.message);
+        res.status(500).json({ error: "Failed to replay dead letter" });
+      }
+    });
+
+    // DELETE /api/webhook/dead-letters/:id - Discard a dead letter
+    this.app.delete("/api/webhook/dead-letters/:id", async (req, res) => {
+      try {
+        const deleted = await webhookService.queue.deleteDeadLetter(req.params.id);
+
+        if (!deleted) {
+          return res.status(404).json({ error: "Dead letter not found" });
+        }
+
+        res.status(204).send();
+      } catch (error) {
+        console.error("[ApiServer] Error deleting dead letter:", error.message);
+        res.status(500).json({ error: "Failed to delete dead letter" });
+      }
+    });
+
+    // GET /api/archive - Raw message archive files
+    this.app.get("/api/archive", (req, res) => {
+      const archive = archiveReplay.getArchive();
+      const files = archive.listFiles().map((name) => {
+        let size = null;
+        try {
+          size = fs.statSync(archive.resolveFile(name)).size;
+        } catch (e) {
+          // Pruned while listing
+        }
+        return { name, size };
+      });
+
+      res.json({
+        recording: Boolean(mqttSubscriber.archive),
+        ...archive.getStats(),
+        files,
+      });
+    });
+
+    // POST /api/archive/replay - Replay an archive file through parser + normalizer
+    // Body: { file, speed (1 = original, 0 = no delay), outputs (default true) }
+    this.app.post("/api/archive/replay", (req, res) => {
+      const { file, speed, outputs } = req.body;
+      const filePath = archiveReplay.getArchive().resolveFile(file);
+
+      if (!filePath) {
+        return res.status(400).json({ error: "Invalid archive file name" });
+      }
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: "Archive file not found" });
+      }
+      if (speed !== undefined && !(Number(speed) >= 0)) {
+        return res.status(400).json({ error: "speed must be a number >= 0" });
+      }
+      if (archiveReplay.isRunning()) {
+        return res.status(409).json({ error: "A replay is already running" });
+      }
+
+      archiveReplay.replay(filePath, { speed, outputs: outputs !== false }).catch((error) => {
+        console.error("[ApiServer] Replay error:", error.message);
+      });
+
+      res.status(202).json(archiveReplay.getStatus());
+    });
+
+    // GET /api/archive/replay - Status of the current or last replay
+    this.app.get("/api/archive/replay", (req, res) => {
+      const status = archiveReplay.getStatus();
+
+      if (!status) {
+        return res.status(404).json({ error: "No replay has been started" });
+      }
+
+      res.json(status);
+    });
+
+    // DELETE /api/archive/replay - Cancel the running replay
+    this.app.delete("/api/archive/replay", (req, res) => {
+      if (!archiveReplay.cancel()) {
+        return res.status(404).json({ error: "No replay is running" });
+      }
+
+      res.json(archiveReplay.getStatus());
+    });
   }
 
   /**
@@ -456,6 +971,63 @@ class ApiServer {
       }
     });
 
+    // GET /api/history/telemetry/aggregate - Min/max/avg per sensorIndex per time bucket
+    // Query: interval (5m|1h|1d, required), type, deviceId, moduleIndex, sensorIndex, startTime, endTime
+    this.app.get("/api/history/telemetry/aggregate", async (req, res) => {
+      let options;
+      try {
+        options = telemetryAggregator.parseOptions(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      try {
+        const db = database.getConnection();
+        res.json(await telemetryAggregator.aggregate(db, options));
+      } catch (error) {
+        console.error("[ApiServer] Error aggregating telemetry:", error.message);
+        res.status(500).json({ error: "Failed to aggregate telemetry" });
+      }
+    });
+
+    // GET /api/reports/occupancy/history - U-slot occupancy at a point in time
+    // Query: at (default now), deviceId, format (json|csv)
+    this.app.get("/api/reports/occupancy/history", async (req, res) => {
+      const at = req.query.at ? new Date(req.query.at) : new Date();
+      if (isNaN(at)) {
+        return res.status(400).json({ error: "at must be a valid date" });
+      }
+
+      try {
+        const db = database.getConnection();
+        const report = await occupancyReport.fromHistory(db, { at, deviceId: req.query.deviceId });
+        this.sendReport(res, report, req.query.format, `occupancy-${at.toISOString()}.csv`);
+      } catch (error) {
+        console.error("[ApiServer] Error building occupancy history:", error.message);
+        res.status(500).json({ error: "Failed to build occupancy history" });
+      }
+    });
+
+    // GET /api/history/tags/:tagId - ATTACHED/DETACHED timeline and dwell intervals of a tag
+    // Query: startTime, endTime, limit (default 1000)
+    this.app.get("/api/history/tags/:tagId", async (req, res) => {
+      let options;
+      try {
+        options = tagHistory.parseOptions(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      try {
+        const db = database.getConnection();
+        const history = await tagHistory.getHistory(db, req.params.tagId, options);
+        res.json({ ...history, asset: assetRegistry.getAsset(req.params.tagId) });
+      } catch (error) {
+        console.error("[ApiServer] Error fetching tag history:", error.message);
+        res.status(500).json({ error: "Failed to fetch tag history" });
+      }
+    });
+
     // GET /api/history/audit - List Config Changes
     this.app.get("/api/history/audit", async (req, res) => {
       try {
@@ -478,6 +1050,42 @@ class ApiServer {
       }
     });
 
+    // GET /api/history/commands - Command audit log (latest status per command)
+    // Filters: deviceId, source, origin (operator|automatic), user, messageType, status, startTime, endTime
+    this.app.get("/api/history/commands", async (req, res) => {
+      let options;
+      try {
+        options = commandAudit.parseOptions(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      try {
+        const db = database.getConnection();
+        res.json(await commandAudit.list(db, options));
+      } catch (error) {
+        console.error("[ApiServer] Error fetching command audit:", error.message);
+        res.status(500).json({ error: "Failed to fetch command audit" });
+      }
+    });
+
+    // GET /api/history/commands/:commandId - Status transitions of one command
+    this.app.get("/api/history/commands/:commandId", async (req, res) => {
+      try {
+        const db = database.getConnection();
+        const command = await commandAudit.getTrail(db, req.params.commandId);
+
+        if (!command) {
+          return res.status(404).json({ error: "Command not found" });
+        }
+
+        res.json(command);
+      } catch (error) {
+        console.error("[ApiServer] Error fetching command audit:", error.message);
+        res.status(500).json({ error: "Failed to fetch command audit" });
+      }
+    });
+
     // GET /api/history/devices - List devices in the DB
     this.app.get("/api/history/devices", async (req, res) => {
       try {
@@ -497,6 +1105,22 @@ class ApiServer {
     });
   }
 
+  /**
+   * Send an occupancy report as JSON or CSV attachment
+   * @param {Object} res - Express response
+   * @param {Object} report - Report from OccupancyReport
+   * @param {string} format - "csv" or json (default)
+   * @param {string} filename - CSV attachment name
+   */
+  sendReport(res, report, format, filename) {
+    if (format === "csv") {
+      res.attachment(filename.replace(/:/g, "-"));
+      res.type("text/csv");
+      return res.send(occupancyReport.toCsv(report));
+    }
+    res.json(report);
+  }
+
   /**
    * Error Handlers
    */
@@ -521,6 +1145,10 @@ class ApiServer {
     const port = this.config.port || 3000;
     const host = this.config.host || "0.0.0.0";
 
+    if (this.config.features?.management !== false) {
+      liveStream.start(this.config.stream);
+    }
+
     return new Promise((resolve, reject) => {
       this.server = this.app.listen(port, host, () => {
         console.log(`  ApiServer listening on http://${host}:${port}`);
@@ -545,6 +1173,9 @@ class ApiServer {
   async stop() {
     console.log("  Stopping ApiServer...");
 
+    // End open SSE streams, otherwise close() waits for them
+    liveStream.stop();
+
     if (this.server) {
       await new Promise((resolve) => {
         this.server.close(() => {
@@ -0,0 +1,201 @@
+/**
+ * Auth - API key / JWT authentication and role checks
+ *
+ * Shared by ApiServer (REST) and WebSocketServer (handshake) so both
+ * accept the same credentials and apply the same role hierarchy.
+ *
+ * Credentials (first match wins):
+ * - Authorization: Bearer <jwt>     (HS256, role from config.jwt.roleClaim)
+ * - X-API-Key: <key>                (role from config.apiKeys)
+ * - ?token=<jwt> / ?apiKey=<key>    (query, for browser WebSocket/EventSource
+ *                                     clients and scrapers; REST routes opt in)
+ *
+ * Roles are ordered viewer < operator < admin; a route requiring
+ * "operator" also accepts "admin". When auth is disabled every request is
+ * treated as an anonymous admin (previous open behaviour).
+ */
+
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "operator", "admin"];
+
+class Auth {
+  constructor() {
+    this.config = { enabled: false };
+    this.apiKeys = [];
+  }
+
+  /**
+   * Apply auth configuration (idempotent, called by each server)
+   * @param {Object} config - { enabled, apiKeys: [{ name, key, role }], jwt: { secret, issuer, audience, roleClaim } }
+   */
+  configure(config = {}) {
+    this.config = { enabled: false, ...config };
+    this.apiKeys = (config.apiKeys || []).map((entry) => {
+      if (!entry.key || !ROLES.includes(entry.role)) {
+        throw new Error(`Invalid API key entry "${entry.name}": key and role (${ROLES.join("/")}) required`);
+      }
+      return { name: entry.name || "api-key", role: entry.role, hash: this.hash(entry.key) };
+    });
+
+    if (this.config.enabled && this.apiKeys.length === 0 && !(config.jwt && config.jwt.secret)) {
+      throw new Error("Auth enabled but neither apiKeys nor jwt.secret configured");
+    }
+  }
+
+  /**
+   * Whether authentication is enforced
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled === true;
+  }
+
+  /**
+   * Authenticate a request from its headers / query
+   * @param {Object} headers - Lower-cased HTTP headers
+   * @param {Object} query - Parsed query string
+   * @returns {Object|null} Principal { name, role, type } or null when not authenticated
+   */
+  authenticate(headers = {}, query = {}) {
+    if (!this.isEnabled()) {
+      return { name: "anonymous", role: "admin", type: "none" };
+    }
+
+    const authorization = headers.authorization || "";
+    const bearer = authorization.startsWith("Bearer ") ? authorization.slice(7).trim() : null;
+    const token = bearer || query.token;
+    if (token) {
+      return this.verifyJwt(token);
+    }
+
+    const apiKey = headers["x-api-key"] || query.apiKey;
+    if (apiKey) {
+      return this.verifyApiKey(apiKey);
+    }
+
+    return null;
+  }
+
+  /**
+   * Look up an API key
+   * @param {string} key - Presented key
+   * @returns {Object|null} Principal or null
+   */
+  verifyApiKey(key) {
+    const hash = this.hash(String(key));
+    const entry = this.apiKeys.find((candidate) => crypto.timingSafeEqual(candidate.hash, hash));
+    return entry ? { name: entry.name, role: entry.role, type: "apiKey" } : null;
+  }
+
+  /**
+   * Verify an HS256 JWT and map its claims to a principal
+   * @param {string} token - Compact JWT
+   * @param {number} now - Current time in ms (for tests)
+   * @returns {Object|null} Principal or null when invalid/expired
+   */
+  verifyJwt(token, now = Date.now()) {
+    const jwtConfig = this.config.jwt || {};
+    if (!jwtConfig.secret) {
+      return null;
+    }
+
+    const parts = String(token).split(".");
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    try {
+      const header = JSON.parse(Buffer.from(parts[0], "base64url").toString());
+      if (header.alg !== "HS256") {
+        return null;
+      }
+
+      const expected = crypto
+        .createHmac("sha256", jwtConfig.secret)
+        .update(`${parts[0]}.${parts[1]}`)
+        .digest();
+      const signature = Buffer.from(parts[2], "base64url");
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return null;
+      }
+
+      const claims = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+      const seconds = Math.floor(now / 1000);
+      if (typeof claims.exp === "number" && seconds >= claims.exp) return null;
+      if (typeof claims.nbf === "number" && seconds < claims.nbf) return null;
+      if (jwtConfig.issuer && claims.iss !== jwtConfig.issuer) return null;
+      if (jwtConfig.audience) {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(jwtConfig.audience)) return null;
+      }
+
+      const role = this.highestRole(claims[jwtConfig.roleClaim || "role"]);
+      if (!role) {
+        return null;
+      }
+
+      return { name: claims.sub || "jwt", role, type: "jwt" };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Pick the highest known role from a claim (string or array)
+   * @param {string|Array} claim - Role claim value
+   * @returns {string|null} Role
+   */
+  highestRole(claim) {
+    const roles = (Array.isArray(claim) ? claim : [claim]).filter((role) => ROLES.includes(role));
+    return roles.sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || null;
+  }
+
+  /**
+   * Check a principal against a required role
+   * @param {Object} principal - Principal from authenticate()
+   * @param {string} required - Required role
+   * @returns {boolean}
+   */
+  hasRole(principal, required) {
+    return !!principal && ROLES.indexOf(principal.role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * Express middleware enforcing a role
+   * Query credentials are only read where allowsQueryToken(req) is true, so
+   * keys do not end up in proxy logs and browser history for every route.
+   * @param {Function} requiredRole - (req) => role or null for public routes
+   * @param {Function} [allowsQueryToken] - (req) => true if ?token= / ?apiKey= are accepted
+   * @returns {Function} Middleware setting req.principal
+   */
+  middleware(requiredRole, allowsQueryToken = () => false) {
+    return (req, res, next) => {
+      const role = requiredRole(req);
+      const principal = this.authenticate(req.headers, allowsQueryToken(req) ? req.query : {});
+      req.principal = principal;
+
+      if (!role) {
+        return next();
+      }
+      if (!principal) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      if (!this.hasRole(principal, role)) {
+        return res.status(403).json({ error: `Role "${role}" required` });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Fixed-length digest so keys compare in constant time
+   * @param {string} value - Secret
+   * @returns {Buffer} SHA-256 digest
+   */
+  hash(value) {
+    return crypto.createHash("sha256").update(value).digest();
+  }
+}
+
+module.exports = new Auth();
@@ -0,0 +1,199 @@
+/**
+ * LiveStream - Server-Sent Events feed of normalized SUOs
+ *
+ * Carries the same SUOs as the WebSocket feed for consumers behind proxies
+ * that block WebSockets (GET /api/live/stream on ApiServer).
+ *
+ * Every SUO gets an event id "<bootId>-<seq>" (bootId changes on every
+ * start of the process, seq counts up) and is kept in a ring buffer of
+ * bufferSize events. A client reconnecting with Last-Event-ID receives the
+ * buffered events after that id; if the id is no longer buffered or has
+ * another bootId (it comes from before a restart) it receives a "gap" event
+ * instead and should reload state over REST.
+ *
+ * Clients with more than maxBufferedBytes unsent (events or keep-alives) are
+ * disconnected; the browser reconnects and resumes from the ring buffer.
+ */
+
+const eventBus = require("../../core/EventBus");
+const suoFilter = require("./SuoFilter");
+
+class LiveStream {
+  constructor() {
+    this.config = {};
+    this.buffer = []; // [{ seq, id, suo }] oldest first
+    this.bootId = Date.now().toString(36);
+    this.nextSeq = 1;
+    this.clients = new Set(); // { res, filter }
+    this.listener = null;
+    this.keepAliveTimer = null;
+
+    this.stats = {
+      connections: 0,
+      eventsSent: 0,
+      resumed: 0,
+      gaps: 0,
+      slowDisconnects: 0,
+    };
+  }
+
+  /**
+   * Subscribe to normalized data and start keep-alive comments
+   * @param {Object} config - { bufferSize, keepAliveInterval, retry, maxBufferedBytes }
+   */
+  start(config = {}) {
+    if (this.listener) {
+      return;
+    }
+    this.config = config;
+
+    this.listener = (suo) => this.publish(suo);
+    eventBus.onDataNormalized(this.listener);
+
+    // Comment lines keep proxies from closing idle streams
+    this.keepAliveTimer = setInterval(() => {
+      this.clients.forEach((client) => this.send(client, ": keep-alive\n\n"));
+    }, this.config.keepAliveInterval || 15000);
+  }
+
+  /**
+   * Unsubscribe and end all client streams
+   */
+  stop() {
+    if (this.listener) {
+      eventBus.removeListener("data.normalized", this.listener);
+      this.listener = null;
+    }
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+  }
+
+  /**
+   * Buffer an SUO and send it to matching clients
+   * @param {Object} suo - Standard Unified Object
+   */
+  publish(suo) {
+    const seq = this.nextSeq++;
+    const event = { seq, id: `${this.bootId}-${seq}`, suo };
+
+    this.buffer.push(event);
+    if (this.buffer.length > (this.config.bufferSize || 1000)) {
+      this.buffer.shift();
+    }
+
+    this.clients.forEach((client) => {
+      if (suoFilter.matches(client.filter, suo)) {
+        this.write(client, event);
+      }
+    });
+  }
+
+  /**
+   * Open an event stream on an HTTP response
+   * @param {Object} req - HTTP request (closing it removes the client)
+   * @param {Object} res - HTTP response
+   * @param {Object} filter - Normalized filter (SuoFilter)
+   * @param {string|null} lastEventId - Last-Event-ID to resume after
+   */
+  addClient(req, res, filter, lastEventId = null) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx: do not buffer the stream
+    });
+    res.write(`retry: ${this.config.retry || 3000}\n\n`);
+
+    const client = { res, filter };
+    this.clients.add(client);
+    this.stats.connections++;
+
+    if (lastEventId !== null) {
+      this.replay(client, lastEventId);
+    }
+
+    req.on("close", () => {
+      this.clients.delete(client);
+    });
+  }
+
+  /**
+   * Send buffered events after lastEventId, or a gap event if they are gone
+   * @param {Object} client - Client
+   * @param {string} lastEventId - Last event id the client received ("<bootId>-<seq>")
+   */
+  replay(client, lastEventId) {
+    const oldestSeq = this.buffer.length > 0 ? this.buffer[0].seq : this.nextSeq;
+    const match = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId);
+    // Ids from before a restart: nothing in the buffer relates to them
+    const sameBoot = match !== null && match[1] === this.bootId && parseInt(match[2]) < this.nextSeq;
+    const lastSeq = sameBoot ? parseInt(match[2]) : null;
+
+    if (!sameBoot || lastSeq < oldestSeq - 1) {
+      this.stats.gaps++;
+      this.send(
+        client,
+        `event: gap\ndata: ${JSON.stringify({ lastEventId, oldestEventId: `${this.bootId}-${oldestSeq}` })}\n\n`,
+      );
+      if (!sameBoot) {
+        return;
+      }
+    } else {
+      this.stats.resumed++;
+    }
+
+    this.buffer
+      .filter((event) => event.seq > lastSeq && suoFilter.matches(client.filter, event.suo))
+      .forEach((event) => this.write(client, event));
+  }
+
+  /**
+   * Write one event
+   * @param {Object} client - Client
+   * @param {Object} event - { seq, id, suo }
+   */
+  write(client, event) {
+    if (this.send(client, `id: ${event.id}\ndata: ${JSON.stringify(event.suo)}\n\n`)) {
+      this.stats.eventsSent++;
+    }
+  }
+
+  /**
+   * Write a chunk, dropping clients that stopped reading
+   * @param {Object} client - Client
+   * @param {string} chunk - SSE frame or comment
+   * @returns {boolean} True if written, false if the client was disconnected
+   */
+  send(client, chunk) {
+    if (client.res.writableLength > (this.config.maxBufferedBytes || 1048576)) {
+      console.warn(`[LiveStream] Disconnecting slow client (${client.res.writableLength} bytes buffered)`);
+      this.stats.slowDisconnects++;
+      this.clients.delete(client);
+      client.res.end();
+      return false;
+    }
+
+    client.res.write(chunk);
+    return true;
+  }
+
+  /**
+   * Stream statistics (for /api/health)
+   * @returns {Object} Clients, buffered range and totals since start
+   */
+  getStats() {
+    return {
+      clients: this.clients.size,
+      buffered: this.buffer.length,
+      lastEventId: this.nextSeq > 1 ? `${this.bootId}-${this.nextSeq - 1}` : null,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = new LiveStream();
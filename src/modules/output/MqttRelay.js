@@ -2,16 +2,27 @@
  * MqttRelay - Output module for relaying data via MQTT
  *
  * Publishes normalized data to an MQTT topic for downstream consumers.
+ *
+ * Topic is the static topic unless topicTemplate is set (opt-in, e.g.
+ * "IoTOutput/{deviceType}/{deviceId}/{messageType}/{moduleIndex}") so subscribers can use MQTT wildcards.
+ * QoS and retain are configurable per message type.
  */
 
 const mqtt = require("mqtt");
 const eventBus = require("../../core/EventBus");
+const metrics = require("../../core/Metrics");
 
 class MqttRelay {
   constructor() {
     this.config = null;
     this.client = null;
     this.isConnected = false;
+
+    metrics.counter(
+      "iot_relay_publish_failures_total",
+      "SUOs the MQTT relay failed to publish, per message type",
+      ["messageType"],
+    );
   }
 
   /**
@@ -98,21 +109,71 @@ class MqttRelay {
       }
 
       // Publish to relay topic
-      const topic = this.config.topic || "IoTOutput";
+      const topic = this.buildTopic(suo);
       const payload = JSON.stringify(suo);
 
-      this.client.publish(topic, payload, { qos: 0 }, (err) => {
+      this.client.publish(topic, payload, this.getPublishOptions(suo.messageType), (err) => {
         if (err) {
+          metrics.inc("iot_relay_publish_failures_total", { messageType: suo.messageType });
           console.error(`Failed to publish to ${topic}:`, err.message);
           eventBus.emitError(err, "MqttRelay");
         }
       });
     } catch (error) {
+      metrics.inc("iot_relay_publish_failures_total", { messageType: suo && suo.messageType });
       console.error("MqttRelay error:", error.message);
       eventBus.emitError(error, "MqttRelay");
     }
   }
 
+  /**
+   * Build the output topic for a SUO
+   * Placeholders: {deviceType}, {deviceId}, {messageType}, {moduleIndex}, {moduleId}.
+   * Trailing levels that resolve to empty (e.g. {moduleIndex} on device-level messages) are dropped;
+   * empty levels before a non-empty one become "_" so every level keeps its position.
+   * @param {Object} suo - Standard Unified Object
+   * @returns {string} MQTT topic
+   */
+  buildTopic(suo) {
+    const template = this.config.topicTemplate;
+    if (!template) {
+      return this.config.topic || "IoTOutput";
+    }
+
+    const levels = template.split("/").map((level) =>
+      level.replace(/\{(\w+)\}/g, (match, field) => {
+        const value = suo[field];
+        if (value === undefined || value === null) {
+          return "";
+        }
+        // Topic levels must not contain separators or wildcards
+        return String(value).replace(/[/+#]/g, "_");
+      }),
+    );
+
+    while (levels.length > 1 && levels[levels.length - 1] === "") {
+      levels.pop();
+    }
+
+    return levels.map((level) => level || "_").join("/");
+  }
+
+  /**
+   * Get publish options for a message type
+   * Per-type settings in messageTypes override the module-level qos/retain defaults.
+   * @param {string} messageType - SUO message type
+   * @returns {Object} { qos, retain }
+   */
+  getPublishOptions(messageType) {
+    const overrides = (this.config.messageTypes && this.config.messageTypes[messageType]) || {};
+
+    return {
+      qos: overrides.qos !== undefined ? overrides.qos : this.config.qos || 0,
+      retain:
+        overrides.retain !== undefined ? overrides.retain : this.config.retain === true,
+    };
+  }
+
   /**
    * Stop MQTT relay
    * @returns {Promise<void>}
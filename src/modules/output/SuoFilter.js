@@ -0,0 +1,70 @@
+/**
+ * SuoFilter - deviceId / moduleIndex / messageType filters for live feeds
+ *
+ * Shared by WebSocketServer subscriptions and the ApiServer SSE stream.
+ * A normalized filter holds an array per field, or null for "any".
+ * Device-level SUOs without a moduleIndex (e.g. DEVICE_METADATA,
+ * DEVICE_OFFLINE) pass a moduleIndex filter.
+ */
+
+class SuoFilter {
+  /**
+   * Validate a filter; each field is a value or an array of values
+   * @param {Object} filter - { deviceId, moduleIndex, messageType }
+   * @returns {Object} Normalized filter (arrays, null = any)
+   * @throws {Error} On invalid values (message is safe to return to clients)
+   */
+  parse(filter) {
+    const toList = (value) => (value === undefined || value === null ? null : [].concat(value));
+
+    const deviceId = toList(filter.deviceId);
+    const moduleIndex = toList(filter.moduleIndex);
+    const messageType = toList(filter.messageType);
+
+    if (deviceId && !deviceId.every((id) => typeof id === "string" && id)) {
+      throw new Error("filter.deviceId must be a string or an array of strings");
+    }
+    if (moduleIndex && !moduleIndex.every((index) => Number.isInteger(index) && index >= 0)) {
+      throw new Error("filter.moduleIndex must be an integer or an array of integers");
+    }
+    if (messageType && !messageType.every((type) => typeof type === "string" && type)) {
+      throw new Error("filter.messageType must be a string or an array of strings");
+    }
+
+    return { deviceId, moduleIndex, messageType };
+  }
+
+  /**
+   * Build a filter from query parameters (comma-separated lists)
+   * @param {Object} query - { deviceId, moduleIndex, messageType }
+   * @returns {Object} Normalized filter
+   * @throws {Error} On invalid values
+   */
+  fromQuery(query) {
+    const split = (value) => (value ? String(value).split(",").map((item) => item.trim()).filter(Boolean) : undefined);
+    const moduleIndex = split(query.moduleIndex);
+
+    return this.parse({
+      deviceId: split(query.deviceId),
+      moduleIndex: moduleIndex && moduleIndex.map((index) => (/^\d+$/.test(index) ? parseInt(index) : index)),
+      messageType: split(query.messageType),
+    });
+  }
+
+  /**
+   * Check an SUO against a normalized filter
+   * @param {Object} filter - Normalized filter
+   * @param {Object} suo - Standard Unified Object
+   * @returns {boolean}
+   */
+  matches(filter, suo) {
+    if (filter.deviceId && !filter.deviceId.includes(suo.deviceId)) return false;
+    if (filter.messageType && !filter.messageType.includes(suo.messageType)) return false;
+    if (filter.moduleIndex && suo.moduleIndex !== undefined && suo.moduleIndex !== null) {
+      return filter.moduleIndex.includes(suo.moduleIndex);
+    }
+    return true;
+  }
+}
+
+module.exports = new SuoFilter();
@@ -2,17 +2,62 @@
  * WebSocketServer - Real-time feed for dashboard
  *
  * Provides WebSocket endpoint for real-time data streaming to dashboard clients.
+ * The handshake is authenticated with the same credentials as the REST API
+ * (Authorization / X-API-Key headers or token / apiKey query parameters);
+ * commands require the operator role.
+ *
+ * Subscriptions: a client that sends `subscribe` only receives SUOs matching
+ * one of its filters (deviceId / moduleIndex / messageType) and gets the
+ * matching StateCache state right away; clients without subscriptions keep
+ * receiving every SUO.
+ *
+ * Command status: command_status updates go to the client that issued the
+ * command and to operator/admin clients watching the device, without the
+ * requester identity (user, authType, clientIp).
+ *
+ * Liveness: clients are pinged every pingInterval and terminated when no
+ * pong arrives within pongTimeout (half-open connections).
+ *
+ * Backpressure: once a socket has more than maxBufferedBytes unsent,
+ * further messages are held in a per-client queue of maxQueuedMessages
+ * (policy "drop-oldest": the oldest queued message is dropped when full)
+ * or the client is disconnected (policy "disconnect").
  */
 
 const WebSocket = require("ws");
 const eventBus = require("../../core/EventBus");
+const StateCache = require("../normalizer/StateCache");
+const commandService = require("../command/CommandService");
+const auth = require("./Auth");
+const suoFilter = require("./SuoFilter");
+
+// Upper bound on subscriptions per client
+const MAX_SUBSCRIPTIONS = 50;
+
+// Command record fields not sent in command_status (requester identity)
+const COMMAND_IDENTITY_FIELDS = ["user", "authType", "clientIp"];
+
+// Close code for clients disconnected by the backpressure policy
+const CLOSE_TRY_AGAIN_LATER = 1013;
 
 class WebSocketServer {
   constructor() {
     this.config = null;
     this.server = null;
-    this.clients = new Map(); // ws -> { id, ip, connectedAt }
+    this.clients = new Map(); // ws -> { id, ip, connectedAt, principal, subscriptions, commandIds }
     this.nextClientId = 1;
+    this.nextSubscriptionId = 1;
+    this.pingTimer = null;
+    this.commandStatusListener = null;
+
+    // Totals since start (per-client counters live in clientInfo)
+    this.stats = {
+      connections: 0,
+      messagesSent: 0,
+      messagesDropped: 0,
+      slowDisconnects: 0,
+      reaped: 0,
+    };
   }
 
   /**
@@ -22,6 +67,8 @@ class WebSocketServer {
    */
   async initialize(config) {
     this.config = config;
+    const globalConfig = require("config");
+    auth.configure(globalConfig.has("auth") ? globalConfig.get("auth") : {});
     console.log("  WebSocketServer initialized");
   }
 
@@ -38,7 +85,10 @@ class WebSocketServer {
 
     const port = this.config.port || 3001;
 
-    this.server = new WebSocket.Server({ port });
+    this.server = new WebSocket.Server({
+      port,
+      verifyClient: (info, callback) => this.verifyClient(info, callback),
+    });
 
     this.server.on("connection", (ws, req) => {
       this.handleConnection(ws, req);
@@ -54,9 +104,39 @@ class WebSocketServer {
       this.broadcast(suo);
     });
 
+    // Subscribe to command lifecycle updates
+    this.commandStatusListener = (command) => {
+      this.sendCommandStatus(command);
+    };
+    eventBus.onCommandStatus(this.commandStatusListener);
+
+    // Ping clients and reap those that stopped answering
+    const pingInterval = this.config.pingInterval || 30000;
+    this.pingTimer = setInterval(() => {
+      this.checkLiveness();
+    }, pingInterval);
+
     console.log(`  WebSocketServer listening on port ${port}`);
   }
 
+  /**
+   * Authenticate the upgrade request (rejects with 401)
+   * @param {Object} info - { origin, secure, req }
+   * @param {Function} callback - (result, code, message)
+   */
+  verifyClient(info, callback) {
+    const query = Object.fromEntries(new URL(info.req.url, "http://localhost").searchParams);
+    const principal = auth.authenticate(info.req.headers, query);
+
+    if (!principal) {
+      console.warn(`[WebSocket] Rejected unauthenticated connection from ${info.req.socket.remoteAddress}`);
+      return callback(false, 401, "Unauthorized");
+    }
+
+    info.req.principal = principal;
+    callback(true);
+  }
+
   /**
    * Handle new WebSocket connection
    * @param {WebSocket} ws - WebSocket connection
@@ -65,11 +145,26 @@ class WebSocketServer {
   handleConnection(ws, req) {
     const clientIp = req.socket.remoteAddress;
     const clientId = `client-${this.nextClientId++}`;
-    const clientInfo = { id: clientId, ip: clientIp, connectedAt: new Date() };
-    
-    console.log(`[WebSocket] ${clientId} connected from ${clientIp}`);
+    const clientInfo = {
+      id: clientId,
+      ip: clientIp,
+      connectedAt: new Date(),
+      principal: req.principal || null,
+      subscriptions: new Map(), // subscriptionId -> filter
+      commandIds: new Set(), // Commands issued by this client, until complete
+      lastPong: Date.now(),
+      queue: [], // Serialized messages held back by backpressure
+      sent: 0,
+      dropped: 0,
+    };
+
+    console.log(
+      `[WebSocket] ${clientId} connected from ${clientIp}` +
+        (clientInfo.principal ? ` as ${clientInfo.principal.name} (${clientInfo.principal.role})` : ""),
+    );
 
     this.clients.set(ws, clientInfo);
+    this.stats.connections++;
 
     // Send welcome message
     this.send(ws, {
@@ -78,6 +173,10 @@ class WebSocketServer {
       timestamp: new Date(),
     });
 
+    ws.on("pong", () => {
+      clientInfo.lastPong = Date.now();
+    });
+
     // Handle incoming messages (for commands, etc.)
     ws.on("message", (data) => {
       this.handleMessage(ws, data);
@@ -113,20 +212,39 @@ class WebSocketServer {
 
       // Handle command requests from dashboard
       if (message.type === "command") {
+        const clientInfo = this.clients.get(ws);
+        if (!clientInfo || !auth.hasRole(clientInfo.principal, "operator")) {
+          this.sendError(ws, message.messageId, 'Role "operator" required');
+          return;
+        }
+
+        const commandId = commandService.generateCommandId();
+        clientInfo.commandIds.add(commandId);
+
         eventBus.emitCommandRequest({
           deviceId: message.deviceId,
           deviceType: message.deviceType,
           messageType: message.messageType,
           payload: message.payload || {},
           timestamp: new Date(),
+          commandId,
+          source: "websocket",
+          user: clientInfo.principal.name,
+          authType: clientInfo.principal.type,
+          clientIp: clientInfo.ip,
         });
 
-        // Send acknowledgment
+        // Send acknowledgment (status updates follow as command_status)
         this.send(ws, {
           type: "command_ack",
           messageId: message.messageId,
+          commandId,
           timestamp: new Date(),
         });
+      } else if (message.type === "subscribe") {
+        this.handleSubscribe(ws, message);
+      } else if (message.type === "unsubscribe") {
+        this.handleUnsubscribe(ws, message);
       }
     } catch (error) {
       console.error("WebSocket message error:", error.message);
@@ -135,30 +253,300 @@ class WebSocketServer {
   }
 
   /**
-   * Broadcast data to all connected clients
+   * Add a subscription and send the matching StateCache snapshot
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} message - { subscriptionId, filter, snapshot, messageId }
+   */
+  handleSubscribe(ws, message) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      return;
+    }
+
+    let filter;
+    try {
+      filter = suoFilter.parse(message.filter || {});
+    } catch (error) {
+      return this.sendError(ws, message.messageId, error.message);
+    }
+
+    const subscriptionId = message.subscriptionId
+      ? String(message.subscriptionId)
+      : `sub-${this.nextSubscriptionId++}`;
+    if (!clientInfo.subscriptions.has(subscriptionId) && clientInfo.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+      return this.sendError(ws, message.messageId, `At most ${MAX_SUBSCRIPTIONS} subscriptions per client`);
+    }
+
+    clientInfo.subscriptions.set(subscriptionId, filter);
+
+    this.send(ws, {
+      type: "subscribed",
+      messageId: message.messageId,
+      subscriptionId,
+      filter,
+      timestamp: new Date(),
+    });
+
+    if (message.snapshot !== false) {
+      this.send(ws, {
+        type: "snapshot",
+        subscriptionId,
+        data: this.getSnapshot(filter),
+        timestamp: new Date(),
+      });
+    }
+  }
+
+  /**
+   * Remove one subscription (subscriptionId) or all of them
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} message - { subscriptionId, messageId }
+   */
+  handleUnsubscribe(ws, message) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      return;
+    }
+
+    let removed;
+    if (message.subscriptionId !== undefined) {
+      const subscriptionId = String(message.subscriptionId);
+      if (!clientInfo.subscriptions.delete(subscriptionId)) {
+        return this.sendError(ws, message.messageId, `Unknown subscription: ${subscriptionId}`);
+      }
+      removed = [subscriptionId];
+    } else {
+      removed = Array.from(clientInfo.subscriptions.keys());
+      clientInfo.subscriptions.clear();
+    }
+
+    this.send(ws, {
+      type: "unsubscribed",
+      messageId: message.messageId,
+      subscriptionIds: removed,
+      timestamp: new Date(),
+    });
+  }
+
+  /**
+   * Whether a client should receive an SUO
+   * @param {Object} clientInfo - Client info
+   * @param {Object} suo - Standard Unified Object
+   * @returns {boolean} True without subscriptions or when any filter matches
+   */
+  isSubscribed(clientInfo, suo) {
+    if (!clientInfo.subscriptions || clientInfo.subscriptions.size === 0) {
+      return true;
+    }
+    for (const filter of clientInfo.subscriptions.values()) {
+      if (suoFilter.matches(filter, suo)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Current StateCache state for a filter (messageType does not narrow the snapshot)
+   * @param {Object} filter - Normalized filter
+   * @returns {Object} { devices: [metadata], modules: [telemetry] }
+   */
+  getSnapshot(filter) {
+    const devices = StateCache.getAllMetadata().filter(
+      (metadata) => !filter.deviceId || filter.deviceId.includes(metadata.deviceId),
+    );
+    const modules = StateCache.getAllTelemetry()
+      .filter(
+        (telemetry) =>
+          (!filter.deviceId || filter.deviceId.includes(telemetry.deviceId)) &&
+          (!filter.moduleIndex || filter.moduleIndex.includes(telemetry.moduleIndex)),
+      )
+      .map(({ key, ...telemetry }) => telemetry);
+
+    return { devices, modules };
+  }
+
+  /**
+   * Send an error reply for a rejected client message
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {string} messageId - Client messageId to echo
+   * @param {string} error - Error text
+   */
+  sendError(ws, messageId, error) {
+    this.send(ws, {
+      type: "error",
+      messageId,
+      error,
+      timestamp: new Date(),
+    });
+  }
+
+  /**
+   * Send an SUO to every client subscribed to it
    * @param {Object} suo - Standard Unified Object
    */
   broadcast(suo) {
-    const message = {
+    const payload = JSON.stringify({
       type: "data",
       data: suo,
       timestamp: new Date(),
-    };
+    });
 
-    const payload = JSON.stringify(message);
+    this.clients.forEach((clientInfo, ws) => {
+      if (this.isSubscribed(clientInfo, suo)) {
+        this.sendRaw(ws, clientInfo, payload);
+      }
+    });
+  }
+
+  /**
+   * Send a command status update to the issuing client and to operator/admin
+   * clients watching the device (requester identity removed)
+   * @param {Object} command - Command record snapshot (from CommandService)
+   */
+  sendCommandStatus(command) {
+    const data = { ...command };
+    COMMAND_IDENTITY_FIELDS.forEach((field) => delete data[field]);
+
+    const payload = JSON.stringify({
+      type: "command_status",
+      data,
+      timestamp: new Date(),
+    });
+
+    // No further update follows
+    const complete = commandService.isComplete(command);
+
+    this.clients.forEach((clientInfo, ws) => {
+      const issued = clientInfo.commandIds.has(command.commandId);
+      if (issued && complete) {
+        clientInfo.commandIds.delete(command.commandId);
+      }
+
+      if (
+        issued ||
+        (auth.hasRole(clientInfo.principal, "operator") && this.isWatchingDevice(clientInfo, command.deviceId))
+      ) {
+        this.sendRaw(ws, clientInfo, payload);
+      }
+    });
+  }
+
+  /**
+   * Whether a client's subscriptions cover a device
+   * @param {Object} clientInfo - Client info
+   * @param {string} deviceId - Device ID
+   * @returns {boolean} True without subscriptions or when any filter allows the device
+   */
+  isWatchingDevice(clientInfo, deviceId) {
+    if (clientInfo.subscriptions.size === 0) {
+      return true;
+    }
+    for (const filter of clientInfo.subscriptions.values()) {
+      if (!filter.deviceId || filter.deviceId.includes(deviceId)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Send a serialized message, applying the backpressure policy
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} clientInfo - Client info
+   * @param {string} payload - Serialized message
+   */
+  sendRaw(ws, clientInfo, payload) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (clientInfo.queue.length === 0 && !this.isSaturated(ws)) {
+      this.write(ws, clientInfo, payload);
+      return;
+    }
+
+    const config = this.config || {};
+    if (config.backpressurePolicy === "disconnect") {
+      this.stats.messagesDropped++;
+      clientInfo.dropped++;
+      this.stats.slowDisconnects++;
+      console.warn(`[WebSocket] Disconnecting slow client ${clientInfo.id} (${ws.bufferedAmount} bytes buffered)`);
+      this.clients.delete(ws);
+      ws.close(CLOSE_TRY_AGAIN_LATER, "Send buffer full");
+      return;
+    }
+
+    // drop-oldest
+    clientInfo.queue.push(payload);
+    if (clientInfo.queue.length > (config.maxQueuedMessages || 1000)) {
+      clientInfo.queue.shift();
+      clientInfo.dropped++;
+      this.stats.messagesDropped++;
+    }
+  }
+
+  /**
+   * Hand a message to the socket; the write callback drains the queue
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} clientInfo - Client info
+   * @param {string} payload - Serialized message
+   */
+  write(ws, clientInfo, payload) {
+    try {
+      ws.send(payload, (error) => {
+        if (!error) this.drain(ws, clientInfo);
+      });
+      clientInfo.sent++;
+      this.stats.messagesSent++;
+    } catch (error) {
+      console.error(`[WebSocket] Failed to send to ${clientInfo.id}:`, error.message);
+      this.clients.delete(ws);
+    }
+  }
+
+  /**
+   * Send queued messages while the socket has room
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} clientInfo - Client info
+   */
+  drain(ws, clientInfo) {
+    while (clientInfo.queue.length > 0 && ws.readyState === WebSocket.OPEN && !this.isSaturated(ws)) {
+      this.write(ws, clientInfo, clientInfo.queue.shift());
+    }
+  }
+
+  /**
+   * Whether the socket holds more unsent bytes than maxBufferedBytes
+   * @param {WebSocket} ws - WebSocket connection
+   * @returns {boolean}
+   */
+  isSaturated(ws) {
+    const maxBufferedBytes = (this.config && this.config.maxBufferedBytes) || 1048576;
+    return ws.bufferedAmount > maxBufferedBytes;
+  }
+
+  /**
+   * Terminate clients without a pong within pongTimeout, ping the rest
+   * @param {number} now - Current time in ms (for tests)
+   */
+  checkLiveness(now = Date.now()) {
+    const config = this.config || {};
+    const pongTimeout = config.pongTimeout || (config.pingInterval || 30000) * 2;
 
-    // Send to all connected clients
     this.clients.forEach((clientInfo, ws) => {
+      if (now - clientInfo.lastPong > pongTimeout) {
+        console.warn(`[WebSocket] Reaping ${clientInfo.id}: no pong for ${now - clientInfo.lastPong}ms`);
+        this.stats.reaped++;
+        this.clients.delete(ws);
+        ws.terminate();
+        return;
+      }
+
       if (ws.readyState === WebSocket.OPEN) {
         try {
-          ws.send(payload);
+          ws.ping();
         } catch (error) {
-          console.error(`[WebSocket] Failed to send to ${clientInfo.id}:`, error.message);
-          this.clients.delete(ws);
+          console.error(`[WebSocket] Failed to ping ${clientInfo.id}:`, error.message);
         }
       }
     });
-
   }
 
   /**
@@ -167,6 +555,12 @@ class WebSocketServer {
    * @param {Object} message - Message to send
    */
   send(ws, message) {
+    const clientInfo = this.clients.get(ws);
+    if (clientInfo) {
+      this.sendRaw(ws, clientInfo, JSON.stringify(message));
+      return;
+    }
+
     if (ws.readyState === WebSocket.OPEN) {
       try {
         ws.send(JSON.stringify(message));
@@ -184,6 +578,26 @@ class WebSocketServer {
     return this.clients.size;
   }
 
+  /**
+   * Connection statistics (for /api/health)
+   * @returns {Object} Totals since start plus currently queued messages
+   */
+  getStats() {
+    let queued = 0;
+    let subscriptions = 0;
+    this.clients.forEach((clientInfo) => {
+      queued += clientInfo.queue.length;
+      subscriptions += clientInfo.subscriptions.size;
+    });
+
+    return {
+      clients: this.clients.size,
+      subscriptions,
+      queued,
+      ...this.stats,
+    };
+  }
+
   /**
    * Stop WebSocket server
    * @returns {Promise<void>}
@@ -191,6 +605,11 @@ class WebSocketServer {
   async stop() {
     console.log("  Stopping WebSocketServer...");
 
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+
     // Close all client connections
     this.clients.forEach((clientInfo, ws) => {
       console.log(`[WebSocket] Closing ${clientInfo.id}`);
@@ -209,6 +628,12 @@ class WebSocketServer {
     // Unsubscribe from events
     eventBus.removeAllListeners("data.normalized");
 
+    // Only our own listener - StorageService and CommandService also follow command.status
+    if (this.commandStatusListener) {
+      eventBus.removeListener("command.status", this.commandStatusListener);
+      this.commandStatusListener = null;
+    }
+
     console.log("  WebSocketServer stopped");
   }
 }
@@ -0,0 +1,407 @@
+/**
+ * WebhookQueue - Durable outbound queue for WebhookService
+ *
+ * Every delivery is written to disk before it is attempted and removed only
+ * after a 2xx response, so deliveries survive receiver outages and restarts
+ * (at-least-once). Failed deliveries are retried with exponential backoff and
+ * moved to the dead-letter store after maxAttempts. Each target holds at most
+ * maxPending entries; new entries beyond that are counted and discarded, and
+ * the dead-letter store keeps the newest maxDeadLetters entries, so a receiver
+ * that is down for long cannot fill the disk.
+ *
+ * Layout:
+ * - {queueDir}/pending/{id}.json - entries waiting for (re)delivery
+ * - {queueDir}/dead/{id}.json    - entries that exhausted maxAttempts
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class WebhookQueue {
+  /**
+   * @param {Object} config - Webhook module configuration
+   */
+  constructor(config = {}) {
+    const retry = config.retry || {};
+
+    this.queueDir = path.resolve(config.queueDir || "data/webhook");
+    this.pendingDir = path.join(this.queueDir, "pending");
+    this.deadDir = path.join(this.queueDir, "dead");
+
+    this.maxAttempts = retry.maxAttempts || 10;
+    this.initialDelay = retry.initialDelay || 1000; // Default: 1s
+    this.maxDelay = retry.maxDelay || 300000; // Default: 5 minutes
+    this.maxPending = config.maxPending || 10000; // Per target
+    this.maxDeadLetters = config.maxDeadLetters || 10000;
+
+    // Pending entries by id (mirrors pendingDir)
+    this.pending = new Map();
+
+    // Pending entry count by target name
+    this.pendingCounts = new Map();
+
+    // Dead-letter ids, oldest first (mirrors deadDir without reading the entries)
+    this.deadIds = new Set();
+
+    this.stats = {
+      enqueued: 0,
+      delivered: 0,
+      retried: 0,
+      deadLettered: 0,
+      overflowed: 0,
+      deadDropped: 0,
+      replayed: 0,
+    };
+  }
+
+  /**
+   * Create queue directories and load pending entries left by a previous run
+   * @returns {Promise<number>} Number of restored entries
+   */
+  async load() {
+    await fs.promises.mkdir(this.pendingDir, { recursive: true });
+    await fs.promises.mkdir(this.deadDir, { recursive: true });
+
+    const entries = await this.readDir(this.pendingDir);
+    entries.forEach((entry) => {
+      this.addPending(entry);
+    });
+
+    const deadFiles = await fs.promises.readdir(this.deadDir);
+    this.deadIds = new Set(
+      deadFiles
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => file.slice(0, -".json".length))
+        .filter((id) => this.isValidId(id))
+        .sort(),
+    );
+
+    return entries.length;
+  }
+
+  /**
+   * Add a delivery to the queue (persisted before returning)
+   * When the target already has maxPending entries, nothing is written and
+   * the overflow is only counted.
+   * @param {Object} suo - Standard Unified Object
+   * @param {string} target - Webhook target name
+   * @returns {Promise<Object|null>} Queue entry, or null when the target's queue is full
+   */
+  async enqueue(suo, target) {
+    if ((this.pendingCounts.get(target) || 0) >= this.maxPending) {
+      this.stats.overflowed++;
+      return null;
+    }
+
+    const now = new Date();
+    const entry = {
+      id: this.generateId(),
+      target,
+      suo,
+      attempts: 0,
+      createdAt: now.toISOString(),
+      nextAttemptAt: now.toISOString(),
+      lastError: null,
+    };
+
+    await this.writeEntry(this.pendingDir, entry);
+    this.addPending(entry);
+    this.stats.enqueued++;
+
+    return entry;
+  }
+
+  /**
+   * Get entries due for delivery, oldest first
+   * @param {Date} now - Reference time
+   * @param {string} [target] - Only entries for this target
+   * @returns {Array} Due entries
+   */
+  getDue(now = new Date(), target) {
+    return Array.from(this.pending.values())
+      .filter((entry) => (target === undefined || entry.target === target) && new Date(entry.nextAttemptAt) <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Remove a delivered entry
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<void>}
+   */
+  async markDelivered(entry) {
+    this.removePending(entry);
+    await this.removeFile(path.join(this.pendingDir, `${entry.id}.json`));
+    this.stats.delivered++;
+  }
+
+  /**
+   * Record a failed attempt: schedule a retry or move to dead letters
+   * @param {Object} entry - Queue entry
+   * @param {Error} error - Delivery error
+   * @returns {Promise<string>} "retry" or "dead"
+   */
+  async markFailed(entry, error) {
+    entry.attempts++;
+    entry.lastError = error.message;
+    entry.lastAttemptAt = new Date().toISOString();
+
+    if (entry.attempts >= this.maxAttempts) {
+      await this.deadLetter(entry);
+      return "dead";
+    }
+
+    entry.nextAttemptAt = new Date(
+      Date.now() + this.getBackoffDelay(entry.attempts),
+    ).toISOString();
+    await this.writeEntry(this.pendingDir, entry);
+    this.stats.retried++;
+    return "retry";
+  }
+
+  /**
+   * Move a pending entry to the dead-letter store without further retries
+   * Beyond maxDeadLetters the oldest dead letters are deleted.
+   * @param {Object} entry - Queue entry
+   * @param {Error} [error] - Reason (keeps lastError when omitted)
+   * @returns {Promise<void>}
+   */
+  async deadLetter(entry, error) {
+    if (error) {
+      entry.lastError = error.message;
+    }
+    entry.deadAt = new Date().toISOString();
+
+    this.removePending(entry);
+    await this.writeEntry(this.deadDir, entry);
+    await this.removeFile(path.join(this.pendingDir, `${entry.id}.json`));
+    this.deadIds.add(entry.id);
+    this.stats.deadLettered++;
+
+    for (const id of this.deadIds) {
+      if (this.deadIds.size <= this.maxDeadLetters) {
+        break;
+      }
+      this.deadIds.delete(id);
+      await this.removeFile(path.join(this.deadDir, `${id}.json`));
+      this.stats.deadDropped++;
+    }
+  }
+
+  /**
+   * Count pending entries per target
+   * @returns {Object} { targetName: count }
+   */
+  getPendingByTarget() {
+    return Object.fromEntries(this.pendingCounts);
+  }
+
+  /**
+   * Track a pending entry
+   * @param {Object} entry - Queue entry
+   */
+  addPending(entry) {
+    if (!this.pending.has(entry.id)) {
+      this.pendingCounts.set(entry.target, (this.pendingCounts.get(entry.target) || 0) + 1);
+    }
+    this.pending.set(entry.id, entry);
+  }
+
+  /**
+   * Stop tracking a pending entry
+   * @param {Object} entry - Queue entry
+   */
+  removePending(entry) {
+    if (!this.pending.delete(entry.id)) {
+      return;
+    }
+    const count = this.pendingCounts.get(entry.target) - 1;
+    if (count > 0) {
+      this.pendingCounts.set(entry.target, count);
+    } else {
+      this.pendingCounts.delete(entry.target);
+    }
+  }
+
+  /**
+   * Exponential backoff delay for the given attempt count
+   * @param {number} attempts - Failed attempts so far (>= 1)
+   * @returns {number} Delay in ms
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.initialDelay * Math.pow(2, attempts - 1), this.maxDelay);
+  }
+
+  /**
+   * List a page of dead letters, oldest first
+   * @param {Object} options - { offset, limit } (default 0 / all)
+   * @returns {Promise<Array>} Dead-letter entries
+   */
+  async listDeadLetters({ offset = 0, limit } = {}) {
+    const ids = this.getDeadLetterIds().slice(offset, limit === undefined ? undefined : offset + limit);
+    const entries = [];
+
+    for (const id of ids) {
+      const entry = await this.readEntry(path.join(this.deadDir, `${id}.json`));
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Dead-letter ids, oldest first
+   * @returns {Array<string>} Entry IDs
+   */
+  getDeadLetterIds() {
+    return Array.from(this.deadIds);
+  }
+
+  /**
+   * Get a dead letter by id
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Dead-letter entry or null
+   */
+  async getDeadLetter(id) {
+    if (!this.isValidId(id) || !this.deadIds.has(id)) {
+      return null;
+    }
+    return this.readEntry(path.join(this.deadDir, `${id}.json`));
+  }
+
+  /**
+   * Move a dead letter back to the pending queue with a fresh attempt budget
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Requeued entry or null if not found
+   */
+  async replayDeadLetter(id) {
+    const entry = await this.getDeadLetter(id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.attempts = 0;
+    entry.nextAttemptAt = new Date().toISOString();
+    entry.replayedAt = entry.nextAttemptAt;
+    delete entry.deadAt;
+
+    await this.writeEntry(this.pendingDir, entry);
+    await this.removeFile(path.join(this.deadDir, `${id}.json`));
+    this.deadIds.delete(id);
+    this.addPending(entry);
+    this.stats.replayed++;
+
+    return entry;
+  }
+
+  /**
+   * Delete a dead letter
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteDeadLetter(id) {
+    if (!this.isValidId(id) || !this.deadIds.delete(id)) {
+      return false;
+    }
+    return this.removeFile(path.join(this.deadDir, `${id}.json`));
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Promise<Object>} Queue stats
+   */
+  async getStats() {
+    return {
+      pending: this.pending.size,
+      deadLetters: this.deadIds.size,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Generate a sortable entry ID
+   * @returns {string} Entry ID
+   */
+  generateId() {
+    return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Check an entry ID (guards against path traversal via API input)
+   * @param {string} id - Entry ID
+   * @returns {boolean} True if valid
+   */
+  isValidId(id) {
+    return typeof id === "string" && /^[0-9]+_[a-z0-9]+$/.test(id);
+  }
+
+  /**
+   * Write an entry atomically (temp file + rename)
+   * @param {string} dir - Target directory
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<void>}
+   */
+  async writeEntry(dir, entry) {
+    const filePath = path.join(dir, `${entry.id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(entry));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Read a single entry
+   * @param {string} filePath - Entry file
+   * @returns {Promise<Object|null>} Entry or null if missing/corrupt
+   */
+  async readEntry(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`[WebhookQueue] Failed to read ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Read all entries in a directory
+   * @param {string} dir - Directory
+   * @returns {Promise<Array>} Entries
+   */
+  async readDir(dir) {
+    const files = await fs.promises.readdir(dir).catch(() => []);
+    const entries = [];
+
+    for (const file of files) {
+      if (file.endsWith(".json")) {
+        const entry = await this.readEntry(path.join(dir, file));
+        if (entry) {
+          entries.push(entry);
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Remove a file, ignoring missing files
+   * @param {string} filePath - File to remove
+   * @returns {Promise<boolean>} True if removed
+   */
+  async removeFile(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookQueue;
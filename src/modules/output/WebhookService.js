@@ -1,27 +1,141 @@
 /**
  * WebhookService - Output module for sending data via HTTP webhook
  *
- * Sends normalized data to a configured webhook URL.
- * Supports filtering by message type.
+ * Sends normalized data to one or more named webhook targets.
+ * Each target has its own message-type/device filters, headers, auth token
+ * and optional HMAC-SHA256 body signature.
+ *
+ * Deliveries go through a durable on-disk queue (WebhookQueue): one entry per
+ * target, failed deliveries are retried with exponential backoff and moved to
+ * the dead-letter store after retry.maxAttempts. Each target's queue is worked
+ * by its own pass (up to `concurrency` deliveries in flight), so a slow or
+ * failing receiver does not hold back the others.
  */
 
 const http = require("http");
 const https = require("https");
+const crypto = require("crypto");
 const eventBus = require("../../core/EventBus");
+const metrics = require("../../core/Metrics");
+const WebhookQueue = require("./WebhookQueue");
+
+// Target name used for the legacy single url/filters configuration
+const DEFAULT_TARGET = "default";
 
 class WebhookService {
   constructor() {
     this.config = null;
+    this.queue = null;
+    this.timer = null;
+    this.processing = new Map(); // Target name -> promise of its running queue pass
+
+    // Configured targets by name
+    this.targets = new Map();
+
+    // Delivery stats by target name
+    this.targetStats = new Map();
+
+    // Targets whose pending queue is currently full (overflow already logged)
+    this.overflowing = new Set();
+
+    metrics.counter("iot_webhook_deliveries_total", "Webhook deliveries acknowledged per target", ["target"]);
+    metrics.counter(
+      "iot_webhook_delivery_failures_total",
+      "Failed webhook delivery attempts per target, by outcome (retry, dead)",
+      ["target", "outcome"],
+    );
+    metrics.counter(
+      "iot_webhook_queue_overflow_total",
+      "Webhook deliveries discarded because the target's pending queue was full",
+      ["target"],
+    );
   }
 
   /**
    * Initialize webhook service
+   * Restores pending deliveries from the on-disk queue
    * @param {Object} config - Module configuration
    * @returns {Promise<void>}
    */
   async initialize(config) {
     this.config = config;
-    console.log("  WebhookService initialized");
+    this.targets = new Map();
+    this.targetStats = new Map();
+    this.overflowing = new Set();
+    this.processing = new Map();
+
+    this.resolveTargets(config).forEach((target) => {
+      this.targets.set(target.name, target);
+      this.targetStats.set(target.name, {
+        delivered: 0,
+        failed: 0,
+        deadLettered: 0,
+        overflowed: 0,
+        lastDeliveredAt: null,
+        lastFailedAt: null,
+        lastError: null,
+      });
+    });
+
+    this.queue = new WebhookQueue(config);
+
+    const restored = await this.queue.load();
+    if (restored > 0) {
+      console.log(`  WebhookService restored ${restored} pending deliveries`);
+    }
+
+    console.log(
+      `  WebhookService initialized (targets: ${Array.from(this.targets.keys()).join(", ") || "none"})`,
+    );
+  }
+
+  /**
+   * Build target list from config
+   * Falls back to a single "default" target from the legacy url/filters keys.
+   * @param {Object} config - Module configuration
+   * @returns {Array} Targets
+   */
+  resolveTargets(config) {
+    const targets = config.targets && config.targets.length > 0
+      ? config.targets
+      : config.url
+        ? [{ name: DEFAULT_TARGET, url: config.url, filters: config.filters }]
+        : [];
+
+    return targets.map((target, index) => {
+      if (!target.url) {
+        throw new Error(`Webhook target ${target.name || index} has no url`);
+      }
+
+      return {
+        name: target.name || `target${index + 1}`,
+        url: target.url,
+        filters: target.filters || [],
+        deviceIds: target.deviceIds || [],
+        headers: target.headers || {},
+        authToken: target.authToken || null,
+        secret: target.secret || null,
+        signatureHeader: target.signatureHeader || "X-Signature-256",
+        timeout: target.timeout || config.timeout || 10000,
+        concurrency: target.concurrency || config.concurrency || 1,
+      };
+    });
+  }
+
+  /**
+   * Check whether a target accepts a SUO
+   * @param {Object} target - Webhook target
+   * @param {Object} suo - Standard Unified Object
+   * @returns {boolean} True if the SUO should be delivered
+   */
+  matchesTarget(target, suo) {
+    if (target.filters.length > 0 && !target.filters.includes(suo.messageType)) {
+      return false;
+    }
+    if (target.deviceIds.length > 0 && !target.deviceIds.includes(suo.deviceId)) {
+      return false;
+    }
+    return true;
   }
 
   /**
@@ -34,6 +148,12 @@ class WebhookService {
       this.handleData(suo);
     });
 
+    // Retry loop for queued deliveries
+    const pollInterval = (this.config.retry && this.config.retry.pollInterval) || 1000;
+    this.timer = setInterval(() => {
+      this.processQueue();
+    }, pollInterval);
+
     console.log("  WebhookService started");
   }
 
@@ -43,15 +163,32 @@ class WebhookService {
    */
   async handleData(suo) {
     try {
-      // Check if this message type should be sent
-      if (this.config.filters && this.config.filters.length > 0) {
-        if (!this.config.filters.includes(suo.messageType)) {
-          return; // Skip this message type
-        }
+      const targets = Array.from(this.targets.values()).filter((target) =>
+        this.matchesTarget(target, suo),
+      );
+
+      if (targets.length === 0) {
+        return; // No target wants this message
       }
 
-      // Send to webhook URL
-      await this.sendWebhook(suo);
+      // Persist first (one entry per target), then deliver
+      for (const target of targets) {
+        const entry = await this.queue.enqueue(suo, target.name);
+        if (!entry) {
+          this.targetStats.get(target.name).overflowed++;
+          metrics.inc("iot_webhook_queue_overflow_total", { target: target.name });
+          // Log once per overflow episode, not once per message
+          if (!this.overflowing.has(target.name)) {
+            this.overflowing.add(target.name);
+            console.error(
+              `[WebhookService] Pending queue for ${target.name} is full (${this.queue.maxPending} entries), discarding new deliveries`,
+            );
+          }
+        } else {
+          this.overflowing.delete(target.name);
+        }
+      }
+      await this.processQueue(targets.map((target) => target.name));
     } catch (error) {
       console.error("WebhookService error:", error.message);
       eventBus.emitError(error, "WebhookService");
@@ -59,19 +196,207 @@ class WebhookService {
   }
 
   /**
-   * Send data to webhook URL
-   * @param {Object} suo - Standard Unified Object
+   * Deliver all due queue entries
+   * Each target has its own pass and only one pass per target runs at a time;
+   * callers during a pass await the running pass.
+   * @param {Array<string>} [targetNames] - Targets to process (all with pending entries if omitted)
    * @returns {Promise<void>}
    */
-  async sendWebhook(suo) {
-    const url = this.config.url;
-    if (!url) {
-      console.warn("WebhookService: No URL configured");
+  async processQueue(targetNames) {
+    if (!this.queue) {
       return;
     }
 
+    const names = targetNames || Object.keys(this.queue.getPendingByTarget());
+    await Promise.all(names.map((name) => this.processTarget(name)));
+  }
+
+  /**
+   * Start (or join) the queue pass of one target
+   * @param {string} name - Target name
+   * @returns {Promise<void>}
+   */
+  processTarget(name) {
+    let pass = this.processing.get(name);
+
+    if (!pass) {
+      pass = this.runTargetPass(name).finally(() => {
+        this.processing.delete(name);
+      });
+      this.processing.set(name, pass);
+    }
+
+    return pass;
+  }
+
+  /**
+   * Single pass over the due queue entries of one target
+   * Up to target.concurrency deliveries run in parallel.
+   * @param {string} name - Target name
+   * @returns {Promise<void>}
+   */
+  async runTargetPass(name) {
+    try {
+      const due = this.queue.getDue(new Date(), name);
+      const target = this.targets.get(name);
+
+      // Target removed from config since the entries were queued
+      if (!target) {
+        for (const entry of due) {
+          await this.queue.deadLetter(entry, new Error(`Unknown webhook target: ${name}`));
+        }
+        return;
+      }
+
+      const workers = Math.min(target.concurrency, due.length);
+      await Promise.all(
+        Array.from({ length: workers }, async () => {
+          while (due.length > 0) {
+            await this.deliver(target, due.shift());
+          }
+        }),
+      );
+    } catch (error) {
+      console.error("WebhookService queue error:", error.message);
+      eventBus.emitError(error, "WebhookService");
+    }
+  }
+
+  /**
+   * Deliver one queue entry and record the outcome
+   * @param {Object} target - Webhook target
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<void>}
+   */
+  async deliver(target, entry) {
+    const stats = this.targetStats.get(target.name);
+    try {
+      await this.sendWebhook(target, entry.suo);
+      await this.queue.markDelivered(entry);
+      stats.delivered++;
+      metrics.inc("iot_webhook_deliveries_total", { target: target.name });
+      stats.lastDeliveredAt = new Date().toISOString();
+    } catch (error) {
+      stats.failed++;
+      stats.lastFailedAt = new Date().toISOString();
+      stats.lastError = error.message;
+
+      const outcome = await this.queue.markFailed(entry, error);
+      metrics.inc("iot_webhook_delivery_failures_total", {
+        target: target.name,
+        outcome: outcome === "dead" ? "dead" : "retry",
+      });
+      if (outcome === "dead") {
+        stats.deadLettered++;
+        console.error(
+          `[WebhookService] Delivery ${entry.id} to ${target.name} (${entry.suo.messageType}) moved to dead letters after ${entry.attempts} attempts: ${error.message}`,
+        );
+      } else {
+        console.warn(
+          `[WebhookService] Delivery ${entry.id} to ${target.name} failed (attempt ${entry.attempts}), retry at ${entry.nextAttemptAt}: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * List a page of dead letters, oldest first
+   * @param {Object} [options] - { offset, limit }
+   * @returns {Promise<Array>} Dead-letter entries
+   */
+  async listDeadLetters(options) {
+    return this.queue.listDeadLetters(options);
+  }
+
+  /**
+   * Replay dead letters through the queue
+   * @param {Array<string>} [ids] - Entry IDs (all dead letters if omitted)
+   * @returns {Promise<Array<string>>} IDs that were requeued
+   */
+  async replayDeadLetters(ids) {
+    const targetIds = ids || this.queue.getDeadLetterIds();
+    const replayed = [];
+
+    for (const id of targetIds) {
+      if (await this.queue.replayDeadLetter(id)) {
+        replayed.push(id);
+      }
+    }
+
+    if (replayed.length > 0) {
+      console.log(`[WebhookService] Replaying ${replayed.length} dead letters`);
+      this.processQueue();
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Get delivery statistics
+   * @returns {Promise<Object>} Queue stats with per-target stats
+   */
+  async getStats() {
+    const pendingByTarget = this.queue.getPendingByTarget();
+    const targets = {};
+
+    this.targetStats.forEach((stats, name) => {
+      targets[name] = {
+        url: this.targets.get(name).url,
+        pending: pendingByTarget[name] || 0,
+        ...stats,
+      };
+    });
+
+    return {
+      ...(await this.queue.getStats()),
+      targets,
+    };
+  }
+
+  /**
+   * Build request headers for a target
+   * @param {Object} target - Webhook target
+   * @param {string} payload - Serialized request body
+   * @returns {Object} HTTP headers
+   */
+  buildHeaders(target, payload) {
+    const headers = {
+      ...target.headers,
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(payload),
+    };
+
+    if (target.authToken) {
+      headers.Authorization = `Bearer ${target.authToken}`;
+    }
+
+    // HMAC over the exact body bytes so receivers can verify origin
+    if (target.secret) {
+      headers[target.signatureHeader] = `sha256=${this.sign(target.secret, payload)}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Compute HMAC-SHA256 signature
+   * @param {string} secret - Shared secret
+   * @param {string} payload - Serialized request body
+   * @returns {string} Hex digest
+   */
+  sign(secret, payload) {
+    return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+  }
+
+  /**
+   * Send data to a webhook target
+   * @param {Object} target - Webhook target
+   * @param {Object} suo - Standard Unified Object
+   * @returns {Promise<void>}
+   */
+  async sendWebhook(target, suo) {
     const payload = JSON.stringify(suo);
-    const urlObj = new URL(url);
+    const urlObj = new URL(target.url);
     const isHttps = urlObj.protocol === "https:";
     const httpModule = isHttps ? https : http;
 
@@ -80,11 +405,8 @@ class WebhookService {
       port: urlObj.port || (isHttps ? 443 : 80),
       path: urlObj.pathname + urlObj.search,
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Content-Length": Buffer.byteLength(payload),
-      },
-      timeout: 10000, // 10 second timeout
+      headers: this.buildHeaders(target, payload),
+      timeout: target.timeout, // Default: 10 second timeout
     };
 
     return new Promise((resolve, reject) => {
@@ -97,18 +419,17 @@ class WebhookService {
 
         res.on("end", () => {
           if (res.statusCode >= 200 && res.statusCode < 300) {
-
+            resolve();
           } else {
-            console.error(
-              `Webhook failed with status ${res.statusCode}: ${data}`,
+            // Non-2xx is a failed delivery (retried by the queue)
+            reject(
+              new Error(`Webhook failed with status ${res.statusCode}: ${data}`),
             );
           }
-          resolve();
         });
       });
 
       req.on("error", (error) => {
-        console.error(`Webhook request failed:`, error.message);
         reject(error);
       });
 
@@ -124,14 +445,22 @@ class WebhookService {
 
   /**
    * Stop webhook service
+   * Waits for delivery passes that are still running.
    * @returns {Promise<void>}
    */
   async stop() {
     console.log("  Stopping WebhookService...");
 
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
     // Unsubscribe from events
     eventBus.removeAllListeners("data.normalized");
 
+    await Promise.all(this.processing.values());
+
     console.log("  WebhookService stopped");
   }
 }
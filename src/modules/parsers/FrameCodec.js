@@ -0,0 +1,339 @@
+/**
+ * FrameCodec - Declarative binary frame decoding and encoding
+ *
+ * A frame definition lists its fields in wire order; decode and encode are
+ * both derived from it, so every definition can be round-trip tested.
+ *
+ * Definition:
+ *   {
+ *     fields: [field, ...],               // body, from byte 0
+ *     trailer: [field, ...],              // fixed-size fields at the end (e.g. MsgId)
+ *     derive: { name: (frame) => value }, // computed on decode, ignored on encode
+ *   }
+ *
+ * Field:
+ *   { name, type, length, value, values, default }
+ *   { name, repeat, type | fields, skip }
+ *
+ * Fields without a name are reserved bytes (skipped on decode, zero on encode).
+ *
+ * Types:
+ * - const: fixed byte(s) in value; not decoded
+ * - uint8, uint32 (big-endian), decimal32 (uint32 as decimal string)
+ * - hex: length bytes, or "*" for the rest of the body, as uppercase hex
+ * - ip (dot notation), mac (colon-separated hex)
+ * - bool: 0x01 = true
+ * - sensor: 2-byte signed value (Algorithm A), 0x0000 = null
+ * - enum: uint8 mapped through values ({ byte: name }), default for other bytes
+ *
+ * Repeat is a number (at most N items), the name of an earlier count field,
+ * or "*" (as many as fit). Decoding stops at the end of the body and drops
+ * items for which skip(item) is true; fixed counts are zero-padded on encode.
+ */
+
+const TYPES = {
+  const: { size: (field) => [].concat(field.value).length },
+  uint8: {
+    size: 1,
+    read: (buffer, offset) => buffer.readUInt8(offset),
+    write: (value, field) => Buffer.from([toInteger(value, 0xff, field)]),
+  },
+  uint32: {
+    size: 4,
+    read: (buffer, offset) => buffer.readUInt32BE(offset),
+    write: (value, field) => {
+      const buffer = Buffer.alloc(4);
+      buffer.writeUInt32BE(toInteger(value, 0xffffffff, field));
+      return buffer;
+    },
+  },
+  decimal32: {
+    size: 4,
+    read: (buffer, offset) => buffer.readUInt32BE(offset).toString(),
+    write: (value, field) => TYPES.uint32.write(value, field),
+  },
+  hex: {
+    size: (field) => field.length,
+    read: (buffer, offset, size) => buffer.toString("hex", offset, offset + size).toUpperCase(),
+    write: (value) => Buffer.from(String(value), "hex"),
+  },
+  ip: {
+    size: 4,
+    read: (buffer, offset) => Array.from(buffer.slice(offset, offset + 4)).join("."),
+    write: (value) => Buffer.from(String(value).split(".").map(Number)),
+  },
+  mac: {
+    size: 6,
+    read: (buffer, offset) =>
+      Array.from(buffer.slice(offset, offset + 6))
+        .map((b) => b.toString(16).toUpperCase().padStart(2, "0"))
+        .join(":"),
+    write: (value) => Buffer.from(String(value).split(":").map((part) => parseInt(part, 16))),
+  },
+  bool: {
+    size: 1,
+    read: (buffer, offset) => buffer.readUInt8(offset) === 0x01,
+    write: (value) => Buffer.from([value ? 0x01 : 0x00]),
+  },
+  sensor: {
+    size: 2,
+    read: (buffer, offset) => parseSignedFloat(buffer.readUInt8(offset), buffer.readUInt8(offset + 1)),
+    write: (value) => Buffer.from(encodeSignedFloat(value)),
+  },
+  enum: {
+    size: 1,
+    read: (buffer, offset, size, field) => {
+      const value = field.values[buffer.readUInt8(offset)];
+      return value !== undefined ? value : field.default;
+    },
+    write: (value, field) => {
+      const byte = Object.keys(field.values).find((key) => field.values[key] === value);
+      if (byte === undefined) {
+        throw new Error(`Invalid value for ${field.name}: ${value}`);
+      }
+      return Buffer.from([Number(byte)]);
+    },
+  },
+};
+
+/**
+ * Coerce an unsigned integer value (numbers or numeric strings)
+ * @param {*} value - Value
+ * @param {number} max - Largest allowed value
+ * @param {Object} field - Field (for the error message)
+ * @returns {number}
+ */
+function toInteger(value, max, field) {
+  const number = Number(value);
+  if (value === null || value === "" || !Number.isInteger(number) || number < 0 || number > max) {
+    throw new Error(`Invalid value for ${field.name}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Algorithm A: Signed Sensor Values (Temp/Noise)
+ * Binary Input: [IntegerByte, FractionByte]; the fraction adds magnitude
+ * to the two's complement integer part
+ * @param {number} integerByte - Integer part of value
+ * @param {number} fractionByte - Fraction part of value (hundredths)
+ * @returns {number|null} Parsed value, or null if both bytes are 0x00
+ */
+function parseSignedFloat(integerByte, fractionByte) {
+  if (integerByte === 0x00 && fractionByte === 0x00) {
+    return null;
+  }
+
+  const signedInt = integerByte & 0x80 ? (0xff - integerByte + 1) * -1 : integerByte;
+  const value = signedInt + Math.sign(signedInt || 1) * (fractionByte / 100);
+
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Inverse of Algorithm A
+ * @param {number|null} value - Sensor value (null = no reading)
+ * @returns {number[]} [IntegerByte, FractionByte]
+ */
+function encodeSignedFloat(value) {
+  if (value === null) {
+    return [0x00, 0x00];
+  }
+
+  const integer = Math.trunc(value);
+  const fraction = Math.round(Math.abs(value - integer) * 100);
+
+  return [integer & 0xff, fraction];
+}
+
+class FrameCodec {
+  /**
+   * Decode a frame
+   * @param {Object} definition - Frame definition
+   * @param {Buffer} buffer - Raw frame
+   * @returns {Object} Decoded fields (repeat groups as arrays)
+   * @throws {Error} If the frame is shorter than its fixed fields
+   */
+  decode(definition, buffer) {
+    const trailer = definition.trailer || [];
+    const bodyEnd = buffer.length - this.sizeOf(trailer);
+    if (bodyEnd < 0) {
+      throw new Error(`Frame too short (${buffer.length} bytes)`);
+    }
+
+    const frame = {};
+    this.decodeFields(definition.fields, buffer, 0, bodyEnd, frame);
+    this.decodeFields(trailer, buffer, bodyEnd, buffer.length, frame);
+
+    Object.entries(definition.derive || {}).forEach(([name, derive]) => {
+      frame[name] = derive(frame);
+    });
+
+    return frame;
+  }
+
+  /**
+   * Encode a frame
+   * @param {Object} definition - Frame definition
+   * @param {Object} values - Field values (derived fields are ignored)
+   * @returns {Buffer} Raw frame
+   * @throws {Error} On missing or invalid values
+   */
+  encode(definition, values = {}) {
+    const chunks = [];
+    this.encodeFields(definition.fields, values, chunks);
+    this.encodeFields(definition.trailer || [], values, chunks);
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Decode consecutive fields between offset and end into target
+   * @returns {number} Offset after the last field
+   */
+  decodeFields(fields, buffer, offset, end, target) {
+    for (const field of fields) {
+      if (field.repeat !== undefined) {
+        offset = this.decodeRepeat(field, buffer, offset, end, target);
+        continue;
+      }
+
+      const size = this.fieldSize(field, end - offset);
+      if (offset + size > end) {
+        throw new Error(`Frame too short for ${field.name || field.type} at byte ${offset}`);
+      }
+      if (field.name && field.type !== "const") {
+        target[field.name] = TYPES[field.type].read(buffer, offset, size, field);
+      }
+      offset += size;
+    }
+    return offset;
+  }
+
+  /**
+   * Decode a repeat group into target[field.name]
+   * @returns {number} Offset after the last item
+   */
+  decodeRepeat(field, buffer, offset, end, target) {
+    const itemSize = field.fields ? this.sizeOf(field.fields) : this.fieldSize(field);
+    const count = this.repeatCount(field, target);
+    const items = [];
+
+    for (let i = 0; i < count && offset + itemSize <= end; i++) {
+      let item;
+      if (field.fields) {
+        item = {};
+        this.decodeFields(field.fields, buffer, offset, offset + itemSize, item);
+      } else {
+        item = TYPES[field.type].read(buffer, offset, itemSize, field);
+      }
+      offset += itemSize;
+
+      if (!field.skip || !field.skip(item)) {
+        items.push(item);
+      }
+    }
+
+    target[field.name] = items;
+    return offset;
+  }
+
+  /**
+   * Encode consecutive fields; count fields default to their group's length
+   */
+  encodeFields(fields, values, chunks) {
+    fields.forEach((field) => {
+      if (field.repeat !== undefined) {
+        this.encodeRepeat(field, values, chunks);
+        return;
+      }
+
+      let value;
+      if (field.type === "const") {
+        value = field.value;
+      } else if (!field.name) {
+        value = 0;
+      } else {
+        value = values[field.name];
+        if (value === undefined) {
+          const group = fields.find((f) => f.repeat === field.name);
+          value = group && values[group.name] ? values[group.name].length : field.default;
+        }
+      }
+
+      chunks.push(this.writeField(field, value));
+    });
+  }
+
+  /**
+   * Encode a repeat group from values[field.name]
+   */
+  encodeRepeat(field, values, chunks) {
+    const items = values[field.name] || [];
+    const itemSize = field.fields ? this.sizeOf(field.fields) : this.fieldSize(field);
+
+    if (typeof field.repeat === "number" && items.length > field.repeat) {
+      throw new Error(`Too many ${field.name} items: ${items.length} (max ${field.repeat})`);
+    }
+    if (typeof field.repeat === "string" && field.repeat !== "*" && values[field.repeat] !== undefined
+      && values[field.repeat] !== items.length) {
+      throw new Error(`${field.repeat} (${values[field.repeat]}) does not match ${field.name} items (${items.length})`);
+    }
+
+    items.forEach((item) => {
+      if (field.fields) {
+        this.encodeFields(field.fields, item, chunks);
+      } else {
+        chunks.push(this.writeField(field, item));
+      }
+    });
+
+    if (typeof field.repeat === "number") {
+      chunks.push(Buffer.alloc(itemSize * (field.repeat - items.length)));
+    }
+  }
+
+  /**
+   * Encode one field value, checking its size
+   * @returns {Buffer}
+   */
+  writeField(field, value) {
+    if (value === undefined) {
+      throw new Error(`Missing value for ${field.name}`);
+    }
+
+    const buffer = field.type === "const" ? Buffer.from([].concat(field.value)) : TYPES[field.type].write(value, field);
+    if (field.length !== "*" && buffer.length !== this.fieldSize(field)) {
+      throw new Error(`Invalid value for ${field.name}: ${value}`);
+    }
+    return buffer;
+  }
+
+  /**
+   * Number of items to decode for a repeat group
+   */
+  repeatCount(field, frame) {
+    if (typeof field.repeat === "number") return field.repeat;
+    if (field.repeat === "*") return Infinity;
+    return frame[field.repeat];
+  }
+
+  /**
+   * Size of a scalar field ("*" takes the remaining bytes)
+   */
+  fieldSize(field, remaining = 0) {
+    if (field.length === "*") {
+      return remaining;
+    }
+    const size = TYPES[field.type].size;
+    return typeof size === "function" ? size(field) : size;
+  }
+
+  /**
+   * Total size of fixed-size fields (repeat items, trailers)
+   */
+  sizeOf(fields) {
+    return fields.reduce((sum, field) => sum + this.fieldSize(field), 0);
+  }
+}
+
+module.exports = new FrameCodec();
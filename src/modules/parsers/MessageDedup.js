@@ -0,0 +1,101 @@
+/**
+ * MessageDedup - Drops repeated messages before UnifyNormalizer
+ *
+ * Gateways resend on QoS1 and after reconnects, and V6800 devices sometimes
+ * repeat the same uuid_number. ParserManager checks every parsed SIF against
+ * the deviceId + messageType + messageId keys seen in the last `window` ms
+ * (messageId from V5008Parser.parseMessageId / V6800Parser.extractMessageId)
+ * and drops repeats, so they do not produce duplicate rows or webhooks. The
+ * messageType keeps different messages that share a counter value apart.
+ * SIFs without a messageId always pass.
+ *
+ * The window is measured from the first occurrence; at most maxEntries keys
+ * are remembered (oldest forgotten first). An explicit window or maxEntries
+ * of 0 remembers nothing.
+ */
+
+class MessageDedup {
+  constructor() {
+    this.enabled = true;
+    this.window = 300000;
+    this.maxEntries = 100000;
+
+    this.seen = new Map(); // "deviceId|messageType|messageId" -> first seen (ms), oldest first
+    this.dropped = 0;
+  }
+
+  /**
+   * Apply configuration
+   * @param {Object} config - { enabled, window, maxEntries } (modules.parserManager.dedup)
+   */
+  configure(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.window = config.window !== undefined ? config.window : 300000;
+    this.maxEntries = config.maxEntries !== undefined ? config.maxEntries : 100000;
+    this.seen.clear();
+  }
+
+  /**
+   * Check a message and remember it
+   * @param {string} deviceId - Device ID
+   * @param {string} messageType - SIF messageType
+   * @param {string} messageId - SIF messageId
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if the same deviceId + messageType + messageId was seen within the window
+   */
+  isDuplicate(deviceId, messageType, messageId, now = Date.now()) {
+    if (!this.enabled || messageId === undefined || messageId === null || messageId === "") {
+      return false;
+    }
+
+    this.prune(now);
+
+    const key = `${deviceId}|${messageType}|${messageId}`;
+    if (this.seen.has(key)) {
+      this.dropped++;
+      return true;
+    }
+
+    this.seen.set(key, now);
+    if (this.seen.size > this.maxEntries) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+    return false;
+  }
+
+  /**
+   * Forget keys older than the window (entries are in insertion order)
+   * @param {number} now - Current time (ms)
+   */
+  prune(now) {
+    for (const [key, firstSeen] of this.seen) {
+      if (now - firstSeen < this.window) {
+        break;
+      }
+      this.seen.delete(key);
+    }
+  }
+
+  /**
+   * Forget all keys and counts
+   */
+  clear() {
+    this.seen.clear();
+    this.dropped = 0;
+  }
+
+  /**
+   * Summary for /api/health
+   * @returns {Object} { enabled, window, tracked, dropped }
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      window: this.window,
+      tracked: this.seen.size,
+      dropped: this.dropped,
+    };
+  }
+}
+
+module.exports = new MessageDedup();
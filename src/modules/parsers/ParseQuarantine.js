@@ -0,0 +1,189 @@
+/**
+ * ParseQuarantine - Bounded store of messages the pipeline could not parse
+ *
+ * Keeps the newest maxEntries messages that failed to decode (MqttSubscriber),
+ * made a parser fail or return nothing, or parsed to an UNKNOWN message type
+ * (ParserManager), with the raw payload and the parser error, so frames from
+ * unexpected firmware can be inspected at /api/diagnostics/quarantine.
+ *
+ * Counts per deviceId + messageType (topic message type) are kept separately
+ * from the entries (bounded to maxCounters, least recently seen evicted), so
+ * they survive entry eviction.
+ */
+
+class ParseQuarantine {
+  constructor() {
+    this.maxEntries = 500;
+    this.maxCounters = 1000;
+    this.maxStackLines = 10;
+
+    this.entries = []; // oldest first
+    this.counters = new Map(); // "deviceId|messageType" -> counter
+    this.nextId = 1;
+    this.evicted = 0;
+    this.quarantined = 0; // Total since start (or last clear)
+  }
+
+  /**
+   * Apply configuration
+   * @param {Object} config - { maxEntries, maxCounters } (modules.parserManager.quarantine)
+   */
+  configure(config = {}) {
+    this.maxEntries = config.maxEntries || 500;
+    this.maxCounters = config.maxCounters || 1000;
+  }
+
+  /**
+   * Quarantine a message
+   * @param {Object} message - { topic, deviceId, deviceType, messageType, payload, timestamp }
+   *   (payload is the raw Buffer, or the decoded payload once past MqttSubscriber)
+   * @param {Error} error - Why it was quarantined
+   * @param {Object} details - { stage: "decode"|"parse"|"unknown", rawType }
+   * @returns {Object} Quarantine entry
+   */
+  add(message, error, details = {}) {
+    const now = new Date();
+    const deviceId = message.deviceId || null;
+    const messageType = message.messageType || null;
+
+    const entry = {
+      id: this.nextId++,
+      stage: details.stage || "parse",
+      topic: message.topic,
+      deviceId,
+      deviceType: message.deviceType || null,
+      messageType,
+      rawType: details.rawType !== undefined ? details.rawType : null,
+      ...this.formatRaw(message.payload),
+      error: error.message,
+      stack: error.stack ? error.stack.split("\n").slice(0, this.maxStackLines).join("\n") : null,
+      receivedAt: message.timestamp ? new Date(message.timestamp).toISOString() : null,
+      quarantinedAt: now.toISOString(),
+    };
+
+    this.entries.push(entry);
+    this.quarantined++;
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+      this.evicted++;
+    }
+
+    this.count(entry, now);
+    return entry;
+  }
+
+  /**
+   * Update the per device / message type counter (most recently seen last)
+   * @param {Object} entry - Quarantine entry
+   * @param {Date} now - Current time
+   */
+  count(entry, now) {
+    const key = `${entry.deviceId}|${entry.messageType}`;
+    const counter = this.counters.get(key) || {
+      deviceId: entry.deviceId,
+      deviceType: entry.deviceType,
+      messageType: entry.messageType,
+      count: 0,
+      firstSeen: now.toISOString(),
+    };
+
+    counter.count++;
+    counter.lastSeen = now.toISOString();
+    counter.lastError = entry.error;
+
+    this.counters.delete(key);
+    this.counters.set(key, counter);
+    if (this.counters.size > this.maxCounters) {
+      this.counters.delete(this.counters.keys().next().value);
+    }
+  }
+
+  /**
+   * Raw payload as hex (binary) or JSON text
+   * @param {*} payload - Buffer, decoded object or string
+   * @returns {Object} { format, raw }
+   */
+  formatRaw(payload) {
+    if (Buffer.isBuffer(payload)) {
+      return { format: "hex", raw: payload.toString("hex").toUpperCase() };
+    }
+    if (typeof payload === "string") {
+      return { format: "text", raw: payload };
+    }
+    try {
+      return { format: "json", raw: JSON.stringify(payload) };
+    } catch (error) {
+      return { format: "text", raw: String(payload) };
+    }
+  }
+
+  /**
+   * Validate query parameters
+   * @param {Object} query - { deviceId, messageType, limit }
+   * @returns {Object} { deviceId, messageType, limit }
+   * @throws {Error} On invalid values (message is safe to return to clients)
+   */
+  parseOptions(query = {}) {
+    const limit = query.limit === undefined ? Math.min(100, this.maxEntries) : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxEntries) {
+      throw new Error(`limit must be an integer between 1 and ${this.maxEntries}`);
+    }
+
+    return {
+      deviceId: query.deviceId || null,
+      messageType: query.messageType || null,
+      limit,
+    };
+  }
+
+  /**
+   * Quarantined messages and counters, newest first
+   * @param {Object} options - From parseOptions
+   * @returns {Object} { total, evicted, counts, entries }
+   */
+  list(options = { limit: 100 }) {
+    const matches = (item) =>
+      (!options.deviceId || item.deviceId === options.deviceId) &&
+      (!options.messageType || item.messageType === options.messageType);
+
+    const entries = this.entries.filter(matches).reverse();
+    const counts = Array.from(this.counters.values())
+      .filter(matches)
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      total: entries.length,
+      evicted: this.evicted,
+      counts,
+      entries: entries.slice(0, options.limit),
+    };
+  }
+
+  /**
+   * Drop all entries and counters
+   * @returns {number} Number of entries removed
+   */
+  clear() {
+    const removed = this.entries.length;
+    this.entries = [];
+    this.counters.clear();
+    this.evicted = 0;
+    this.quarantined = 0;
+    return removed;
+  }
+
+  /**
+   * Summary for /api/health
+   * @returns {Object} { size, maxEntries, evicted, quarantined }
+   */
+  getStats() {
+    return {
+      size: this.entries.length,
+      maxEntries: this.maxEntries,
+      evicted: this.evicted,
+      quarantined: this.quarantined,
+    };
+  }
+}
+
+module.exports = new ParseQuarantine();
@@ -2,22 +2,92 @@
  * ParserManager - Router for device-specific parsers
  *
  * Routes incoming MQTT messages to the appropriate parser based on device type.
- * Emits parsed SIF (Standard Intermediate Format) data.
+ * Emits parsed SIF (Standard Intermediate Format) data. Messages a parser
+ * fails on, or parses to an UNKNOWN message type, go to ParseQuarantine and
+ * are counted in iot_parse_failures_total (see reject). Repeated
+ * deviceId + messageId pairs are dropped by MessageDedup.
+ *
+ * Also the protocol registry: each device type registers its topic patterns,
+ * payload decoder, parser and (optionally) command builder. MqttSubscriber
+ * subscribes and decodes through it and CommandService builds commands
+ * through it, so a new gateway family is added by dropping a plugin into
+ * pluginDir instead of editing those modules. Plugin contract:
+ *
+ *   module.exports = {
+ *     deviceType: "V7000",
+ *     topics: ["V7000Upload/#"],
+ *     decode(message, topic) {},             // optional, default JSON.parse
+ *     parseTopic(topic) {},                   // optional, default {type}Upload/{deviceId}/{messageType}
+ *     parse(payload, context) {},             // required, returns SIF or null
+ *     buildCommand(messageType, payload, deviceId) {}, // optional, returns { topic, payload }
+ *     initialize(config) {},                  // optional
+ *   };
  */
 
+const fs = require("fs");
+const path = require("path");
 const eventBus = require("../../core/EventBus");
+const metrics = require("../../core/Metrics");
+const parseQuarantine = require("./ParseQuarantine");
+const messageDedup = require("./MessageDedup");
 const V5008Parser = require("./V5008Parser");
 const V6800Parser = require("./V6800Parser");
 const config = require("config");
 const logger = require("../../core/Logger");
 
+/**
+ * Check an MQTT topic against a subscription pattern (+ and # wildcards)
+ * @param {string} pattern - Topic pattern
+ * @param {string} topic - Topic
+ * @returns {boolean}
+ */
+function matchTopic(pattern, topic) {
+  const patternLevels = pattern.split("/");
+  const topicLevels = topic.split("/");
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    if (patternLevels[i] === "#") {
+      return true;
+    }
+    if (i >= topicLevels.length) {
+      return false;
+    }
+    if (patternLevels[i] !== "+" && patternLevels[i] !== topicLevels[i]) {
+      return false;
+    }
+  }
+  return patternLevels.length === topicLevels.length;
+}
+
 class ParserManager {
   constructor() {
-    this.parsers = {
-      V5008: V5008Parser,
-      V6800: V6800Parser,
-    };
+    this.parsers = {};
+    this.protocols = new Map(); // deviceType -> protocol entry
     this.config = null;
+
+    metrics.counter(
+      "iot_parse_failures_total",
+      "Messages that failed to decode, failed to parse or parsed as UNKNOWN",
+      ["deviceType", "deviceId", "stage"],
+    );
+    metrics.counter(
+      "iot_dedup_dropped_total",
+      "Parsed messages dropped as repeats of a deviceId + messageId seen within the dedup window",
+      ["deviceType", "deviceId"],
+    );
+
+    const topics = config.has("mqtt.topics") ? config.get("mqtt.topics") : {};
+
+    // Built-in protocols. Their command builders stay in CommandService.
+    this.setProtocol("V5008", V5008Parser, {
+      topics: [topics.v5008 || "V5008Upload/#"],
+      decode: (message) => message, // Binary payload
+      parse: (payload, context) => V5008Parser.parse(payload, context),
+    });
+    this.setProtocol("V6800", V6800Parser, {
+      topics: [topics.v6800 || "V6800Upload/#"],
+      parse: (payload, context) => V6800Parser.parse(context.topic, payload),
+    });
   }
 
   /**
@@ -27,10 +97,18 @@ class ParserManager {
    */
   async initialize(config) {
     this.config = config;
+    parseQuarantine.configure(config.quarantine);
+    messageDedup.configure(config.dedup);
+
+    if (config.pluginDir) {
+      this.loadPlugins(path.resolve(config.pluginDir));
+    }
 
     // Initialize all parsers
     for (const [deviceType, parser] of Object.entries(this.parsers)) {
-      await parser.initialize(config);
+      if (typeof parser.initialize === "function") {
+        await parser.initialize(config);
+      }
     }
 
     // Subscribe to MQTT messages
@@ -52,16 +130,17 @@ class ParserManager {
   /**
    * Handle incoming MQTT message
    * @param {Object} mqttMessage - The MQTT message from EventBus
+   * @param {Object} options - { dedup } (false skips MessageDedup, e.g. archive replay)
    */
-  handleMessage(mqttMessage) {
+  handleMessage(mqttMessage, options = {}) {
     try {
       const { deviceId, deviceType, messageType, payload, timestamp, topic } =
         mqttMessage;
 
       // Get the appropriate parser for this device type
-      const parser = this.parsers[deviceType];
+      const protocol = this.protocols.get(deviceType);
 
-      if (!parser) {
+      if (!protocol) {
         console.error(`No parser found for device type: ${deviceType}`);
         eventBus.emitError(
           new Error(`No parser for device type: ${deviceType}`),
@@ -70,25 +149,46 @@ class ParserManager {
         return;
       }
 
-      // Parse the message
+      // Parse the message (payload is already decoded by the protocol)
       let sif;
-      if (deviceType === "V5008") {
-        // V5008 uses binary payload
-        sif = parser.parse(payload, {
+      try {
+        sif = protocol.parse(payload, {
           deviceId,
           messageType,
           timestamp,
           topic,
         });
-      } else {
-        // V6800 uses JSON payload
-        sif = parser.parse(topic, payload);
+      } catch (parseError) {
+        console.error(`[ParserManager] ${deviceType} parser threw for device ${deviceId}:`, parseError.message);
+        eventBus.emitError(parseError, "ParserManager");
+        this.reject(mqttMessage, parseError);
+        return;
       }
 
       if (!sif) {
         console.warn(
           `[ParserManager] Failed to parse message from device ${deviceId} (type: ${deviceType})`
         );
+        const reason = protocol.parser.lastError || new Error(`${deviceType} parser returned no SIF`);
+        this.reject(mqttMessage, reason);
+        return;
+      }
+
+      // Nothing downstream handles UNKNOWN; keep the frame for diagnostics instead
+      if (sif.messageType === "UNKNOWN") {
+        const rawType = sif.meta && sif.meta.rawType !== undefined ? sif.meta.rawType : null;
+        console.warn(`[ParserManager] Quarantined UNKNOWN message from device ${deviceId} (${topic})`);
+        this.reject(mqttMessage, new Error(`Unknown ${deviceType} message type${rawType ? `: ${rawType}` : ""}`), {
+          stage: "unknown",
+          rawType,
+        });
+        return;
+      }
+
+      // QoS1 resends / repeated uuid_number: drop before UnifyNormalizer
+      if (options.dedup !== false && messageDedup.isDuplicate(deviceId, sif.messageType, sif.messageId)) {
+        metrics.inc("iot_dedup_dropped_total", { deviceType, deviceId });
+        logger.debug(`[ParserManager] Dropped duplicate message ${sif.messageId} from device ${deviceId}`);
         return;
       }
 
@@ -112,6 +212,22 @@ class ParserManager {
     }
   }
 
+  /**
+   * Quarantine a message the pipeline could not handle and count the failure
+   * Also used by MqttSubscriber for payloads that fail to decode.
+   * @param {Object} message - MQTT message ({ topic, deviceId, deviceType, messageType, payload, timestamp })
+   * @param {Error} error - Why it was rejected
+   * @param {Object} details - { stage: "decode"|"parse"|"unknown", rawType } (see ParseQuarantine.add)
+   */
+  reject(message, error, details = {}) {
+    const entry = parseQuarantine.add(message, error, details);
+    metrics.inc("iot_parse_failures_total", {
+      deviceType: entry.deviceType,
+      deviceId: entry.deviceId,
+      stage: entry.stage,
+    });
+  }
+
   /**
    * Stop the parser manager
    * @returns {Promise<void>}
@@ -126,13 +242,118 @@ class ParserManager {
   }
 
   /**
-   * Register a custom parser for a device type
+   * Register a parser (and its protocol hooks) for a device type
+   * Options default to the parser's own methods, so a plugin module can be
+   * passed as both parser and options. Without topics the parser is only
+   * reachable for messages that already carry its deviceType.
+   * @param {string} deviceType - The device type identifier
+   * @param {Object} parser - The parser instance (parse(payload, context))
+   * @param {Object} options - { topics, decode, parseTopic, parse, buildCommand }
+   */
+  registerParser(deviceType, parser, options = {}) {
+    this.setProtocol(deviceType, parser, options);
+    console.log(`Registered custom parser for device type: ${deviceType}`);
+  }
+
+  /**
+   * Store a protocol entry (registerParser without the log line)
    * @param {string} deviceType - The device type identifier
    * @param {Object} parser - The parser instance
+   * @param {Object} options - See registerParser
    */
-  registerParser(deviceType, parser) {
+  setProtocol(deviceType, parser, options = {}) {
+    const parse = options.parse || parser.parse.bind(parser);
+    const decode = options.decode || parser.decode;
+    const parseTopic = options.parseTopic || parser.parseTopic;
+    const buildCommand = options.buildCommand || parser.buildCommand;
+
     this.parsers[deviceType] = parser;
-    console.log(`Registered custom parser for device type: ${deviceType}`);
+    this.protocols.set(deviceType, {
+      deviceType,
+      parser,
+      topics: [].concat(options.topics || parser.topics || []),
+      parse,
+      decode: decode ? decode.bind(parser) : (message) => JSON.parse(message.toString()),
+      parseTopic: parseTopic
+        ? parseTopic.bind(parser)
+        : (topic) => {
+            const [, deviceId, messageType] = topic.split("/");
+            return { deviceId, messageType };
+          },
+      buildCommand: buildCommand ? buildCommand.bind(parser) : null,
+    });
+  }
+
+  /**
+   * Load protocol plugins (*.js) from a directory, in file name order
+   * A missing directory is not an error.
+   * @param {string} dir - Plugin directory
+   * @returns {string[]} Registered device types
+   * @throws {Error} On an invalid plugin or a device type registered twice
+   */
+  loadPlugins(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const files = fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith(".js"))
+      .sort();
+
+    return files.map((file) => {
+      const plugin = require(path.join(dir, file));
+
+      if (!plugin || typeof plugin.deviceType !== "string" || !plugin.deviceType) {
+        throw new Error(`Parser plugin ${file}: deviceType must be a non-empty string`);
+      }
+      if (!Array.isArray(plugin.topics) || plugin.topics.length === 0) {
+        throw new Error(`Parser plugin ${file}: topics must be a non-empty array`);
+      }
+      if (typeof plugin.parse !== "function") {
+        throw new Error(`Parser plugin ${file}: parse must be a function`);
+      }
+      if (this.protocols.has(plugin.deviceType)) {
+        throw new Error(`Parser plugin ${file}: device type ${plugin.deviceType} is already registered`);
+      }
+
+      this.setProtocol(plugin.deviceType, plugin);
+      console.log(`  Loaded parser plugin ${file} (${plugin.deviceType})`);
+      return plugin.deviceType;
+    });
+  }
+
+  /**
+   * Get the protocol entry for a device type
+   * @param {string} deviceType - The device type identifier
+   * @returns {Object|null} { deviceType, parser, topics, decode, parseTopic, parse, buildCommand }
+   */
+  getProtocol(deviceType) {
+    return this.protocols.get(deviceType) || null;
+  }
+
+  /**
+   * Find the protocol whose topic patterns match an incoming topic
+   * @param {string} topic - MQTT topic
+   * @returns {Object|null} Protocol entry or null
+   */
+  findProtocol(topic) {
+    for (const protocol of this.protocols.values()) {
+      if (protocol.topics.some((pattern) => matchTopic(pattern, topic))) {
+        return protocol;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Topic patterns to subscribe to, across all registered protocols
+   * @returns {string[]}
+   */
+  getTopics() {
+    const topics = [];
+    this.protocols.forEach((protocol) => topics.push(...protocol.topics));
+    return [...new Set(topics)];
   }
 
   /**
@@ -0,0 +1,232 @@
+/**
+ * V5008Frames - Declarative V5008 frame definitions (FrameCodec)
+ *
+ * uplink: device → middleware frames, keyed by message type. V5008Parser
+ * decodes them after getMessageType; `output` shapes the SIF fields:
+ * - "object" (default): decoded fields merged into the SIF
+ * - "data": only the `data` group, as the SIF data array
+ * - "item": decoded fields wrapped as a single `data` entry
+ * Fields marked `internal` and the MsgId trailer are decoded (for round
+ * trips) but not copied into the SIF.
+ *
+ * commands: middleware → device frames, keyed by command message type
+ * (CommandService.buildV5008Command).
+ *
+ * Adding support for a new firmware frame is a definition here plus a
+ * getMessageType rule in V5008Parser.
+ */
+
+// Every uplink frame ends with MsgId (last 4 bytes, SIF messageId)
+const MSG_ID = [{ name: "messageId", type: "decimal32" }];
+
+// Command response result byte (Header AA)
+const RESULT = {
+  name: "result",
+  type: "enum",
+  values: { 0xa1: "Success", 0xa0: "Failure" },
+  default: "Failure",
+};
+
+// Module index is byte 1 of the echoed command (e.g. E4 01 → 1)
+const moduleIndexFromReq = (frame) => parseInt(frame.originalReq.slice(2, 4), 16);
+
+const uplink = {
+  HEARTBEAT: {
+    output: "data",
+    fields: [
+      { type: "const", value: 0xcc }, // 0xCC or 0xCB
+      {
+        name: "data",
+        repeat: 10,
+        fields: [
+          { name: "moduleIndex", type: "uint8" },
+          { name: "moduleId", type: "decimal32" },
+          { name: "uTotal", type: "uint8" },
+        ],
+        skip: (slot) => slot.moduleId === "0" || slot.moduleIndex > 5,
+      },
+    ],
+    trailer: MSG_ID,
+  },
+
+  RFID_SNAPSHOT: {
+    fields: [
+      { type: "const", value: 0xbb },
+      { name: "moduleIndex", type: "uint8" },
+      { name: "moduleId", type: "decimal32" },
+      { type: "uint8" }, // Reserved
+      { name: "uTotal", type: "uint8" },
+      { name: "onlineCount", type: "uint8" },
+      {
+        name: "data",
+        repeat: "onlineCount",
+        fields: [
+          { name: "uIndex", type: "uint8" },
+          { name: "isAlarm", type: "bool" },
+          { name: "tagId", type: "hex", length: 4 },
+        ],
+      },
+    ],
+    trailer: MSG_ID,
+  },
+
+  TEMP_HUM: {
+    fields: [
+      { name: "moduleIndex", type: "uint8" },
+      { name: "moduleId", type: "decimal32" },
+      {
+        name: "data",
+        repeat: 6,
+        fields: [
+          { name: "thIndex", type: "uint8" },
+          { name: "temp", type: "sensor" },
+          { name: "hum", type: "sensor" },
+        ],
+        skip: (slot) => slot.thIndex === 0,
+      },
+    ],
+    trailer: MSG_ID,
+  },
+
+  NOISE_LEVEL: {
+    fields: [
+      { name: "moduleIndex", type: "uint8" },
+      { name: "moduleId", type: "decimal32" },
+      {
+        name: "data",
+        repeat: 3,
+        fields: [
+          { name: "nsIndex", type: "uint8" },
+          { name: "noise", type: "sensor" },
+        ],
+        skip: (slot) => slot.nsIndex === 0,
+      },
+    ],
+    trailer: MSG_ID,
+  },
+
+  DOOR_STATE: {
+    output: "item",
+    fields: [
+      { type: "const", value: 0xba },
+      { name: "moduleIndex", type: "uint8" },
+      { name: "moduleId", type: "decimal32" },
+      { name: "doorState", type: "uint8" },
+    ],
+    trailer: MSG_ID,
+  },
+
+  DEVICE_INFO: {
+    fields: [
+      { type: "const", value: [0xef, 0x01] },
+      { name: "model", type: "hex", length: 2 },
+      { name: "fwVer", type: "decimal32" },
+      { name: "ip", type: "ip" },
+      { name: "mask", type: "ip" },
+      { name: "gwIp", type: "ip" },
+      { name: "mac", type: "mac" },
+    ],
+    trailer: MSG_ID,
+  },
+
+  MODULE_INFO: {
+    output: "data",
+    fields: [
+      { type: "const", value: [0xef, 0x02] },
+      {
+        name: "data",
+        repeat: "*",
+        fields: [
+          { name: "moduleIndex", type: "uint8" },
+          { name: "fwVer", type: "decimal32" },
+        ],
+      },
+    ],
+    trailer: MSG_ID,
+  },
+
+  QRY_CLR_RESP: {
+    fields: [
+      { type: "const", value: 0xaa },
+      { name: "gatewayId", type: "hex", length: 4, internal: true },
+      RESULT,
+      { name: "originalReq", type: "hex", length: 2 }, // E4 + moduleIndex
+      { name: "data", repeat: "*", type: "uint8" }, // Color code per U position
+    ],
+    trailer: MSG_ID,
+    derive: { moduleIndex: moduleIndexFromReq },
+  },
+
+  SET_CLR_RESP: {
+    fields: [
+      { type: "const", value: 0xaa },
+      { name: "gatewayId", type: "hex", length: 4, internal: true },
+      RESULT,
+      { name: "originalReq", type: "hex", length: "*" }, // E1 + moduleIndex + ...
+    ],
+    trailer: MSG_ID,
+    derive: { moduleIndex: moduleIndexFromReq },
+  },
+
+  CLN_ALM_RESP: {
+    fields: [
+      { type: "const", value: 0xaa },
+      { name: "gatewayId", type: "hex", length: 4, internal: true },
+      RESULT,
+      { name: "originalReq", type: "hex", length: "*" }, // E2 + moduleIndex + sensorIndex
+    ],
+    trailer: MSG_ID,
+    derive: { moduleIndex: moduleIndexFromReq },
+  },
+};
+
+// Module-level query: [0xE9, code, moduleIndex]
+const moduleQuery = (code) => ({
+  fields: [
+    { type: "const", value: [0xe9, code] },
+    { name: "moduleIndex", type: "uint8" },
+  ],
+});
+
+const commands = {
+  QRY_RFID_SNAPSHOT: moduleQuery(0x01),
+  QRY_TEMP_HUM: moduleQuery(0x02),
+  QRY_DOOR_STATE: moduleQuery(0x03),
+  QRY_NOISE_LEVEL: moduleQuery(0x04),
+
+  QRY_DEVICE_INFO: { fields: [{ type: "const", value: [0xef, 0x01, 0x00] }] },
+  QRY_MODULE_INFO: { fields: [{ type: "const", value: [0xef, 0x02, 0x00] }] },
+
+  QRY_COLOR: {
+    fields: [
+      { type: "const", value: 0xe4 },
+      { name: "moduleIndex", type: "uint8" },
+    ],
+  },
+
+  CLN_ALARM: {
+    fields: [
+      { type: "const", value: 0xe2 },
+      { name: "moduleIndex", type: "uint8" },
+      { name: "sensorIndex", type: "uint8" },
+    ],
+  },
+
+  // One or more LEDs: 0xE1 + [moduleIndex, sensorIndex, colorCode] × N
+  SET_COLOR: {
+    fields: [
+      { type: "const", value: 0xe1 },
+      {
+        name: "leds",
+        repeat: "*",
+        fields: [
+          { name: "moduleIndex", type: "uint8" },
+          { name: "sensorIndex", type: "uint8" },
+          { name: "colorCode", type: "uint8" },
+        ],
+      },
+    ],
+  },
+};
+
+module.exports = { uplink, commands };
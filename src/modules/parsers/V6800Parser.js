@@ -15,6 +15,7 @@
 class V6800Parser {
   constructor() {
     this.config = null;
+    this.lastError = null; // Error behind the last null result (ParseQuarantine)
 
     // Message type mapping from raw msg_type to SIF messageType
     this.messageTypeMap = {
@@ -50,6 +51,7 @@ class V6800Parser {
    * @returns {Object|null} SIF (Standard Intermediate Format) or null if parse fails
    */
   parse(topic, message) {
+    this.lastError = null;
     try {
       // Parse JSON if message is a string
       let json;
@@ -144,6 +146,7 @@ class V6800Parser {
       return sif;
     } catch (error) {
       console.error(`V6800Parser error:`, error.message);
+      this.lastError = error;
       return null;
     }
   }
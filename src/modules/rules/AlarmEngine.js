@@ -0,0 +1,344 @@
+/**
+ * AlarmEngine - Threshold alarms for TEMP_HUM and NOISE_LEVEL readings
+ *
+ * Evaluates every TEMP_HUM / NOISE_LEVEL SUO against configured threshold
+ * rules and emits alarm SUOs on transitions:
+ * - ALARM_RAISED: condition held for at least minDuration
+ * - ALARM_CLEARED: value back past the threshold by at least hysteresis
+ *
+ * Rules match by deviceId / moduleIndex / sensorIndex (omitted = any). Rules
+ * sharing a name act as defaults and overrides: for each sensor only the most
+ * specific matching rule of that name is evaluated.
+ */
+
+const eventBus = require("../../core/EventBus");
+const database = require("../../core/Database");
+
+// metric -> SUO messageType carrying it
+const METRICS = {
+  temp: "TEMP_HUM",
+  hum: "TEMP_HUM",
+  noise: "NOISE_LEVEL",
+};
+
+const CONDITIONS = ["above", "below"];
+
+class AlarmEngine {
+  constructor() {
+    this.config = null;
+    this.rules = [];
+    this.isRunning = false;
+    this.listener = null;
+
+    // Pending and active alarms by "{rule}:{deviceId}:{moduleIndex}:{sensorIndex}"
+    // state: "pending" (condition met, waiting for minDuration) or "active"
+    this.alarms = new Map();
+  }
+
+  /**
+   * Initialize the alarm engine
+   * @param {Object} config - Module configuration
+   * @returns {Promise<void>}
+   */
+  async initialize(config) {
+    this.config = config;
+    this.rules = (config.rules || []).map((rule) => this.validateRule(rule));
+    this.alarms.clear();
+    console.log(`  AlarmEngine initialized (${this.rules.length} rules)`);
+  }
+
+  /**
+   * Start evaluating normalized data
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.isRunning) {
+      console.warn("AlarmEngine already started");
+      return;
+    }
+
+    await this.restoreActiveAlarms();
+
+    this.listener = (suo) => {
+      this.handleData(suo);
+    };
+    eventBus.onDataNormalized(this.listener);
+
+    this.isRunning = true;
+    console.log("  AlarmEngine started");
+  }
+
+  /**
+   * Validate a rule and apply defaults
+   * @param {Object} rule - Rule configuration
+   * @returns {Object} Rule
+   * @throws {Error} On invalid rule
+   */
+  validateRule(rule) {
+    if (!rule.name) {
+      throw new Error("Alarm rule requires a name");
+    }
+    if (!METRICS[rule.metric]) {
+      throw new Error(
+        `Alarm rule ${rule.name}: unknown metric ${rule.metric} (expected ${Object.keys(METRICS).join(", ")})`,
+      );
+    }
+    if (typeof rule.threshold !== "number") {
+      throw new Error(`Alarm rule ${rule.name}: threshold must be a number`);
+    }
+
+    const condition = rule.condition || "above";
+    if (!CONDITIONS.includes(condition)) {
+      throw new Error(`Alarm rule ${rule.name}: condition must be "above" or "below"`);
+    }
+
+    return {
+      ...rule,
+      condition,
+      messageType: METRICS[rule.metric],
+      hysteresis: rule.hysteresis || 0,
+      minDuration: rule.minDuration || 0,
+      severity: rule.severity || "warning",
+    };
+  }
+
+  /**
+   * Evaluate a normalized SUO
+   * @param {Object} suo - Standard Unified Object
+   * @param {number} now - Evaluation time (ms)
+   */
+  handleData(suo, now = Date.now()) {
+    try {
+      if (suo.messageType !== "TEMP_HUM" && suo.messageType !== "NOISE_LEVEL") {
+        return;
+      }
+
+      (suo.payload || []).forEach((reading) => {
+        this.selectRules(suo, reading.sensorIndex).forEach((rule) => {
+          const value = reading[rule.metric];
+          if (value === null || value === undefined) {
+            return;
+          }
+          this.evaluate(rule, suo, reading.sensorIndex, value, now);
+        });
+      });
+    } catch (error) {
+      console.error("[AlarmEngine] Error:", error.message);
+      eventBus.emitError(error, "AlarmEngine");
+    }
+  }
+
+  /**
+   * Pick the most specific matching rule per rule name
+   * @param {Object} suo - Standard Unified Object
+   * @param {number} sensorIndex - Sensor index
+   * @returns {Array} Rules to evaluate
+   */
+  selectRules(suo, sensorIndex) {
+    const selected = new Map();
+
+    this.rules.forEach((rule) => {
+      if (rule.messageType !== suo.messageType) return;
+      if (rule.deviceId !== undefined && rule.deviceId !== suo.deviceId) return;
+      if (rule.moduleIndex !== undefined && rule.moduleIndex !== suo.moduleIndex) return;
+      if (rule.sensorIndex !== undefined && rule.sensorIndex !== sensorIndex) return;
+
+      const specificity = ["deviceId", "moduleIndex", "sensorIndex"].filter(
+        (field) => rule[field] !== undefined,
+      ).length;
+      const current = selected.get(rule.name);
+      if (!current || specificity > current.specificity) {
+        selected.set(rule.name, { rule, specificity });
+      }
+    });
+
+    return Array.from(selected.values()).map(({ rule }) => rule);
+  }
+
+  /**
+   * Advance the alarm state for one rule/sensor reading
+   * @param {Object} rule - Alarm rule
+   * @param {Object} suo - Source SUO
+   * @param {number} sensorIndex - Sensor index
+   * @param {number} value - Reading
+   * @param {number} now - Evaluation time (ms)
+   */
+  evaluate(rule, suo, sensorIndex, value, now) {
+    const key = `${rule.name}:${suo.deviceId}:${suo.moduleIndex}:${sensorIndex}`;
+    const alarm = this.alarms.get(key);
+    const above = rule.condition === "above";
+
+    if (alarm && alarm.state === "active") {
+      alarm.value = value;
+      alarm.peakValue = above ? Math.max(alarm.peakValue, value) : Math.min(alarm.peakValue, value);
+
+      const clearLevel = above ? rule.threshold - rule.hysteresis : rule.threshold + rule.hysteresis;
+      const cleared = above ? value <= clearLevel : value >= clearLevel;
+      if (cleared) {
+        this.alarms.delete(key);
+        alarm.clearedAt = new Date(now).toISOString();
+        console.log(`[AlarmEngine] Cleared ${rule.name} on ${suo.deviceId}/${suo.moduleIndex}/${sensorIndex}`);
+        this.emitAlarmEvent("ALARM_CLEARED", alarm);
+      }
+      return;
+    }
+
+    const exceeded = above ? value > rule.threshold : value < rule.threshold;
+    if (!exceeded) {
+      // Condition did not hold for minDuration
+      this.alarms.delete(key);
+      return;
+    }
+
+    const since = alarm ? alarm.since : now;
+    if (!alarm) {
+      this.alarms.set(key, { state: "pending", since, peakValue: value });
+    } else {
+      alarm.peakValue = above ? Math.max(alarm.peakValue, value) : Math.min(alarm.peakValue, value);
+    }
+
+    if (now - since >= rule.minDuration) {
+      const active = {
+        state: "active",
+        alarmId: `alm_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        deviceId: suo.deviceId,
+        deviceType: suo.deviceType,
+        moduleIndex: suo.moduleIndex,
+        moduleId: suo.moduleId,
+        sensorIndex,
+        rule: rule.name,
+        severity: rule.severity,
+        metric: rule.metric,
+        condition: rule.condition,
+        threshold: rule.threshold,
+        value,
+        peakValue: this.alarms.get(key).peakValue,
+        since: new Date(since).toISOString(),
+        raisedAt: new Date(now).toISOString(),
+        clearedAt: null,
+      };
+      this.alarms.set(key, active);
+      console.log(
+        `[AlarmEngine] Raised ${rule.name} on ${suo.deviceId}/${suo.moduleIndex}/${sensorIndex} (${rule.metric}=${value})`,
+      );
+      this.emitAlarmEvent("ALARM_RAISED", active);
+    }
+  }
+
+  /**
+   * Emit an alarm SUO
+   * @param {string} messageType - ALARM_RAISED or ALARM_CLEARED
+   * @param {Object} alarm - Alarm record
+   */
+  emitAlarmEvent(messageType, alarm) {
+    eventBus.emitDataNormalized({
+      deviceId: alarm.deviceId,
+      deviceType: alarm.deviceType || null,
+      messageType,
+      messageId: null, // Generated by the middleware, no device message
+      moduleIndex: alarm.moduleIndex,
+      moduleId: alarm.moduleId || "0",
+      payload: [this.toPublicAlarm(alarm)],
+    });
+  }
+
+  /**
+   * Strip internal state from an alarm record
+   * @param {Object} alarm - Alarm record
+   * @returns {Object} Public alarm
+   */
+  toPublicAlarm(alarm) {
+    const { state, since, ...publicAlarm } = alarm;
+    return publicAlarm;
+  }
+
+  /**
+   * Get active (raised, not yet cleared) alarms
+   * @param {Object} filters - Optional { deviceId, moduleIndex, severity }
+   * @returns {Array} Active alarms, newest first
+   */
+  getActiveAlarms(filters = {}) {
+    return Array.from(this.alarms.values())
+      .filter((alarm) => alarm.state === "active")
+      .filter((alarm) => !filters.deviceId || alarm.deviceId === filters.deviceId)
+      .filter((alarm) => filters.moduleIndex === undefined || alarm.moduleIndex === filters.moduleIndex)
+      .filter((alarm) => !filters.severity || alarm.severity === filters.severity)
+      .map((alarm) => this.toPublicAlarm(alarm))
+      .sort((a, b) => b.raisedAt.localeCompare(a.raisedAt));
+  }
+
+  /**
+   * Reload alarms still active in iot_alarm_event (raised without a clear)
+   * so they can be cleared after a restart. Skipped when the database is unavailable.
+   * @returns {Promise<void>}
+   */
+  async restoreActiveAlarms() {
+    let db;
+    try {
+      db = database.getConnection();
+    } catch (error) {
+      return;
+    }
+
+    try {
+      const rows = await db("iot_alarm_event as r")
+        .leftJoin("iot_alarm_event as c", function () {
+          this.on("c.alarm_id", "=", "r.alarm_id").andOn("c.event_type", "=", db.raw("?", ["ALARM_CLEARED"]));
+        })
+        .where("r.event_type", "ALARM_RAISED")
+        .whereNull("c.id")
+        .select("r.*");
+
+      const ruleNames = new Set(this.rules.map((rule) => rule.name));
+      rows
+        .filter((row) => ruleNames.has(row.rule_name))
+        .forEach((row) => {
+          const key = `${row.rule_name}:${row.device_id}:${row.module_index}:${row.sensor_index}`;
+          this.alarms.set(key, {
+            state: "active",
+            alarmId: row.alarm_id,
+            deviceId: row.device_id,
+            deviceType: row.device_type,
+            moduleIndex: row.module_index,
+            moduleId: row.module_id,
+            sensorIndex: row.sensor_index,
+            rule: row.rule_name,
+            severity: row.severity,
+            metric: row.metric,
+            condition: row.alarm_condition,
+            threshold: Number(row.threshold),
+            value: Number(row.alarm_value),
+            peakValue: Number(row.alarm_value),
+            since: new Date(row.raised_at).toISOString(),
+            raisedAt: new Date(row.raised_at).toISOString(),
+            clearedAt: null,
+          });
+        });
+
+      if (this.alarms.size > 0) {
+        console.log(`  AlarmEngine restored ${this.alarms.size} active alarms`);
+      }
+    } catch (error) {
+      console.error("[AlarmEngine] Failed to restore active alarms:", error.message);
+    }
+  }
+
+  /**
+   * Stop the alarm engine
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    console.log("  Stopping AlarmEngine...");
+
+    // Only our own listener - StorageService and outputs share data.normalized
+    if (this.listener) {
+      eventBus.removeListener("data.normalized", this.listener);
+      this.listener = null;
+    }
+
+    this.isRunning = false;
+    console.log("  AlarmEngine stopped");
+  }
+}
+
+module.exports = new AlarmEngine();
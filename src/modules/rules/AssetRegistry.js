@@ -0,0 +1,330 @@
+/**
+ * AssetRegistry - RFID tagId to asset mapping and misplacement detection
+ *
+ * Assets are stored in iot_asset and cached in memory. Each asset may carry a
+ * registered position (deviceId, moduleIndex, uIndex = RFID sensorIndex).
+ *
+ * - UnifyNormalizer calls enrich() so RFID_SNAPSHOT / RFID_EVENT payload items
+ *   of registered tags carry an `asset` object
+ * - ASSET_MISPLACED is emitted when a registered tag is ATTACHED at a position
+ *   different from the registered one (only the registered fields are compared)
+ */
+
+const eventBus = require("../../core/EventBus");
+const database = require("../../core/Database");
+
+const POSITION_FIELDS = ["deviceId", "moduleIndex", "uIndex"];
+
+class AssetRegistry {
+  constructor() {
+    this.config = null;
+    this.isRunning = false;
+    this.listener = null;
+
+    // Assets by normalized tagId
+    this.assets = new Map();
+  }
+
+  /**
+   * Initialize the asset registry
+   * @param {Object} config - Module configuration
+   * @returns {Promise<void>}
+   */
+  async initialize(config) {
+    this.config = config;
+    this.assets.clear();
+    console.log("  AssetRegistry initialized");
+  }
+
+  /**
+   * Load assets and start watching RFID events
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.isRunning) {
+      console.warn("AssetRegistry already started");
+      return;
+    }
+
+    await this.loadAssets();
+
+    this.listener = (suo) => {
+      this.handleData(suo);
+    };
+    eventBus.onDataNormalized(this.listener);
+
+    this.isRunning = true;
+    console.log(`  AssetRegistry started (${this.assets.size} assets)`);
+  }
+
+  /**
+   * Normalize a tagId for lookups (tag readers report hex in either case)
+   * @param {string} tagId - RFID tag ID
+   * @returns {string} Upper-case tag ID
+   */
+  normalizeTagId(tagId) {
+    return String(tagId).trim().toUpperCase();
+  }
+
+  /**
+   * Validate asset fields from an API request
+   * @param {string} tagId - RFID tag ID
+   * @param {Object} data - { name, owner?, model?, deviceId?, moduleIndex?, uIndex? }
+   * @returns {Object} Asset
+   * @throws {Error} On invalid fields (message is safe to return to clients)
+   */
+  validateAsset(tagId, data) {
+    if (!tagId || !String(tagId).trim()) {
+      throw new Error("tagId is required");
+    }
+    if (!data.name || typeof data.name !== "string") {
+      throw new Error("name is required");
+    }
+
+    const toInt = (field) => {
+      if (data[field] === undefined || data[field] === null || data[field] === "") {
+        return null;
+      }
+      const value = Number(data[field]);
+      if (!Number.isInteger(value)) {
+        throw new Error(`${field} must be an integer`);
+      }
+      return value;
+    };
+
+    const asset = {
+      tagId: this.normalizeTagId(tagId),
+      name: data.name,
+      owner: data.owner || null,
+      model: data.model || null,
+      deviceId: data.deviceId ? String(data.deviceId) : null,
+      moduleIndex: toInt("moduleIndex"),
+      uIndex: toInt("uIndex"),
+    };
+
+    if (!asset.deviceId && (asset.moduleIndex !== null || asset.uIndex !== null)) {
+      throw new Error("deviceId is required when moduleIndex or uIndex is set");
+    }
+
+    return asset;
+  }
+
+  /**
+   * Load all assets from iot_asset
+   * Skipped when the database is unavailable.
+   * @returns {Promise<void>}
+   */
+  async loadAssets() {
+    try {
+      const rows = await database.select("iot_asset");
+      this.assets.clear();
+      rows.forEach((row) => {
+        const asset = this.fromRow(row);
+        this.assets.set(asset.tagId, asset);
+      });
+    } catch (error) {
+      console.error("[AssetRegistry] Failed to load assets:", error.message);
+    }
+  }
+
+  /**
+   * Map an iot_asset row to an asset
+   * @param {Object} row - Database row
+   * @returns {Object} Asset
+   */
+  fromRow(row) {
+    return {
+      tagId: row.tag_id,
+      name: row.asset_name,
+      owner: row.owner,
+      model: row.model,
+      deviceId: row.device_id,
+      moduleIndex: row.module_index,
+      uIndex: row.u_index,
+      updatedAt: row.update_at ? new Date(row.update_at).toISOString() : null,
+    };
+  }
+
+  /**
+   * Get an asset by tagId
+   * @param {string} tagId - RFID tag ID
+   * @returns {Object|null} Asset
+   */
+  getAsset(tagId) {
+    if (!tagId) {
+      return null;
+    }
+    return this.assets.get(this.normalizeTagId(tagId)) || null;
+  }
+
+  /**
+   * List assets
+   * @param {Object} filters - Optional { deviceId, owner }
+   * @returns {Array} Assets sorted by tagId
+   */
+  listAssets(filters = {}) {
+    return Array.from(this.assets.values())
+      .filter((asset) => !filters.deviceId || asset.deviceId === filters.deviceId)
+      .filter((asset) => !filters.owner || asset.owner === filters.owner)
+      .sort((a, b) => a.tagId.localeCompare(b.tagId));
+  }
+
+  /**
+   * Create or replace an asset
+   * @param {string} tagId - RFID tag ID
+   * @param {Object} data - Asset fields (see validateAsset)
+   * @returns {Promise<Object>} { asset, created }
+   */
+  async saveAsset(tagId, data) {
+    const asset = this.validateAsset(tagId, data);
+    const now = new Date();
+
+    await database.upsert(
+      "iot_asset",
+      {
+        tag_id: asset.tagId,
+        asset_name: asset.name,
+        owner: asset.owner,
+        model: asset.model,
+        device_id: asset.deviceId,
+        module_index: asset.moduleIndex,
+        u_index: asset.uIndex,
+        parse_at: now,
+        update_at: now,
+      },
+      "tag_id",
+    );
+
+    const created = !this.assets.has(asset.tagId);
+    asset.updatedAt = now.toISOString();
+    this.assets.set(asset.tagId, asset);
+
+    return { asset, created };
+  }
+
+  /**
+   * Delete an asset
+   * @param {string} tagId - RFID tag ID
+   * @returns {Promise<boolean>} True if the asset existed
+   */
+  async deleteAsset(tagId) {
+    const normalized = this.normalizeTagId(tagId);
+    const deleted = await database.delete("iot_asset", { tag_id: normalized });
+    return this.assets.delete(normalized) || deleted > 0;
+  }
+
+  /**
+   * Attach asset info to RFID payload items of registered tags
+   * Returns new item objects; unregistered tags are returned unchanged.
+   * @param {Array} items - RFID payload items ({ sensorIndex, tagId, ... })
+   * @returns {Array} Enriched items
+   */
+  enrich(items) {
+    if (!this.config || this.assets.size === 0) {
+      return items;
+    }
+
+    return items.map((item) => {
+      const asset = this.getAsset(item.tagId);
+      return asset ? { ...item, asset: this.toSummary(asset) } : item;
+    });
+  }
+
+  /**
+   * Asset fields carried in SUO payloads
+   * @param {Object} asset - Asset
+   * @returns {Object} { name, owner, model, deviceId, moduleIndex, uIndex } (registered position)
+   */
+  toSummary(asset) {
+    const { tagId, updatedAt, ...summary } = asset;
+    return summary;
+  }
+
+  /**
+   * Check ATTACHED RFID events against registered positions
+   * @param {Object} suo - Standard Unified Object
+   */
+  handleData(suo) {
+    try {
+      if (suo.messageType !== "RFID_EVENT" || this.assets.size === 0) {
+        return;
+      }
+
+      (suo.payload || []).forEach((item) => {
+        if (item.action !== "ATTACHED") {
+          return;
+        }
+
+        const asset = this.getAsset(item.tagId);
+        if (!asset || !asset.deviceId) {
+          return;
+        }
+
+        const actual = { deviceId: suo.deviceId, moduleIndex: suo.moduleIndex, uIndex: item.sensorIndex };
+        const mismatched = POSITION_FIELDS.filter(
+          (field) => asset[field] !== null && asset[field] !== actual[field],
+        );
+        if (mismatched.length === 0) {
+          return;
+        }
+
+        console.log(
+          `[AssetRegistry] ${asset.tagId} (${asset.name}) at ${actual.deviceId}/${actual.moduleIndex}/U${actual.uIndex}, registered ${asset.deviceId}/${asset.moduleIndex}/U${asset.uIndex}`,
+        );
+        this.emitMisplaced(suo, item, asset, actual);
+      });
+    } catch (error) {
+      console.error("[AssetRegistry] Error:", error.message);
+      eventBus.emitError(error, "AssetRegistry");
+    }
+  }
+
+  /**
+   * Emit an ASSET_MISPLACED SUO at the observed position
+   * @param {Object} suo - Source RFID_EVENT SUO
+   * @param {Object} item - RFID event payload item
+   * @param {Object} asset - Registered asset
+   * @param {Object} actual - Observed { deviceId, moduleIndex, uIndex }
+   */
+  emitMisplaced(suo, item, asset, actual) {
+    eventBus.emitDataNormalized({
+      deviceId: suo.deviceId,
+      deviceType: suo.deviceType,
+      messageType: "ASSET_MISPLACED",
+      messageId: suo.messageId, // Source RFID message for traceability
+      moduleIndex: suo.moduleIndex,
+      moduleId: suo.moduleId,
+      payload: [
+        {
+          sensorIndex: item.sensorIndex,
+          tagId: item.tagId,
+          asset: this.toSummary(asset),
+          expected: {
+            deviceId: asset.deviceId,
+            moduleIndex: asset.moduleIndex,
+            uIndex: asset.uIndex,
+          },
+          actual,
+        },
+      ],
+    });
+  }
+
+  /**
+   * Stop the asset registry
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    console.log("  Stopping AssetRegistry...");
+
+    if (this.listener) {
+      eventBus.removeListener("data.normalized", this.listener);
+      this.listener = null;
+    }
+
+    this.isRunning = false;
+    console.log("  AssetRegistry stopped");
+  }
+}
+
+module.exports = new AssetRegistry();
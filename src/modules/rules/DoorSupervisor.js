@@ -0,0 +1,374 @@
+/**
+ * DoorSupervisor - Door open duration and maintenance window supervision
+ *
+ * Follows DOOR_STATE SUOs per door (doorState, or door1State/door2State for
+ * dual doors) and emits:
+ * - DOOR_OPEN_TIMEOUT: door still open after openTimeout (once per opening)
+ * - DOOR_UNAUTHORIZED_OPEN: door opened outside all configured maintenance
+ *   windows (only when maintenanceWindows are configured)
+ *
+ * Open doors are restored from iot_door_event on startup, so an opening that
+ * spans a restart still times out.
+ */
+
+const eventBus = require("../../core/EventBus");
+const database = require("../../core/Database");
+
+const DOOR_FIELDS = ["doorState", "door1State", "door2State"];
+
+class DoorSupervisor {
+  constructor() {
+    this.config = null;
+    this.timer = null;
+    this.listener = null;
+    this.isRunning = false;
+
+    // Open doors by "{deviceId}:{moduleIndex}:{door}"
+    this.openDoors = new Map();
+  }
+
+  /**
+   * Initialize the door supervisor
+   * @param {Object} config - Module configuration
+   * @returns {Promise<void>}
+   */
+  async initialize(config) {
+    this.config = config;
+    this.openTimeout = config.openTimeout || 300000; // Default: 5 minutes
+    this.openValue = config.openValue !== undefined ? config.openValue : 1;
+    this.maintenanceWindows = (config.maintenanceWindows || []).map((window) =>
+      this.parseWindow(window),
+    );
+    this.openDoors.clear();
+
+    console.log(
+      `  DoorSupervisor initialized (timeout: ${this.openTimeout}ms, maintenance windows: ${this.maintenanceWindows.length})`,
+    );
+  }
+
+  /**
+   * Start supervising door state
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.isRunning) {
+      console.warn("DoorSupervisor already started");
+      return;
+    }
+
+    await this.restoreOpenDoors();
+
+    this.listener = (suo) => {
+      this.handleData(suo);
+    };
+    eventBus.onDataNormalized(this.listener);
+
+    const checkInterval = this.config.checkInterval || 10000; // Default: 10s
+    this.timer = setInterval(() => {
+      this.check();
+    }, checkInterval);
+
+    this.isRunning = true;
+    console.log("  DoorSupervisor started");
+  }
+
+  /**
+   * Parse a maintenance window
+   * "24:00" is only accepted as an end time (end of the day).
+   * @param {Object} window - { days?: [0-6], start: "HH:MM", end: "HH:MM", deviceIds?: [] }
+   * @returns {Object} Window with start/end in minutes since midnight
+   * @throws {Error} On invalid times
+   */
+  parseWindow(window) {
+    const toMinutes = (time, isEnd) => {
+      if (isEnd && time === "24:00") {
+        return 24 * 60;
+      }
+      const match = typeof time === "string" && time.match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+        throw new Error(`Invalid maintenance window time: ${time} (expected HH:MM)`);
+      }
+      return parseInt(match[1]) * 60 + parseInt(match[2]);
+    };
+
+    return {
+      days: window.days || null,
+      start: toMinutes(window.start, false),
+      end: toMinutes(window.end, true),
+      deviceIds: window.deviceIds || null,
+    };
+  }
+
+  /**
+   * Check whether a time falls into a maintenance window for the device
+   * Windows use server local time; end < start spans midnight.
+   * @param {string} deviceId - Device ID
+   * @param {Date} date - Time to check
+   * @returns {boolean} True if inside a window
+   */
+  isInMaintenanceWindow(deviceId, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+
+    return this.maintenanceWindows.some((window) => {
+      if (window.deviceIds && !window.deviceIds.includes(deviceId)) {
+        return false;
+      }
+
+      if (window.start <= window.end) {
+        return (!window.days || window.days.includes(day)) && minutes >= window.start && minutes < window.end;
+      }
+
+      // Overnight: the part after midnight belongs to the previous day's window
+      if (minutes >= window.start) {
+        return !window.days || window.days.includes(day);
+      }
+      return minutes < window.end && (!window.days || window.days.includes(previousDay));
+    });
+  }
+
+  /**
+   * Track door transitions from DOOR_STATE SUOs
+   * @param {Object} suo - Standard Unified Object
+   * @param {number} now - Evaluation time (ms)
+   */
+  handleData(suo, now = Date.now()) {
+    try {
+      if (suo.messageType !== "DOOR_STATE" || !suo.payload || suo.payload.length === 0) {
+        return;
+      }
+
+      const state = suo.payload[0];
+      DOOR_FIELDS.forEach((door) => {
+        if (state[door] === null || state[door] === undefined) {
+          return;
+        }
+
+        const key = `${suo.deviceId}:${suo.moduleIndex}:${door}`;
+        const isOpen = state[door] === this.openValue;
+
+        if (isOpen && !this.openDoors.has(key)) {
+          const record = {
+            deviceId: suo.deviceId,
+            deviceType: suo.deviceType,
+            moduleIndex: suo.moduleIndex,
+            moduleId: suo.moduleId,
+            door,
+            openedAt: now,
+            timeoutRaised: false,
+          };
+          this.openDoors.set(key, record);
+
+          if (this.maintenanceWindows.length > 0 && !this.isInMaintenanceWindow(suo.deviceId, new Date(now))) {
+            console.log(
+              `[DoorSupervisor] ${door} of ${suo.deviceId}/${suo.moduleIndex} opened outside maintenance windows`,
+            );
+            this.emitDoorEvent("DOOR_UNAUTHORIZED_OPEN", record, now);
+          }
+        } else if (!isOpen) {
+          this.openDoors.delete(key);
+        }
+      });
+    } catch (error) {
+      console.error("[DoorSupervisor] Error:", error.message);
+      eventBus.emitError(error, "DoorSupervisor");
+    }
+  }
+
+  /**
+   * Raise DOOR_OPEN_TIMEOUT for doors open longer than openTimeout
+   * @param {number} now - Evaluation time (ms)
+   */
+  check(now = Date.now()) {
+    try {
+      this.openDoors.forEach((record) => {
+        if (!record.timeoutRaised && now - record.openedAt >= this.openTimeout) {
+          record.timeoutRaised = true;
+          console.log(
+            `[DoorSupervisor] ${record.door} of ${record.deviceId}/${record.moduleIndex} open for ${now - record.openedAt}ms`,
+          );
+          this.emitDoorEvent("DOOR_OPEN_TIMEOUT", record, now);
+        }
+      });
+    } catch (error) {
+      console.error("[DoorSupervisor] Error:", error.message);
+      eventBus.emitError(error, "DoorSupervisor");
+    }
+  }
+
+  /**
+   * Emit a door supervision SUO
+   * The payload keeps the DOOR_STATE shape (only the affected door set) so
+   * consumers and iot_door_event can treat it like a door state message.
+   * @param {string} messageType - DOOR_OPEN_TIMEOUT or DOOR_UNAUTHORIZED_OPEN
+   * @param {Object} record - Open door record
+   * @param {number} now - Event time (ms)
+   */
+  emitDoorEvent(messageType, record, now) {
+    const payload = {
+      doorState: null,
+      door1State: null,
+      door2State: null,
+      door: record.door,
+      openedAt: new Date(record.openedAt).toISOString(),
+      openDuration: now - record.openedAt,
+    };
+    payload[record.door] = this.openValue;
+
+    if (messageType === "DOOR_OPEN_TIMEOUT") {
+      payload.openTimeout = this.openTimeout;
+    }
+
+    eventBus.emitDataNormalized({
+      deviceId: record.deviceId,
+      deviceType: record.deviceType || null,
+      messageType,
+      messageId: null, // Generated by the middleware, no device message
+      moduleIndex: record.moduleIndex,
+      moduleId: record.moduleId || "0",
+      payload: [payload],
+    });
+  }
+
+  /**
+   * Get currently open doors
+   * @param {number} now - Reference time (ms)
+   * @returns {Array} Open doors, longest open first
+   */
+  getOpenDoors(now = Date.now()) {
+    return Array.from(this.openDoors.values())
+      .map((record) => ({
+        deviceId: record.deviceId,
+        deviceType: record.deviceType,
+        moduleIndex: record.moduleIndex,
+        moduleId: record.moduleId,
+        door: record.door,
+        openedAt: new Date(record.openedAt).toISOString(),
+        openDuration: now - record.openedAt,
+        timedOut: record.timeoutRaised,
+      }))
+      .sort((a, b) => b.openDuration - a.openDuration);
+  }
+
+  /**
+   * Restore open doors from iot_door_event
+   * A door is open when the latest DOOR_STATE row of its module reports it
+   * open; it has been open since the first open row after its last closed
+   * row (repeated open reports, e.g. heartbeat repairs, do not move openedAt).
+   * Skipped when the database is unavailable.
+   * @returns {Promise<void>}
+   */
+  async restoreOpenDoors() {
+    let db;
+    try {
+      db = database.getConnection();
+    } catch (error) {
+      return;
+    }
+
+    try {
+      const latestIds = db("iot_door_event")
+        .max("id")
+        .where("event_type", "DOOR_STATE")
+        .groupBy("device_id", "module_index");
+
+      const rows = await db("iot_door_event").select("*").whereIn("id", latestIds);
+
+      // Timeout rows only set the door they are about, so take the latest one per door
+      const lastTimeoutId = new Map();
+      for (const door of DOOR_FIELDS) {
+        const timeouts = await db("iot_door_event")
+          .select("device_id", "module_index")
+          .max("id as id")
+          .where("event_type", "DOOR_OPEN_TIMEOUT")
+          .whereNotNull(door)
+          .groupBy("device_id", "module_index");
+
+        timeouts.forEach((row) => {
+          lastTimeoutId.set(`${row.device_id}:${row.module_index}:${door}`, row.id);
+        });
+      }
+
+      for (const row of rows) {
+        for (const door of DOOR_FIELDS) {
+          if (row[door] !== this.openValue) {
+            continue;
+          }
+
+          const opening = (await this.findOpeningRow(db, row, door)) || row;
+          const key = `${row.device_id}:${row.module_index}:${door}`;
+          this.openDoors.set(key, {
+            deviceId: row.device_id,
+            deviceType: null,
+            moduleIndex: row.module_index,
+            moduleId: null,
+            door,
+            openedAt: new Date(opening.parse_at).getTime(),
+            // A timeout recorded after the opening was already raised before the restart
+            timeoutRaised: (lastTimeoutId.get(key) || 0) > opening.id,
+          });
+        }
+      }
+
+      if (this.openDoors.size > 0) {
+        console.log(`  DoorSupervisor restored ${this.openDoors.size} open doors`);
+      }
+    } catch (error) {
+      console.error("[DoorSupervisor] Failed to restore open doors:", error.message);
+    }
+  }
+
+  /**
+   * Find the DOOR_STATE row that opened a door: the first open row after the
+   * door's last closed row
+   * @param {Object} db - Knex connection
+   * @param {Object} row - Latest DOOR_STATE row of the module (door open)
+   * @param {string} door - doorState, door1State or door2State
+   * @returns {Promise<Object|undefined>} Opening row
+   */
+  async findOpeningRow(db, row, door) {
+    const doorStates = () =>
+      db("iot_door_event").where({
+        device_id: row.device_id,
+        module_index: row.module_index,
+        event_type: "DOOR_STATE",
+      });
+
+    const lastClosed = await doorStates()
+      .max("id as id")
+      .whereNotNull(door)
+      .whereNot(door, this.openValue)
+      .first();
+
+    return doorStates()
+      .select("id", "parse_at")
+      .where(door, this.openValue)
+      .where("id", ">", (lastClosed && lastClosed.id) || 0)
+      .orderBy("id")
+      .first();
+  }
+
+  /**
+   * Stop the door supervisor
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    console.log("  Stopping DoorSupervisor...");
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.listener) {
+      eventBus.removeListener("data.normalized", this.listener);
+      this.listener = null;
+    }
+
+    this.isRunning = false;
+    console.log("  DoorSupervisor stopped");
+  }
+}
+
+module.exports = new DoorSupervisor();
@@ -0,0 +1,159 @@
+/**
+ * CommandAudit - Query the command audit log (iot_command_audit)
+ *
+ * StorageService appends one row per command status transition. The list
+ * view returns the latest row per command_id (its current status), the
+ * trail view every transition of one command.
+ *
+ * origin separates operator commands (REST / WebSocket, with user and
+ * client IP) from automatic SmartHeartbeat / self-healing queries.
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Query parameter -> column for exact-match filters
+const FILTERS = {
+  deviceId: "device_id",
+  source: "source",
+  origin: "origin",
+  user: "user_name",
+  messageType: "message_type",
+  status: "status",
+};
+
+class CommandAudit {
+  /**
+   * Validate query parameters and apply defaults
+   * @param {Object} query - Request query
+   * @returns {Object} Normalized options ({ filters, startTime, endTime, limit, offset })
+   * @throws {Error} On invalid parameters (message is safe to return to clients)
+   */
+  parseOptions(query) {
+    const startTime = query.startTime ? new Date(query.startTime) : null;
+    const endTime = query.endTime ? new Date(query.endTime) : null;
+    if (isNaN(startTime) || isNaN(endTime) || (startTime && endTime && startTime > endTime)) {
+      throw new Error("startTime/endTime must be valid dates with startTime <= endTime");
+    }
+
+    if (query.origin && !["operator", "automatic"].includes(query.origin)) {
+      throw new Error("origin must be operator or automatic");
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const offset = query.offset !== undefined ? parseInt(query.offset) : 0;
+    if (Number.isNaN(offset) || offset < 0) {
+      throw new Error("offset must be a non-negative integer");
+    }
+
+    const filters = {};
+    Object.keys(FILTERS).forEach((key) => {
+      if (query[key]) filters[key] = query[key];
+    });
+
+    return { filters, startTime, endTime, limit, offset };
+  }
+
+  /**
+   * Build the list query: latest row per command, newest command first
+   * The latest row is picked over all rows of a command; the time range
+   * filters on the command's created_at afterwards.
+   * @param {Object} db - Knex connection
+   * @param {Object} options - Normalized options
+   * @returns {Object} Knex query builder (thenable)
+   */
+  buildQuery(db, options) {
+    const latest = db("iot_command_audit").select("command_id").max("id as id").groupBy("command_id");
+
+    const query = db("iot_command_audit as t")
+      .join(latest.as("l"), "t.id", "l.id")
+      .select("t.*")
+      .orderBy([
+        { column: "t.created_at", order: "desc" },
+        { column: "t.id", order: "desc" },
+      ])
+      .limit(options.limit)
+      .offset(options.offset);
+
+    if (options.startTime) query.where("t.created_at", ">=", options.startTime);
+    if (options.endTime) query.where("t.created_at", "<=", options.endTime);
+    Object.entries(options.filters).forEach(([key, value]) => {
+      query.where(`t.${FILTERS[key]}`, value);
+    });
+
+    return query;
+  }
+
+  /**
+   * Build the trail query: every transition of one command, oldest first
+   * @param {Object} db - Knex connection
+   * @param {string} commandId - Command ID
+   * @returns {Object} Knex query builder (thenable)
+   */
+  buildTrailQuery(db, commandId) {
+    return db("iot_command_audit").select("*").where("command_id", commandId).orderBy("id", "asc");
+  }
+
+  /**
+   * List commands with their latest status
+   * @param {Object} db - Knex connection
+   * @param {Object} options - Normalized options from parseOptions
+   * @returns {Promise<Array>} Command records
+   */
+  async list(db, options) {
+    const rows = await this.buildQuery(db, options);
+    return rows.map((row) => this.toRecord(row));
+  }
+
+  /**
+   * Get every status transition of one command
+   * @param {Object} db - Knex connection
+   * @param {string} commandId - Command ID
+   * @returns {Promise<Object|null>} Latest record with trail, or null when unknown
+   */
+  async getTrail(db, commandId) {
+    const rows = await this.buildTrailQuery(db, commandId);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      ...this.toRecord(rows[rows.length - 1]),
+      trail: rows.map((row) => ({
+        status: row.status,
+        error: row.error || null,
+        at: new Date(row.parse_at).toISOString(),
+      })),
+    };
+  }
+
+  /**
+   * Map an audit row to the API shape
+   * @param {Object} row - iot_command_audit row
+   * @returns {Object} Command record
+   */
+  toRecord(row) {
+    return {
+      commandId: row.command_id,
+      source: row.source,
+      origin: row.origin,
+      user: row.user_name || null,
+      authType: row.auth_type || null,
+      clientIp: row.client_ip || null,
+      deviceId: row.device_id,
+      deviceType: row.device_type,
+      messageType: row.message_type,
+      payload: typeof row.payload === "string" ? JSON.parse(row.payload) : row.payload || {},
+      status: row.status,
+      error: row.error || null,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.parse_at).toISOString(),
+    };
+  }
+}
+
+module.exports = new CommandAudit();
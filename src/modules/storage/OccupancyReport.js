@@ -0,0 +1,264 @@
+/**
+ * OccupancyReport - Rack U-slot utilisation from RFID snapshots and uTotal
+ *
+ * A U position (1..uTotal) counts as occupied when the module's RFID
+ * snapshot has a tag at that sensorIndex. Per module the report lists
+ * occupied/free counts and contiguous free blocks; totals cover the fleet.
+ *
+ * Sources:
+ * - live: StateCache telemetry (rfidSnapshot, uTotal from heartbeat or metadata)
+ * - history: latest iot_rfid_snapshot row per module and latest iot_heartbeat
+ *   row per device (uTotal) at or before the requested time
+ *
+ * Modules without a known uTotal are listed with free/utilization null and
+ * excluded from the capacity totals.
+ */
+
+const CSV_COLUMNS = [
+  "deviceId",
+  "moduleIndex",
+  "moduleId",
+  "uTotal",
+  "occupied",
+  "free",
+  "utilization",
+  "largestFreeBlock",
+  "freeBlocks",
+];
+
+class OccupancyReport {
+  /**
+   * Compute occupancy of one module
+   * @param {Object} module - { deviceId, deviceType, moduleIndex, moduleId, uTotal, snapshot, snapshotAt }
+   * @returns {Object} Module occupancy
+   */
+  computeModule(module) {
+    const uTotal = Number.isInteger(module.uTotal) && module.uTotal > 0 ? module.uTotal : null;
+    const occupiedU = Array.from(
+      new Set(
+        (module.snapshot || [])
+          .filter((item) => item.tagId)
+          .map((item) => item.sensorIndex)
+          .filter((u) => Number.isInteger(u) && u >= 1 && (uTotal === null || u <= uTotal)),
+      ),
+    ).sort((a, b) => a - b);
+
+    const freeBlocks = uTotal !== null ? this.findFreeBlocks(occupiedU, uTotal) : [];
+
+    return {
+      deviceId: module.deviceId,
+      deviceType: module.deviceType || null,
+      moduleIndex: module.moduleIndex,
+      moduleId: module.moduleId || null,
+      uTotal,
+      occupied: occupiedU.length,
+      free: uTotal !== null ? uTotal - occupiedU.length : null,
+      utilization: uTotal !== null ? this.percent(occupiedU.length, uTotal) : null,
+      occupiedU,
+      freeBlocks,
+      largestFreeBlock: freeBlocks.reduce((max, block) => Math.max(max, block.size), 0),
+      snapshotAt: module.snapshotAt || null,
+    };
+  }
+
+  /**
+   * Find contiguous free U ranges
+   * @param {Array} occupiedU - Sorted occupied U positions
+   * @param {number} uTotal - Module capacity
+   * @returns {Array} [{ start, end, size }]
+   */
+  findFreeBlocks(occupiedU, uTotal) {
+    const blocks = [];
+    let start = 1;
+
+    [...occupiedU, uTotal + 1].forEach((u) => {
+      if (u > start) {
+        blocks.push({ start, end: u - 1, size: u - start });
+      }
+      start = u + 1;
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Percentage with two decimals
+   * @param {number} part - Part
+   * @param {number} total - Total
+   * @returns {number} Percentage
+   */
+  percent(part, total) {
+    return total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+  }
+
+  /**
+   * Build a report from module inputs
+   * @param {Array} modules - Module inputs (see computeModule)
+   * @param {Object} meta - { source, at }
+   * @returns {Object} { source, at, totals, modules }
+   */
+  buildReport(modules, meta) {
+    const computed = modules
+      .map((module) => this.computeModule(module))
+      .sort((a, b) => a.deviceId.localeCompare(b.deviceId) || a.moduleIndex - b.moduleIndex);
+
+    const known = computed.filter((module) => module.uTotal !== null);
+    const uTotal = known.reduce((sum, module) => sum + module.uTotal, 0);
+    const occupied = known.reduce((sum, module) => sum + module.occupied, 0);
+
+    return {
+      source: meta.source,
+      at: meta.at,
+      totals: {
+        devices: new Set(computed.map((module) => module.deviceId)).size,
+        modules: computed.length,
+        unknownCapacity: computed.length - known.length,
+        uTotal,
+        occupied,
+        free: uTotal - occupied,
+        utilization: this.percent(occupied, uTotal),
+        largestFreeBlock: known.reduce((max, module) => Math.max(max, module.largestFreeBlock), 0),
+      },
+      modules: computed,
+    };
+  }
+
+  /**
+   * Live report from StateCache
+   * @param {Object} stateCache - StateCache instance
+   * @param {Object} filters - Optional { deviceId }
+   * @returns {Object} Report
+   */
+  fromCache(stateCache, filters = {}) {
+    const modules = stateCache
+      .getAllTelemetry()
+      .filter((telemetry) => !filters.deviceId || telemetry.deviceId === filters.deviceId)
+      .map((telemetry) => {
+        const metadata = stateCache.getMetadata(telemetry.deviceId);
+        const metaModule = metadata
+          ? (metadata.activeModules || []).find((m) => m.moduleIndex === telemetry.moduleIndex)
+          : null;
+
+        return {
+          deviceId: telemetry.deviceId,
+          deviceType: telemetry.deviceType,
+          moduleIndex: telemetry.moduleIndex,
+          moduleId: telemetry.moduleId || (metaModule && metaModule.moduleId),
+          uTotal: telemetry.uTotal || (metaModule && metaModule.uTotal),
+          snapshot: telemetry.rfidSnapshot,
+          snapshotAt: telemetry.lastSeenRfid,
+        };
+      });
+
+    return this.buildReport(modules, { source: "live", at: new Date().toISOString() });
+  }
+
+  /**
+   * Historical report from iot_rfid_snapshot and iot_heartbeat
+   * @param {Object} db - Knex connection
+   * @param {Object} options - { at: Date, deviceId }
+   * @returns {Promise<Object>} Report
+   */
+  async fromHistory(db, options) {
+    const snapshots = await this.buildLatestQuery(db, "iot_rfid_snapshot", ["device_id", "module_index"], options)
+      .select("t.device_id", "t.module_index", "t.rfid_snapshot", "t.parse_at");
+    const heartbeats = await this.buildLatestQuery(db, "iot_heartbeat", ["device_id"], options)
+      .select("t.device_id", "t.active_modules");
+
+    // uTotal / moduleId by "{deviceId}:{moduleIndex}" at that time
+    const capacity = new Map();
+    heartbeats.forEach((row) => {
+      this.parseJson(row.active_modules).forEach((module) => {
+        capacity.set(`${row.device_id}:${module.moduleIndex}`, module);
+      });
+    });
+
+    const modules = snapshots.map((row) => {
+      const module = capacity.get(`${row.device_id}:${row.module_index}`) || {};
+      return {
+        deviceId: row.device_id,
+        moduleIndex: row.module_index,
+        moduleId: module.moduleId,
+        uTotal: module.uTotal,
+        snapshot: this.parseJson(row.rfid_snapshot),
+        snapshotAt: new Date(row.parse_at).toISOString(),
+      };
+    });
+
+    return this.buildReport(modules, { source: "history", at: options.at.toISOString() });
+  }
+
+  /**
+   * Build a query for the latest row per group at or before options.at
+   * @param {Object} db - Knex connection
+   * @param {string} table - iot_rfid_snapshot or iot_heartbeat
+   * @param {Array} groupBy - Group columns
+   * @param {Object} options - { at, deviceId }
+   * @returns {Object} Knex query builder aliased "t" (thenable)
+   */
+  buildLatestQuery(db, table, groupBy, options) {
+    const latest = db(table)
+      .select(groupBy)
+      .max("id as id")
+      .where("parse_at", "<=", options.at)
+      .groupBy(groupBy);
+    if (options.deviceId) latest.where("device_id", options.deviceId);
+
+    return db(`${table} as t`).join(latest.as("l"), "t.id", "l.id");
+  }
+
+  /**
+   * Parse a JSON column (mysql2 may already return objects)
+   * @param {string|Array|null} value - Column value
+   * @returns {Array} Parsed array (empty on null)
+   */
+  parseJson(value) {
+    if (!value) {
+      return [];
+    }
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  }
+
+  /**
+   * Render a report as CSV (one row per module plus a TOTAL row)
+   * Text cells that a spreadsheet would run as a formula (=, +, -, @, tab, CR)
+   * are prefixed with ', and cells with commas, quotes or line breaks are quoted.
+   * @param {Object} report - Report from buildReport
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const escape = (value) => {
+      let text = value === null || value === undefined ? "" : String(value);
+      if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = report.modules.map((module) =>
+      CSV_COLUMNS.map((column) =>
+        column === "freeBlocks"
+          ? module.freeBlocks.map((block) => (block.size === 1 ? `${block.start}` : `${block.start}-${block.end}`)).join(" ")
+          : module[column],
+      ),
+    );
+
+    const { totals } = report;
+    rows.push([
+      "TOTAL",
+      "",
+      "",
+      totals.uTotal,
+      totals.occupied,
+      totals.free,
+      totals.utilization,
+      totals.largestFreeBlock,
+      "",
+    ]);
+
+    return [CSV_COLUMNS, ...rows].map((row) => row.map(escape).join(",")).join("\n") + "\n";
+  }
+}
+
+module.exports = new OccupancyReport();
@@ -12,16 +12,41 @@
 
 const eventBus = require("../../core/EventBus");
 const database = require("../../core/Database");
+const metrics = require("../../core/Metrics");
 const StateCache = require("../normalizer/StateCache");
 const c = require("config");
 const logger = require("../../core/Logger");
+const ingestQueue = require("../ingress/IngestQueue");
+const StorageSpool = require("./StorageSpool");
 
 class StorageService {
   constructor() {
     this.config = null;
     this.batchBuffer = new Map();
     this.flushTimer = null;
+    this.spoolTimer = null;
+    this.commandStatusListener = null;
     this.isRunning = false;
+
+    // Local spool for batches the database rejected (null when disabled)
+    this.spool = null;
+
+    // Rows handed to the database but not yet acknowledged
+    this.inFlightRows = 0;
+
+    // Promise of the running flush or spool replay (null when idle)
+    this.flushing = null;
+
+    metrics.histogram(
+      "iot_db_flush_duration_seconds",
+      "Duration of batch inserts per table (failed inserts included)",
+      ["table"],
+    );
+    metrics.counter(
+      "iot_db_flush_rows_total",
+      "Rows flushed per table, by result (inserted, failed)",
+      ["table", "result"],
+    );
   }
 
   /**
@@ -31,6 +56,16 @@ class StorageService {
    */
   async initialize(config) {
     this.config = config;
+
+    const spoolConfig = config.spool || {};
+    if (spoolConfig.enabled !== false) {
+      this.spool = new StorageSpool(spoolConfig);
+      const spooled = await this.spool.load();
+      if (spooled > 0) {
+        console.log(`  StorageService found ${spooled} spooled rows to replay`);
+      }
+    }
+
     console.log("  StorageService initialized");
   }
 
@@ -49,12 +84,31 @@ class StorageService {
       this.handleData(suo);
     });
 
+    // Command audit log: one row per command status transition
+    if (this.config.commandAudit !== false) {
+      this.commandStatusListener = (command) => {
+        this.handleCommandStatus(command);
+      };
+      eventBus.onCommandStatus(this.commandStatusListener);
+    }
+
+    // Slow DB: hold messages in the bounded ingest queue instead of batchBuffer
+    ingestQueue.registerPressureSource("storage", () => this.isBackpressured());
+
     // Start periodic flush
     const flushInterval = this.config.flushInterval || 1000;
     this.flushTimer = setInterval(() => {
       this.flush();
     }, flushInterval);
 
+    // Retry spooled batches once their backoff has elapsed
+    if (this.spool) {
+      const pollInterval = (this.config.spool && this.config.spool.pollInterval) || 1000;
+      this.spoolTimer = setInterval(() => {
+        this.replaySpool();
+      }, pollInterval);
+    }
+
     this.isRunning = true;
     console.log("  StorageService started");
   }
@@ -90,6 +144,8 @@ class StorageService {
           this.handleNoiseLevel(suo);
           break;
         case "DOOR_STATE":
+        case "DOOR_OPEN_TIMEOUT":
+        case "DOOR_UNAUTHORIZED_OPEN":
           this.handleDoorState(suo);
           break;
         case "DEVICE_METADATA":
@@ -103,6 +159,16 @@ class StorageService {
         case "META_CHANGED_EVENT":
           this.handleMetaChangedEvent(suo);
           break;
+        case "DEVICE_OFFLINE":
+        case "DEVICE_ONLINE":
+        case "MODULE_OFFLINE":
+        case "MODULE_ONLINE":
+          this.handleStatusEvent(suo);
+          break;
+        case "ALARM_RAISED":
+        case "ALARM_CLEARED":
+          this.handleAlarmEvent(suo);
+          break;
         default:
           // Unknown message type - silently skip
           break;
@@ -245,6 +311,8 @@ class StorageService {
 
   /**
    * Handle door state message
+   * Also stores DoorSupervisor events (DOOR_OPEN_TIMEOUT, DOOR_UNAUTHORIZED_OPEN),
+   * which carry the same payload plus openedAt/openDuration.
    * @param {Object} suo - Standard Unified Object
    */
   handleDoorState(suo) {
@@ -257,9 +325,12 @@ class StorageService {
         device_id: deviceId,
         module_index: moduleIndex,
         message_id: messageId || "",
+        event_type: suo.messageType,
         doorState: item.doorState,
         door1State: item.door1State,
         door2State: item.door2State,
+        opened_at: item.openedAt ? new Date(item.openedAt) : null,
+        open_duration: item.openDuration !== undefined ? item.openDuration : null,
         parse_at: new Date(),
       });
     }
@@ -342,6 +413,84 @@ class StorageService {
     });
   }
 
+  /**
+   * Handle device/module status event (from CacheWatchdog)
+   * @param {Object} suo - Standard Unified Object
+   */
+  handleStatusEvent(suo) {
+    const { deviceId, deviceType, moduleIndex, moduleId, payload, messageId } = suo;
+    const status = payload[0] || {};
+
+    this.addToBatch("iot_status_event", {
+      device_id: deviceId,
+      device_type: deviceType || null,
+      module_index: moduleIndex !== undefined ? moduleIndex : null,
+      module_id: moduleId || null,
+      message_id: messageId || null,
+      event_type: suo.messageType,
+      last_seen_hb: status.lastSeenHb ? new Date(status.lastSeenHb) : null,
+      parse_at: new Date(),
+    });
+  }
+
+  /**
+   * Handle threshold alarm transition (from AlarmEngine)
+   * @param {Object} suo - Standard Unified Object
+   */
+  handleAlarmEvent(suo) {
+    const { deviceId, deviceType, moduleIndex, moduleId, payload, messageId } = suo;
+    const alarm = payload[0] || {};
+
+    this.addToBatch("iot_alarm_event", {
+      device_id: deviceId,
+      device_type: deviceType || null,
+      module_index: moduleIndex,
+      module_id: moduleId || null,
+      message_id: messageId || null,
+      event_type: suo.messageType,
+      alarm_id: alarm.alarmId,
+      rule_name: alarm.rule,
+      severity: alarm.severity,
+      sensor_index: alarm.sensorIndex,
+      metric: alarm.metric,
+      alarm_condition: alarm.condition,
+      threshold: alarm.threshold,
+      alarm_value: alarm.value !== undefined ? alarm.value : null,
+      peak_value: alarm.peakValue !== undefined ? alarm.peakValue : null,
+      raised_at: new Date(alarm.raisedAt),
+      cleared_at: alarm.clearedAt ? new Date(alarm.clearedAt) : null,
+      parse_at: new Date(),
+    });
+  }
+
+  /**
+   * Handle command status transition (from CommandService)
+   * @param {Object} command - Command record snapshot
+   */
+  handleCommandStatus(command) {
+    try {
+      this.addToBatch("iot_command_audit", {
+        command_id: command.commandId,
+        source: command.source || "internal",
+        origin: command.origin || "automatic",
+        user_name: command.user || null,
+        auth_type: command.authType || null,
+        client_ip: command.clientIp || null,
+        device_id: command.deviceId || null,
+        device_type: command.deviceType || null,
+        message_type: command.messageType || null,
+        payload: JSON.stringify(command.payload || {}),
+        status: command.status,
+        error: command.error ? String(command.error).substring(0, 255) : null,
+        created_at: new Date(command.createdAt),
+        parse_at: new Date(command.updatedAt),
+      });
+    } catch (error) {
+      console.error("[StorageService] Error handling command status:", error.message);
+      eventBus.emitError(error, "StorageService");
+    }
+  }
+
   /**
    * Add data to batch buffer
    * @param {string} table - Table name
@@ -354,18 +503,61 @@ class StorageService {
     this.batchBuffer.get(table).push(data);
   }
 
+  /**
+   * Get number of rows waiting for or in a database write
+   * @returns {number} Buffered row count
+   */
+  getBufferedCount() {
+    let buffered = this.inFlightRows;
+    this.batchBuffer.forEach((rows) => {
+      buffered += rows.length;
+    });
+    return buffered;
+  }
+
+  /**
+   * Check whether the write path is behind (maxBufferedRows reached)
+   * @returns {boolean} True if ingest should pause
+   */
+  isBackpressured() {
+    const maxBufferedRows = this.config.maxBufferedRows || 10000;
+    return this.getBufferedCount() >= maxBufferedRows;
+  }
+
   /**
    * Flush all batches to database
+   * Only one flush or spool replay runs at a time: while one is running this
+   * returns its promise instead of starting another write (rows buffered
+   * meanwhile go to the next flush).
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.writeBatches().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Write the buffered batches (see flush)
+   * @returns {Promise<void>}
    */
-  async flush() {
+  async writeBatches() {
     if (this.batchBuffer.size === 0) {
       return;
     }
 
-    try {
-      // Convert Map to Array to ensure consistent iteration order
-      const entries = Array.from(this.batchBuffer.entries());
+    // Convert Map to Array to ensure consistent iteration order, and detach it
+    // so rows buffered while the writes are pending go to the next flush
+    const entries = Array.from(this.batchBuffer.entries());
+    this.batchBuffer.clear();
 
+    const rowCount = entries.reduce((sum, [, data]) => sum + data.length, 0);
+    this.inFlightRows += rowCount;
+
+    try {
       for (const [table, data] of entries) {
         if (data.length === 0) {
           continue;
@@ -381,22 +573,97 @@ class StorageService {
           // Debug config not available, skip
         }
 
+        const startedAt = process.hrtime.bigint();
+        const seconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
         try {
           await database.batchInsert(table, data);
+          metrics.observe("iot_db_flush_duration_seconds", { table }, seconds());
+          metrics.inc("iot_db_flush_rows_total", { table, result: "inserted" }, data.length);
         } catch (error) {
+          metrics.observe("iot_db_flush_duration_seconds", { table }, seconds());
+          metrics.inc("iot_db_flush_rows_total", { table, result: "failed" }, data.length);
           console.error(`[StorageService] Failed to flush to ${table}:`, error.message);
           eventBus.emitError(error, "StorageService");
+          await this.spoolRows(table, data);
         }
       }
-
-      // Clear buffer
-      this.batchBuffer.clear();
     } catch (error) {
       console.error("[StorageService] Flush error:", error.message);
       eventBus.emitError(error, "StorageService");
+    } finally {
+      this.inFlightRows -= rowCount;
     }
   }
 
+  /**
+   * Write a failed batch to the spool
+   * @param {string} table - Table name
+   * @param {Array} data - Rows that could not be inserted
+   * @returns {Promise<void>}
+   */
+  async spoolRows(table, data) {
+    if (!this.spool) {
+      console.error(`[StorageService] Discarded ${data.length} rows for ${table} (spool disabled)`);
+      return;
+    }
+
+    try {
+      if (await this.spool.append(table, data)) {
+        console.warn(`[StorageService] Spooled ${data.length} rows for ${table}`);
+      } else {
+        console.error(`[StorageService] Dropped ${data.length} rows for ${table} (spool full, maxBytes ${this.spool.maxBytes})`);
+      }
+    } catch (error) {
+      console.error(`[StorageService] Failed to spool ${table}:`, error.message);
+      eventBus.emitError(error, "StorageService");
+    }
+  }
+
+  /**
+   * Replay spooled batches if a retry is due
+   * Skipped while a flush or another replay is running.
+   * @returns {Promise<number>} Number of replayed rows
+   */
+  async replaySpool() {
+    if (!this.spool || this.flushing || !this.spool.isDue()) {
+      return 0;
+    }
+
+    const replay = this.replayDueBatches();
+    this.flushing = replay.finally(() => {
+      this.flushing = null;
+    });
+    return replay;
+  }
+
+  /**
+   * Insert the spooled batches (see replaySpool)
+   * @returns {Promise<number>} Number of replayed rows
+   */
+  async replayDueBatches() {
+    try {
+      const replayed = await this.spool.replay((table, rows) => database.batchInsert(table, rows));
+      if (replayed > 0) {
+        console.log(`[StorageService] Replayed ${replayed} spooled rows`);
+      }
+      return replayed;
+    } catch (error) {
+      console.error(
+        `[StorageService] Spool replay failed (next attempt ${this.spool.getStats().nextAttemptAt}):`,
+        error.message,
+      );
+      return 0;
+    }
+  }
+
+  /**
+   * Get spooled row counts (for /api/health)
+   * @returns {Object|null} Spool stats or null when disabled
+   */
+  getSpoolStats() {
+    return this.spool ? this.spool.getStats() : null;
+  }
+
   /**
    * Stop storage service
    * @returns {Promise<void>}
@@ -404,18 +671,32 @@ class StorageService {
   async stop() {
     console.log("  Stopping StorageService...");
 
-    // Flush remaining data
-    await this.flush();
-
     // Stop periodic flush
     if (this.flushTimer) {
       clearInterval(this.flushTimer);
       this.flushTimer = null;
     }
 
+    if (this.spoolTimer) {
+      clearInterval(this.spoolTimer);
+      this.spoolTimer = null;
+    }
+
+    // Wait for a running flush/replay, then flush remaining data
+    if (this.flushing) {
+      await this.flushing;
+    }
+    await this.flush();
+
     // Unsubscribe from events
     eventBus.removeAllListeners("data.normalized");
 
+    // Only our own listener - WebSocketServer and CommandService also follow command.status
+    if (this.commandStatusListener) {
+      eventBus.removeListener("command.status", this.commandStatusListener);
+      this.commandStatusListener = null;
+    }
+
     this.isRunning = false;
     console.log("  StorageService stopped");
   }
@@ -0,0 +1,410 @@
+/**
+ * StorageSpool - Local spillover for failed StorageService flushes
+ *
+ * Rows from a failed batchInsert are appended to an NDJSON file per table and
+ * replayed with exponential backoff once the database is reachable again.
+ *
+ * Layout:
+ * - {spoolDir}/{table}.ndjson                 - rows appended by failed flushes
+ * - {spoolDir}/{table}.{timestamp}.replay.ndjson - batch claimed by a replay pass
+ * - {spoolDir}/{table}.rejected.ndjson        - rows the database refused (not retried)
+ *
+ * A replay pass renames the live file before reading it, so rows spooled while
+ * the replay runs land in a fresh file and are never lost or inserted twice.
+ *
+ * Connection-level failures stop the pass and back off. A MySQL error about
+ * the rows themselves (schema, constraint, NOT NULL, ...) would fail forever,
+ * so the chunk is retried row by row and refused rows move to the rejected
+ * file while the replay continues. The spool directory is capped at maxBytes;
+ * rows of failed flushes beyond that are dropped and counted.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Timestamp columns written by StorageService (Date objects, serialized as ISO strings).
+// Only these are revived, so payload strings that look like dates stay strings.
+const DATE_COLUMNS = new Set([
+  "parse_at",
+  "opened_at",
+  "last_seen_hb",
+  "raised_at",
+  "cleared_at",
+  "created_at",
+]);
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// MySQL server errors (ER_*) that say nothing about the rows - retried like connection errors
+const TRANSIENT_DB_ERRORS = new Set([
+  "ER_LOCK_DEADLOCK",
+  "ER_LOCK_WAIT_TIMEOUT",
+  "ER_CON_COUNT_ERROR",
+  "ER_TOO_MANY_USER_CONNECTIONS",
+  "ER_ACCESS_DENIED_ERROR",
+  "ER_DBACCESS_DENIED_ERROR",
+  "ER_SERVER_SHUTDOWN",
+  "ER_QUERY_INTERRUPTED",
+  "ER_OUT_OF_RESOURCES",
+  "ER_OUTOFMEMORY",
+  "ER_NET_READ_ERROR",
+  "ER_NET_READ_INTERRUPTED",
+  "ER_NET_WRITE_INTERRUPTED",
+  "ER_NET_ERROR_ON_WRITE",
+  "ER_LOCK_TABLE_FULL",
+  "ER_OPTION_PREVENTS_STATEMENT", // read-only replica during failover
+]);
+
+const SPOOL_FILE = /^([A-Za-z0-9_]+)\.ndjson$/;
+const REPLAY_FILE = /^([A-Za-z0-9_]+)\.\d+\.replay\.ndjson$/;
+
+class StorageSpool {
+  /**
+   * @param {Object} config - Spool configuration (modules.storage.spool)
+   */
+  constructor(config = {}) {
+    this.spoolDir = path.resolve(config.dir || "data/spool");
+    this.initialDelay = config.initialDelay || 5000; // Default: 5s
+    this.maxDelay = config.maxDelay || 300000; // Default: 5 minutes
+    this.replayBatchSize = config.replayBatchSize || 500;
+    this.maxBytes = config.maxBytes || 104857600; // Default: 100 MB
+
+    // Bytes in the spool directory (spooled, claimed and rejected files)
+    this.bytes = 0;
+
+    // Spooled row counts by table
+    this.rowCounts = new Map();
+
+    this.failures = 0;
+    this.nextAttemptAt = null;
+    this.lastError = null;
+    this.lastRejectError = null;
+    this.replaying = false;
+
+    this.stats = {
+      spooled: 0,
+      replayed: 0,
+      rejected: 0,
+      dropped: 0,
+    };
+  }
+
+  /**
+   * Create the spool directory and count rows left by a previous run
+   * @returns {Promise<number>} Number of spooled rows found
+   */
+  async load() {
+    await fs.promises.mkdir(this.spoolDir, { recursive: true });
+
+    for (const file of await fs.promises.readdir(this.spoolDir)) {
+      const table = this.getTable(file);
+      if (table) {
+        const rows = await this.readRows(path.join(this.spoolDir, file));
+        this.addCount(table, rows.length);
+      }
+    }
+
+    await this.refreshBytes();
+
+    if (this.getTotalRows() > 0) {
+      this.nextAttemptAt = Date.now();
+    }
+
+    return this.getTotalRows();
+  }
+
+  /**
+   * Append rows of a failed flush
+   * Rows that would grow the spool beyond maxBytes are dropped.
+   * @param {string} table - Table name
+   * @param {Array} rows - Rows to spool
+   * @returns {Promise<boolean>} False if the rows were dropped (spool full)
+   */
+  async append(table, rows) {
+    if (!SPOOL_FILE.test(`${table}.ndjson`)) {
+      throw new Error(`Invalid table name for spool: ${table}`);
+    }
+
+    const lines = rows.map((row) => JSON.stringify(row)).join("\n") + "\n";
+    const size = Buffer.byteLength(lines);
+    if (this.bytes + size > this.maxBytes) {
+      this.stats.dropped += rows.length;
+      return false;
+    }
+
+    await fs.promises.appendFile(path.join(this.spoolDir, `${table}.ndjson`), lines);
+
+    this.bytes += size;
+    this.addCount(table, rows.length);
+    this.stats.spooled += rows.length;
+
+    // First spill schedules a replay attempt after the initial delay
+    if (this.nextAttemptAt === null) {
+      this.nextAttemptAt = Date.now() + this.initialDelay;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a replay attempt is due
+   * @param {number} now - Reference time (ms)
+   * @returns {boolean} True if spooled rows should be retried now
+   */
+  isDue(now = Date.now()) {
+    return (
+      !this.replaying &&
+      this.getTotalRows() > 0 &&
+      this.nextAttemptAt !== null &&
+      now >= this.nextAttemptAt
+    );
+  }
+
+  /**
+   * Replay all spooled rows through the insert function
+   * Stops at the first transient failure and schedules the next attempt with
+   * backoff; rows the database refuses are moved to the rejected file.
+   * @param {Function} insert - async (table, rows) => void
+   * @returns {Promise<number>} Number of rows replayed
+   */
+  async replay(insert) {
+    if (this.replaying) {
+      return 0;
+    }
+
+    this.replaying = true;
+    let replayed = 0;
+
+    try {
+      // Claim live files so new failures go to fresh files
+      const existing = await fs.promises.readdir(this.spoolDir);
+      let claimedAt = Date.now();
+      for (const file of existing) {
+        const match = file.match(SPOOL_FILE);
+        if (match) {
+          // Never overwrite a replay file left by an earlier pass in the same ms
+          while (existing.includes(`${match[1]}.${claimedAt}.replay.ndjson`)) {
+            claimedAt++;
+          }
+          await fs.promises.rename(
+            path.join(this.spoolDir, file),
+            path.join(this.spoolDir, `${match[1]}.${claimedAt}.replay.ndjson`),
+          );
+        }
+      }
+
+      const replayFiles = (await fs.promises.readdir(this.spoolDir))
+        .filter((file) => REPLAY_FILE.test(file))
+        .sort();
+
+      for (const file of replayFiles) {
+        const table = this.getTable(file);
+        const filePath = path.join(this.spoolDir, file);
+        const rows = await this.readRows(filePath);
+        let done = 0; // Rows inserted or rejected
+
+        try {
+          while (done < rows.length) {
+            const chunk = rows.slice(done, done + this.replayBatchSize);
+            try {
+              await insert(table, chunk);
+              replayed += chunk.length;
+              this.markReplayed(table, chunk.length);
+              done += chunk.length;
+            } catch (error) {
+              if (!this.isPermanentError(error)) {
+                throw error;
+              }
+
+              // Find the refused rows: retry the chunk one row at a time
+              for (const row of chunk) {
+                try {
+                  await insert(table, [row]);
+                  replayed++;
+                  this.markReplayed(table, 1);
+                } catch (rowError) {
+                  if (!this.isPermanentError(rowError)) {
+                    throw rowError;
+                  }
+                  await this.reject(table, row, rowError);
+                }
+                done++;
+              }
+            }
+          }
+        } catch (error) {
+          // Keep the unreplayed remainder for the next attempt
+          await this.writeRows(filePath, rows.slice(done));
+          throw error;
+        }
+
+        await fs.promises.unlink(filePath);
+      }
+
+      this.failures = 0;
+      this.lastError = null;
+      this.nextAttemptAt = this.getTotalRows() > 0 ? Date.now() : null;
+    } catch (error) {
+      this.failures++;
+      this.lastError = error.message;
+      this.nextAttemptAt = Date.now() + this.getBackoffDelay(this.failures);
+      throw error;
+    } finally {
+      await this.refreshBytes();
+      this.replaying = false;
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Check whether an insert error is about the rows themselves
+   * mysql2 server errors carry an ER_* code; connection problems (ECONNREFUSED,
+   * PROTOCOL_CONNECTION_LOST, pool timeouts, ...) do not.
+   * @param {Error} error - Insert error
+   * @returns {boolean} True if retrying the same rows can never succeed
+   */
+  isPermanentError(error) {
+    const code = error && error.code;
+    return typeof code === "string" && code.startsWith("ER_") && !TRANSIENT_DB_ERRORS.has(code);
+  }
+
+  /**
+   * Count replayed rows
+   * @param {string} table - Table name
+   * @param {number} count - Rows inserted
+   */
+  markReplayed(table, count) {
+    this.addCount(table, -count);
+    this.stats.replayed += count;
+  }
+
+  /**
+   * Move a row the database refused to {table}.rejected.ndjson
+   * @param {string} table - Table name
+   * @param {Object} row - Refused row
+   * @param {Error} error - Insert error
+   * @returns {Promise<void>}
+   */
+  async reject(table, row, error) {
+    await fs.promises.appendFile(path.join(this.spoolDir, `${table}.rejected.ndjson`), JSON.stringify(row) + "\n");
+    this.addCount(table, -1);
+    this.stats.rejected++;
+    this.lastRejectError = `${error.code}: ${error.message}`;
+    console.error(`[StorageSpool] Rejected spooled row for ${table} (${error.code}): ${error.message}`);
+  }
+
+  /**
+   * Recompute the size of the spool directory
+   * @returns {Promise<void>}
+   */
+  async refreshBytes() {
+    let bytes = 0;
+    for (const file of await fs.promises.readdir(this.spoolDir).catch(() => [])) {
+      const stat = await fs.promises.stat(path.join(this.spoolDir, file)).catch(() => null);
+      bytes += stat ? stat.size : 0;
+    }
+    this.bytes = bytes;
+  }
+
+  /**
+   * Exponential backoff delay for the given failure count
+   * @param {number} failures - Consecutive failed replays (>= 1)
+   * @returns {number} Delay in ms
+   */
+  getBackoffDelay(failures) {
+    return Math.min(this.initialDelay * Math.pow(2, failures - 1), this.maxDelay);
+  }
+
+  /**
+   * Total spooled rows across tables
+   * @returns {number} Row count
+   */
+  getTotalRows() {
+    let total = 0;
+    this.rowCounts.forEach((count) => {
+      total += count;
+    });
+    return total;
+  }
+
+  /**
+   * Get spool statistics (for /api/health)
+   * @returns {Object} Spool stats
+   */
+  getStats() {
+    return {
+      rows: this.getTotalRows(),
+      tables: Object.fromEntries(
+        Array.from(this.rowCounts.entries()).filter(([, count]) => count > 0),
+      ),
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      failures: this.failures,
+      lastError: this.lastError,
+      lastRejectError: this.lastRejectError,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt).toISOString() : null,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Adjust the spooled row count of a table
+   * @param {string} table - Table name
+   * @param {number} delta - Row count change
+   */
+  addCount(table, delta) {
+    this.rowCounts.set(table, Math.max((this.rowCounts.get(table) || 0) + delta, 0));
+  }
+
+  /**
+   * Resolve the table of a spool file
+   * @param {string} file - File name
+   * @returns {string|null} Table name or null if not a spool file
+   */
+  getTable(file) {
+    const match = file.match(SPOOL_FILE) || file.match(REPLAY_FILE);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Read rows from an NDJSON file (skips corrupt lines)
+   * @param {string} filePath - Spool file
+   * @returns {Promise<Array>} Rows
+   */
+  async readRows(filePath) {
+    const content = await fs.promises.readFile(filePath, "utf8");
+    const rows = [];
+
+    content.split("\n").forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        rows.push(
+          JSON.parse(line, (key, value) =>
+            DATE_COLUMNS.has(key) && typeof value === "string" && ISO_DATE.test(value) ? new Date(value) : value,
+          ),
+        );
+      } catch (error) {
+        // A partially written last line (crash during append) is dropped
+        console.error(`[StorageSpool] Skipping corrupt line in ${filePath}`);
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Rewrite an NDJSON file atomically
+   * @param {string} filePath - Spool file
+   * @param {Array} rows - Rows
+   * @returns {Promise<void>}
+   */
+  async writeRows(filePath, rows) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, rows.map((row) => JSON.stringify(row)).join("\n") + "\n");
+    await fs.promises.rename(tmpPath, filePath);
+  }
+}
+
+module.exports = StorageSpool;
@@ -0,0 +1,159 @@
+/**
+ * TagHistory - Location timeline of one RFID tag from iot_rfid_event
+ *
+ * Reads ATTACHED / DETACHED rows for a tagId across all devices and modules
+ * (served by idx_rfid_evt) and derives dwell intervals: one interval per stay
+ * at a device / module / sensorIndex (U position).
+ *
+ * A tag can only be at one position, so an ATTACHED elsewhere ends the open
+ * interval even if its DETACHED was never recorded.
+ */
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+class TagHistory {
+  /**
+   * Validate query parameters and apply defaults
+   * @param {Object} query - Request query ({ startTime, endTime, limit })
+   * @returns {Object} Normalized options
+   * @throws {Error} On invalid parameters (message is safe to return to clients)
+   */
+  parseOptions(query) {
+    const startTime = query.startTime ? new Date(query.startTime) : null;
+    const endTime = query.endTime ? new Date(query.endTime) : null;
+    if (isNaN(startTime) || isNaN(endTime) || (startTime && endTime && startTime > endTime)) {
+      throw new Error("startTime/endTime must be valid dates with startTime <= endTime");
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    return { startTime, endTime, limit };
+  }
+
+  /**
+   * Build the timeline query (oldest first)
+   * @param {Object} db - Knex connection
+   * @param {string} tagId - RFID tag ID
+   * @param {Object} options - Normalized options
+   * @returns {Object} Knex query builder (thenable)
+   */
+  buildQuery(db, tagId, options) {
+    const query = db("iot_rfid_event")
+      .select("device_id", "module_index", "sensor_index", "tag_id", "action", "alarm", "message_id", "parse_at")
+      .where("tag_id", tagId)
+      .whereIn("action", ["ATTACHED", "DETACHED"])
+      .orderBy([
+        { column: "parse_at", order: "asc" },
+        { column: "id", order: "asc" },
+      ])
+      .limit(options.limit + 1); // One extra row detects truncation
+
+    if (options.startTime) query.where("parse_at", ">=", options.startTime);
+    if (options.endTime) query.where("parse_at", "<=", options.endTime);
+
+    return query;
+  }
+
+  /**
+   * Run the query and derive the dwell intervals
+   * @param {Object} db - Knex connection
+   * @param {string} tagId - RFID tag ID
+   * @param {Object} options - Normalized options from parseOptions
+   * @returns {Promise<Object>} { tagId, events, dwell, truncated }
+   */
+  async getHistory(db, tagId, options) {
+    const rows = await this.buildQuery(db, tagId, options);
+    const truncated = rows.length > options.limit;
+    const events = this.toEvents(rows.slice(0, options.limit));
+
+    return {
+      tagId,
+      events,
+      dwell: this.computeDwell(events),
+      truncated,
+    };
+  }
+
+  /**
+   * Map rows to timeline events
+   * @param {Array} rows - iot_rfid_event rows (oldest first)
+   * @returns {Array} [{ time, action, deviceId, moduleIndex, sensorIndex, isAlarm, messageId }]
+   */
+  toEvents(rows) {
+    return rows.map((row) => ({
+      time: new Date(row.parse_at).toISOString(),
+      action: row.action.trim(), // CHAR(10) may come back padded
+      deviceId: row.device_id,
+      moduleIndex: row.module_index,
+      sensorIndex: row.sensor_index,
+      isAlarm: Boolean(row.alarm),
+      messageId: row.message_id,
+    }));
+  }
+
+  /**
+   * Derive dwell intervals from a timeline
+   * A DETACHED without a preceding ATTACHED (stay began before the range)
+   * yields an interval with attachedAt null. The last interval stays open
+   * (detachedAt null, duration up to now) while the tag is attached.
+   * @param {Array} events - Timeline events (oldest first)
+   * @param {number} now - Reference time for open intervals (ms)
+   * @returns {Array} [{ deviceId, moduleIndex, sensorIndex, attachedAt, detachedAt, duration, open }]
+   */
+  computeDwell(events, now = Date.now()) {
+    const dwell = [];
+    let current = null;
+
+    const close = (interval, detachedAt) => {
+      const end = detachedAt ? new Date(detachedAt).getTime() : now;
+      dwell.push({
+        ...interval,
+        detachedAt,
+        duration: interval.attachedAt ? end - new Date(interval.attachedAt).getTime() : null,
+        open: !detachedAt,
+      });
+    };
+
+    const samePosition = (a, b) =>
+      a.deviceId === b.deviceId && a.moduleIndex === b.moduleIndex && a.sensorIndex === b.sensorIndex;
+
+    events.forEach((event) => {
+      const position = {
+        deviceId: event.deviceId,
+        moduleIndex: event.moduleIndex,
+        sensorIndex: event.sensorIndex,
+      };
+
+      if (event.action === "ATTACHED") {
+        if (current && samePosition(current, position)) {
+          return; // Repeated attach (e.g. snapshot resync) - same stay
+        }
+        if (current) {
+          close(current, event.time);
+        }
+        current = { ...position, attachedAt: event.time };
+        return;
+      }
+
+      // DETACHED
+      if (current && samePosition(current, position)) {
+        close(current, event.time);
+        current = null;
+      } else if (!current && dwell.length === 0) {
+        close({ ...position, attachedAt: null }, event.time);
+      }
+    });
+
+    if (current) {
+      close(current, null);
+    }
+
+    return dwell;
+  }
+}
+
+module.exports = new TagHistory();
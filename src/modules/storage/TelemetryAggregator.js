@@ -0,0 +1,212 @@
+/**
+ * TelemetryAggregator - Time-bucketed history for TEMP_HUM and NOISE_LEVEL
+ *
+ * StorageService pivots sensor readings into one column per sensorIndex
+ * (temp_indexXX / hum_indexXX / noise_indexXX). This helper aggregates those
+ * columns per time bucket in MySQL (min/max/avg/count) and unpivots the
+ * result into one series per device, module and sensorIndex.
+ *
+ * Buckets are aligned to the Unix epoch (UTC), e.g. "1d" buckets start at 00:00Z.
+ */
+
+const INTERVAL_UNITS = { m: 60, h: 3600, d: 86400 };
+
+// Pivoted column layout written by StorageService
+const TELEMETRY_TYPES = {
+  tempHum: {
+    table: "iot_temp_hum",
+    sensors: [10, 11, 12, 13, 14, 15],
+    metrics: { temp: "temp_index", hum: "hum_index" },
+  },
+  noiseLevel: {
+    table: "iot_noise_level",
+    sensors: [16, 17, 18],
+    metrics: { noise: "noise_index" },
+  },
+};
+
+const DEFAULT_RANGE_MS = 7 * 24 * 3600 * 1000; // 7 days
+const MAX_BUCKETS = 10000;
+
+class TelemetryAggregator {
+  /**
+   * Parse an interval like "5m", "1h" or "1d"
+   * @param {string} interval - Interval string
+   * @returns {number|null} Bucket size in seconds, or null if invalid
+   */
+  parseInterval(interval) {
+    const match = typeof interval === "string" && interval.match(/^(\d+)([mhd])$/);
+    if (!match || parseInt(match[1]) === 0) {
+      return null;
+    }
+    return parseInt(match[1]) * INTERVAL_UNITS[match[2]];
+  }
+
+  /**
+   * Validate query parameters and apply defaults
+   * @param {Object} query - Request query ({ interval, type, deviceId, moduleIndex, sensorIndex, startTime, endTime })
+   * @returns {Object} Normalized options
+   * @throws {Error} On invalid parameters (message is safe to return to clients)
+   */
+  parseOptions(query) {
+    const bucketSeconds = this.parseInterval(query.interval);
+    if (!bucketSeconds) {
+      throw new Error("interval must look like 5m, 1h or 1d");
+    }
+
+    if (query.type && !TELEMETRY_TYPES[query.type]) {
+      throw new Error(`type must be one of: ${Object.keys(TELEMETRY_TYPES).join(", ")}`);
+    }
+
+    const endTime = query.endTime ? new Date(query.endTime) : new Date();
+    const startTime = query.startTime
+      ? new Date(query.startTime)
+      : new Date(endTime.getTime() - DEFAULT_RANGE_MS);
+    if (isNaN(startTime) || isNaN(endTime) || startTime > endTime) {
+      throw new Error("startTime/endTime must be valid dates with startTime <= endTime");
+    }
+
+    if ((endTime - startTime) / 1000 / bucketSeconds > MAX_BUCKETS) {
+      throw new Error(`Too many buckets (max ${MAX_BUCKETS}); use a larger interval or shorter range`);
+    }
+
+    const moduleIndex = query.moduleIndex !== undefined ? parseInt(query.moduleIndex) : undefined;
+    const sensorIndex = query.sensorIndex !== undefined ? parseInt(query.sensorIndex) : undefined;
+    if (Number.isNaN(moduleIndex) || Number.isNaN(sensorIndex)) {
+      throw new Error("moduleIndex/sensorIndex must be integers");
+    }
+
+    return {
+      interval: query.interval,
+      bucketSeconds,
+      types: query.type ? [query.type] : Object.keys(TELEMETRY_TYPES),
+      deviceId: query.deviceId,
+      moduleIndex,
+      sensorIndex,
+      startTime,
+      endTime,
+    };
+  }
+
+  /**
+   * Run the aggregation
+   * @param {Object} db - Knex connection
+   * @param {Object} options - Normalized options from parseOptions
+   * @returns {Promise<Object>} { interval, startTime, endTime, series: [...] }
+   */
+  async aggregate(db, options) {
+    const series = [];
+
+    for (const type of options.types) {
+      const rows = await this.buildQuery(db, type, options);
+      series.push(...this.unpivot(type, rows, options.sensorIndex));
+    }
+
+    return {
+      interval: options.interval,
+      startTime: options.startTime.toISOString(),
+      endTime: options.endTime.toISOString(),
+      series,
+    };
+  }
+
+  /**
+   * Build the grouped query for one telemetry type
+   * @param {Object} db - Knex connection
+   * @param {string} type - Telemetry type (tempHum | noiseLevel)
+   * @param {Object} options - Normalized options
+   * @returns {Object} Knex query builder (thenable)
+   */
+  buildQuery(db, type, options) {
+    const { table, sensors, metrics } = TELEMETRY_TYPES[type];
+    const bucket = options.bucketSeconds;
+
+    const columns = [
+      "device_id",
+      "module_index",
+      db.raw("FLOOR(UNIX_TIMESTAMP(parse_at) / ?) * ? AS bucket", [bucket, bucket]),
+    ];
+
+    sensors
+      .filter((sensor) => options.sensorIndex === undefined || sensor === options.sensorIndex)
+      .forEach((sensor) => {
+        Object.values(metrics).forEach((prefix) => {
+          const column = `${prefix}${sensor}`;
+          columns.push(
+            db.raw("MIN(??) AS ??", [column, `${column}_min`]),
+            db.raw("MAX(??) AS ??", [column, `${column}_max`]),
+            db.raw("AVG(??) AS ??", [column, `${column}_avg`]),
+            db.raw("COUNT(??) AS ??", [column, `${column}_count`]),
+          );
+        });
+      });
+
+    const query = db(table)
+      .select(columns)
+      .where("parse_at", ">=", options.startTime)
+      .where("parse_at", "<=", options.endTime)
+      .groupBy("device_id", "module_index", "bucket")
+      .orderBy("bucket", "asc");
+
+    if (options.deviceId) query.where("device_id", options.deviceId);
+    if (options.moduleIndex !== undefined) query.where("module_index", options.moduleIndex);
+
+    return query;
+  }
+
+  /**
+   * Unpivot grouped rows into one series per device, module and sensorIndex
+   * @param {string} type - Telemetry type (tempHum | noiseLevel)
+   * @param {Array} rows - Rows from buildQuery
+   * @param {number} [sensorIndex] - Only this sensor
+   * @returns {Array} [{ deviceId, moduleIndex, sensorIndex, type, buckets: [{ time, count, temp: {min,max,avg}, ... }] }]
+   */
+  unpivot(type, rows, sensorIndex) {
+    const { sensors, metrics } = TELEMETRY_TYPES[type];
+    const series = new Map();
+
+    rows.forEach((row) => {
+      sensors.forEach((sensor) => {
+        if (sensorIndex !== undefined && sensor !== sensorIndex) {
+          return;
+        }
+
+        const point = { time: new Date(Number(row.bucket) * 1000).toISOString(), count: 0 };
+        Object.entries(metrics).forEach(([metric, prefix]) => {
+          const column = `${prefix}${sensor}`;
+          const count = Number(row[`${column}_count`]) || 0;
+          if (count === 0) {
+            return;
+          }
+          point.count = Math.max(point.count, count);
+          point[metric] = {
+            min: Number(row[`${column}_min`]),
+            max: Number(row[`${column}_max`]),
+            avg: Math.round(Number(row[`${column}_avg`]) * 100) / 100,
+          };
+        });
+
+        // Sensor not reporting in this bucket
+        if (point.count === 0) {
+          return;
+        }
+
+        const key = `${row.device_id}:${row.module_index}:${sensor}`;
+        if (!series.has(key)) {
+          series.set(key, {
+            deviceId: row.device_id,
+            moduleIndex: row.module_index,
+            sensorIndex: sensor,
+            type,
+            buckets: [],
+          });
+        }
+        series.get(key).buckets.push(point);
+      });
+    });
+
+    return Array.from(series.values());
+  }
+}
+
+module.exports = new TelemetryAggregator();
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for Metrics
+ * Tests counters, histograms, series limits and the Prometheus text output
+ */
+
+const metrics = require("../../src/core/Metrics");
+
+describe("Metrics", () => {
+  beforeAll(() => {
+    metrics.counter("test_messages_total", "Messages per device", ["deviceId", "messageType"]);
+    metrics.counter("test_events_total", "Events");
+    metrics.histogram("test_flush_duration_seconds", "Flush duration", ["table"], [0.1, 1]);
+  });
+
+  beforeEach(() => {
+    metrics.configure({});
+    metrics.reset();
+  });
+
+  test("should render counters per label set", () => {
+    metrics.inc("test_messages_total", { deviceId: "2437871205", messageType: "TemHum" });
+    metrics.inc("test_messages_total", { deviceId: "2437871205", messageType: "TemHum" }, 2);
+    metrics.inc("test_messages_total", { deviceId: 'a"b\\c', messageType: null });
+    metrics.inc("test_events_total");
+
+    const text = metrics.render();
+
+    expect(text).toContain(
+      "# HELP test_messages_total Messages per device\n" +
+        "# TYPE test_messages_total counter\n" +
+        'test_messages_total{deviceId="2437871205",messageType="TemHum"} 3\n' +
+        'test_messages_total{deviceId="a\\"b\\\\c",messageType=""} 1\n',
+    );
+    expect(text).toContain("\ntest_events_total 1\n");
+    expect(text.endsWith("iot_metrics_series_dropped_total 0\n")).toBe(true);
+  });
+
+  test("should render cumulative histogram buckets, sum and count", () => {
+    [0.05, 0.5, 3].forEach((value) => metrics.observe("test_flush_duration_seconds", { table: "iot_temp_hum" }, value));
+
+    expect(metrics.render()).toContain(
+      "# TYPE test_flush_duration_seconds histogram\n" +
+        'test_flush_duration_seconds_bucket{table="iot_temp_hum",le="0.1"} 1\n' +
+        'test_flush_duration_seconds_bucket{table="iot_temp_hum",le="1"} 2\n' +
+        'test_flush_duration_seconds_bucket{table="iot_temp_hum",le="+Inf"} 3\n' +
+        'test_flush_duration_seconds_sum{table="iot_temp_hum"} 3.55\n' +
+        'test_flush_duration_seconds_count{table="iot_temp_hum"} 3\n',
+    );
+  });
+
+  test("should drop new label sets once a metric reaches maxSeries", () => {
+    metrics.configure({ maxSeries: 2 });
+    ["A", "B", "C", "A"].forEach((deviceId) => metrics.inc("test_messages_total", { deviceId, messageType: "x" }));
+
+    const text = metrics.render();
+
+    expect(text).toContain('test_messages_total{deviceId="A",messageType="x"} 2');
+    expect(text).not.toContain('deviceId="C"');
+    expect(text).toContain("iot_metrics_series_dropped_total 1");
+  });
+
+  test("should reject undefined metrics and conflicting definitions", () => {
+    expect(() => metrics.inc("test_missing_total")).toThrow("Unknown counter: test_missing_total");
+    expect(() => metrics.observe("test_events_total", {}, 1)).toThrow("Unknown histogram");
+    expect(() => metrics.counter("test_events_total", "Events", ["deviceId"])).toThrow("already defined");
+    expect(() => metrics.counter("test_events_total", "Events")).not.toThrow();
+  });
+});
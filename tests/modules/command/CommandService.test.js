@@ -0,0 +1,446 @@
+/**
+ * Unit tests for CommandService
+ * Tests command lifecycle tracking, response correlation and timeouts
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    statusUpdates: [],
+    emittedErrors: [],
+    normalized: [],
+    listeners: {},
+
+    on(event, handler) {
+      if (!this.listeners[event]) {
+        this.listeners[event] = [];
+      }
+      this.listeners[event].push(handler);
+    },
+
+    onCommandStatus(handler) {
+      this.on("command.status", handler);
+    },
+
+    emitCommandStatus(record) {
+      this.statusUpdates.push(record);
+      (this.listeners["command.status"] || []).forEach((handler) => handler(record));
+    },
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    emitDataNormalized(suo) {
+      this.normalized.push(suo);
+    },
+
+    removeListener(event, handler) {
+      this.listeners[event] = (this.listeners[event] || []).filter(
+        (h) => h !== handler,
+      );
+    },
+
+    removeAllListeners(event) {
+      delete this.listeners[event];
+    },
+
+    reset() {
+      this.statusUpdates = [];
+      this.emittedErrors = [];
+      this.normalized = [];
+      this.listeners = {};
+    },
+  };
+
+  return mockEventBus;
+});
+
+const eventBus = require("../../../src/core/EventBus");
+const v5008Parser = require("../../../src/modules/parsers/V5008Parser");
+const unifyNormalizer = require("../../../src/modules/normalizer/UnifyNormalizer");
+
+// Fake MQTT client that records publishes and completes them on demand
+class MockMqttClient {
+  constructor() {
+    this.published = [];
+  }
+
+  publish(topic, payload, options, callback) {
+    this.published.push({ topic, payload, callback });
+  }
+
+  completeAll(err = null) {
+    this.published.forEach((p) => p.callback(err));
+  }
+}
+
+describe("CommandService", () => {
+  let commandService;
+  let client;
+
+  // Real V5008 response frame → V5008Parser → UnifyNormalizer → CommandService
+  const respondV5008 = (hex) => {
+    const sif = v5008Parser.parse(Buffer.from(hex.replace(/ /g, ""), "hex"), {
+      deviceId: "2437871205",
+      topic: "V5008Upload/2437871205/OpeAck",
+    });
+    unifyNormalizer.normalize(sif);
+    eventBus.normalized.splice(0).forEach((suo) => commandService.handleCommandResponse(suo));
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    eventBus.reset();
+
+    commandService = require("../../../src/modules/command/CommandService");
+    commandService.config = { responseTimeout: 1000 };
+    commandService.commands.clear();
+    commandService.timers.clear();
+
+    client = new MockMqttClient();
+    commandService.client = client;
+  });
+
+  afterEach(() => {
+    commandService.timers.forEach((timer) => clearTimeout(timer));
+    jest.useRealTimers();
+  });
+
+  describe("Lifecycle", () => {
+    test("should track a command as PENDING then SENT after publish", () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "SET_COLOR",
+        payload: { moduleIndex: 1, sensorIndex: 10, colorCode: 1 },
+      });
+
+      expect(commandService.getCommand(commandId).status).toBe("PENDING");
+
+      client.completeAll();
+
+      const command = commandService.getCommand(commandId);
+      expect(command.status).toBe("SENT");
+      expect(command.originalReq).toBe("E1010A01");
+      expect(eventBus.statusUpdates.map((u) => u.status)).toEqual(["PENDING", "SENT"]);
+    });
+
+    test("should keep a caller-supplied commandId", () => {
+      const commandId = commandService.handleCommandRequest({
+        commandId: "cmd_api_1",
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_TEMP_HUM",
+        payload: { moduleIndex: 1 },
+      });
+
+      expect(commandId).toBe("cmd_api_1");
+    });
+
+    test("should record the command source and requester for the audit log", () => {
+      const operatorId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_TEMP_HUM",
+        payload: { moduleIndex: 1 },
+        source: "api",
+        user: "ops-console",
+        authType: "apiKey",
+        clientIp: "10.0.0.15",
+      });
+      const automaticId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_TEMP_HUM",
+        payload: { moduleIndex: 1 },
+        source: "smartHeartbeat",
+      });
+
+      expect(commandService.getCommand(operatorId)).toMatchObject({
+        source: "api",
+        origin: "operator",
+        user: "ops-console",
+        authType: "apiKey",
+        clientIp: "10.0.0.15",
+      });
+      expect(commandService.getCommand(automaticId)).toMatchObject({
+        source: "smartHeartbeat",
+        origin: "automatic",
+        user: null,
+      });
+      expect(eventBus.statusUpdates[0].source).toBe("api");
+    });
+
+    test("should mark FAILED on validation error", () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_TEMP_HUM",
+        payload: {},
+      });
+
+      const command = commandService.getCommand(commandId);
+      expect(command.status).toBe("FAILED");
+      expect(command.error).toContain("moduleIndex");
+      expect(client.published).toHaveLength(0);
+    });
+
+    test("should mark FAILED on publish error", () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_COLOR",
+        payload: { moduleIndex: 1 },
+      });
+
+      client.completeAll(new Error("Broker unavailable"));
+
+      const command = commandService.getCommand(commandId);
+      expect(command.status).toBe("FAILED");
+      expect(command.error).toBe("Broker unavailable");
+    });
+
+    test("should mark TIMED_OUT when no response arrives", () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "CLN_ALARM",
+        payload: { moduleIndex: 1, sensorIndex: 3 },
+      });
+      client.completeAll();
+
+      jest.advanceTimersByTime(1001);
+
+      expect(commandService.getCommand(commandId).status).toBe("TIMED_OUT");
+    });
+
+    test("should not time out commands without a device response", () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_RFID_SNAPSHOT",
+        payload: { moduleIndex: 1 },
+      });
+      client.completeAll();
+
+      jest.advanceTimersByTime(5000);
+
+      const command = commandService.getCommand(commandId);
+      expect(command.status).toBe("SENT");
+      expect(command.completedAt).not.toBeNull();
+    });
+  });
+
+  describe("Response Correlation", () => {
+    test("should ACK V5008 command by originalReq", () => {
+      const first = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "SET_COLOR",
+        payload: { moduleIndex: 1, sensorIndex: 10, colorCode: 1 },
+      });
+      const second = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "SET_COLOR",
+        payload: { moduleIndex: 1, sensorIndex: 11, colorCode: 2 },
+      });
+      client.completeAll();
+
+      respondV5008("AA 0123ABCD A1 E1010B02 2D013151");
+
+      expect(commandService.getCommand(first).status).toBe("SENT");
+      const command = commandService.getCommand(second);
+      expect(command.status).toBe("ACKED");
+      expect(command.response.messageId).toBe("755052881");
+    });
+
+    test("should mark FAILED when device reports failure", () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_COLOR",
+        payload: { moduleIndex: 2 },
+      });
+      client.completeAll();
+
+      respondV5008("AA 0123ABCD A0 E402 00000008");
+
+      expect(commandService.getCommand(commandId).status).toBe("FAILED");
+    });
+
+    test("should ACK V5008 color queries and alarm clears from real response frames", () => {
+      const query = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_COLOR",
+        payload: { moduleIndex: 1 },
+      });
+      const clear = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "CLN_ALARM",
+        payload: { moduleIndex: 1, sensorIndex: 3 },
+      });
+      client.completeAll();
+
+      respondV5008("AA 0123ABCD A1 E401 00 01 02 00000005");
+      respondV5008("AA 0123ABCD A1 E20103 00000009");
+
+      const queried = commandService.getCommand(query);
+      expect(queried.status).toBe("ACKED");
+      expect(queried.response.payload).toEqual([
+        { moduleIndex: 1, moduleId: null, result: "Success", originalReq: "E401", colorMap: [0, 1, 2] },
+      ]);
+      expect(commandService.getCommand(clear).status).toBe("ACKED");
+    });
+
+    test("should ACK V6800 command by messageType and moduleIndex", () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2123456789",
+        deviceType: "V6800",
+        messageType: "SET_COLOR",
+        payload: { moduleIndex: 3, sensorIndex: 5, colorCode: 1 },
+      });
+      client.completeAll();
+
+      // Response for another module does not match
+      commandService.handleCommandResponse({
+        deviceId: "2123456789",
+        deviceType: "V6800",
+        messageType: "SET_CLR_RESP",
+        payload: [{ moduleIndex: 1, result: "Success", originalReq: null }],
+      });
+      expect(commandService.getCommand(commandId).status).toBe("SENT");
+
+      commandService.handleCommandResponse({
+        deviceId: "2123456789",
+        deviceType: "V6800",
+        messageType: "SET_CLR_RESP",
+        payload: [{ moduleIndex: 3, result: "Success", originalReq: null }],
+      });
+      expect(commandService.getCommand(commandId).status).toBe("ACKED");
+    });
+
+    test("should match responses without moduleIndex to the oldest command and warn if ambiguous", () => {
+      jest.spyOn(console, "warn").mockImplementation();
+      const request = () =>
+        commandService.handleCommandRequest({
+          deviceId: "2123456789",
+          deviceType: "V6800",
+          messageType: "QRY_COLOR",
+          payload: { moduleIndex: 1 },
+        });
+      const first = request();
+      const second = request();
+      client.completeAll();
+
+      commandService.handleCommandResponse({
+        deviceId: "2123456789",
+        deviceType: "V6800",
+        messageType: "QRY_CLR_RESP",
+        payload: [{ result: "Success" }],
+      });
+
+      expect(commandService.getCommand(first).status).toBe("ACKED");
+      expect(commandService.getCommand(second).status).toBe("SENT");
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Ambiguous QRY_COLOR response"));
+      console.warn.mockRestore();
+    });
+
+    test("should ignore responses after a command timed out", () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_COLOR",
+        payload: { moduleIndex: 1 },
+      });
+      client.completeAll();
+      jest.advanceTimersByTime(1001);
+
+      respondV5008("AA 0123ABCD A1 E401 00 01 02 00000005");
+
+      expect(commandService.getCommand(commandId).status).toBe("TIMED_OUT");
+    });
+  });
+
+  describe("Tracking", () => {
+    test("should fail and drop the oldest in-flight commands beyond maxTracked", () => {
+      commandService.config = { responseTimeout: 1000, maxTracked: 2 };
+      const request = () =>
+        commandService.handleCommandRequest({
+          deviceId: "2437871205",
+          deviceType: "V5008",
+          messageType: "QRY_COLOR",
+          payload: { moduleIndex: 1 },
+        });
+
+      const first = request();
+      client.completeAll();
+      const second = request();
+      const third = request();
+
+      expect(commandService.commands.size).toBe(2);
+      expect(commandService.getCommand(first)).toBeNull();
+      expect(commandService.getCommand(second).status).toBe("PENDING");
+      expect(commandService.getCommand(third).status).toBe("PENDING");
+      expect(eventBus.statusUpdates.find((u) => u.commandId === first && u.status === "FAILED").error).toContain(
+        "Dropped from tracking",
+      );
+      expect(commandService.timers.has(first)).toBe(false);
+    });
+
+    test("should remove only its own listeners on stop", async () => {
+      jest.spyOn(console, "log").mockImplementation();
+      const other = jest.fn();
+      eventBus.on("data.normalized", other);
+      commandService.responseListener = jest.fn();
+      eventBus.on("data.normalized", commandService.responseListener);
+      client.end = (force, options, callback) => callback();
+
+      await commandService.stop();
+
+      expect(eventBus.listeners["data.normalized"]).toEqual([other]);
+      console.log.mockRestore();
+    });
+  });
+
+  describe("waitForCommand", () => {
+    test("should resolve when the command completes", async () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_COLOR",
+        payload: { moduleIndex: 1 },
+      });
+
+      const waiting = commandService.waitForCommand(commandId, 5000);
+      client.completeAll();
+      respondV5008("AA 0123ABCD A1 E401 00 01 02 00000005");
+
+      const command = await waiting;
+      expect(command.status).toBe("ACKED");
+    });
+
+    test("should resolve with the in-flight record when the wait elapses", async () => {
+      const commandId = commandService.handleCommandRequest({
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "QRY_COLOR",
+        payload: { moduleIndex: 1 },
+      });
+      client.completeAll();
+
+      const waiting = commandService.waitForCommand(commandId, 500);
+      jest.advanceTimersByTime(501);
+
+      const command = await waiting;
+      expect(command.status).toBe("SENT");
+    });
+
+    test("should resolve null for unknown commands", async () => {
+      await expect(commandService.waitForCommand("cmd_unknown", 100)).resolves.toBeNull();
+    });
+  });
+});
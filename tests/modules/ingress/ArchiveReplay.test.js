@@ -0,0 +1,240 @@
+/**
+ * Unit tests for RawArchive and ArchiveReplay
+ * Tests rolling raw archive files and replay through the real ParserManager
+ * and UnifyNormalizer with outputs on/off
+ */
+
+// Mock EventBus at the module level (routes data.parsed to UnifyNormalizer,
+// records live SUOs and command requests)
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    capture: null,
+    listeners: {},
+    normalized: [],
+    commands: [],
+    emittedErrors: [],
+
+    setCapture(handler) {
+      this.capture = handler;
+    },
+
+    on(event, handler) {
+      (this.listeners[event] = this.listeners[event] || []).push(handler);
+    },
+
+    emit(event, data) {
+      (this.listeners[event] || []).forEach((handler) => handler(data));
+    },
+
+    emitDataNormalized(suo) {
+      if (this.capture) {
+        this.capture("data.normalized", suo);
+        return;
+      }
+      this.normalized.push(suo);
+    },
+
+    emitCommandRequest(command) {
+      if (this.capture) {
+        this.capture("command.request", command);
+        return;
+      }
+      this.commands.push(command);
+    },
+
+    emitMqttMessage() {},
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    reset() {
+      this.capture = null;
+      this.normalized = [];
+      this.commands = [];
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const eventBus = require("../../../src/core/EventBus");
+const StateCache = require("../../../src/modules/normalizer/StateCache");
+const unifyNormalizer = require("../../../src/modules/normalizer/UnifyNormalizer");
+const v5008Parser = require("../../../src/modules/parsers/V5008Parser");
+const RawArchive = require("../../../src/modules/ingress/RawArchive");
+const archiveReplay = require("../../../src/modules/ingress/ArchiveReplay");
+
+describe("RawArchive / ArchiveReplay", () => {
+  let tmpDir;
+  let archive;
+
+  // V5008 heartbeats (one module each); the second device keeps the two apart
+  const heartbeat = (messageId) =>
+    v5008Parser.encode("HEARTBEAT", {
+      data: [{ moduleIndex: 1, moduleId: "3963041727", uTotal: 26 }],
+      messageId: String(messageId),
+    });
+  const v5008Message = heartbeat(1);
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation();
+    await unifyNormalizer.initialize({ smartHeartbeat: { enabled: true, staggerDelay: 5 } });
+    await unifyNormalizer.start();
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    eventBus.reset();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-"));
+    archive = new RawArchive({ dir: tmpDir, maxFileSize: 1024 * 1024, maxFiles: 3 });
+    archive.open();
+    jest.spyOn(console, "log").mockImplementation();
+  });
+
+  afterEach(async () => {
+    await wait(50); // Let staggered SmartHeartbeat queries fire
+    StateCache.metadataCache.clear();
+    StateCache.telemetryCache.clear();
+    StateCache.heartbeatCache.clear();
+    await archive.close();
+    console.log.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeArchive = async () => {
+    archive.record("V5008Upload/2437871205/OpeAck", v5008Message, new Date("2026-01-05T10:00:00.000Z"));
+    archive.record("V5008Upload/2437871206/OpeAck", heartbeat(2), new Date("2026-01-05T10:00:00.050Z"));
+    archive.record("V6800Upload/2123456789/HeartBeat", Buffer.from("{broken"), new Date("2026-01-05T10:00:00.060Z"));
+    const file = archive.resolveFile(archive.currentFile);
+    await archive.close();
+    return file;
+  };
+
+  describe("RawArchive", () => {
+    test("should record topic, timestamp and payload bytes", async () => {
+      const file = await writeArchive();
+
+      const entries = [];
+      for await (const entry of archiveReplay.readArchive(file)) {
+        entries.push(entry);
+      }
+
+      expect(entries).toHaveLength(3);
+      expect(entries[0].topic).toBe("V5008Upload/2437871205/OpeAck");
+      expect(entries[0].ts.toISOString()).toBe("2026-01-05T10:00:00.000Z");
+      expect(entries[0].payload.equals(v5008Message)).toBe(true);
+    });
+
+    test("should roll over at maxFileSize and keep maxFiles", async () => {
+      archive.maxFileSize = 1;
+
+      for (let i = 0; i < 5; i++) {
+        archive.record("V5008Upload/2437871205/OpeAck", v5008Message);
+      }
+      await archive.close();
+
+      expect(archive.listFiles()).toHaveLength(3);
+      expect(archive.getStats()).toMatchObject({ recorded: 5, rotations: 4 });
+    });
+
+    test("should drop and count messages while the disk is behind", async () => {
+      jest.spyOn(console, "warn").mockImplementation();
+      archive.record("V5008Upload/2437871205/OpeAck", v5008Message);
+      const write = jest.spyOn(archive.stream, "write").mockReturnValueOnce(false);
+
+      archive.record("V5008Upload/2437871205/OpeAck", v5008Message);
+      archive.record("V5008Upload/2437871205/OpeAck", v5008Message);
+      archive.record("V5008Upload/2437871205/OpeAck", v5008Message);
+      expect(write).toHaveBeenCalledTimes(1);
+      expect(archive.getStats()).toMatchObject({ recorded: 2, dropped: 2 });
+
+      archive.stream.emit("drain");
+      archive.record("V5008Upload/2437871205/OpeAck", v5008Message);
+      expect(archive.getStats()).toMatchObject({ recorded: 3, dropped: 2 });
+      console.warn.mockRestore();
+    });
+
+    test("should reject file names outside the archive", () => {
+      expect(archive.resolveFile("../../etc/passwd")).toBeNull();
+      expect(archive.resolveFile("raw-1767607200000.ndjson")).toBe(
+        path.join(tmpDir, "raw-1767607200000.ndjson"),
+      );
+    });
+  });
+
+  describe("ArchiveReplay", () => {
+    const heartbeats = (suos) => suos.filter((suo) => suo.messageType === "HEARTBEAT").map((suo) => suo.deviceId);
+
+    test("should feed messages through the pipeline with outputs enabled", async () => {
+      const file = await writeArchive();
+
+      const status = await archiveReplay.replay(file, { speed: 0 });
+      await wait(50);
+
+      expect(status).toMatchObject({ state: "completed", messages: 2, invalid: 1, suos: 0 });
+      expect(heartbeats(eventBus.normalized)).toEqual(["2437871205", "2437871206"]);
+      expect(StateCache.getLastHeartbeat("2437871205", 1)).not.toBeNull();
+      expect(eventBus.commands.filter((c) => c.source === "smartHeartbeat").length).toBeGreaterThan(0);
+    });
+
+    test("should not touch live devices or the live StateCache with outputs disabled", async () => {
+      const file = await writeArchive();
+      const onSuo = jest.fn();
+
+      const status = await archiveReplay.replay(file, { speed: 0, outputs: false, onSuo });
+      await wait(50); // SmartHeartbeat would emit from timers, after the capture ended
+
+      expect(status).toMatchObject({ state: "completed", messages: 2, invalid: 1, commands: 0 });
+      expect(heartbeats(status.captured)).toEqual(["2437871205", "2437871206"]);
+      expect(onSuo).toHaveBeenCalledTimes(status.suos);
+      expect(eventBus.normalized).toHaveLength(0);
+      expect(eventBus.commands).toHaveLength(0);
+      expect(eventBus.capture).toBeNull();
+      expect(StateCache.getLastHeartbeat("2437871205", 1)).toBeNull();
+      expect(StateCache.getMetadata("2437871205")).toBeNull();
+      expect(unifyNormalizer.stateCache).toBe(StateCache);
+    });
+
+    test("should pace messages by original timing divided by speed", async () => {
+      const file = await writeArchive();
+      const sleep = jest.spyOn(archiveReplay, "sleep");
+
+      await archiveReplay.replay(file, { speed: 10 });
+
+      expect(sleep).toHaveBeenCalledWith(5);
+      sleep.mockRestore();
+    });
+
+    test("should cancel a running replay and reject a second one", async () => {
+      archive.record("V5008Upload/2437871205/OpeAck", v5008Message, new Date(0));
+      archive.record("V5008Upload/2437871205/OpeAck", v5008Message, new Date(60000));
+      const file = archive.resolveFile(archive.currentFile);
+      await archive.close();
+
+      const running = archiveReplay.replay(file, { speed: 1 });
+      await expect(archiveReplay.replay(file)).rejects.toThrow("already running");
+
+      // Wait until the first message was fed and the replay sleeps before the second
+      while (eventBus.normalized.length === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      expect(archiveReplay.cancel()).toBe(true);
+
+      const status = await running;
+      expect(status).toMatchObject({ state: "cancelled", messages: 1 });
+    });
+
+    test("should reject an invalid speed", async () => {
+      const file = await writeArchive();
+
+      await expect(archiveReplay.replay(file, { speed: -1 })).rejects.toThrow("Invalid replay speed");
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for IngestQueue
+ * Tests bounded buffering, drop/block policies and downstream back-pressure
+ */
+
+const ingestQueue = require("../../../src/modules/ingress/IngestQueue");
+
+// Let scheduled drains (setImmediate) run
+const flushImmediates = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("IngestQueue", () => {
+  let handled;
+  let flow;
+
+  beforeEach(() => {
+    ingestQueue.clear();
+    ingestQueue.resetStats();
+    ingestQueue.pressureSources.clear();
+
+    handled = [];
+    flow = { pause: jest.fn(), resume: jest.fn() };
+    ingestQueue.setHandler((item) => handled.push(item));
+    ingestQueue.setFlowControl(flow);
+  });
+
+  afterEach(() => {
+    ingestQueue.clear();
+  });
+
+  test("should deliver queued messages in order", async () => {
+    ingestQueue.configure({ maxSize: 10, batchSize: 2 });
+
+    [1, 2, 3, 4, 5].forEach((n) => ingestQueue.push({ n }));
+    for (let i = 0; i < 3; i++) {
+      await flushImmediates();
+    }
+
+    expect(handled.map((item) => item.n)).toEqual([1, 2, 3, 4, 5]);
+    expect(ingestQueue.getStats()).toMatchObject({ size: 0, enqueued: 5, processed: 5 });
+  });
+
+  test("should evict the oldest message with drop-oldest", () => {
+    ingestQueue.configure({ maxSize: 3, policy: "drop-oldest" });
+
+    [1, 2, 3, 4].forEach((n) => ingestQueue.push({ n }));
+
+    expect(ingestQueue.items.map((item) => item.n)).toEqual([2, 3, 4]);
+    expect(ingestQueue.getStats()).toMatchObject({ droppedOldest: 1, dropped: 1 });
+  });
+
+  test("should reject the incoming message with drop-newest", () => {
+    ingestQueue.configure({ maxSize: 3, policy: "drop-newest" });
+
+    const accepted = [1, 2, 3, 4].map((n) => ingestQueue.push({ n }));
+
+    expect(accepted).toEqual([true, true, true, false]);
+    expect(ingestQueue.items.map((item) => item.n)).toEqual([1, 2, 3]);
+    expect(ingestQueue.getStats().droppedNewest).toBe(1);
+  });
+
+  test("should pause at highWaterMark and resume at lowWaterMark with block", async () => {
+    ingestQueue.configure({
+      maxSize: 10,
+      highWaterMark: 4,
+      lowWaterMark: 2,
+      policy: "block",
+      batchSize: 3,
+    });
+
+    [1, 2, 3, 4, 5].forEach((n) => ingestQueue.push({ n }));
+    expect(flow.pause).toHaveBeenCalledTimes(1);
+    expect(ingestQueue.getStats()).toMatchObject({ blocked: true, highWaterHits: 1 });
+
+    await flushImmediates();
+
+    expect(flow.resume).toHaveBeenCalledTimes(1);
+    expect(ingestQueue.getStats().blocked).toBe(false);
+  });
+
+  test("should hold messages while a pressure source reports back-pressure", async () => {
+    jest.useFakeTimers();
+    try {
+      let pressured = true;
+      ingestQueue.configure({ maxSize: 10, pressureRetryDelay: 50 });
+      ingestQueue.registerPressureSource("storage", () => pressured);
+
+      ingestQueue.push({ n: 1 });
+      jest.runOnlyPendingTimers(); // setImmediate -> drain (pressured)
+
+      expect(handled).toHaveLength(0);
+      expect(ingestQueue.getStats().backpressure).toEqual(["storage"]);
+
+      pressured = false;
+      jest.advanceTimersByTime(50);
+
+      expect(handled).toHaveLength(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("should reject unknown policies", () => {
+    expect(() => ingestQueue.configure({ policy: "spill" })).toThrow("Unknown ingest queue policy");
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for CacheWatchdog
+ * Tests module/device offline detection and status SUO emission
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    emittedData: [],
+    emittedErrors: [],
+
+    emitDataNormalized(suo) {
+      this.emittedData.push(suo);
+    },
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    reset() {
+      this.emittedData = [];
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+const eventBus = require("../../../src/core/EventBus");
+const StateCache = require("../../../src/modules/normalizer/StateCache");
+const cacheWatchdog = require("../../../src/modules/normalizer/CacheWatchdog");
+
+// Default heartbeatTimeout from config/default.json is 120000ms
+const EXPIRED = () => new Date(Date.now() - 10 * 60 * 1000);
+
+describe("CacheWatchdog", () => {
+  const deviceId = "2437871205";
+
+  beforeEach(() => {
+    eventBus.reset();
+    StateCache.metadataCache.clear();
+    StateCache.telemetryCache.clear();
+    StateCache.heartbeatCache.clear();
+    cacheWatchdog.offlineModules.clear();
+    cacheWatchdog.offlineDevices.clear();
+
+    StateCache.updateHeartbeat(deviceId, "V5008", 1, "3963041727", 6);
+    StateCache.updateHeartbeat(deviceId, "V5008", 2, "1616916241", 12);
+    StateCache.mergeMetadata(deviceId, { deviceType: "V5008", ip: "192.168.0.211" });
+  });
+
+  // Backdate the heartbeat of a module
+  const expire = (moduleIndex) => {
+    StateCache.heartbeatCache.set(`device:${deviceId}:module:${moduleIndex}`, EXPIRED());
+  };
+
+  test("should not emit anything while heartbeats are fresh", () => {
+    cacheWatchdog.check();
+
+    expect(eventBus.emittedData).toHaveLength(0);
+    expect(StateCache.getTelemetry(deviceId, 1).isOnline).toBe(true);
+  });
+
+  test("should emit MODULE_OFFLINE once for an expired module", () => {
+    expire(1);
+
+    cacheWatchdog.check();
+    cacheWatchdog.check();
+
+    expect(eventBus.emittedData).toHaveLength(1);
+    const suo = eventBus.emittedData[0];
+    expect(suo.messageType).toBe("MODULE_OFFLINE");
+    expect(suo.deviceType).toBe("V5008");
+    expect(suo.moduleIndex).toBe(1);
+    expect(suo.moduleId).toBe("3963041727");
+    expect(suo.payload[0].isOnline).toBe(false);
+    expect(StateCache.getTelemetry(deviceId, 1).isOnline).toBe(false);
+    expect(StateCache.getTelemetry(deviceId, 2).isOnline).toBe(true);
+  });
+
+  test("should emit DEVICE_OFFLINE when all modules expire", () => {
+    expire(1);
+    expire(2);
+
+    cacheWatchdog.check();
+
+    const types = eventBus.emittedData.map((suo) => suo.messageType);
+    expect(types).toEqual(["MODULE_OFFLINE", "MODULE_OFFLINE", "DEVICE_OFFLINE"]);
+
+    const deviceSuo = eventBus.emittedData[2];
+    expect(deviceSuo.moduleIndex).toBeUndefined();
+    expect(deviceSuo.deviceType).toBe("V5008");
+    expect(StateCache.getMetadata(deviceId).isOnline).toBe(false);
+  });
+
+  test("should take the device type from metadata when telemetry has none", () => {
+    StateCache.getTelemetry(deviceId, 1).deviceType = null;
+    StateCache.getTelemetry(deviceId, 2).deviceType = null;
+    expire(1);
+    expire(2);
+
+    cacheWatchdog.check();
+
+    expect(eventBus.emittedData.map((suo) => suo.deviceType)).toEqual(["V5008", "V5008", "V5008"]);
+  });
+
+  test("should emit MODULE_ONLINE and DEVICE_ONLINE on recovery", () => {
+    expire(1);
+    expire(2);
+    cacheWatchdog.check();
+    eventBus.reset();
+
+    StateCache.updateHeartbeat(deviceId, "V5008", 2, "1616916241", 12);
+    cacheWatchdog.check();
+
+    const types = eventBus.emittedData.map((suo) => suo.messageType);
+    expect(types).toEqual(["MODULE_ONLINE", "DEVICE_ONLINE"]);
+    expect(eventBus.emittedData[0].moduleIndex).toBe(2);
+    expect(StateCache.getMetadata(deviceId).isOnline).toBe(true);
+  });
+
+  test("should emit MODULE_ONLINE and DEVICE_ONLINE after a restart from an offline snapshot", async () => {
+    jest.spyOn(console, "log").mockImplementation();
+    expire(1);
+    expire(2);
+    cacheWatchdog.check();
+    const snapshot = JSON.parse(JSON.stringify(StateCache.createSnapshot()));
+
+    // Restart: fresh watchdog state, cache restored from the snapshot
+    cacheWatchdog.offlineModules.clear();
+    cacheWatchdog.offlineDevices.clear();
+    StateCache.restoreSnapshot(snapshot);
+    await cacheWatchdog.start();
+    await cacheWatchdog.stop();
+    eventBus.reset();
+
+    StateCache.updateHeartbeat(deviceId, "V5008", 1, "3963041727", 6);
+    cacheWatchdog.check();
+
+    const types = eventBus.emittedData.map((suo) => suo.messageType);
+    expect(types).toEqual(["MODULE_ONLINE", "DEVICE_ONLINE"]);
+    expect(eventBus.emittedData[0].moduleIndex).toBe(1);
+    expect(StateCache.getMetadata(deviceId).isOnline).toBe(true);
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for StateCache persistence
+ * Tests snapshot/restore round trip and the file and database backends
+ */
+
+// Mock Database at the module level: iot_state_cache rows in a Map and a
+// record of the writes each save makes (only the calls the backend makes)
+jest.mock("../../../src/core/Database", () => {
+  const mockDatabase = {
+    rows: new Map(), // "{cache_type}|{cache_key}" -> row
+    writes: [],
+
+    getConnection() {
+      const table = () => {
+        const filters = [];
+        const builder = {
+          select() {
+            return Promise.resolve(Array.from(mockDatabase.rows.values()));
+          },
+          where(column, value) {
+            filters.push((row) => row[column] === value);
+            return builder;
+          },
+          whereIn(column, values) {
+            filters.push((row) => values.includes(row[column]));
+            return builder;
+          },
+          async del() {
+            const keys = [];
+            mockDatabase.rows.forEach((row, id) => {
+              if (filters.every((filter) => filter(row))) {
+                mockDatabase.rows.delete(id);
+                keys.push(row.cache_key);
+              }
+            });
+            mockDatabase.writes.push({ op: "delete", keys });
+          },
+          insert(rows) {
+            return {
+              onConflict: () => ({
+                async merge() {
+                  rows.forEach((row) => mockDatabase.rows.set(`${row.cache_type}|${row.cache_key}`, row));
+                  mockDatabase.writes.push({ op: "upsert", keys: rows.map((row) => row.cache_key) });
+                },
+              }),
+            };
+          },
+        };
+        return builder;
+      };
+      table.transaction = (callback) => callback(table);
+      return table;
+    },
+
+    reset() {
+      this.rows.clear();
+      this.writes = [];
+    },
+  };
+
+  return mockDatabase;
+});
+
+const database = require("../../../src/core/Database");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const StateCache = require("../../../src/modules/normalizer/StateCache");
+const DatabaseCacheBackend = require("../../../src/modules/normalizer/cache/DatabaseCacheBackend");
+const FileCacheBackend = require("../../../src/modules/normalizer/cache/FileCacheBackend");
+const MemoryCacheBackend = require("../../../src/modules/normalizer/cache/MemoryCacheBackend");
+
+describe("StateCache Persistence", () => {
+  const deviceId = "2437871205";
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "state-cache-"));
+    StateCache.metadataCache.clear();
+    StateCache.telemetryCache.clear();
+    StateCache.heartbeatCache.clear();
+    StateCache.backend = new MemoryCacheBackend();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Populate cache with one device and one module
+  const populate = () => {
+    StateCache.mergeMetadata(deviceId, { deviceType: "V5008", ip: "192.168.0.211" });
+    StateCache.updateHeartbeat(deviceId, "V5008", 1, "3963041727", 6);
+    const telemetry = StateCache.getTelemetry(deviceId, 1);
+    telemetry.rfidSnapshot = [{ sensorIndex: 3, tagId: "DD344A44", isAlarm: false }];
+    telemetry.lastSeenRfid = new Date().toISOString();
+  };
+
+  test("should find a tag in cached RFID snapshots", () => {
+    populate();
+
+    expect(StateCache.findTag("dd344a44")).toEqual([
+      expect.objectContaining({
+        deviceId,
+        deviceType: "V5008",
+        moduleIndex: 1,
+        moduleId: "3963041727",
+        sensorIndex: 3,
+        tagId: "DD344A44",
+      }),
+    ]);
+    expect(StateCache.findTag("FFFFFFFF")).toEqual([]);
+  });
+
+  test("should create backends by cacheType", () => {
+    expect(StateCache.createBackend("memory").name).toBe("memory");
+    expect(StateCache.createBackend(undefined).name).toBe("memory");
+    expect(StateCache.createBackend("file", { cacheFile: "x.json" }).name).toBe("file");
+    expect(StateCache.createBackend("database").name).toBe("database");
+    expect(() => StateCache.createBackend("redis")).toThrow("Unknown cacheType");
+  });
+
+  test("should restore metadata, telemetry and heartbeat from a snapshot", () => {
+    populate();
+    const lastSeen = StateCache.getLastHeartbeat(deviceId, 1);
+    const snapshot = JSON.parse(JSON.stringify(StateCache.createSnapshot()));
+
+    StateCache.metadataCache.clear();
+    StateCache.telemetryCache.clear();
+    StateCache.heartbeatCache.clear();
+    StateCache.restoreSnapshot(snapshot);
+
+    expect(StateCache.getMetadata(deviceId).ip).toBe("192.168.0.211");
+    expect(StateCache.getRfidSnapshot(deviceId, 1)).toHaveLength(1);
+    expect(StateCache.getLastHeartbeat(deviceId, 1)).toBeInstanceOf(Date);
+    expect(StateCache.getLastHeartbeat(deviceId, 1).getTime()).toBe(lastSeen.getTime());
+  });
+
+  test("should save and load snapshots through the file backend", async () => {
+    const cacheFile = path.join(tmpDir, "nested", "state_cache.json");
+    StateCache.backend = new FileCacheBackend({ cacheFile });
+    populate();
+
+    await StateCache.saveSnapshot();
+    expect(fs.existsSync(cacheFile)).toBe(true);
+    expect(fs.existsSync(`${cacheFile}.tmp`)).toBe(false);
+
+    StateCache.metadataCache.clear();
+    StateCache.telemetryCache.clear();
+    StateCache.heartbeatCache.clear();
+    StateCache.restoreSnapshot(await StateCache.backend.load());
+
+    expect(StateCache.getMetadata(deviceId).deviceType).toBe("V5008");
+    expect(StateCache.getTelemetry(deviceId, 1).moduleId).toBe("3963041727");
+  });
+
+  test("should return null when no snapshot file exists", async () => {
+    const backend = new FileCacheBackend({ cacheFile: path.join(tmpDir, "missing.json") });
+
+    await expect(backend.load()).resolves.toBeNull();
+  });
+
+  test("should write only changed and removed entries through the database backend", async () => {
+    database.reset();
+    StateCache.backend = new DatabaseCacheBackend();
+    populate();
+
+    await StateCache.saveSnapshot();
+    expect(database.writes).toEqual([
+      { op: "upsert", keys: [`device:${deviceId}:info`, `device:${deviceId}:module:1`, `device:${deviceId}:module:1`] },
+    ]);
+
+    // Nothing changed: no query at all
+    database.writes = [];
+    await StateCache.saveSnapshot();
+    expect(database.writes).toEqual([]);
+
+    // A restarted backend knows the table content from load()
+    StateCache.backend = new DatabaseCacheBackend();
+    StateCache.restoreSnapshot(await StateCache.backend.load());
+    StateCache.getMetadata(deviceId).ip = "192.168.0.212";
+    StateCache.heartbeatCache.delete(`device:${deviceId}:module:1`);
+
+    await StateCache.saveSnapshot();
+    expect(database.writes).toEqual([
+      { op: "delete", keys: [`device:${deviceId}:module:1`] },
+      { op: "upsert", keys: [`device:${deviceId}:info`] },
+    ]);
+    expect(database.rows.size).toBe(2);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for ApiServer
+ * Tests role checks on path spellings Express could route, query credentials,
+ * the public health probe and secret redaction in GET /api/config
+ */
+
+// Secrets for every redacted config location (read by the config module on require)
+process.env.NODE_CONFIG = JSON.stringify({
+  auth: {
+    enabled: true,
+    apiKeys: [
+      { name: "dash", key: "viewer-key-secret", role: "viewer" },
+      { name: "ops", key: "admin-key-secret", role: "admin" },
+    ],
+    jwt: { secret: "jwt-secret-value" },
+  },
+  mqtt: { options: { password: "mqtt-password-value" } },
+  modules: {
+    database: { connection: { password: "db-password-value" } },
+    webhook: {
+      targets: [
+        {
+          name: "erp",
+          url: "http://erp.local/hook",
+          authToken: "webhook-token-value",
+          secret: "hmac-secret-value",
+          headers: { "X-Erp-Key": "header-secret-value" },
+        },
+      ],
+    },
+  },
+});
+
+const http = require("http");
+const config = require("config");
+const apiServer = require("../../../src/modules/output/ApiServer");
+const commandService = require("../../../src/modules/command/CommandService");
+
+describe("ApiServer", () => {
+  let server;
+  let baseUrl;
+
+  const request = (method, path, apiKey) =>
+    fetch(baseUrl + path, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { "X-API-Key": apiKey } : {}),
+      },
+      body: method === "POST" ? JSON.stringify({ deviceId: "1", deviceType: "V5008", messageType: "QRY_COLOR" }) : undefined,
+    });
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    await apiServer.initialize(config.get("modules.apiServer"));
+
+    server = http.createServer(apiServer.app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ["POST", "/API/commands", undefined],
+    ["POST", "/api/commands/", undefined],
+    ["GET", "/Api/Config", undefined],
+    ["GET", "/api/config/", "viewer-key-secret"],
+    ["GET", "/API/CONFIG/", "viewer-key-secret"],
+  ])("should not serve %s %s with a weaker role", async (method, path, apiKey) => {
+    const handle = jest.spyOn(commandService, "handleCommandRequest");
+
+    const response = await request(method, path, apiKey);
+
+    expect([401, 403, 404]).toContain(response.status);
+    expect(handle).not.toHaveBeenCalled();
+  });
+
+  test("should require the route's role for any spelling of its path", () => {
+    const role = (method, path) => apiServer.getRequiredRole({ method, path });
+
+    expect(role("POST", "/API/commands")).toBe("operator");
+    expect(role("GET", "/Api/Config")).toBe("admin");
+    expect(role("GET", "/api/config/")).toBe("admin");
+    expect(role("GET", "/METRICS/")).toBe("viewer");
+    expect(role("GET", "/api/health/")).toBeNull();
+  });
+
+  test("should return only status and uptime from the public health probe", async () => {
+    const probe = await (await request("GET", "/api/health")).json();
+    expect(Object.keys(probe).sort()).toEqual(["status", "uptime"]);
+
+    const details = await (await request("GET", "/api/health", "viewer-key-secret")).json();
+    expect(details).toMatchObject({ status: "ok", db: "disconnected" });
+    expect(details).toHaveProperty("ingest");
+  });
+
+  test("should accept query credentials only on /metrics and the live stream", async () => {
+    expect((await request("GET", "/api/config?apiKey=admin-key-secret")).status).toBe(401);
+    expect((await request("GET", "/api/health?apiKey=viewer-key-secret").then((r) => r.json())).ingest).toBeUndefined();
+    expect((await request("GET", "/metrics?apiKey=viewer-key-secret")).status).toBe(200);
+    expect(apiServer.allowsQueryToken({ path: "/API/live/stream/" })).toBe(true);
+    expect(apiServer.allowsQueryToken({ path: "/api/devices" })).toBe(false);
+  });
+
+  test("should redact every password and secret in GET /api/config", async () => {
+    const response = await request("GET", "/api/config", "admin-key-secret");
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+    [
+      "viewer-key-secret",
+      "admin-key-secret",
+      "jwt-secret-value",
+      "mqtt-password-value",
+      "db-password-value",
+      "webhook-token-value",
+      "hmac-secret-value",
+      "header-secret-value",
+    ].forEach((secret) => expect(body).not.toContain(secret));
+    expect(JSON.parse(body).modules.database.connection.password).toBe("***REDACTED***");
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for Auth
+ * Tests API key lookup, HS256 JWT verification, role hierarchy and the Express middleware
+ */
+
+const crypto = require("crypto");
+const auth = require("../../../src/modules/output/Auth");
+
+describe("Auth", () => {
+  const secret = "test-secret";
+
+  // Build an HS256 JWT the same way an identity provider would
+  const sign = (claims, key = secret, header = { alg: "HS256", typ: "JWT" }) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    const body = `${encode(header)}.${encode(claims)}`;
+    const signature = crypto.createHmac("sha256", key).update(body).digest("base64url");
+    return `${body}.${signature}`;
+  };
+
+  beforeEach(() => {
+    auth.configure({
+      enabled: true,
+      apiKeys: [
+        { name: "dashboard", key: "viewer-key", role: "viewer" },
+        { name: "ops", key: "operator-key", role: "operator" },
+      ],
+      jwt: { secret, issuer: "idp", roleClaim: "role" },
+    });
+  });
+
+  afterAll(() => auth.configure({}));
+
+  test("should treat every caller as admin when disabled", () => {
+    auth.configure({ enabled: false });
+
+    expect(auth.authenticate({}, {})).toEqual({ name: "anonymous", role: "admin", type: "none" });
+  });
+
+  test("should reject enabling auth without credentials configured", () => {
+    expect(() => auth.configure({ enabled: true })).toThrow("neither apiKeys nor jwt.secret");
+    expect(() => auth.configure({ apiKeys: [{ name: "x", key: "k", role: "root" }] })).toThrow(
+      "Invalid API key entry",
+    );
+  });
+
+  test("should authenticate API keys from header or query", () => {
+    expect(auth.authenticate({ "x-api-key": "operator-key" })).toEqual({
+      name: "ops",
+      role: "operator",
+      type: "apiKey",
+    });
+    expect(auth.authenticate({}, { apiKey: "viewer-key" }).role).toBe("viewer");
+    expect(auth.authenticate({ "x-api-key": "wrong" })).toBeNull();
+    expect(auth.authenticate({})).toBeNull();
+  });
+
+  test("should verify JWT signature, expiry and issuer", () => {
+    const now = Date.now();
+    const exp = Math.floor(now / 1000) + 60;
+
+    expect(auth.authenticate({ authorization: `Bearer ${sign({ sub: "alice", role: "admin", iss: "idp", exp })}` }))
+      .toEqual({ name: "alice", role: "admin", type: "jwt" });
+    expect(auth.authenticate({}, { token: sign({ sub: "bob", role: ["viewer", "operator"], iss: "idp" }) }).role)
+      .toBe("operator");
+
+    expect(auth.verifyJwt(sign({ role: "admin", iss: "idp" }, "other-secret"))).toBeNull();
+    expect(auth.verifyJwt(sign({ role: "admin", iss: "idp", exp }), now + 61000)).toBeNull();
+    expect(auth.verifyJwt(sign({ role: "admin", iss: "other" }))).toBeNull();
+    expect(auth.verifyJwt(sign({ role: "superuser", iss: "idp" }))).toBeNull();
+    expect(auth.verifyJwt(sign({ role: "admin", iss: "idp" }, secret, { alg: "none" }))).toBeNull();
+    expect(auth.verifyJwt("not-a-jwt")).toBeNull();
+  });
+
+  test("should order roles viewer < operator < admin", () => {
+    expect(auth.hasRole({ role: "admin" }, "operator")).toBe(true);
+    expect(auth.hasRole({ role: "operator" }, "operator")).toBe(true);
+    expect(auth.hasRole({ role: "viewer" }, "operator")).toBe(false);
+    expect(auth.hasRole(null, "viewer")).toBe(false);
+  });
+
+  describe("middleware", () => {
+    const run = (headers, role) => {
+      const req = { headers, query: {} };
+      const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        },
+      };
+      const next = jest.fn();
+      auth.middleware(() => role)(req, res, next);
+      return { req, res, next };
+    };
+
+    test("should pass public routes and attach the principal", () => {
+      const { req, next } = run({ "x-api-key": "viewer-key" }, null);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.principal.name).toBe("dashboard");
+      expect(run({}, null).next).toHaveBeenCalled();
+    });
+
+    test("should return 401 without credentials and 403 for an insufficient role", () => {
+      const missing = run({}, "viewer");
+      expect(missing.res.statusCode).toBe(401);
+      expect(missing.next).not.toHaveBeenCalled();
+
+      const forbidden = run({ "x-api-key": "viewer-key" }, "operator");
+      expect(forbidden.res.statusCode).toBe(403);
+      expect(forbidden.res.body.error).toContain("operator");
+
+      expect(run({ "x-api-key": "operator-key" }, "operator").next).toHaveBeenCalled();
+    });
+
+    test("should read query credentials only where the route allows them", () => {
+      const req = { headers: {}, query: { apiKey: "viewer-key" } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      auth.middleware(() => "viewer")(req, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(401);
+
+      const next = jest.fn();
+      auth.middleware(() => "viewer", () => true)(req, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(req.principal.role).toBe("viewer");
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for LiveStream
+ * Tests SSE framing, filters, Last-Event-ID resume, gaps and slow-client handling
+ * (events and keep-alives)
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => ({
+  onDataNormalized() {},
+  removeListener() {},
+}));
+
+const liveStream = require("../../../src/modules/output/LiveStream");
+const suoFilter = require("../../../src/modules/output/SuoFilter");
+
+describe("LiveStream", () => {
+  // Fake request/response pair recording the stream
+  const connect = (query = {}, lastEventId = null) => {
+    const req = {
+      handlers: {},
+      on(event, handler) {
+        this.handlers[event] = handler;
+      },
+    };
+    const res = {
+      chunks: [],
+      writableLength: 0,
+      ended: false,
+      writeHead(status, headers) {
+        this.status = status;
+        this.headers = headers;
+      },
+      write(chunk) {
+        this.chunks.push(chunk);
+      },
+      end() {
+        this.ended = true;
+      },
+      events() {
+        return this.chunks
+          .filter((chunk) => chunk.startsWith("id: "))
+          .map((chunk) => {
+            const [, id, data] = chunk.match(/^id: ([\w-]+)\ndata: (.*)\n\n$/);
+            return { id, suo: JSON.parse(data) };
+          });
+      },
+    };
+
+    liveStream.addClient(req, res, suoFilter.fromQuery(query), lastEventId);
+    return { req, res };
+  };
+
+  const suo = (deviceId, messageType, moduleIndex = 1) => ({ deviceId, moduleIndex, messageType, payload: [] });
+  const eventId = (seq) => `${liveStream.bootId}-${seq}`;
+
+  beforeEach(() => {
+    liveStream.config = { bufferSize: 3 };
+    liveStream.buffer = [];
+    liveStream.nextSeq = 1;
+    liveStream.clients.clear();
+    Object.keys(liveStream.stats).forEach((key) => {
+      liveStream.stats[key] = 0;
+    });
+  });
+
+  test("should open an event stream and send matching SUOs with boot-prefixed sequential ids", () => {
+    const { res } = connect({ deviceId: "2437871205", messageType: "TEMP_HUM,RFID_EVENT" });
+
+    liveStream.publish(suo("2437871205", "TEMP_HUM"));
+    liveStream.publish(suo("2437871205", "NOISE_LEVEL"));
+    liveStream.publish(suo("2437871206", "TEMP_HUM"));
+    liveStream.publish(suo("2437871205", "RFID_EVENT"));
+
+    expect(res.status).toBe(200);
+    expect(res.headers["Content-Type"]).toBe("text/event-stream");
+    expect(res.chunks[0]).toBe("retry: 3000\n\n");
+    expect(res.events().map((e) => `${e.id}:${e.suo.messageType}`)).toEqual([
+      `${eventId(1)}:TEMP_HUM`,
+      `${eventId(4)}:RFID_EVENT`,
+    ]);
+  });
+
+  test("should resume after Last-Event-ID from the ring buffer", () => {
+    ["A", "B", "C"].forEach((id) => liveStream.publish(suo(id, "TEMP_HUM")));
+
+    const { res } = connect({}, eventId(1));
+
+    expect(res.events().map((e) => e.suo.deviceId)).toEqual(["B", "C"]);
+    expect(liveStream.getStats()).toMatchObject({ resumed: 1, gaps: 0, lastEventId: eventId(3) });
+  });
+
+  test("should send a gap event when the requested id is no longer buffered", () => {
+    ["A", "B", "C", "D", "E"].forEach((id) => liveStream.publish(suo(id, "TEMP_HUM")));
+
+    const evicted = connect({}, eventId(1)).res;
+    expect(evicted.chunks[1]).toBe(
+      `event: gap\ndata: {"lastEventId":"${eventId(1)}","oldestEventId":"${eventId(3)}"}\n\n`,
+    );
+    expect(evicted.events().map((e) => e.id)).toEqual([eventId(3), eventId(4), eventId(5)]);
+
+    // Ids from before a restart (other boot id, even if the sequence is still buffered): gap, no replay
+    const stale = connect({}, "0abc-4").res;
+    expect(stale.chunks[1]).toContain("event: gap");
+    expect(stale.events()).toEqual([]);
+    expect(connect({}, "4").res.events()).toEqual([]);
+    expect(liveStream.getStats().gaps).toBe(3);
+  });
+
+  test("should drop clients on disconnect and when they stop reading", () => {
+    const closed = connect();
+    const slow = connect();
+    closed.req.handlers.close();
+    slow.res.writableLength = 2 * 1048576;
+
+    liveStream.publish(suo("A", "TEMP_HUM"));
+
+    expect(closed.res.events()).toEqual([]);
+    expect(slow.res.ended).toBe(true);
+    expect(liveStream.getStats()).toMatchObject({ clients: 0, slowDisconnects: 1 });
+  });
+
+  test("should drop clients that stop reading keep-alives", () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "warn").mockImplementation();
+    const idle = connect();
+    idle.res.writableLength = 2 * 1048576;
+
+    liveStream.start({ keepAliveInterval: 1000 });
+    jest.advanceTimersByTime(1000);
+    liveStream.stop();
+
+    expect(idle.res.chunks).not.toContain(": keep-alive\n\n");
+    expect(idle.res.ended).toBe(true);
+    expect(liveStream.getStats()).toMatchObject({ clients: 0, slowDisconnects: 1 });
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test("should reject invalid query filters", () => {
+    expect(() => suoFilter.fromQuery({ moduleIndex: "1,x" })).toThrow("moduleIndex");
+    expect(suoFilter.fromQuery({ moduleIndex: "1, 2" }).moduleIndex).toEqual([1, 2]);
+    expect(suoFilter.fromQuery({})).toEqual({ deviceId: null, moduleIndex: null, messageType: null });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for MqttRelay
+ * Tests topic templating and per-message-type QoS/retain
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    emittedErrors: [],
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    reset() {
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+const eventBus = require("../../../src/core/EventBus");
+const mqttRelay = require("../../../src/modules/output/MqttRelay");
+
+describe("MqttRelay", () => {
+  let published;
+
+  beforeEach(async () => {
+    eventBus.reset();
+    published = [];
+
+    await mqttRelay.initialize({
+      topic: "IoTOutput",
+      topicTemplate: "IoTOutput/{deviceType}/{deviceId}/{messageType}/{moduleIndex}",
+      qos: 0,
+      retain: false,
+      messageTypes: {
+        DEVICE_METADATA: { qos: 1, retain: true },
+        TEMP_HUM: { retain: true },
+      },
+      filters: [],
+    });
+
+    mqttRelay.client = {
+      publish: (topic, payload, options, callback) => {
+        published.push({ topic, payload: JSON.parse(payload), options });
+        callback(null);
+      },
+    };
+  });
+
+  afterEach(() => {
+    mqttRelay.client = null;
+  });
+
+  test("should publish module messages to the templated topic", () => {
+    mqttRelay.handleData({
+      deviceId: "2437871205",
+      deviceType: "V5008",
+      messageType: "TEMP_HUM",
+      moduleIndex: 1,
+      payload: [{ sensorIndex: 10, temp: 24.5, hum: 60 }],
+    });
+
+    expect(published[0].topic).toBe("IoTOutput/V5008/2437871205/TEMP_HUM/1");
+    expect(published[0].options).toEqual({ qos: 0, retain: true });
+  });
+
+  test("should drop empty levels for device-level messages", () => {
+    mqttRelay.handleData({
+      deviceId: "2437871205",
+      deviceType: "V5008",
+      messageType: "DEVICE_METADATA",
+      payload: [],
+    });
+
+    expect(published[0].topic).toBe("IoTOutput/V5008/2437871205/DEVICE_METADATA");
+    expect(published[0].options).toEqual({ qos: 1, retain: true });
+  });
+
+  test("should use module defaults for message types without overrides", () => {
+    expect(mqttRelay.getPublishOptions("RFID_EVENT")).toEqual({ qos: 0, retain: false });
+  });
+
+  test("should replace topic separators and wildcards in values", () => {
+    const topic = mqttRelay.buildTopic({
+      deviceId: "a/b+c#",
+      deviceType: "V6800",
+      messageType: "HEARTBEAT",
+    });
+
+    expect(topic).toBe("IoTOutput/V6800/a_b_c_/HEARTBEAT");
+  });
+
+  test("should keep the position of empty middle levels", () => {
+    const topic = mqttRelay.buildTopic({
+      deviceId: "2437871205",
+      messageType: "TEMP_HUM",
+      moduleIndex: 1,
+    });
+
+    expect(topic).toBe("IoTOutput/_/2437871205/TEMP_HUM/1");
+  });
+
+  test("should fall back to the static topic without a template", () => {
+    mqttRelay.config.topicTemplate = null;
+
+    expect(mqttRelay.buildTopic({ deviceId: "2437871205", messageType: "TEMP_HUM" })).toBe(
+      "IoTOutput",
+    );
+  });
+
+  test("should skip filtered message types", () => {
+    mqttRelay.config.filters = ["RFID_EVENT"];
+
+    mqttRelay.handleData({ deviceId: "2437871205", messageType: "TEMP_HUM", payload: [] });
+
+    expect(published).toHaveLength(0);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Unit tests for WebSocketServer
+ * Tests subscribe/unsubscribe filters, initial snapshots, command authorization,
+ * command status recipients, ping/pong reaping and backpressure policies
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    commandRequests: [],
+    emittedErrors: [],
+
+    emitCommandRequest(command) {
+      this.commandRequests.push(command);
+    },
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    removeAllListeners() {},
+
+    reset() {
+      this.commandRequests = [];
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+// Mock StateCache at the module level
+jest.mock("../../../src/modules/normalizer/StateCache", () => ({
+  getAllMetadata: () => [
+    { deviceId: "2437871205", deviceType: "V5008" },
+    { deviceId: "2437871206", deviceType: "V5008" },
+  ],
+  getAllTelemetry: () => [
+    { key: "device:2437871205:module:1", deviceId: "2437871205", moduleIndex: 1, tempHum: [] },
+    { key: "device:2437871205:module:2", deviceId: "2437871205", moduleIndex: 2, tempHum: [] },
+    { key: "device:2437871206:module:1", deviceId: "2437871206", moduleIndex: 1, tempHum: [] },
+  ],
+}));
+
+const WebSocket = require("ws");
+const eventBus = require("../../../src/core/EventBus");
+const webSocketServer = require("../../../src/modules/output/WebSocketServer");
+
+describe("WebSocketServer", () => {
+  // Fake socket recording sent messages
+  const createSocket = () => ({
+    readyState: WebSocket.OPEN,
+    bufferedAmount: 0,
+    sent: [],
+    pings: 0,
+    terminated: false,
+    closed: null,
+    send(payload) {
+      this.sent.push(JSON.parse(payload));
+    },
+    ping() {
+      this.pings++;
+    },
+    terminate() {
+      this.terminated = true;
+    },
+    close(code, reason) {
+      this.closed = { code, reason };
+    },
+    on() {},
+  });
+
+  const connect = (role = "viewer") => {
+    const ws = createSocket();
+    webSocketServer.handleConnection(ws, {
+      socket: { remoteAddress: "10.0.0.15" },
+      principal: { name: `${role}-user`, role, type: "apiKey" },
+    });
+    ws.sent = [];
+    return ws;
+  };
+
+  const message = (ws, body) => webSocketServer.handleMessage(ws, Buffer.from(JSON.stringify(body)));
+  const received = (ws, type) => ws.sent.filter((m) => m.type === type);
+
+  const suo = (deviceId, moduleIndex, messageType) => ({ deviceId, moduleIndex, messageType, payload: [] });
+
+  beforeEach(() => {
+    eventBus.reset();
+    webSocketServer.clients.clear();
+    webSocketServer.config = { pingInterval: 1000, pongTimeout: 2000, maxBufferedBytes: 100, maxQueuedMessages: 2 };
+    Object.keys(webSocketServer.stats).forEach((key) => {
+      webSocketServer.stats[key] = 0;
+    });
+  });
+
+  test("should send every SUO to clients without subscriptions", () => {
+    const ws = connect();
+
+    webSocketServer.broadcast(suo("2437871205", 1, "TEMP_HUM"));
+    webSocketServer.broadcast(suo("2437871206", 3, "RFID_EVENT"));
+
+    expect(received(ws, "data")).toHaveLength(2);
+  });
+
+  test("should only send SUOs matching a subscription", () => {
+    const rack = connect();
+    const wall = connect();
+
+    message(rack, { type: "subscribe", subscriptionId: "rack", filter: { deviceId: "2437871205", moduleIndex: 1 } });
+    message(wall, { type: "subscribe", filter: { messageType: ["ALARM_RAISED", "ALARM_CLEARED"] }, snapshot: false });
+
+    webSocketServer.broadcast(suo("2437871205", 1, "TEMP_HUM"));
+    webSocketServer.broadcast(suo("2437871205", 2, "TEMP_HUM"));
+    webSocketServer.broadcast(suo("2437871206", 1, "ALARM_RAISED"));
+    webSocketServer.broadcast(suo("2437871205", undefined, "DEVICE_METADATA"));
+
+    expect(received(rack, "data").map((m) => `${m.data.moduleIndex}:${m.data.messageType}`)).toEqual([
+      "1:TEMP_HUM",
+      "undefined:DEVICE_METADATA",
+    ]);
+    expect(received(wall, "data").map((m) => m.data.messageType)).toEqual(["ALARM_RAISED"]);
+    expect(received(wall, "subscribed")[0].subscriptionId).toMatch(/^sub-\d+$/);
+    expect(received(wall, "snapshot")).toHaveLength(0);
+  });
+
+  test("should send the matching StateCache snapshot on subscribe", () => {
+    const ws = connect();
+
+    message(ws, { type: "subscribe", subscriptionId: "rack", filter: { deviceId: "2437871205", moduleIndex: 2 } });
+
+    const [snapshot] = received(ws, "snapshot");
+    expect(snapshot.subscriptionId).toBe("rack");
+    expect(snapshot.data.devices.map((d) => d.deviceId)).toEqual(["2437871205"]);
+    expect(snapshot.data.modules).toEqual([{ deviceId: "2437871205", moduleIndex: 2, tempHum: [] }]);
+  });
+
+  test("should unsubscribe one or all subscriptions", () => {
+    const ws = connect();
+    message(ws, { type: "subscribe", subscriptionId: "a", filter: { deviceId: "2437871205" } });
+    message(ws, { type: "subscribe", subscriptionId: "b", filter: { deviceId: "2437871206" } });
+
+    message(ws, { type: "unsubscribe", subscriptionId: "a" });
+    webSocketServer.broadcast(suo("2437871205", 1, "TEMP_HUM"));
+    expect(received(ws, "data")).toHaveLength(0);
+
+    message(ws, { type: "unsubscribe" });
+    expect(received(ws, "unsubscribed").map((m) => m.subscriptionIds)).toEqual([["a"], ["b"]]);
+
+    // No subscriptions left: back to receiving everything
+    webSocketServer.broadcast(suo("2437871205", 1, "TEMP_HUM"));
+    expect(received(ws, "data")).toHaveLength(1);
+  });
+
+  test("should reject invalid filters and unknown subscriptions", () => {
+    const ws = connect();
+
+    message(ws, { type: "subscribe", messageId: "m1", filter: { moduleIndex: "one" } });
+    message(ws, { type: "unsubscribe", messageId: "m2", subscriptionId: "missing" });
+
+    expect(received(ws, "error").map((m) => m.messageId)).toEqual(["m1", "m2"]);
+    expect(webSocketServer.clients.get(ws).subscriptions.size).toBe(0);
+  });
+
+  test("should only accept commands from operators", () => {
+    const viewer = connect("viewer");
+    const operator = connect("operator");
+    const command = { type: "command", messageId: "c1", deviceId: "2437871205", deviceType: "V5008", messageType: "QRY_TEMP_HUM" };
+
+    message(viewer, command);
+    message(operator, command);
+
+    expect(received(viewer, "error")[0].error).toContain("operator");
+    expect(received(operator, "command_ack")).toHaveLength(1);
+    expect(eventBus.commandRequests).toHaveLength(1);
+    expect(eventBus.commandRequests[0]).toMatchObject({ source: "websocket", user: "operator-user", clientIp: "10.0.0.15" });
+  });
+
+  test("should send command_status only to the issuer and operators watching the device", () => {
+    const viewer = connect("viewer");
+    const issuer = connect("operator");
+    const admin = connect("admin");
+    const elsewhere = connect("operator");
+    message(issuer, { type: "command", messageId: "c1", deviceId: "2437871205", deviceType: "V5008", messageType: "QRY_COLOR" });
+    message(issuer, { type: "subscribe", filter: { deviceId: "2437871206" }, snapshot: false });
+    message(elsewhere, { type: "subscribe", filter: { deviceId: "2437871206" }, snapshot: false });
+    const { commandId } = received(issuer, "command_ack")[0];
+
+    const status = (state) => ({
+      commandId,
+      source: "websocket",
+      user: "operator-user",
+      authType: "apiKey",
+      clientIp: "10.0.0.15",
+      deviceId: "2437871205",
+      messageType: "QRY_COLOR",
+      status: state,
+      expectsResponse: true,
+    });
+    webSocketServer.sendCommandStatus(status("SENT"));
+    webSocketServer.sendCommandStatus(status("ACKED"));
+
+    expect(received(viewer, "command_status")).toHaveLength(0);
+    expect(received(elsewhere, "command_status")).toHaveLength(0);
+    expect(received(admin, "command_status")).toHaveLength(2);
+    const updates = received(issuer, "command_status");
+    expect(updates.map((m) => m.data.status)).toEqual(["SENT", "ACKED"]);
+    expect(updates[0].data).not.toHaveProperty("user");
+    expect(updates[0].data).not.toHaveProperty("authType");
+    expect(updates[0].data).not.toHaveProperty("clientIp");
+    expect(webSocketServer.clients.get(issuer).commandIds.size).toBe(0);
+  });
+
+  test("should ping live clients and reap clients without a pong", () => {
+    const live = connect();
+    const dead = connect();
+    const now = Date.now();
+    webSocketServer.clients.get(dead).lastPong = now - 5000;
+
+    webSocketServer.checkLiveness(now);
+
+    expect(live.pings).toBe(1);
+    expect(dead.terminated).toBe(true);
+    expect(webSocketServer.clients.has(dead)).toBe(false);
+    expect(webSocketServer.getStats()).toMatchObject({ clients: 1, reaped: 1 });
+  });
+
+  test("should queue behind a full send buffer and drop the oldest message", () => {
+    const ws = connect();
+    const clientInfo = webSocketServer.clients.get(ws);
+    ws.bufferedAmount = 500;
+
+    ["A", "B", "C"].forEach((id) => webSocketServer.broadcast(suo(id, 1, "TEMP_HUM")));
+
+    expect(received(ws, "data")).toHaveLength(0);
+    expect(clientInfo.queue.map((payload) => JSON.parse(payload).data.deviceId)).toEqual(["B", "C"]);
+    expect(webSocketServer.getStats()).toMatchObject({ queued: 2, messagesDropped: 1 });
+
+    // Socket drained: queued messages go out in order
+    ws.bufferedAmount = 0;
+    webSocketServer.drain(ws, clientInfo);
+
+    expect(received(ws, "data").map((m) => m.data.deviceId)).toEqual(["B", "C"]);
+    expect(clientInfo.queue).toHaveLength(0);
+  });
+
+  test("should disconnect slow clients with the disconnect policy", () => {
+    webSocketServer.config.backpressurePolicy = "disconnect";
+    const ws = connect();
+    ws.bufferedAmount = 500;
+
+    webSocketServer.broadcast(suo("2437871205", 1, "TEMP_HUM"));
+
+    expect(ws.closed.code).toBe(1013);
+    expect(webSocketServer.clients.has(ws)).toBe(false);
+    expect(webSocketServer.getStats()).toMatchObject({ slowDisconnects: 1, messagesDropped: 1 });
+  });
+});
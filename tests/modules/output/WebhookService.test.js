@@ -0,0 +1,361 @@
+/**
+ * Unit tests for WebhookService
+ * Tests durable queueing, retry with backoff, dead-letter replay, multiple targets
+ * and per-target queue passes/limits
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    emittedErrors: [],
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    removeAllListeners() {},
+
+    reset() {
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const eventBus = require("../../../src/core/EventBus");
+const metrics = require("../../../src/core/Metrics");
+const webhookService = require("../../../src/modules/output/WebhookService");
+
+describe("WebhookService", () => {
+  let tmpDir;
+  let sent;
+  let failWith;
+
+  const suo = {
+    deviceId: "2437871205",
+    deviceType: "V5008",
+    messageType: "RFID_EVENT",
+    messageId: "755052881",
+    moduleIndex: 1,
+    payload: [{ sensorIndex: 3, action: "ATTACHED", tagId: "DD344A44" }],
+  };
+
+  beforeEach(async () => {
+    eventBus.reset();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-"));
+
+    await webhookService.initialize({
+      url: "http://example.com/webhook",
+      filters: ["RFID_EVENT"],
+      queueDir: tmpDir,
+      retry: { maxAttempts: 3, initialDelay: 1000, maxDelay: 5000 },
+    });
+
+    sent = [];
+    failWith = null;
+    webhookService.sendWebhook = jest.fn(async (target, data) => {
+      if (failWith) {
+        throw failWith;
+      }
+      sent.push(data);
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const pendingFiles = () => fs.readdirSync(path.join(tmpDir, "pending"));
+
+  test("should discard and count deliveries beyond maxPending", async () => {
+    jest.spyOn(console, "error").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    metrics.reset();
+    await webhookService.initialize({
+      url: "http://example.com/webhook",
+      queueDir: tmpDir,
+      maxPending: 2,
+      retry: { maxAttempts: 3 },
+    });
+    failWith = new Error("ECONNREFUSED");
+
+    for (const messageId of ["1", "2", "3", "4"]) {
+      await webhookService.handleData({ ...suo, messageId });
+    }
+
+    expect(pendingFiles()).toHaveLength(2);
+    expect(fs.readdirSync(path.join(tmpDir, "dead"))).toHaveLength(0);
+    const stats = await webhookService.getStats();
+    expect(stats).toMatchObject({ overflowed: 2, deadLetters: 0 });
+    expect(stats.targets.default).toMatchObject({ pending: 2, overflowed: 2, deadLettered: 0 });
+    expect(metrics.render()).toContain('iot_webhook_queue_overflow_total{target="default"} 2');
+    // One log line per overflow episode
+    expect(console.error.mock.calls.filter(([message]) => message.includes("is full"))).toHaveLength(1);
+    jest.restoreAllMocks();
+  });
+
+  test("should keep only the newest maxDeadLetters dead letters", async () => {
+    await webhookService.initialize({ ...webhookService.config, maxDeadLetters: 2 });
+
+    const entries = [];
+    for (const messageId of ["1", "2", "3"]) {
+      const entry = await webhookService.queue.enqueue({ ...suo, messageId }, "default");
+      await webhookService.queue.deadLetter(entry, "gone");
+      entries.push(entry);
+    }
+
+    expect(fs.readdirSync(path.join(tmpDir, "dead")).sort()).toEqual(
+      [`${entries[1].id}.json`, `${entries[2].id}.json`].sort(),
+    );
+    expect(await webhookService.getStats()).toMatchObject({ deadLetters: 2, deadDropped: 1 });
+  });
+
+  test("should page dead letters and count them without reading the store", async () => {
+    for (const messageId of ["1", "2", "3"]) {
+      const entry = await webhookService.queue.enqueue({ ...suo, messageId }, "default");
+      await webhookService.queue.deadLetter(entry, "gone");
+    }
+
+    // Dead-letter ids are restored from file names after a restart
+    await webhookService.initialize(webhookService.config);
+    const readFile = jest.spyOn(fs.promises, "readFile");
+
+    expect((await webhookService.getStats()).deadLetters).toBe(3);
+    expect(readFile).not.toHaveBeenCalled();
+
+    const page = await webhookService.listDeadLetters({ offset: 1, limit: 1 });
+    expect(page.map((entry) => entry.id)).toEqual([webhookService.queue.getDeadLetterIds()[1]]);
+    expect(readFile).toHaveBeenCalledTimes(1);
+    readFile.mockRestore();
+  });
+
+  test("should wait for running delivery passes on stop", async () => {
+    jest.spyOn(console, "log").mockImplementation();
+    let release;
+    webhookService.sendWebhook = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          release = resolve;
+        }),
+    );
+    await webhookService.queue.enqueue(suo, "default");
+    webhookService.processQueue();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    let stopped = false;
+    const stopping = webhookService.stop().then(() => {
+      stopped = true;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(stopped).toBe(false);
+
+    release();
+    await stopping;
+    expect(pendingFiles()).toHaveLength(0);
+    jest.restoreAllMocks();
+  });
+
+  test("should deliver and remove the queue entry on success", async () => {
+    await webhookService.handleData(suo);
+
+    expect(sent).toHaveLength(1);
+    expect(pendingFiles()).toHaveLength(0);
+    expect((await webhookService.getStats()).delivered).toBe(1);
+  });
+
+  test("should skip filtered message types", async () => {
+    await webhookService.handleData({ ...suo, messageType: "TEMP_HUM" });
+
+    expect(webhookService.sendWebhook).not.toHaveBeenCalled();
+    expect(pendingFiles()).toHaveLength(0);
+  });
+
+  test("should keep failed deliveries on disk with exponential backoff", async () => {
+    failWith = new Error("Webhook failed with status 503: down");
+
+    await webhookService.handleData(suo);
+
+    const [entry] = webhookService.queue.pending.values();
+    expect(entry.attempts).toBe(1);
+    expect(entry.lastError).toContain("503");
+    expect(pendingFiles()).toHaveLength(1);
+
+    // Not due yet - no second attempt
+    await webhookService.processQueue();
+    expect(webhookService.sendWebhook).toHaveBeenCalledTimes(1);
+
+    expect(webhookService.queue.getBackoffDelay(1)).toBe(1000);
+    expect(webhookService.queue.getBackoffDelay(2)).toBe(2000);
+    expect(webhookService.queue.getBackoffDelay(10)).toBe(5000);
+  });
+
+  test("should restore pending deliveries after a restart", async () => {
+    failWith = new Error("ECONNREFUSED");
+    await webhookService.handleData(suo);
+
+    await webhookService.initialize(webhookService.config);
+
+    expect(webhookService.queue.pending.size).toBe(1);
+    const [entry] = webhookService.queue.pending.values();
+    expect(entry.suo.messageId).toBe("755052881");
+  });
+
+  test("should move to dead letters after maxAttempts and replay", async () => {
+    failWith = new Error("ECONNREFUSED");
+    await webhookService.handleData(suo);
+
+    // Force the remaining attempts to be due immediately
+    for (let i = 0; i < 2; i++) {
+      webhookService.queue.pending.forEach((entry) => {
+        entry.nextAttemptAt = new Date(0).toISOString();
+      });
+      await webhookService.processQueue();
+    }
+
+    const deadLetters = await webhookService.listDeadLetters();
+    expect(deadLetters).toHaveLength(1);
+    expect(deadLetters[0].attempts).toBe(3);
+    expect(webhookService.queue.pending.size).toBe(0);
+
+    failWith = null;
+    const replayed = await webhookService.replayDeadLetters();
+    await webhookService.processQueue();
+
+    expect(replayed).toEqual([deadLetters[0].id]);
+    expect(sent).toHaveLength(1);
+    expect(await webhookService.listDeadLetters()).toHaveLength(0);
+  });
+
+  test("should reject invalid dead-letter ids", async () => {
+    await expect(webhookService.replayDeadLetters(["../../etc/passwd"])).resolves.toEqual([]);
+    await expect(webhookService.queue.deleteDeadLetter("../x")).resolves.toBe(false);
+  });
+
+  describe("Multiple Targets", () => {
+    beforeEach(async () => {
+      await webhookService.initialize({
+        queueDir: tmpDir,
+        retry: { maxAttempts: 3 },
+        targets: [
+          { name: "cmdb", url: "http://cmdb.local/hook", filters: ["RFID_EVENT"] },
+          {
+            name: "security",
+            url: "http://soc.local/hook",
+            filters: ["RFID_EVENT", "DOOR_STATE"],
+            deviceIds: ["2437871205"],
+            headers: { "X-Source": "iot" },
+            authToken: "token-1",
+            secret: "s3cret",
+          },
+        ],
+      });
+      webhookService.sendWebhook = jest.fn(async (target) => {
+        if (target.name === "cmdb" && failWith) {
+          throw failWith;
+        }
+      });
+    });
+
+    test("should fan out to every matching target", async () => {
+      await webhookService.handleData(suo);
+      await webhookService.handleData({ ...suo, messageType: "DOOR_STATE" });
+      await webhookService.handleData({ ...suo, deviceId: "9999999999" });
+
+      const deliveries = webhookService.sendWebhook.mock.calls.map(
+        ([target, data]) => `${target.name}:${data.messageType}:${data.deviceId}`,
+      );
+      expect(deliveries).toEqual([
+        "cmdb:RFID_EVENT:2437871205",
+        "security:RFID_EVENT:2437871205",
+        "security:DOOR_STATE:2437871205",
+        "cmdb:RFID_EVENT:9999999999",
+      ]);
+    });
+
+    test("should keep independent stats per target", async () => {
+      failWith = new Error("ECONNREFUSED");
+      await webhookService.handleData(suo);
+
+      const stats = await webhookService.getStats();
+      expect(stats.targets.cmdb).toMatchObject({ delivered: 0, failed: 1, pending: 1 });
+      expect(stats.targets.security).toMatchObject({ delivered: 1, failed: 0, pending: 0 });
+      expect(stats.targets.cmdb.lastError).toBe("ECONNREFUSED");
+    });
+
+    test("should add auth, custom headers and HMAC signature", () => {
+      const target = webhookService.targets.get("security");
+      const payload = JSON.stringify(suo);
+
+      const headers = webhookService.buildHeaders(target, payload);
+
+      const expected = crypto.createHmac("sha256", "s3cret").update(payload).digest("hex");
+      expect(headers["X-Signature-256"]).toBe(`sha256=${expected}`);
+      expect(headers.Authorization).toBe("Bearer token-1");
+      expect(headers["X-Source"]).toBe("iot");
+      expect(headers["Content-Type"]).toBe("application/json");
+    });
+
+    test("should not sign or authorize targets without secret/token", () => {
+      const headers = webhookService.buildHeaders(webhookService.targets.get("cmdb"), "{}");
+
+      expect(headers["X-Signature-256"]).toBeUndefined();
+      expect(headers.Authorization).toBeUndefined();
+    });
+
+    test("should not let a slow target hold back the others", async () => {
+      let release;
+      const hanging = new Promise((resolve) => {
+        release = resolve;
+      });
+      webhookService.sendWebhook = jest.fn((target) => (target.name === "cmdb" ? hanging : Promise.resolve()));
+
+      await webhookService.queue.enqueue(suo, "cmdb");
+      const first = webhookService.processQueue();
+      await webhookService.handleData({ ...suo, messageType: "DOOR_STATE" });
+
+      const stats = await webhookService.getStats();
+      expect(stats.targets.security).toMatchObject({ delivered: 1, pending: 0 });
+      expect(stats.targets.cmdb).toMatchObject({ delivered: 0, pending: 1 });
+
+      release();
+      await first;
+      expect((await webhookService.getStats()).targets.cmdb.delivered).toBe(1);
+    });
+
+    test("should run up to concurrency deliveries per target in parallel", async () => {
+      webhookService.targets.get("cmdb").concurrency = 2;
+      const releases = [];
+      webhookService.sendWebhook = jest.fn(() => new Promise((resolve) => releases.push(resolve)));
+      for (const messageId of ["1", "2", "3"]) {
+        await webhookService.queue.enqueue({ ...suo, messageId }, "cmdb");
+      }
+
+      const pass = webhookService.processQueue();
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(webhookService.sendWebhook).toHaveBeenCalledTimes(2);
+
+      while (releases.length > 0) {
+        releases.shift()();
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      await pass;
+      expect(webhookService.sendWebhook).toHaveBeenCalledTimes(3);
+      expect(pendingFiles()).toHaveLength(0);
+    });
+
+    test("should dead-letter entries for targets removed from config", async () => {
+      await webhookService.queue.enqueue(suo, "ticketing");
+
+      await webhookService.processQueue();
+
+      const deadLetters = await webhookService.listDeadLetters();
+      expect(deadLetters).toHaveLength(1);
+      expect(deadLetters[0].lastError).toContain("ticketing");
+    });
+  });
+});
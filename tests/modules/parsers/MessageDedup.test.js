@@ -0,0 +1,61 @@
+/**
+ * Unit tests for MessageDedup
+ * Tests the deviceId + messageType + messageId window, entry limit and disabled mode
+ */
+
+const messageDedup = require("../../../src/modules/parsers/MessageDedup");
+
+describe("MessageDedup", () => {
+  beforeEach(() => {
+    messageDedup.configure({ window: 1000, maxEntries: 2 });
+    messageDedup.clear();
+  });
+
+  test("should drop repeats of a deviceId + messageId within the window", () => {
+    expect(messageDedup.isDuplicate("2437871205", "HEARTBEAT", "4660", 0)).toBe(false);
+    expect(messageDedup.isDuplicate("2437871205", "HEARTBEAT", "4660", 500)).toBe(true);
+    expect(messageDedup.isDuplicate("2123456789", "HEARTBEAT", "4660", 500)).toBe(false);
+
+    // Window counts from the first occurrence
+    expect(messageDedup.isDuplicate("2437871205", "HEARTBEAT", "4660", 1000)).toBe(false);
+    expect(messageDedup.getStats()).toEqual({ enabled: true, window: 1000, tracked: 2, dropped: 1 });
+  });
+
+  test("should keep message types apart", () => {
+    expect(messageDedup.isDuplicate("2437871205", "HEARTBEAT", "4660", 0)).toBe(false);
+    expect(messageDedup.isDuplicate("2437871205", "RFID_SNAPSHOT", "4660", 0)).toBe(false);
+    expect(messageDedup.isDuplicate("2437871205", "RFID_SNAPSHOT", "4660", 0)).toBe(true);
+  });
+
+  test("should treat an explicit window or maxEntries of 0 as remembering nothing", () => {
+    messageDedup.configure({ window: 0 });
+    messageDedup.isDuplicate("A", "HEARTBEAT", "1", 0);
+    expect(messageDedup.isDuplicate("A", "HEARTBEAT", "1", 0)).toBe(false);
+    expect(messageDedup.getStats().window).toBe(0);
+
+    messageDedup.configure({ maxEntries: 0 });
+    messageDedup.isDuplicate("A", "HEARTBEAT", "1", 0);
+    expect(messageDedup.isDuplicate("A", "HEARTBEAT", "1", 0)).toBe(false);
+  });
+
+  test("should pass messages without a messageId", () => {
+    ["", null, undefined, ""].forEach((messageId) => {
+      expect(messageDedup.isDuplicate("2123456789", "HEARTBEAT", messageId, 0)).toBe(false);
+    });
+    expect(messageDedup.getStats().tracked).toBe(0);
+  });
+
+  test("should forget the oldest pairs beyond maxEntries", () => {
+    ["1", "2", "3"].forEach((messageId) => messageDedup.isDuplicate("A", "HEARTBEAT", messageId, 0));
+
+    expect(messageDedup.isDuplicate("A", "HEARTBEAT", "1", 10)).toBe(false);
+    expect(messageDedup.isDuplicate("A", "HEARTBEAT", "3", 10)).toBe(true);
+  });
+
+  test("should pass everything when disabled", () => {
+    messageDedup.configure({ enabled: false });
+
+    expect(messageDedup.isDuplicate("A", "HEARTBEAT", "1", 0)).toBe(false);
+    expect(messageDedup.isDuplicate("A", "HEARTBEAT", "1", 0)).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for ParseQuarantine
+ * Tests bounded storage, per device / message type counts, filters and raw formatting
+ */
+
+const parseQuarantine = require("../../../src/modules/parsers/ParseQuarantine");
+
+describe("ParseQuarantine", () => {
+  const message = (deviceId, messageType, payload = Buffer.from("F101", "hex")) => ({
+    topic: `V5008Upload/${deviceId}/${messageType}`,
+    deviceId,
+    deviceType: "V5008",
+    messageType,
+    payload,
+    timestamp: new Date("2026-01-05T10:00:00.000Z"),
+  });
+
+  beforeEach(() => {
+    parseQuarantine.configure({ maxEntries: 3, maxCounters: 2 });
+    parseQuarantine.clear();
+  });
+
+  test("should store the raw payload, error and parser stack", () => {
+    const entry = parseQuarantine.add(message("2437871205", "OpeAck"), new Error("Frame too short"));
+
+    expect(entry).toMatchObject({
+      stage: "parse",
+      topic: "V5008Upload/2437871205/OpeAck",
+      deviceType: "V5008",
+      format: "hex",
+      raw: "F101",
+      error: "Frame too short",
+      receivedAt: "2026-01-05T10:00:00.000Z",
+    });
+    expect(entry.stack).toMatch(/^Error: Frame too short\n\s+at /);
+
+    const unknown = parseQuarantine.add(message("2123456789", "HeartBeat", { msg_type: "new_req" }), new Error("x"), {
+      stage: "unknown",
+      rawType: "new_req",
+    });
+    expect(unknown).toMatchObject({ stage: "unknown", rawType: "new_req", format: "json", raw: '{"msg_type":"new_req"}' });
+  });
+
+  test("should keep the newest entries and count per device and message type", () => {
+    ["A", "A", "B", "A"].forEach((deviceId) => parseQuarantine.add(message(deviceId, "OpeAck"), new Error(deviceId)));
+
+    const result = parseQuarantine.list({ limit: 10 });
+
+    expect(result.entries.map((entry) => entry.error)).toEqual(["A", "B", "A"]);
+    expect(result.evicted).toBe(1);
+    expect(result.counts.map((c) => `${c.deviceId}:${c.count}`)).toEqual(["A:3", "B:1"]);
+    expect(parseQuarantine.getStats()).toEqual({ size: 3, maxEntries: 3, evicted: 1, quarantined: 4 });
+  });
+
+  test("should evict the least recently seen counter", () => {
+    parseQuarantine.add(message("A", "OpeAck"), new Error("a"));
+    parseQuarantine.add(message("B", "OpeAck"), new Error("b"));
+    parseQuarantine.add(message("A", "OpeAck"), new Error("a"));
+    parseQuarantine.add(message("C", "OpeAck"), new Error("c"));
+
+    expect(parseQuarantine.list({ limit: 3 }).counts.map((c) => c.deviceId).sort()).toEqual(["A", "C"]);
+  });
+
+  test("should filter by device and message type and validate the limit", () => {
+    parseQuarantine.add(message("A", "OpeAck"), new Error("1"));
+    parseQuarantine.add(message("A", "TemHum"), new Error("2"));
+    parseQuarantine.add(message("B", "TemHum"), new Error("3"));
+
+    const result = parseQuarantine.list(parseQuarantine.parseOptions({ deviceId: "A", messageType: "TemHum" }));
+
+    expect(result.entries.map((entry) => entry.error)).toEqual(["2"]);
+    expect(result.counts).toHaveLength(1);
+    expect(() => parseQuarantine.parseOptions({ limit: "0" })).toThrow("limit");
+    expect(() => parseQuarantine.parseOptions({ limit: "4" })).toThrow("limit");
+    expect(parseQuarantine.parseOptions({})).toEqual({ deviceId: null, messageType: null, limit: 3 });
+  });
+});
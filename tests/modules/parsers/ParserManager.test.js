@@ -0,0 +1,212 @@
+/**
+ * Unit tests for ParserManager
+ * Tests the protocol registry: plugin loading, topic routing, decoding,
+ * parsing and command building through registered protocols
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    emitted: [],
+    emittedErrors: [],
+
+    emit(event, data) {
+      this.emitted.push({ event, data });
+    },
+
+    emitCommandStatus() {},
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    reset() {
+      this.emitted = [];
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const eventBus = require("../../../src/core/EventBus");
+const metrics = require("../../../src/core/Metrics");
+const parseQuarantine = require("../../../src/modules/parsers/ParseQuarantine");
+const messageDedup = require("../../../src/modules/parsers/MessageDedup");
+const parserManager = require("../../../src/modules/parsers/ParserManager");
+const mqttSubscriber = require("../../../src/modules/ingress/MqttSubscriber");
+const commandService = require("../../../src/modules/command/CommandService");
+
+// V7000-style gateway: "key=value;key=value" text payloads, JSON commands
+const PLUGIN_SOURCE = `
+module.exports = {
+  deviceType: "V7000",
+  topics: ["V7000Upload/+/+"],
+  decode(message) {
+    return Object.fromEntries(message.toString().split(";").map((pair) => pair.split("=")));
+  },
+  parse(payload, context) {
+    return {
+      deviceType: "V7000",
+      deviceId: context.deviceId,
+      messageType: "TEMP_HUM",
+      messageId: payload.seq,
+      meta: { topic: context.topic },
+      data: [{ moduleIndex: 1, sensorIndex: 10, temp: parseFloat(payload.t), hum: parseFloat(payload.h) }],
+    };
+  },
+  buildCommand(messageType, payload, deviceId) {
+    return { topic: "V7000Download/" + deviceId, payload: { cmd: messageType, ...payload } };
+  },
+};
+`;
+
+describe("ParserManager", () => {
+  let pluginDir;
+
+  const writePlugin = (file, source) => fs.writeFileSync(path.join(pluginDir, file), source);
+
+  beforeEach(() => {
+    eventBus.reset();
+    parseQuarantine.clear();
+    metrics.reset();
+    messageDedup.clear();
+    pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), "parser-plugins-"));
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  afterEach(() => {
+    parserManager.protocols.delete("V7000");
+    delete parserManager.parsers.V7000;
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test("should load plugins from a directory and add their topics", () => {
+    writePlugin("v7000.js", PLUGIN_SOURCE);
+    writePlugin("README.md", "not a plugin");
+
+    expect(parserManager.loadPlugins(pluginDir)).toEqual(["V7000"]);
+    expect(parserManager.getTopics()).toEqual(["V5008Upload/#", "V6800Upload/#", "V7000Upload/+/+"]);
+    expect(parserManager.findProtocol("V7000Upload/7000000001/Telemetry").deviceType).toBe("V7000");
+    expect(parserManager.findProtocol("V5008Upload/2437871205/LabelState").deviceType).toBe("V5008");
+    expect(parserManager.findProtocol("V7000Upload/7000000001")).toBeNull();
+    expect(parserManager.loadPlugins(path.join(pluginDir, "missing"))).toEqual([]);
+  });
+
+  test("should reject invalid plugins and duplicate device types", () => {
+    writePlugin("a.js", 'module.exports = { deviceType: "V7001", topics: [] };');
+    expect(() => parserManager.loadPlugins(pluginDir)).toThrow("a.js: topics");
+
+    fs.rmSync(path.join(pluginDir, "a.js"));
+    writePlugin("b.js", 'module.exports = { deviceType: "V5008", topics: ["X/#"], parse() {} };');
+    expect(() => parserManager.loadPlugins(pluginDir)).toThrow("V5008 is already registered");
+  });
+
+  test("should decode and parse plugin messages through the registry", () => {
+    writePlugin("v7000.js", PLUGIN_SOURCE);
+    parserManager.loadPlugins(pluginDir);
+
+    const message = mqttSubscriber.buildMessage("V7000Upload/7000000001/Telemetry", Buffer.from("seq=42;t=23.5;h=41"));
+    expect(message).toMatchObject({
+      deviceId: "7000000001",
+      deviceType: "V7000",
+      messageType: "Telemetry",
+      payload: { seq: "42", t: "23.5", h: "41" },
+    });
+
+    parserManager.handleMessage(message);
+
+    expect(eventBus.emitted).toHaveLength(1);
+    expect(eventBus.emitted[0].event).toBe("data.parsed");
+    expect(eventBus.emitted[0].data).toMatchObject({ deviceId: "7000000001", messageId: "42" });
+    expect(eventBus.emitted[0].data.data[0]).toMatchObject({ temp: 23.5, hum: 41 });
+  });
+
+  test("should drop topics and payloads no protocol can handle", () => {
+    expect(mqttSubscriber.buildMessage("Unknown/1/2", Buffer.from("{}"))).toBeNull();
+    expect(mqttSubscriber.buildMessage("V6800Upload/2123456789/HeartBeat", Buffer.from("{broken"))).toBeNull();
+    expect(eventBus.emittedErrors).toHaveLength(1);
+    expect(eventBus.emittedErrors[0].source).toBe("MqttSubscriber");
+  });
+
+  test("should quarantine messages that fail to decode, fail to parse or parse as UNKNOWN", () => {
+    const build = (topic, hex) => mqttSubscriber.buildMessage(topic, Buffer.from(hex, "hex"));
+
+    build("V6800Upload/2123456789/HeartBeat", Buffer.from("{broken").toString("hex"));
+    parserManager.handleMessage(build("V5008Upload/2437871205/OpeAck", "F10102000004D2"));
+    parserManager.handleMessage(build("V5008Upload/2437871205/OpeAck", "EF01123400000004D2"));
+
+    writePlugin("v7000.js", PLUGIN_SOURCE.replace("return {\n      deviceType", "throw new Error(\"bad frame\");\n    return {\n      deviceType"));
+    parserManager.loadPlugins(pluginDir);
+    parserManager.handleMessage(mqttSubscriber.buildMessage("V7000Upload/7000000001/Telemetry", Buffer.from("seq=1")));
+
+    const { entries, counts } = parseQuarantine.list({ limit: 10 });
+    expect(entries.map((entry) => `${entry.stage}:${entry.deviceType}:${entry.error}`)).toEqual([
+      "parse:V7000:bad frame",
+      expect.stringMatching(/^parse:V5008:Frame too short/),
+      "unknown:V5008:Unknown V5008 message type",
+      expect.stringMatching(/^decode:V6800:/),
+    ]);
+    expect(entries[2]).toMatchObject({ format: "hex", raw: "F10102000004D2" });
+    expect(entries[0]).toMatchObject({ format: "json", raw: '{"seq":"1"}' });
+    expect(entries[0].stack).toContain("v7000.js");
+    expect(counts.find((c) => c.deviceId === "2437871205")).toMatchObject({ messageType: "OpeAck", count: 2 });
+    expect(eventBus.emitted).toHaveLength(0);
+
+    const text = metrics.render();
+    expect(text).toContain('iot_parse_failures_total{deviceType="V5008",deviceId="2437871205",stage="unknown"} 1');
+    expect(text).toContain('iot_parse_failures_total{deviceType="V6800",deviceId="2123456789",stage="decode"} 1');
+  });
+
+  test("should drop repeated deviceId + messageId pairs unless dedup is skipped", () => {
+    const build = (deviceId, hex) => mqttSubscriber.buildMessage(`V5008Upload/${deviceId}/OpeAck`, Buffer.from(hex, "hex"));
+    const door = "BA01EC3737BF01000004D2"; // DOOR_STATE, MsgId 1234
+
+    parserManager.handleMessage(build("2437871205", door));
+    parserManager.handleMessage(build("2437871205", door)); // QoS1 resend
+    parserManager.handleMessage(build("2437871206", door)); // Other device, same MsgId
+    parserManager.handleMessage(build("2437871205", door), { dedup: false }); // Archive replay
+
+    expect(eventBus.emitted.map((e) => e.data.deviceId)).toEqual(["2437871205", "2437871206", "2437871205"]);
+    expect(eventBus.emitted[0].data.messageId).toBe("1234");
+    expect(metrics.render()).toContain('iot_dedup_dropped_total{deviceType="V5008",deviceId="2437871205"} 1');
+  });
+
+  test("should build plugin commands in CommandService", () => {
+    writePlugin("v7000.js", PLUGIN_SOURCE);
+    parserManager.loadPlugins(pluginDir);
+
+    const published = [];
+    commandService.config = { responseTimeout: 1000 };
+    commandService.client = {
+      publish: (topic, payload, options, callback) => published.push({ topic, payload, callback }),
+    };
+
+    const commandId = commandService.handleCommandRequest({
+      deviceId: "7000000001",
+      deviceType: "V7000",
+      messageType: "SET_LED",
+      payload: { on: true },
+    });
+    const unknownId = commandService.handleCommandRequest({
+      deviceId: "9",
+      deviceType: "V9999",
+      messageType: "SET_LED",
+    });
+
+    expect(published).toEqual([
+      { topic: "V7000Download/7000000001", payload: '{"cmd":"SET_LED","on":true}', callback: expect.any(Function) },
+    ]);
+    expect(commandService.getCommand(commandId).status).toBe("PENDING");
+    expect(commandService.getCommand(unknownId)).toMatchObject({ status: "FAILED", error: "Unknown device type: V9999" });
+
+    commandService.timers.forEach((timer) => clearTimeout(timer));
+    commandService.timers.clear();
+  });
+});
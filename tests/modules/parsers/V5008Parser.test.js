@@ -0,0 +1,130 @@
+/**
+ * Unit tests for V5008Parser / FrameCodec
+ * Tests SIF output of declarative V5008 frames and round trips for every
+ * uplink frame and command definition
+ */
+
+const frameCodec = require("../../../src/modules/parsers/FrameCodec");
+const V5008Frames = require("../../../src/modules/parsers/V5008Frames");
+const v5008Parser = require("../../../src/modules/parsers/V5008Parser");
+
+describe("V5008Parser", () => {
+  const hex = (value) => Buffer.from(value.replace(/ /g, ""), "hex");
+  const parse = (value, topic = "V5008Upload/2437871205/OpeAck") =>
+    v5008Parser.parse(hex(value), { deviceId: "2437871205", topic });
+
+  // Sample values for a definition: two items per repeat group
+  const sample = (fields) => {
+    const values = {};
+    fields.forEach((field, i) => {
+      if (!field.name) return;
+      const item = field.fields ? () => sample(field.fields) : () => scalar(field, i);
+      values[field.name] = field.repeat !== undefined ? [item(), item()] : item();
+      if (typeof field.repeat === "string" && field.repeat !== "*") {
+        values[field.repeat] = 2; // Count field
+      }
+    });
+    return values;
+  };
+  const scalar = (field, i) => {
+    switch (field.type) {
+      case "uint8":
+        return (i % 5) + 1;
+      case "uint32":
+      case "decimal32":
+        return field.type === "uint32" ? 3963041727 : "3963041727";
+      case "hex":
+        return field.length === "*" ? "E1010A01" : "E4" + "01".repeat(field.length - 1);
+      case "ip":
+        return "192.168.0.1";
+      case "mac":
+        return "00:11:22:33:44:AA";
+      case "bool":
+        return true;
+      case "sensor":
+        return -12.5;
+      case "enum":
+        return Object.values(field.values)[0];
+      default:
+        throw new Error(`No sample for ${field.type}`);
+    }
+  };
+
+  test("should decode frames into SIF fields", () => {
+    expect(parse("CC 01 EC3737BF 1A 02 00000000 00" + "00".repeat(48) + "0000ABCD").data).toEqual([
+      { moduleIndex: 1, moduleId: "3963041727", uTotal: 26 },
+    ]);
+
+    const rfid = parse("BB 01 EC3737BF 00 36 02 0A 00 DD344A44 0B 01 DD395064 00001234");
+    expect(rfid).toMatchObject({ messageType: "RFID_SNAPSHOT", messageId: "4660", moduleIndex: 1, uTotal: 54, onlineCount: 2 });
+    expect(rfid.data).toEqual([
+      { uIndex: 10, isAlarm: false, tagId: "DD344A44" },
+      { uIndex: 11, isAlarm: true, tagId: "DD395064" },
+    ]);
+
+    const tempHum = parse("01 EC3737BF 0A 1A 32 33 05 0B FB 19 00 00" + "00".repeat(20) + "0000AAAA", "V5008Upload/2437871205/TemHum");
+    expect(tempHum.data).toEqual([
+      { thIndex: 10, temp: 26.5, hum: 51.05 },
+      { thIndex: 11, temp: -5.25, hum: null },
+    ]);
+
+    expect(parse("BA 01 EC3737BF 01 00000002").data).toEqual([{ moduleIndex: 1, moduleId: "3963041727", doorState: 1 }]);
+    expect(parse("EF01 1234 00000102 C0A80001 FFFFFF00 C0A800FE 0011223344AA 00000003")).toMatchObject({
+      model: "1234",
+      fwVer: "258",
+      ip: "192.168.0.1",
+      mask: "255.255.255.0",
+      gwIp: "192.168.0.254",
+      mac: "00:11:22:33:44:AA",
+    });
+  });
+
+  test("should read the command response result byte after the gateway id", () => {
+    const response = parse("AA 0123ABCD A1 E401 00 01 02 00000005");
+
+    expect(response).toMatchObject({
+      messageType: "QRY_CLR_RESP",
+      result: "Success",
+      originalReq: "E401",
+      moduleIndex: 1,
+      data: [0, 1, 2],
+    });
+    expect(response.gatewayId).toBeUndefined();
+    expect(parse("AA 0123ABCD A0 E1010A01 00000006")).toMatchObject({ result: "Failure", originalReq: "E1010A01" });
+  });
+
+  test("should return null for truncated frames", () => {
+    jest.spyOn(console, "error").mockImplementation();
+    expect(parse("EF01 1234 00000102")).toBeNull();
+    console.error.mockRestore();
+  });
+
+  test.each(Object.keys(V5008Frames.uplink))("should round-trip the %s frame", (messageType) => {
+    const definition = V5008Frames.uplink[messageType];
+    const values = sample(definition.fields.concat(definition.trailer || []));
+
+    const buffer = v5008Parser.encode(messageType, values);
+    const frame = frameCodec.decode(definition, buffer);
+
+    expect(frame).toMatchObject(values);
+    expect(frameCodec.encode(definition, frame).equals(buffer)).toBe(true);
+  });
+
+  test.each(Object.keys(V5008Frames.commands))("should round-trip the %s command", (messageType) => {
+    const definition = V5008Frames.commands[messageType];
+    const values = sample(definition.fields);
+
+    const buffer = frameCodec.encode(definition, values);
+
+    expect(frameCodec.decode(definition, buffer)).toEqual(values);
+  });
+
+  test("should reject missing and out-of-range values on encode", () => {
+    const { commands } = V5008Frames;
+
+    expect(() => frameCodec.encode(commands.QRY_COLOR, {})).toThrow("Missing value for moduleIndex");
+    expect(() => frameCodec.encode(commands.CLN_ALARM, { moduleIndex: 1, sensorIndex: 256 })).toThrow("sensorIndex");
+    expect(() => frameCodec.encode(V5008Frames.uplink.HEARTBEAT, { data: new Array(11).fill({}) })).toThrow("max 10");
+    expect(frameCodec.encode(commands.QRY_COLOR, { moduleIndex: "2" })).toEqual(Buffer.from([0xe4, 0x02]));
+  });
+});
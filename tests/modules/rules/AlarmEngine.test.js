@@ -0,0 +1,172 @@
+/**
+ * Unit tests for AlarmEngine
+ * Tests threshold evaluation, hysteresis, minimum duration and rule overrides
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    normalized: [],
+    emittedErrors: [],
+
+    emitDataNormalized(suo) {
+      this.normalized.push(suo);
+    },
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    reset() {
+      this.normalized = [];
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+const eventBus = require("../../../src/core/EventBus");
+const alarmEngine = require("../../../src/modules/rules/AlarmEngine");
+
+describe("AlarmEngine", () => {
+  const tempHum = (temp, sensorIndex = 10, moduleIndex = 1) => ({
+    deviceId: "2437871205",
+    deviceType: "V5008",
+    messageType: "TEMP_HUM",
+    messageId: "755052881",
+    moduleIndex,
+    moduleId: "3963041727",
+    payload: [{ sensorIndex, temp, hum: 50 }],
+  });
+
+  const emittedTypes = () => eventBus.normalized.map((suo) => suo.messageType);
+
+  beforeEach(async () => {
+    eventBus.reset();
+    jest.spyOn(console, "log").mockImplementation();
+
+    await alarmEngine.initialize({
+      rules: [
+        {
+          name: "inlet-temp-high",
+          metric: "temp",
+          threshold: 27,
+          hysteresis: 1,
+          minDuration: 60000,
+          severity: "major",
+        },
+        {
+          name: "inlet-temp-high",
+          deviceId: "2437871205",
+          moduleIndex: 2,
+          metric: "temp",
+          threshold: 30,
+          severity: "critical",
+        },
+        { name: "noise-high", metric: "noise", threshold: 80 },
+      ],
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test("should raise only after the condition held for minDuration", () => {
+    alarmEngine.handleData(tempHum(27.5), 0);
+    alarmEngine.handleData(tempHum(28.2), 30000);
+    expect(eventBus.normalized).toHaveLength(0);
+
+    alarmEngine.handleData(tempHum(27.8), 60000);
+
+    expect(emittedTypes()).toEqual(["ALARM_RAISED"]);
+    const [suo] = eventBus.normalized;
+    expect(suo).toMatchObject({ deviceId: "2437871205", moduleIndex: 1, messageId: null });
+    expect(suo.payload[0]).toMatchObject({
+      rule: "inlet-temp-high",
+      severity: "major",
+      sensorIndex: 10,
+      value: 27.8,
+      peakValue: 28.2,
+      threshold: 27,
+      raisedAt: new Date(60000).toISOString(),
+      clearedAt: null,
+    });
+  });
+
+  test("should reset the pending timer when the condition stops holding", () => {
+    alarmEngine.handleData(tempHum(28), 0);
+    alarmEngine.handleData(tempHum(26), 30000);
+    alarmEngine.handleData(tempHum(28), 40000);
+    alarmEngine.handleData(tempHum(28), 90000);
+
+    expect(eventBus.normalized).toHaveLength(0);
+
+    alarmEngine.handleData(tempHum(28), 100000);
+    expect(emittedTypes()).toEqual(["ALARM_RAISED"]);
+  });
+
+  test("should clear only past the hysteresis band", () => {
+    alarmEngine.handleData(tempHum(28), 0);
+    alarmEngine.handleData(tempHum(28), 60000);
+
+    alarmEngine.handleData(tempHum(26.5), 70000);
+    expect(alarmEngine.getActiveAlarms()).toHaveLength(1);
+
+    alarmEngine.handleData(tempHum(26), 80000);
+
+    expect(emittedTypes()).toEqual(["ALARM_RAISED", "ALARM_CLEARED"]);
+    const [raised, cleared] = eventBus.normalized;
+    expect(cleared.payload[0].alarmId).toBe(raised.payload[0].alarmId);
+    expect(cleared.payload[0].clearedAt).toBe(new Date(80000).toISOString());
+    expect(alarmEngine.getActiveAlarms()).toHaveLength(0);
+  });
+
+  test("should apply the most specific rule of the same name", () => {
+    alarmEngine.handleData(tempHum(29, 10, 2), 0);
+    expect(eventBus.normalized).toHaveLength(0);
+
+    alarmEngine.handleData(tempHum(30.5, 10, 2), 1000);
+
+    expect(eventBus.normalized[0].payload[0]).toMatchObject({ severity: "critical", threshold: 30 });
+  });
+
+  test("should track sensors independently and filter active alarms", () => {
+    alarmEngine.handleData(
+      {
+        deviceId: "2437871205",
+        deviceType: "V5008",
+        messageType: "NOISE_LEVEL",
+        moduleIndex: 1,
+        payload: [
+          { sensorIndex: 16, noise: 85 },
+          { sensorIndex: 17, noise: 60 },
+          { sensorIndex: 18, noise: 90 },
+        ],
+      },
+      0,
+    );
+
+    const active = alarmEngine.getActiveAlarms();
+    expect(active.map((alarm) => alarm.sensorIndex).sort()).toEqual([16, 18]);
+    expect(active[0]).not.toHaveProperty("state");
+    expect(alarmEngine.getActiveAlarms({ severity: "major" })).toHaveLength(0);
+    expect(alarmEngine.getActiveAlarms({ deviceId: "other" })).toHaveLength(0);
+  });
+
+  test("should ignore other message types", () => {
+    alarmEngine.handleData({ ...tempHum(40), messageType: "ALARM_RAISED" }, 0);
+
+    expect(eventBus.normalized).toHaveLength(0);
+  });
+
+  test("should reject invalid rules", async () => {
+    await expect(
+      alarmEngine.initialize({ rules: [{ name: "x", metric: "pressure", threshold: 1 }] }),
+    ).rejects.toThrow("unknown metric");
+    await expect(
+      alarmEngine.initialize({ rules: [{ name: "x", metric: "temp", threshold: 1, condition: "equal" }] }),
+    ).rejects.toThrow("condition");
+  });
+});
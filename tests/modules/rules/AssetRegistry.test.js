@@ -0,0 +1,190 @@
+/**
+ * Unit tests for AssetRegistry
+ * Tests asset validation, persistence, RFID enrichment and ASSET_MISPLACED detection
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    normalized: [],
+    emittedErrors: [],
+
+    emitDataNormalized(suo) {
+      this.normalized.push(suo);
+    },
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    reset() {
+      this.normalized = [];
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+// Mock Database at the module level
+jest.mock("../../../src/core/Database", () => {
+  const mockDatabase = {
+    rows: [],
+    upserted: [],
+    deleted: [],
+
+    async select(table) {
+      return this.rows;
+    },
+
+    async upsert(table, data, uniqueKey) {
+      this.upserted.push({ table, data, uniqueKey });
+      return 1;
+    },
+
+    async delete(table, where) {
+      this.deleted.push({ table, where });
+      return 1;
+    },
+
+    reset() {
+      this.rows = [];
+      this.upserted = [];
+      this.deleted = [];
+    },
+  };
+
+  return mockDatabase;
+});
+
+const eventBus = require("../../../src/core/EventBus");
+const database = require("../../../src/core/Database");
+const assetRegistry = require("../../../src/modules/rules/AssetRegistry");
+
+describe("AssetRegistry", () => {
+  const rfidEvent = (tagId, sensorIndex, moduleIndex = 1, action = "ATTACHED") => ({
+    deviceId: "2437871205",
+    deviceType: "V5008",
+    messageType: "RFID_EVENT",
+    messageId: "755052881",
+    moduleIndex,
+    moduleId: "3963041727",
+    payload: [{ sensorIndex, tagId, action, isAlarm: false }],
+  });
+
+  beforeEach(async () => {
+    eventBus.reset();
+    database.reset();
+    jest.spyOn(console, "log").mockImplementation();
+
+    database.rows = [
+      {
+        tag_id: "DD344A44",
+        asset_name: "db-server-01",
+        owner: "dba",
+        model: "R740",
+        device_id: "2437871205",
+        module_index: 1,
+        u_index: 10,
+        update_at: new Date("2026-01-01T00:00:00.000Z"),
+      },
+    ];
+
+    await assetRegistry.initialize({});
+    await assetRegistry.loadAssets();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test("should load assets and look them up case-insensitively", () => {
+    expect(assetRegistry.getAsset("dd344a44")).toEqual({
+      tagId: "DD344A44",
+      name: "db-server-01",
+      owner: "dba",
+      model: "R740",
+      deviceId: "2437871205",
+      moduleIndex: 1,
+      uIndex: 10,
+      updatedAt: "2026-01-01T00:00:00.000Z",
+    });
+    expect(assetRegistry.listAssets({ owner: "other" })).toEqual([]);
+  });
+
+  test("should upsert on tag_id and report whether the asset was created", async () => {
+    const first = await assetRegistry.saveAsset("aa000001", { name: "switch-01", moduleIndex: "" });
+    const second = await assetRegistry.saveAsset("AA000001", { name: "switch-01b" });
+
+    expect(first.created).toBe(true);
+    expect(second.created).toBe(false);
+    expect(database.upserted[0]).toMatchObject({
+      table: "iot_asset",
+      uniqueKey: "tag_id",
+      data: { tag_id: "AA000001", asset_name: "switch-01", device_id: null, module_index: null },
+    });
+    expect(assetRegistry.getAsset("AA000001").name).toBe("switch-01b");
+  });
+
+  test("should reject invalid assets", () => {
+    expect(() => assetRegistry.validateAsset("", { name: "x" })).toThrow("tagId");
+    expect(() => assetRegistry.validateAsset("AA", {})).toThrow("name");
+    expect(() => assetRegistry.validateAsset("AA", { name: "x", deviceId: "1", uIndex: "top" })).toThrow(
+      "uIndex",
+    );
+    expect(() => assetRegistry.validateAsset("AA", { name: "x", uIndex: 3 })).toThrow("deviceId");
+  });
+
+  test("should delete assets", async () => {
+    expect(await assetRegistry.deleteAsset("dd344a44")).toBe(true);
+    expect(database.deleted[0]).toEqual({ table: "iot_asset", where: { tag_id: "DD344A44" } });
+    expect(assetRegistry.getAsset("DD344A44")).toBeNull();
+  });
+
+  test("should enrich only registered tags", () => {
+    const items = [
+      { sensorIndex: 10, tagId: "DD344A44", isAlarm: false },
+      { sensorIndex: 11, tagId: "FFFFFFFF", isAlarm: false },
+    ];
+
+    const enriched = assetRegistry.enrich(items);
+
+    expect(enriched[0].asset).toEqual({
+      name: "db-server-01",
+      owner: "dba",
+      model: "R740",
+      deviceId: "2437871205",
+      moduleIndex: 1,
+      uIndex: 10,
+    });
+    expect(enriched[1]).toBe(items[1]);
+    expect(items[0]).not.toHaveProperty("asset");
+  });
+
+  test("should emit ASSET_MISPLACED when attached at another position", () => {
+    assetRegistry.handleData(rfidEvent("DD344A44", 10));
+    expect(eventBus.normalized).toHaveLength(0);
+
+    assetRegistry.handleData(rfidEvent("DD344A44", 12, 2));
+
+    expect(eventBus.normalized).toHaveLength(1);
+    const [suo] = eventBus.normalized;
+    expect(suo).toMatchObject({ messageType: "ASSET_MISPLACED", deviceId: "2437871205", moduleIndex: 2 });
+    expect(suo.payload[0]).toMatchObject({
+      sensorIndex: 12,
+      tagId: "DD344A44",
+      expected: { deviceId: "2437871205", moduleIndex: 1, uIndex: 10 },
+      actual: { deviceId: "2437871205", moduleIndex: 2, uIndex: 12 },
+    });
+  });
+
+  test("should ignore detaches, unregistered tags and assets without a position", async () => {
+    await assetRegistry.saveAsset("AA000001", { name: "spare" });
+
+    assetRegistry.handleData(rfidEvent("DD344A44", 12, 1, "DETACHED"));
+    assetRegistry.handleData(rfidEvent("FFFFFFFF", 12));
+    assetRegistry.handleData(rfidEvent("AA000001", 12));
+
+    expect(eventBus.normalized).toHaveLength(0);
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Unit tests for DoorSupervisor
+ * Tests open duration tracking, DOOR_OPEN_TIMEOUT, maintenance window checks and
+ * restoring open doors from iot_door_event
+ */
+
+// Mock EventBus at the module level
+jest.mock("../../../src/core/EventBus", () => {
+  const mockEventBus = {
+    normalized: [],
+    emittedErrors: [],
+
+    emitDataNormalized(suo) {
+      this.normalized.push(suo);
+    },
+
+    emitError(error, source) {
+      this.emittedErrors.push({ error, source });
+    },
+
+    reset() {
+      this.normalized = [];
+      this.emittedErrors = [];
+    },
+  };
+
+  return mockEventBus;
+});
+
+// Mock Database at the module level: a minimal knex-style query builder over
+// in-memory iot_door_event rows (only the calls restoreOpenDoors makes)
+jest.mock("../../../src/core/Database", () => {
+  const operators = { "=": (a, b) => a === b, ">": (a, b) => a > b };
+
+  const createQuery = (rows) => {
+    const filters = [];
+    let aggregate = null;
+    let groups = null;
+    let order = null;
+    let single = false;
+
+    const builder = {
+      select() {
+        return builder;
+      },
+      max(column) {
+        const [name, , alias = name] = column.split(" ");
+        aggregate = { name, alias };
+        return builder;
+      },
+      where(column, operator, value) {
+        if (typeof column === "object") {
+          Object.entries(column).forEach(([key, expected]) => filters.push((row) => row[key] === expected));
+        } else if (value === undefined) {
+          filters.push((row) => row[column] === operator);
+        } else {
+          filters.push((row) => operators[operator](row[column], value));
+        }
+        return builder;
+      },
+      whereNot(column, value) {
+        filters.push((row) => row[column] !== null && row[column] !== value);
+        return builder;
+      },
+      whereNotNull(column) {
+        filters.push((row) => row[column] !== null && row[column] !== undefined);
+        return builder;
+      },
+      whereIn(column, subquery) {
+        const values = subquery.run().map((row) => row[subquery.aggregate.alias]);
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      groupBy(...columns) {
+        groups = columns;
+        return builder;
+      },
+      orderBy(column) {
+        order = column;
+        return builder;
+      },
+      first() {
+        single = true;
+        return builder;
+      },
+      get aggregate() {
+        return aggregate;
+      },
+      run() {
+        let result = rows.filter((row) => filters.every((filter) => filter(row)));
+
+        if (aggregate) {
+          const byGroup = new Map();
+          result.forEach((row) => {
+            const key = (groups || []).map((column) => row[column]).join(":");
+            const group = byGroup.get(key) || { ...Object.fromEntries((groups || []).map((c) => [c, row[c]])), [aggregate.alias]: null };
+            group[aggregate.alias] = Math.max(group[aggregate.alias] || 0, row[aggregate.name]);
+            byGroup.set(key, group);
+          });
+          result = groups || byGroup.size > 0 ? Array.from(byGroup.values()) : [{ [aggregate.alias]: null }];
+        }
+        if (order) {
+          result = [...result].sort((a, b) => a[order] - b[order]);
+        }
+        return single ? result[0] : result;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(() => builder.run()).then(resolve, reject);
+      },
+    };
+
+    return builder;
+  };
+
+  const mockDatabase = {
+    rows: [],
+
+    getConnection() {
+      return () => createQuery(mockDatabase.rows);
+    },
+
+    reset() {
+      this.rows = [];
+    },
+  };
+
+  return mockDatabase;
+});
+
+const eventBus = require("../../../src/core/EventBus");
+const database = require("../../../src/core/Database");
+const doorSupervisor = require("../../../src/modules/rules/DoorSupervisor");
+
+describe("DoorSupervisor", () => {
+  const doorState = (state, moduleIndex = 1) => ({
+    deviceId: "2123456789",
+    deviceType: "V6800",
+    messageType: "DOOR_STATE",
+    messageId: "755052881",
+    moduleIndex,
+    moduleId: "3963041727",
+    payload: [{ doorState: null, door1State: null, door2State: null, ...state }],
+  });
+
+  // Local time, maintenance windows use server local time
+  const at = (day, hours, minutes = 0) => new Date(2026, 0, 4 + day, hours, minutes).getTime(); // 2026-01-04 is a Sunday
+
+  const emittedTypes = () => eventBus.normalized.map((suo) => suo.messageType);
+
+  beforeEach(async () => {
+    eventBus.reset();
+    database.reset();
+    jest.spyOn(console, "log").mockImplementation();
+
+    await doorSupervisor.initialize({ openTimeout: 60000 });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test("should raise DOOR_OPEN_TIMEOUT once per opening", () => {
+    doorSupervisor.handleData(doorState({ doorState: 1 }), 0);
+    doorSupervisor.check(59999);
+    expect(eventBus.normalized).toHaveLength(0);
+
+    doorSupervisor.check(60000);
+    doorSupervisor.check(120000);
+
+    expect(emittedTypes()).toEqual(["DOOR_OPEN_TIMEOUT"]);
+    const [suo] = eventBus.normalized;
+    expect(suo).toMatchObject({ deviceId: "2123456789", moduleIndex: 1, messageId: null });
+    expect(suo.payload[0]).toEqual({
+      doorState: 1,
+      door1State: null,
+      door2State: null,
+      door: "doorState",
+      openedAt: new Date(0).toISOString(),
+      openDuration: 60000,
+      openTimeout: 60000,
+    });
+  });
+
+  test("should not raise when the door closes in time", () => {
+    doorSupervisor.handleData(doorState({ doorState: 1 }), 0);
+    doorSupervisor.handleData(doorState({ doorState: 1 }), 30000);
+    doorSupervisor.handleData(doorState({ doorState: 0 }), 50000);
+    doorSupervisor.check(70000);
+
+    expect(eventBus.normalized).toHaveLength(0);
+    expect(doorSupervisor.getOpenDoors()).toEqual([]);
+  });
+
+  test("should keep the original opening time on repeated open states", () => {
+    doorSupervisor.handleData(doorState({ doorState: 1 }), 0);
+    doorSupervisor.handleData(doorState({ doorState: 1 }), 40000);
+    doorSupervisor.check(60000);
+
+    expect(emittedTypes()).toEqual(["DOOR_OPEN_TIMEOUT"]);
+  });
+
+  test("should track dual doors independently", () => {
+    doorSupervisor.handleData(doorState({ door1State: 1, door2State: 0 }), 0);
+    doorSupervisor.handleData(doorState({ door1State: 1, door2State: 1 }), 30000);
+
+    const open = doorSupervisor.getOpenDoors(60000);
+    expect(open.map((door) => door.door)).toEqual(["door1State", "door2State"]);
+    expect(open[0]).toMatchObject({ openDuration: 60000, timedOut: false });
+
+    doorSupervisor.check(60000);
+    expect(eventBus.normalized.map((suo) => suo.payload[0].door)).toEqual(["door1State"]);
+  });
+
+  describe("Restore", () => {
+    let nextId;
+
+    const dbRow = (eventType, state, parseAt, moduleIndex = 1) => {
+      database.rows.push({
+        id: nextId++,
+        device_id: "2123456789",
+        module_index: moduleIndex,
+        event_type: eventType,
+        doorState: null,
+        door1State: null,
+        door2State: null,
+        ...state,
+        parse_at: new Date(parseAt),
+      });
+    };
+
+    beforeEach(() => {
+      nextId = 1;
+    });
+
+    test("should restore openedAt from the first open row after the last closed row", async () => {
+      dbRow("DOOR_STATE", { doorState: 1 }, 0);
+      dbRow("DOOR_STATE", { doorState: 0 }, 10000);
+      dbRow("DOOR_STATE", { doorState: 1 }, 20000);
+      dbRow("DOOR_STATE", { doorState: 1 }, 50000); // Repeated report (e.g. heartbeat repair)
+      dbRow("DOOR_STATE", { doorState: 1 }, 80000);
+
+      await doorSupervisor.restoreOpenDoors();
+
+      const open = doorSupervisor.getOpenDoors(90000);
+      expect(open).toHaveLength(1);
+      expect(open[0]).toMatchObject({ door: "doorState", openedAt: new Date(20000).toISOString(), openDuration: 70000 });
+
+      doorSupervisor.check(90000);
+      expect(emittedTypes()).toEqual(["DOOR_OPEN_TIMEOUT"]);
+    });
+
+    test("should restore dual doors and skip timeouts already raised", async () => {
+      dbRow("DOOR_STATE", { door1State: 1, door2State: 0 }, 0);
+      dbRow("DOOR_OPEN_TIMEOUT", { door1State: 1 }, 60000);
+      dbRow("DOOR_STATE", { door1State: 1, door2State: 1 }, 70000);
+      dbRow("DOOR_STATE", { door1State: 1, door2State: 1 }, 80000);
+      dbRow("DOOR_STATE", { doorState: 0 }, 80000, 2);
+
+      await doorSupervisor.restoreOpenDoors();
+
+      const open = doorSupervisor.getOpenDoors(100000);
+      expect(open.map((door) => [door.door, door.openedAt, door.timedOut])).toEqual([
+        ["door1State", new Date(0).toISOString(), true],
+        ["door2State", new Date(70000).toISOString(), false],
+      ]);
+    });
+
+    test("should not apply one door's timeout to the other door", async () => {
+      dbRow("DOOR_STATE", { door1State: 1, door2State: 0 }, 0);
+      dbRow("DOOR_STATE", { door1State: 1, door2State: 1 }, 30000);
+      dbRow("DOOR_OPEN_TIMEOUT", { door1State: 1 }, 60000);
+      dbRow("DOOR_STATE", { door1State: 1, door2State: 1 }, 70000);
+
+      await doorSupervisor.restoreOpenDoors();
+
+      doorSupervisor.check(100000);
+      expect(eventBus.normalized.map((suo) => suo.payload[0].door)).toEqual(["door2State"]);
+    });
+  });
+
+  describe("Maintenance windows", () => {
+    beforeEach(async () => {
+      await doorSupervisor.initialize({
+        openTimeout: 60000,
+        maintenanceWindows: [
+          { days: [1, 2, 3, 4, 5], start: "08:00", end: "18:00" },
+          { days: [6], start: "22:00", end: "02:00", deviceIds: ["2123456789"] },
+        ],
+      });
+    });
+
+    test("should flag openings outside maintenance windows", () => {
+      doorSupervisor.handleData(doorState({ doorState: 1 }), at(1, 9));
+      expect(eventBus.normalized).toHaveLength(0);
+
+      doorSupervisor.handleData(doorState({ doorState: 1 }, 2), at(1, 19));
+      expect(emittedTypes()).toEqual(["DOOR_UNAUTHORIZED_OPEN"]);
+      expect(eventBus.normalized[0]).toMatchObject({ moduleIndex: 2 });
+      expect(eventBus.normalized[0].payload[0]).not.toHaveProperty("openTimeout");
+    });
+
+    test("should match windows spanning midnight on the following day", () => {
+      expect(doorSupervisor.isInMaintenanceWindow("2123456789", new Date(at(6, 23)))).toBe(true);
+      expect(doorSupervisor.isInMaintenanceWindow("2123456789", new Date(at(7, 1, 30)))).toBe(true);
+      expect(doorSupervisor.isInMaintenanceWindow("2123456789", new Date(at(7, 2)))).toBe(false);
+      expect(doorSupervisor.isInMaintenanceWindow("2123456789", new Date(at(1, 1)))).toBe(false);
+      expect(doorSupervisor.isInMaintenanceWindow("other", new Date(at(6, 23)))).toBe(false);
+    });
+
+    test("should reject invalid window times", async () => {
+      await expect(
+        doorSupervisor.initialize({ maintenanceWindows: [{ start: "8am", end: "18:00" }] }),
+      ).rejects.toThrow("HH:MM");
+      await expect(
+        doorSupervisor.initialize({ maintenanceWindows: [{ start: "22:00", end: "24:59" }] }),
+      ).rejects.toThrow("24:59");
+      await expect(
+        doorSupervisor.initialize({ maintenanceWindows: [{ start: "24:00", end: "02:00" }] }),
+      ).rejects.toThrow("24:00");
+    });
+
+    test("should accept 24:00 as the end of the day", async () => {
+      await doorSupervisor.initialize({ maintenanceWindows: [{ start: "22:00", end: "24:00" }] });
+
+      expect(doorSupervisor.isInMaintenanceWindow("2123456789", new Date(at(1, 23, 59)))).toBe(true);
+      expect(doorSupervisor.isInMaintenanceWindow("2123456789", new Date(at(2, 0)))).toBe(false);
+    });
+  });
+});
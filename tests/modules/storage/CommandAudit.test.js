@@ -0,0 +1,95 @@
+/**
+ * Unit tests for CommandAudit
+ * Tests audit list/trail queries, parameter validation and row mapping
+ */
+
+const knex = require("knex");
+const commandAudit = require("../../../src/modules/storage/CommandAudit");
+
+describe("CommandAudit", () => {
+  // Query builder only - never connects
+  const db = knex({ client: "mysql2" });
+
+  afterAll(() => db.destroy());
+
+  const row = (status, parseAt, error = null) => ({
+    command_id: "cmd_1",
+    source: "websocket",
+    origin: "operator",
+    user_name: "alice",
+    auth_type: "jwt",
+    client_ip: "10.0.0.15",
+    device_id: "2437871205",
+    device_type: "V5008",
+    message_type: "SET_COLOR",
+    payload: '{"moduleIndex":1,"sensorIndex":10,"colorCode":1}',
+    status,
+    error,
+    created_at: new Date("2026-01-01T00:00:00.000Z"),
+    parse_at: new Date(parseAt),
+  });
+
+  test("should query the latest row per command with filters", () => {
+    const options = commandAudit.parseOptions({
+      origin: "operator",
+      deviceId: "2437871205",
+      startTime: "2026-01-01T00:00:00.000Z",
+      limit: "10",
+    });
+    const { sql, bindings } = commandAudit.buildQuery(db, options).toSQL();
+
+    // Latest row over all rows of a command, time range applied to the outer query
+    expect(sql).toContain(
+      "from `iot_command_audit` as `t` inner join (select `command_id`, max(`id`) as `id` from `iot_command_audit` group by `command_id`)",
+    );
+    expect(sql).toContain("where `t`.`created_at` >= ? and `t`.`device_id` = ? and `t`.`origin` = ?");
+    expect(sql).toContain("order by `t`.`created_at` desc, `t`.`id` desc");
+    expect(bindings).toEqual(expect.arrayContaining(["2437871205", "operator", 10]));
+  });
+
+  test("should reject invalid parameters", () => {
+    expect(() => commandAudit.parseOptions({ origin: "robot" })).toThrow("origin");
+    expect(() => commandAudit.parseOptions({ startTime: "x" })).toThrow("startTime");
+    expect(() => commandAudit.parseOptions({ limit: "5000" })).toThrow("limit");
+    expect(() => commandAudit.parseOptions({ offset: "-1" })).toThrow("offset");
+    expect(commandAudit.parseOptions({})).toMatchObject({ filters: {}, limit: 100, offset: 0 });
+  });
+
+  test("should map audit rows to command records", () => {
+    expect(commandAudit.toRecord(row("ACKED", "2026-01-01T00:00:01.000Z"))).toEqual({
+      commandId: "cmd_1",
+      source: "websocket",
+      origin: "operator",
+      user: "alice",
+      authType: "jwt",
+      clientIp: "10.0.0.15",
+      deviceId: "2437871205",
+      deviceType: "V5008",
+      messageType: "SET_COLOR",
+      payload: { moduleIndex: 1, sensorIndex: 10, colorCode: 1 },
+      status: "ACKED",
+      error: null,
+      createdAt: "2026-01-01T00:00:00.000Z",
+      updatedAt: "2026-01-01T00:00:01.000Z",
+    });
+  });
+
+  test("should return the latest status with the transition trail", async () => {
+    const rows = [
+      row("PENDING", "2026-01-01T00:00:00.000Z"),
+      row("SENT", "2026-01-01T00:00:00.100Z"),
+      row("TIMED_OUT", "2026-01-01T00:00:30.100Z", "No response within 30000ms"),
+    ];
+    const spy = jest.spyOn(commandAudit, "buildTrailQuery").mockReturnValue(Promise.resolve(rows));
+
+    const command = await commandAudit.getTrail(db, "cmd_1");
+
+    expect(command.status).toBe("TIMED_OUT");
+    expect(command.trail.map((step) => step.status)).toEqual(["PENDING", "SENT", "TIMED_OUT"]);
+    expect(command.trail[2].error).toBe("No response within 30000ms");
+
+    spy.mockReturnValue(Promise.resolve([]));
+    await expect(commandAudit.getTrail(db, "missing")).resolves.toBeNull();
+    spy.mockRestore();
+  });
+});
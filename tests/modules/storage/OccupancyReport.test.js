@@ -0,0 +1,136 @@
+/**
+ * Unit tests for OccupancyReport
+ * Tests per-module occupancy, free blocks, fleet totals and CSV export
+ */
+
+const knex = require("knex");
+const occupancyReport = require("../../../src/modules/storage/OccupancyReport");
+
+describe("OccupancyReport", () => {
+  const tags = (...positions) => positions.map((sensorIndex) => ({ sensorIndex, tagId: `T${sensorIndex}` }));
+
+  test("should compute occupied/free slots and contiguous free blocks", () => {
+    const module = occupancyReport.computeModule({
+      deviceId: "2437871205",
+      moduleIndex: 1,
+      moduleId: "3963041727",
+      uTotal: 10,
+      snapshot: [...tags(3, 4, 8), { sensorIndex: 4, tagId: "DUP" }, { sensorIndex: 12, tagId: "OUT" }],
+    });
+
+    expect(module).toMatchObject({
+      uTotal: 10,
+      occupied: 3,
+      free: 7,
+      utilization: 30,
+      occupiedU: [3, 4, 8],
+      freeBlocks: [
+        { start: 1, end: 2, size: 2 },
+        { start: 5, end: 7, size: 3 },
+        { start: 9, end: 10, size: 2 },
+      ],
+      largestFreeBlock: 3,
+    });
+  });
+
+  test("should handle full, empty and unknown-capacity modules", () => {
+    expect(occupancyReport.computeModule({ uTotal: 2, snapshot: tags(1, 2) }).freeBlocks).toEqual([]);
+    expect(occupancyReport.computeModule({ uTotal: 3, snapshot: [] }).freeBlocks).toEqual([
+      { start: 1, end: 3, size: 3 },
+    ]);
+    expect(occupancyReport.computeModule({ uTotal: null, snapshot: tags(5) })).toMatchObject({
+      occupied: 1,
+      free: null,
+      utilization: null,
+      freeBlocks: [],
+    });
+  });
+
+  test("should total known capacity across the fleet", () => {
+    const report = occupancyReport.buildReport(
+      [
+        { deviceId: "B", moduleIndex: 1, uTotal: 6, snapshot: tags(1) },
+        { deviceId: "A", moduleIndex: 2, uTotal: 4, snapshot: tags(1, 2, 3, 4) },
+        { deviceId: "A", moduleIndex: 1, snapshot: tags(1) },
+      ],
+      { source: "live", at: "2026-01-01T00:00:00.000Z" },
+    );
+
+    expect(report.modules.map((m) => `${m.deviceId}/${m.moduleIndex}`)).toEqual(["A/1", "A/2", "B/1"]);
+    expect(report.totals).toEqual({
+      devices: 2,
+      modules: 3,
+      unknownCapacity: 1,
+      uTotal: 10,
+      occupied: 5,
+      free: 5,
+      utilization: 50,
+      largestFreeBlock: 5,
+    });
+  });
+
+  test("should build the live report from StateCache with metadata uTotal fallback", () => {
+    const stateCache = {
+      getAllTelemetry: () => [
+        { deviceId: "2437871205", deviceType: "V5008", moduleIndex: 1, rfidSnapshot: tags(1), lastSeenRfid: "x" },
+      ],
+      getMetadata: () => ({ activeModules: [{ moduleIndex: 1, moduleId: "3963041727", uTotal: 6 }] }),
+    };
+
+    const report = occupancyReport.fromCache(stateCache);
+
+    expect(report.source).toBe("live");
+    expect(report.modules[0]).toMatchObject({ moduleId: "3963041727", uTotal: 6, free: 5, snapshotAt: "x" });
+  });
+
+  test("should export one CSV row per module plus totals", () => {
+    const report = occupancyReport.buildReport(
+      [{ deviceId: "2437871205", moduleIndex: 1, moduleId: "3963041727", uTotal: 6, snapshot: tags(2, 5) }],
+      { source: "live", at: "2026-01-01T00:00:00.000Z" },
+    );
+
+    expect(occupancyReport.toCsv(report).split("\n")).toEqual([
+      "deviceId,moduleIndex,moduleId,uTotal,occupied,free,utilization,largestFreeBlock,freeBlocks",
+      "2437871205,1,3963041727,6,2,4,33.33,2,1 3-4 6",
+      "TOTAL,,,6,2,4,33.33,2,",
+      "",
+    ]);
+  });
+
+  test("should neutralize formulas and quote separators in CSV cells", () => {
+    const report = occupancyReport.buildReport(
+      [
+        { deviceId: "=HYPERLINK(\"http://x\")", moduleIndex: 1, moduleId: "+1,2", uTotal: 2, snapshot: [] },
+        { deviceId: "@SUM(A1)", moduleIndex: 2, moduleId: "-3", uTotal: 2, snapshot: [] },
+      ],
+      { source: "live", at: "2026-01-01T00:00:00.000Z" },
+    );
+
+    expect(occupancyReport.toCsv(report).split("\n")).toEqual(
+      expect.arrayContaining([
+        `"'=HYPERLINK(""http://x"")",1,"'+1,2",2,0,2,0,2,1-2`,
+        "'@SUM(A1),2,'-3,2,0,2,0,2,1-2",
+      ]),
+    );
+  });
+
+  describe("buildLatestQuery", () => {
+    // Query builder only - never connects
+    const db = knex({ client: "mysql2" });
+
+    afterAll(() => db.destroy());
+
+    test("should join the latest snapshot per module at the requested time", () => {
+      const at = new Date("2026-01-01T00:00:00.000Z");
+      const { sql, bindings } = occupancyReport
+        .buildLatestQuery(db, "iot_rfid_snapshot", ["device_id", "module_index"], { at, deviceId: "2437871205" })
+        .toSQL();
+
+      expect(sql).toContain(
+        "from `iot_rfid_snapshot` as `t` inner join (select `device_id`, `module_index`, max(`id`) as `id`",
+      );
+      expect(sql).toContain("group by `device_id`, `module_index`) as `l` on `t`.`id` = `l`.`id`");
+      expect(bindings).toEqual([at, "2437871205"]);
+    });
+  });
+});
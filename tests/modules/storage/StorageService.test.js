@@ -16,6 +16,14 @@ jest.mock("../../../src/core/EventBus", () => {
       this.listeners[event].push(handler);
     },
 
+    onDataNormalized(handler) {
+      this.on("data.normalized", handler);
+    },
+
+    onCommandStatus(handler) {
+      this.on("command.status", handler);
+    },
+
     emitError(error, source) {
       this.emittedErrors.push({ error, source });
     },
@@ -24,6 +32,10 @@ jest.mock("../../../src/core/EventBus", () => {
       delete this.listeners[event];
     },
 
+    removeListener(event, handler) {
+      this.listeners[event] = (this.listeners[event] || []).filter((listener) => listener !== handler);
+    },
+
     reset() {
       this.emittedErrors = [];
       this.listeners = {};
@@ -368,6 +380,40 @@ describe("StorageService", () => {
       expect(buffered[0].door1State).toBe(0);
       expect(buffered[0].door2State).toBe(1);
     });
+
+    test("should buffer door supervision events with event type and open duration", () => {
+      storageService.handleData({
+        deviceId: "device010",
+        deviceType: "V6800",
+        messageType: "DOOR_OPEN_TIMEOUT",
+        messageId: null,
+        moduleIndex: 2,
+        moduleId: "3963041727",
+        payload: [
+          {
+            doorState: null,
+            door1State: 1,
+            door2State: null,
+            door: "door1State",
+            openedAt: "2026-01-01T00:00:00.000Z",
+            openDuration: 300000,
+            openTimeout: 300000,
+          },
+        ],
+      });
+
+      const buffered = storageService.batchBuffer.get("iot_door_event");
+      expect(buffered).toHaveLength(1);
+      expect(buffered[0]).toMatchObject({
+        device_id: "device010",
+        module_index: 2,
+        message_id: "",
+        event_type: "DOOR_OPEN_TIMEOUT",
+        door1State: 1,
+        open_duration: 300000,
+      });
+      expect(buffered[0].opened_at.toISOString()).toBe("2026-01-01T00:00:00.000Z");
+    });
   });
 
   describe("DEVICE_METADATA Handler", () => {
@@ -457,6 +503,100 @@ describe("StorageService", () => {
     });
   });
 
+  describe("ALARM_RAISED / ALARM_CLEARED Handler", () => {
+    test("should buffer one row per alarm transition", () => {
+      const suo = {
+        deviceId: "device020",
+        deviceType: "V5008",
+        messageType: "ALARM_CLEARED",
+        messageId: null,
+        moduleIndex: 1,
+        moduleId: "3963041727",
+        payload: [
+          {
+            alarmId: "alm_1767607260000_k3j9x0a1b",
+            sensorIndex: 10,
+            rule: "inlet-temp-high",
+            severity: "major",
+            metric: "temp",
+            condition: "above",
+            threshold: 27,
+            value: 25.9,
+            peakValue: 28.4,
+            raisedAt: "2026-01-05T10:01:00.000Z",
+            clearedAt: "2026-01-05T10:20:00.000Z",
+          },
+        ],
+      };
+
+      storageService.handleData(suo);
+
+      const buffered = storageService.batchBuffer.get("iot_alarm_event");
+      expect(buffered).toHaveLength(1);
+      expect(buffered[0]).toMatchObject({
+        device_id: "device020",
+        module_index: 1,
+        event_type: "ALARM_CLEARED",
+        alarm_id: "alm_1767607260000_k3j9x0a1b",
+        rule_name: "inlet-temp-high",
+        sensor_index: 10,
+        alarm_condition: "above",
+        alarm_value: 25.9,
+      });
+      expect(buffered[0].cleared_at).toEqual(new Date("2026-01-05T10:20:00.000Z"));
+    });
+  });
+
+  describe("Command Audit", () => {
+    test("should buffer one audit row per command status transition", () => {
+      storageService.handleCommandStatus({
+        commandId: "cmd_1767607260000_k3j9x0a1b",
+        source: "api",
+        origin: "operator",
+        user: "ops-console",
+        authType: "apiKey",
+        clientIp: "10.0.0.15",
+        deviceId: "device020",
+        deviceType: "V5008",
+        messageType: "SET_COLOR",
+        payload: { moduleIndex: 1, sensorIndex: 10, colorCode: 1 },
+        status: "FAILED",
+        error: "No response within 30000ms",
+        createdAt: "2026-01-05T10:00:00.000Z",
+        updatedAt: "2026-01-05T10:00:30.000Z",
+      });
+
+      const buffered = storageService.batchBuffer.get("iot_command_audit");
+      expect(buffered).toHaveLength(1);
+      expect(buffered[0]).toMatchObject({
+        command_id: "cmd_1767607260000_k3j9x0a1b",
+        source: "api",
+        origin: "operator",
+        user_name: "ops-console",
+        client_ip: "10.0.0.15",
+        device_id: "device020",
+        message_type: "SET_COLOR",
+        payload: JSON.stringify({ moduleIndex: 1, sensorIndex: 10, colorCode: 1 }),
+        status: "FAILED",
+        error: "No response within 30000ms",
+      });
+      expect(buffered[0].parse_at).toEqual(new Date("2026-01-05T10:00:30.000Z"));
+    });
+
+    test("should only remove its own command.status listener on stop", async () => {
+      jest.spyOn(console, "log").mockImplementation();
+      const otherListener = () => {}; // e.g. WebSocketServer
+      eventBus.onCommandStatus(otherListener);
+
+      await storageService.start();
+      expect(eventBus.listeners["command.status"]).toHaveLength(2);
+      await storageService.stop();
+
+      expect(eventBus.listeners["command.status"]).toEqual([otherListener]);
+      console.log.mockRestore();
+    });
+  });
+
   describe("Batching and Flushing", () => {
     test("should flush when batch size is reached", async () => {
       storageService.config.batchSize = 3;
@@ -498,6 +638,124 @@ describe("StorageService", () => {
       // Assert: Should not throw error
       expect(storageService.batchBuffer.size).toBe(0);
     });
+
+    test("should not start a flush while another one is running", async () => {
+      const originalBatchInsert = database.batchInsert;
+      let release;
+      database.batchInsert = jest.fn(
+        (table, data) =>
+          new Promise((resolve) => {
+            release = () => resolve(originalBatchInsert.call(database, table, data));
+          }),
+      );
+
+      storageService.addToBatch("test_table", { id: 1 });
+      const first = storageService.flush();
+      storageService.addToBatch("test_table", { id: 2 });
+      const tick = storageService.flush(); // Timer tick during the write
+
+      expect(tick).toBe(first);
+      expect(database.batchInsert).toHaveBeenCalledTimes(1);
+
+      release();
+      await first;
+      database.batchInsert = originalBatchInsert;
+      await storageService.flush();
+
+      expect(database.getInsertedData("test_table").map((row) => row.id)).toEqual([1, 2]);
+    });
+  });
+
+  describe("Back-pressure", () => {
+    test("should count buffered and in-flight rows", async () => {
+      storageService.config.maxBufferedRows = 3;
+      storageService.addToBatch("test_table", { id: 1 });
+      storageService.addToBatch("test_table", { id: 2 });
+
+      expect(storageService.getBufferedCount()).toBe(2);
+      expect(storageService.isBackpressured()).toBe(false);
+
+      // Rows stay counted while the write is pending
+      const flushing = storageService.flush();
+      storageService.addToBatch("test_table", { id: 3 });
+      expect(storageService.getBufferedCount()).toBe(3);
+      expect(storageService.isBackpressured()).toBe(true);
+
+      await flushing;
+      expect(storageService.getBufferedCount()).toBe(1);
+    });
+
+    test("should keep rows buffered during a flush for the next flush", async () => {
+      storageService.addToBatch("test_table", { id: 1 });
+
+      const flushing = storageService.flush();
+      storageService.addToBatch("test_table", { id: 2 });
+      await flushing;
+      await storageService.flush();
+
+      expect(database.getInsertedData("test_table").map((row) => row.id)).toEqual([1, 2]);
+    });
+  });
+
+  describe("Failed Flush Spool", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-spool-"));
+      jest.spyOn(console, "error").mockImplementation();
+      jest.spyOn(console, "warn").mockImplementation();
+      await storageService.initialize({ ...storageService.config, spool: { dir: tmpDir } });
+    });
+
+    afterEach(() => {
+      storageService.spool = null;
+      console.error.mockRestore();
+      console.warn.mockRestore();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test("should spool rows of a failed batch and replay them", async () => {
+      const originalBatchInsert = database.batchInsert;
+      database.batchInsert = async () => {
+        throw new Error("connect ECONNREFUSED");
+      };
+
+      storageService.addToBatch("test_table", { id: 1 });
+      await storageService.flush();
+
+      expect(eventBus.emittedErrors).toHaveLength(1);
+      expect(storageService.getSpoolStats()).toMatchObject({ rows: 1, tables: { test_table: 1 } });
+
+      database.batchInsert = originalBatchInsert;
+      storageService.spool.nextAttemptAt = Date.now();
+      await storageService.replaySpool();
+
+      expect(database.getInsertedData("test_table")).toEqual([{ id: 1 }]);
+      expect(storageService.getSpoolStats().rows).toBe(0);
+    });
+
+    test("should skip spool replay while a flush is running", async () => {
+      const originalBatchInsert = database.batchInsert;
+      database.batchInsert = async () => {
+        throw new Error("connect ECONNREFUSED");
+      };
+      storageService.addToBatch("test_table", { id: 1 });
+      await storageService.flush();
+      database.batchInsert = originalBatchInsert;
+      storageService.spool.nextAttemptAt = Date.now();
+
+      storageService.addToBatch("test_table", { id: 2 });
+      const flushing = storageService.flush();
+      expect(await storageService.replaySpool()).toBe(0);
+      await flushing;
+
+      expect(database.getInsertedData("test_table")).toEqual([{ id: 2 }]);
+      expect(await storageService.replaySpool()).toBe(1);
+      expect(database.getInsertedData("test_table")).toEqual([{ id: 2 }, { id: 1 }]);
+    });
   });
 
   describe("Message Type Filtering", () => {
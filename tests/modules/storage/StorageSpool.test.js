@@ -0,0 +1,183 @@
+/**
+ * Unit tests for StorageSpool
+ * Tests NDJSON spooling of failed flushes, replay with backoff and restart recovery
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const StorageSpool = require("../../../src/modules/storage/StorageSpool");
+
+describe("StorageSpool", () => {
+  let tmpDir;
+  let spool;
+  let inserted;
+
+  const rows = [
+    { device_id: "2437871205", module_index: 1, parse_at: new Date("2026-01-05T10:00:00.000Z") },
+    { device_id: "2437871205", module_index: 2, parse_at: new Date("2026-01-05T10:00:01.000Z") },
+  ];
+
+  const insert = async (table, data) => {
+    inserted.push({ table, data });
+  };
+
+  const failingInsert = async () => {
+    throw new Error("connect ECONNREFUSED");
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "spool-"));
+    spool = new StorageSpool({ dir: tmpDir, initialDelay: 1000, maxDelay: 4000, replayBatchSize: 1 });
+    await spool.load();
+    inserted = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should append rows as NDJSON per table and count them", async () => {
+    await spool.append("iot_heartbeat", rows);
+    await spool.append("iot_temp_hum", rows.slice(0, 1));
+
+    const lines = fs.readFileSync(path.join(tmpDir, "iot_heartbeat.ndjson"), "utf8").trim().split("\n");
+    expect(lines).toHaveLength(2);
+    expect(spool.getStats()).toMatchObject({
+      rows: 3,
+      tables: { iot_heartbeat: 2, iot_temp_hum: 1 },
+      spooled: 3,
+    });
+  });
+
+  test("should wait for initialDelay before the first replay", async () => {
+    await spool.append("iot_heartbeat", rows);
+
+    expect(spool.isDue()).toBe(false);
+    expect(spool.isDue(Date.now() + 1000)).toBe(true);
+  });
+
+  test("should replay in chunks, restore dates and remove the file", async () => {
+    await spool.append("iot_heartbeat", rows);
+
+    const replayed = await spool.replay(insert);
+
+    expect(replayed).toBe(2);
+    expect(inserted).toHaveLength(2);
+    expect(inserted[0].data[0].parse_at).toBeInstanceOf(Date);
+    expect(inserted[0].data[0].parse_at.toISOString()).toBe("2026-01-05T10:00:00.000Z");
+    expect(fs.readdirSync(tmpDir)).toHaveLength(0);
+    expect(spool.getStats()).toMatchObject({ rows: 0, tables: {}, replayed: 2, nextAttemptAt: null });
+  });
+
+  test("should keep unreplayed rows and back off on failure", async () => {
+    await spool.append("iot_heartbeat", rows);
+
+    let calls = 0;
+    await expect(
+      spool.replay(async (table, data) => {
+        if (++calls > 1) {
+          throw new Error("connect ECONNREFUSED");
+        }
+        inserted.push({ table, data });
+      }),
+    ).rejects.toThrow("ECONNREFUSED");
+
+    expect(spool.getStats()).toMatchObject({ rows: 1, failures: 1, lastError: "connect ECONNREFUSED" });
+    expect(spool.isDue()).toBe(false);
+
+    await expect(spool.replay(failingInsert)).rejects.toThrow();
+    expect(spool.failures).toBe(2);
+    expect(spool.getBackoffDelay(2)).toBe(2000);
+    expect(spool.getBackoffDelay(5)).toBe(4000);
+
+    await spool.replay(insert);
+    expect(inserted.map((entry) => entry.data[0].module_index)).toEqual([1, 2]);
+    expect(spool.getStats()).toMatchObject({ rows: 0, failures: 0 });
+  });
+
+  test("should keep rows spooled during a replay for the next pass", async () => {
+    await spool.append("iot_heartbeat", rows.slice(0, 1));
+
+    await spool.replay(async (table, data) => {
+      await spool.append(table, rows.slice(1));
+      inserted.push({ table, data });
+    });
+
+    expect(spool.getStats().rows).toBe(1);
+    expect(spool.isDue()).toBe(true);
+
+    await spool.replay(insert);
+    expect(inserted.map((entry) => entry.data[0].module_index)).toEqual([1, 2]);
+  });
+
+  test("should restore spooled rows after a restart", async () => {
+    await spool.append("iot_heartbeat", rows);
+    await expect(spool.replay(failingInsert)).rejects.toThrow();
+    await spool.append("iot_heartbeat", rows.slice(0, 1));
+
+    const restarted = new StorageSpool({ dir: tmpDir });
+    expect(await restarted.load()).toBe(3);
+    expect(restarted.isDue()).toBe(true);
+
+    await restarted.replay(insert);
+    expect(inserted.reduce((sum, entry) => sum + entry.data.length, 0)).toBe(3);
+  });
+
+  test("should move rows the database refuses aside and keep replaying", async () => {
+    jest.spyOn(console, "error").mockImplementation();
+    const notNull = Object.assign(new Error("Column 'module_index' cannot be null"), { code: "ER_BAD_NULL_ERROR" });
+    spool = new StorageSpool({ dir: tmpDir, replayBatchSize: 10 });
+    await spool.load();
+    await spool.append("iot_heartbeat", [rows[0], { ...rows[1], module_index: null }]);
+    await spool.append("iot_temp_hum", rows.slice(0, 1));
+
+    const replayed = await spool.replay(async (table, data) => {
+      if (data.some((row) => row.module_index === null)) {
+        throw notNull;
+      }
+      inserted.push({ table, data });
+    });
+
+    expect(replayed).toBe(2);
+    expect(inserted.map((entry) => `${entry.table}:${entry.data.length}`)).toEqual(["iot_heartbeat:1", "iot_temp_hum:1"]);
+    const rejected = fs.readFileSync(path.join(tmpDir, "iot_heartbeat.rejected.ndjson"), "utf8").trim().split("\n");
+    expect(rejected.map((line) => JSON.parse(line).module_index)).toEqual([null]);
+    expect(spool.getStats()).toMatchObject({ rows: 0, failures: 0, rejected: 1, nextAttemptAt: null });
+    expect(spool.getStats().lastRejectError).toContain("ER_BAD_NULL_ERROR");
+    console.error.mockRestore();
+  });
+
+  test("should treat lock and connection errors as transient", () => {
+    expect(spool.isPermanentError(Object.assign(new Error(), { code: "ER_NO_SUCH_TABLE" }))).toBe(true);
+    expect(spool.isPermanentError(Object.assign(new Error(), { code: "ER_LOCK_DEADLOCK" }))).toBe(false);
+    expect(spool.isPermanentError(Object.assign(new Error(), { code: "ECONNREFUSED" }))).toBe(false);
+    expect(spool.isPermanentError(Object.assign(new Error(), { code: "PROTOCOL_CONNECTION_LOST" }))).toBe(false);
+    expect(spool.isPermanentError(new Error("Knex: Timeout acquiring a connection"))).toBe(false);
+  });
+
+  test("should drop rows beyond maxBytes", async () => {
+    const size = Buffer.byteLength(JSON.stringify(rows[0]) + "\n");
+    spool = new StorageSpool({ dir: tmpDir, maxBytes: size * 2 });
+    await spool.load();
+
+    expect(await spool.append("iot_heartbeat", rows.slice(0, 1))).toBe(true);
+    expect(await spool.append("iot_heartbeat", rows)).toBe(false);
+    expect(await spool.append("iot_heartbeat", rows.slice(1))).toBe(true);
+
+    expect(spool.getStats()).toMatchObject({ rows: 2, spooled: 2, dropped: 2, bytes: size * 2 });
+  });
+
+  test("should only revive known timestamp columns", async () => {
+    await spool.append("iot_meta_changed", [{ parse_at: rows[0].parse_at, description: "2026-01-05T10:00:00.000Z" }]);
+
+    await spool.replay(insert);
+
+    expect(inserted[0].data[0].parse_at).toBeInstanceOf(Date);
+    expect(inserted[0].data[0].description).toBe("2026-01-05T10:00:00.000Z");
+  });
+
+  test("should reject table names that are not safe file names", async () => {
+    await expect(spool.append("../etc/passwd", rows)).rejects.toThrow("Invalid table name");
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for TagHistory
+ * Tests timeline query, event mapping and dwell interval derivation
+ */
+
+const knex = require("knex");
+const tagHistory = require("../../../src/modules/storage/TagHistory");
+
+describe("TagHistory", () => {
+  // Query builder only - never connects
+  const db = knex({ client: "mysql2" });
+
+  afterAll(() => db.destroy());
+
+  const event = (time, action, moduleIndex = 1, sensorIndex = 10, deviceId = "2437871205") => ({
+    time,
+    action,
+    deviceId,
+    moduleIndex,
+    sensorIndex,
+    isAlarm: false,
+    messageId: "755052881",
+  });
+
+  test("should query ATTACHED/DETACHED rows of the tag oldest first", () => {
+    const options = tagHistory.parseOptions({ startTime: "2026-01-01T00:00:00.000Z", limit: "50" });
+    const { sql, bindings } = tagHistory.buildQuery(db, "DD344A44", options).toSQL();
+
+    expect(sql).toContain("where `tag_id` = ? and `action` in (?, ?)");
+    expect(sql).toContain("order by `parse_at` asc, `id` asc");
+    expect(bindings).toEqual(expect.arrayContaining(["DD344A44", "ATTACHED", "DETACHED", 51]));
+  });
+
+  test("should reject invalid parameters", () => {
+    expect(() => tagHistory.parseOptions({ startTime: "x" })).toThrow("startTime");
+    expect(() => tagHistory.parseOptions({ startTime: "2026-01-02", endTime: "2026-01-01" })).toThrow(
+      "startTime",
+    );
+    expect(() => tagHistory.parseOptions({ limit: "0" })).toThrow("limit");
+    expect(tagHistory.parseOptions({}).limit).toBe(1000);
+  });
+
+  test("should map rows and trim padded actions", () => {
+    const [mapped] = tagHistory.toEvents([
+      {
+        device_id: "2437871205",
+        module_index: 1,
+        sensor_index: 10,
+        tag_id: "DD344A44",
+        action: "ATTACHED  ",
+        alarm: 0,
+        message_id: "755052881",
+        parse_at: new Date("2026-01-01T00:00:00.000Z"),
+      },
+    ]);
+
+    expect(mapped).toEqual(event("2026-01-01T00:00:00.000Z", "ATTACHED"));
+  });
+
+  test("should derive closed and open dwell intervals across modules", () => {
+    const dwell = tagHistory.computeDwell(
+      [
+        event("2026-01-01T00:00:00.000Z", "ATTACHED"),
+        event("2026-01-01T01:00:00.000Z", "DETACHED"),
+        event("2026-01-01T02:00:00.000Z", "ATTACHED", 2, 5),
+      ],
+      new Date("2026-01-01T03:00:00.000Z").getTime(),
+    );
+
+    expect(dwell).toEqual([
+      {
+        deviceId: "2437871205",
+        moduleIndex: 1,
+        sensorIndex: 10,
+        attachedAt: "2026-01-01T00:00:00.000Z",
+        detachedAt: "2026-01-01T01:00:00.000Z",
+        duration: 3600000,
+        open: false,
+      },
+      {
+        deviceId: "2437871205",
+        moduleIndex: 2,
+        sensorIndex: 5,
+        attachedAt: "2026-01-01T02:00:00.000Z",
+        detachedAt: null,
+        duration: 3600000,
+        open: true,
+      },
+    ]);
+  });
+
+  test("should handle stays starting before the range, repeated attaches and missing detaches", () => {
+    const dwell = tagHistory.computeDwell([
+      event("2026-01-01T00:00:00.000Z", "DETACHED", 3, 1),
+      event("2026-01-01T01:00:00.000Z", "ATTACHED"),
+      event("2026-01-01T01:30:00.000Z", "ATTACHED"),
+      event("2026-01-01T02:00:00.000Z", "ATTACHED", 2, 5),
+      event("2026-01-01T03:00:00.000Z", "DETACHED", 2, 5),
+    ]);
+
+    expect(dwell.map(({ moduleIndex, attachedAt, detachedAt, duration }) => ({
+      moduleIndex,
+      attachedAt,
+      detachedAt,
+      duration,
+    }))).toEqual([
+      { moduleIndex: 3, attachedAt: null, detachedAt: "2026-01-01T00:00:00.000Z", duration: null },
+      { moduleIndex: 1, attachedAt: "2026-01-01T01:00:00.000Z", detachedAt: "2026-01-01T02:00:00.000Z", duration: 3600000 },
+      { moduleIndex: 2, attachedAt: "2026-01-01T02:00:00.000Z", detachedAt: "2026-01-01T03:00:00.000Z", duration: 3600000 },
+    ]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for TelemetryAggregator
+ * Tests interval parsing, bucketed SQL and unpivoting of pivoted sensor columns
+ */
+
+const knex = require("knex");
+const telemetryAggregator = require("../../../src/modules/storage/TelemetryAggregator");
+
+describe("TelemetryAggregator", () => {
+  // Query builder only - never connects
+  const db = knex({ client: "mysql2" });
+
+  afterAll(() => db.destroy());
+
+  describe("parseOptions", () => {
+    test("should parse intervals into bucket seconds", () => {
+      expect(telemetryAggregator.parseInterval("5m")).toBe(300);
+      expect(telemetryAggregator.parseInterval("1h")).toBe(3600);
+      expect(telemetryAggregator.parseInterval("1d")).toBe(86400);
+      expect(telemetryAggregator.parseInterval("0m")).toBeNull();
+      expect(telemetryAggregator.parseInterval("1w")).toBeNull();
+      expect(telemetryAggregator.parseInterval(undefined)).toBeNull();
+    });
+
+    test("should default to the last 7 days for all types", () => {
+      const options = telemetryAggregator.parseOptions({
+        interval: "1h",
+        endTime: "2026-01-08T00:00:00.000Z",
+      });
+
+      expect(options.startTime.toISOString()).toBe("2026-01-01T00:00:00.000Z");
+      expect(options.types).toEqual(["tempHum", "noiseLevel"]);
+    });
+
+    test("should reject invalid parameters", () => {
+      expect(() => telemetryAggregator.parseOptions({})).toThrow("interval");
+      expect(() => telemetryAggregator.parseOptions({ interval: "1h", type: "power" })).toThrow("type");
+      expect(() =>
+        telemetryAggregator.parseOptions({ interval: "1h", startTime: "2026-01-02", endTime: "2026-01-01" }),
+      ).toThrow("startTime");
+      expect(() => telemetryAggregator.parseOptions({ interval: "1h", moduleIndex: "x" })).toThrow(
+        "moduleIndex",
+      );
+      expect(() =>
+        telemetryAggregator.parseOptions({ interval: "1m", startTime: "2025-01-01", endTime: "2026-01-01" }),
+      ).toThrow("Too many buckets");
+    });
+  });
+
+  describe("buildQuery", () => {
+    test("should group by device, module and epoch bucket", () => {
+      const options = telemetryAggregator.parseOptions({
+        interval: "5m",
+        type: "noiseLevel",
+        deviceId: "2437871205",
+        moduleIndex: "1",
+        sensorIndex: "16",
+        endTime: "2026-01-02T00:00:00.000Z",
+      });
+
+      const { sql, bindings } = telemetryAggregator.buildQuery(db, "noiseLevel", options).toSQL();
+
+      expect(sql).toContain("FLOOR(UNIX_TIMESTAMP(parse_at) / ?) * ? AS bucket");
+      expect(sql).toContain("MIN(`noise_index16`) AS `noise_index16_min`");
+      expect(sql).toContain("COUNT(`noise_index16`) AS `noise_index16_count`");
+      expect(sql).not.toContain("noise_index17");
+      expect(sql).toContain("group by `device_id`, `module_index`, `bucket`");
+      expect(bindings).toEqual(expect.arrayContaining([300, "2437871205", 1]));
+    });
+  });
+
+  describe("unpivot", () => {
+    const row = {
+      device_id: "2437871205",
+      module_index: 1,
+      bucket: 1767225600, // 2026-01-01T00:00:00Z
+      temp_index10_min: "24.10",
+      temp_index10_max: "25.30",
+      temp_index10_avg: "24.6666",
+      temp_index10_count: 3,
+      hum_index10_min: "50.00",
+      hum_index10_max: "55.00",
+      hum_index10_avg: "52.5000",
+      hum_index10_count: 2,
+      temp_index11_count: 0,
+      hum_index11_count: 0,
+    };
+
+    test("should return one series per sensorIndex with min/max/avg", () => {
+      const series = telemetryAggregator.unpivot("tempHum", [row, { ...row, bucket: 1767229200 }]);
+
+      expect(series).toHaveLength(1);
+      expect(series[0]).toMatchObject({
+        deviceId: "2437871205",
+        moduleIndex: 1,
+        sensorIndex: 10,
+        type: "tempHum",
+      });
+      expect(series[0].buckets).toEqual([
+        {
+          time: "2026-01-01T00:00:00.000Z",
+          count: 3,
+          temp: { min: 24.1, max: 25.3, avg: 24.67 },
+          hum: { min: 50, max: 55, avg: 52.5 },
+        },
+        expect.objectContaining({ time: "2026-01-01T01:00:00.000Z" }),
+      ]);
+    });
+
+    test("should skip sensors without readings in a bucket", () => {
+      expect(telemetryAggregator.unpivot("tempHum", [row], 11)).toEqual([]);
+    });
+  });
+});